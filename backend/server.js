@@ -5,197 +5,67 @@
  * @author Account Tracking App Team
  */
 
-const express = require('express');
-const cors = require('cors');
 require('dotenv').config();
 
-/**
- * Database connection configuration
- */
+const app = require('./src/app');
 const db = require('./src/config/db');
+const Migrator = require('./src/config/migrator');
+const BalanceReconciliation = require('./src/services/balanceReconciliationService');
 
 /**
- * Application routes imports
- */
-const groupRoutes = require('./src/routes/groupRoutes');
-const accountRoutes = require('./src/routes/accountRoutes');
-const transactionRoutes = require('./src/routes/transactionRoutes');
-const userSettingsRoutes = require('./src/routes/userSettingsRoutes');
-
-/**
- * Express application instance
- */
-const app = express();
-
-/**
- * Middleware Configuration
- */
-app.use(cors({
-    origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-    credentials: true
-}));
-
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-/**
- * ==============================================
- * API Routes Registration
- * ==============================================
- */
-
-/**
- * Account group management endpoints
- * @route /api/groups
- */
-app.use('/api/groups', groupRoutes);
-
-/**
- * Customer account management endpoints  
- * @route /api/accounts
- */
-app.use('/api/accounts', accountRoutes);
-
-/**
- * Financial transaction management endpoints
- * @route /api/transactions
+ * Server Configuration
  */
-app.use('/api/transactions', transactionRoutes);
+const PORT = process.env.PORT || 3001;
 
 /**
- * User settings management endpoints
- * @route /api/settings
+ * Start the HTTP server after pending schema migrations are applied
+ * @async
+ * @function startServer
  */
-app.use('/api/settings', userSettingsRoutes);
+const startServer = async () => {
+    if (!process.env.JWT_SECRET) {
+        console.error('❌ JWT_SECRET ortam değişkeni tanımlı değil, sunucu başlatılmıyor');
+        process.exit(1);
+    }
 
-/**
- * ==============================================
- * Main Routes & Documentation Endpoints
- * ==============================================
- */
+    await db.testConnection();
 
-/**
- * Root endpoint - API documentation and health check
- * @route GET /
- * @returns {object} API information and available endpoints
- */
-app.get('/', (req, res) => {
-    res.json({ 
-        message: 'Cari Takip App Backend API',
-        version: '1.0.0',
-        status: 'Çalışıyor',
-        endpoints: {
-            health: '/api/health',
-            groups: '/api/groups',
-            accounts: '/api/accounts',
-            transactions: '/api/transactions',
-            settings: '/api/settings'
-        },
-        documentation: {
-            groups: {
-                'GET /api/groups': 'Tüm grupları listele',
-                'POST /api/groups': 'Yeni grup oluştur',
-                'GET /api/groups/:id': 'Tekil grup getir',
-                'PUT /api/groups/:id': 'Grup güncelle',
-                'DELETE /api/groups/:id': 'Grup sil',
-                'GET /api/groups/:id/accounts/count': 'Gruba bağlı hesap sayısı'
-            },
-            accounts: {
-                'GET /api/accounts': 'Tüm cari hesapları listele',
-                'POST /api/accounts': 'Yeni cari hesap oluştur',
-                'GET /api/accounts/:id': 'Tekil cari hesap getir',
-                'PUT /api/accounts/:id': 'Cari hesap güncelle',
-                'DELETE /api/accounts/:id': 'Cari hesap sil',
-                'GET /api/accounts/type/:type': 'Türe göre cari hesapları getir',
-                'GET /api/accounts/group/:groupId': 'Gruba göre cari hesapları getir',
-                'GET /api/accounts/search?q=term': 'Cari hesap ara'
-            },
-            transactions: {
-                'GET /api/transactions': 'Tüm işlemleri listele',
-                'POST /api/transactions': 'Yeni işlem oluştur',
-                'GET /api/transactions/:id': 'Tekil işlem getir',
-                'PUT /api/transactions/:id': 'İşlem güncelle',
-                'DELETE /api/transactions/:id': 'İşlem sil',
-                'GET /api/transactions/filter': 'Filtrelenmiş işlemler',
-                'GET /api/transactions/summary': 'İşlem özeti',
-                'GET /api/transactions/account/:accountId': 'Cari hesaba ait işlemler'
-            },
-            settings: {
-                'GET /api/settings': 'Tüm ayarları listele',
-                'GET /api/settings/:settingName': 'Tekil ayar getir',
-                'PUT /api/settings/:settingName': 'Ayar güncelle/oluştur',
-                'DELETE /api/settings/:settingName': 'Ayar sil',
-                'POST /api/settings/initialize': 'Varsayılan ayarları oluştur',
-                'POST /api/settings/bulk': 'Çoklu ayar güncelle',
-                'GET /api/settings/category/:category': 'Kategoriye göre ayarları getir'
-            }
-        }
-    });
-});
+    const migrationResult = await Migrator.runMigrations();
 
-// Veritabanı bağlantı testi endpoint'i
-app.get('/api/health', async (req, res) => {
-    try {
-        const connection = await db.getConnection();
-        connection.release();
-        res.json({ 
-            status: 'success',
-            message: 'Veritabanı bağlantısı başarılı',
-            database: process.env.DB_NAME,
-            timestamp: new Date().toISOString()
-        });
-    } catch (error) {
-        res.status(500).json({ 
-            status: 'error',
-            message: 'Veritabanı bağlantı hatası',
-            error: error.message
-        });
+    if (!migrationResult.success) {
+        console.error('❌ Migration\'lar uygulanamadı, sunucu başlatılmıyor:', migrationResult.error);
+        process.exit(1);
     }
-});
 
-/**
- * 404 Not Found handler
- * @route * (catch-all)
- */
-app.use('*', (req, res) => {
-    res.status(404).json({ 
-        message: 'Endpoint bulunamadı',
-        path: req.originalUrl
-    });
-});
-
-/**
- * Global error handler middleware
- * @param {Error} error - The error object
- * @param {Request} req - Express request object
- * @param {Response} res - Express response object
- * @param {NextFunction} next - Express next function
- */
-app.use((error, req, res, next) => {
-    console.error('Server Error:', error);
-    res.status(500).json({
-        message: 'Sunucu hatası',
-        error: process.env.NODE_ENV === 'development' ? error.message : 'Bir hata oluştu'
+    console.log(`🗄️  ${migrationResult.data.message}`);
+
+    app.listen(PORT, () => {
+        console.log(`🚀 Server ${PORT} portunda çalışıyor`);
+        console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
+        console.log(`🌍 Environment: ${process.env.NODE_ENV}`);
+        console.log('');
+        console.log('📋 Kullanılabilir API Endpoint\'leri:');
+        console.log(`   🏠 Ana sayfa: http://localhost:${PORT}/`);
+        console.log(`   ❤️  Health: http://localhost:${PORT}/api/health`);
+        console.log(`   🔐 Kimlik Doğrulama: http://localhost:${PORT}/api/auth`);
+        console.log(`   👥 Kullanıcılar: http://localhost:${PORT}/api/users`);
+        console.log(`   🏢 Şirketler: http://localhost:${PORT}/api/companies`);
+        console.log(`   📁 Gruplar: http://localhost:${PORT}/api/groups`);
+        console.log(`   👤 Cari Hesaplar: http://localhost:${PORT}/api/accounts`);
+        console.log(`   💰 İşlemler: http://localhost:${PORT}/api/transactions`);
+        console.log(`   ⚙️  Ayarlar: http://localhost:${PORT}/api/settings`);
+        console.log(`   📒 Yevmiye: http://localhost:${PORT}/api/journal`);
+        console.log(`   🕵️  Denetim Kaydı: http://localhost:${PORT}/api/audit`);
+        console.log('');
+        console.log('📖 Detaylı API dokümantasyonu için: http://localhost:' + PORT + '/');
+
+        // Periyodik bakiye farkı kontrolü (dakika cinsinden, tanımlı değilse kapalı)
+        const balanceCheckInterval = parseInt(process.env.BALANCE_CHECK_INTERVAL_MINUTES);
+        if (balanceCheckInterval > 0) {
+            BalanceReconciliation.startDriftDetectionJob(balanceCheckInterval);
+            console.log(`🔎 Bakiye farkı kontrolü her ${balanceCheckInterval} dakikada bir çalışacak`);
+        }
     });
-});
-
-/**
- * Server Configuration
- */
-const PORT = process.env.PORT || 3001;
+};
 
-app.listen(PORT, () => {
-    console.log(`🚀 Server ${PORT} portunda çalışıyor`);
-    console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
-    console.log(`🌍 Environment: ${process.env.NODE_ENV}`);
-    console.log('');
-    console.log('📋 Kullanılabilir API Endpoint\'leri:');
-    console.log(`   🏠 Ana sayfa: http://localhost:${PORT}/`);
-    console.log(`   ❤️  Health: http://localhost:${PORT}/api/health`);
-    console.log(`   📁 Gruplar: http://localhost:${PORT}/api/groups`);
-    console.log(`   👤 Cari Hesaplar: http://localhost:${PORT}/api/accounts`);
-    console.log(`   💰 İşlemler: http://localhost:${PORT}/api/transactions`);
-    console.log(`   ⚙️  Ayarlar: http://localhost:${PORT}/api/settings`);
-    console.log('');
-    console.log('📖 Detaylı API dokümantasyonu için: http://localhost:' + PORT + '/');
-});
\ No newline at end of file
+startServer();
\ No newline at end of file
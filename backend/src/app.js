@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Express application for Account Tracking System
+ * @description Middleware, route registration and error handlers; the HTTP listener lives in server.js
+ * so the application can be mounted by supertest without opening a port
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const cors = require('cors');
+require('dotenv').config();
+
+/**
+ * Database connection configuration
+ */
+const db = require('./config/db');
+const { createApiRouter } = require('./routes');
+
+/**
+ * Express application instance
+ */
+const app = express();
+
+/**
+ * Middleware Configuration
+ */
+app.use(cors({
+    origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+    credentials: true
+}));
+
+// Toplu istekler (banka ekstresi onayı, kur aktarımı) için gövde sınırı varsayılan 100 KB'ın üstünde
+app.use(express.json({ limit: '5mb' }));
+app.use(express.urlencoded({ extended: true }));
+
+/**
+ * ==============================================
+ * API Routes Registration
+ * ==============================================
+ */
+
+/**
+ * Versioned API with consistent English field names
+ * @route /api/v2
+ */
+app.use('/api/v2', createApiRouter());
+
+/**
+ * Original API; accepts and returns the legacy field names (config/legacyFields.js)
+ * @route /api
+ */
+app.use('/api', createApiRouter({ legacy: true }));
+
+/**
+ * ==============================================
+ * Main Routes & Documentation Endpoints
+ * ==============================================
+ */
+
+/**
+ * Root endpoint - API documentation and health check
+ * @route GET /
+ * @returns {object} API information and available endpoints
+ */
+app.get('/', (req, res) => {
+    res.json({ 
+        message: 'Cari Takip App Backend API',
+        version: '1.0.0',
+        status: 'Çalışıyor',
+        versions: {
+            v2: '/api/v2 - Tüm kaynaklarda tutarlı İngilizce alan adları (ör. account_id, transaction_type, amount)',
+            legacy: '/api - Eski alan adlarını (ör. cari_id, islem_tipi, tutar) da kabul eden uyumluluk katmanı'
+        },
+        endpoints: {
+            health: '/api/health',
+            auth: '/api/auth',
+            users: '/api/users',
+            companies: '/api/companies',
+            groups: '/api/groups',
+            accounts: '/api/accounts',
+            transactions: '/api/transactions',
+            settings: '/api/settings',
+            journal: '/api/journal',
+            reports: '/api/reports',
+            exchangeRates: '/api/exchange-rates',
+            audit: '/api/audit'
+        },
+        authentication: 'Bearer token: /api/auth dışındaki /api endpoint\'leri "Authorization: Bearer <access_token>" başlığı ister',
+        company: 'Şirket seçimi: "X-Company-Id" başlığı (yoksa kullanıcının varsayılan şirketi)',
+        roles: {
+            admin: 'Tüm işlemler, kullanıcı rolleri ve ayarlar',
+            accountant: 'Cari hesap, hareket ve yevmiye kaydı oluşturma/düzenleme',
+            viewer: 'Yalnızca okuma'
+        },
+        documentation: {
+            auth: {
+                'POST /api/auth/register': 'Yeni kullanıcı kaydı',
+                'POST /api/auth/login': 'Oturum aç (erişim ve yenileme token\'ı döner)',
+                'POST /api/auth/refresh': 'Yenileme token\'ı ile yeni token çifti al',
+                'POST /api/auth/logout': 'Oturumu kapat',
+                'GET /api/auth/me': 'Oturumdaki kullanıcı'
+            },
+            users: {
+                'GET /api/users': 'Kullanıcıları listele (admin)',
+                'PUT /api/users/:id/role': 'Kullanıcı rolünü değiştir (admin)'
+            },
+            companies: {
+                'GET /api/companies': 'Üyesi olunan şirketleri listele',
+                'POST /api/companies': 'Yeni şirket oluştur (admin)',
+                'POST /api/companies/:id/users': 'Kullanıcıyı şirkete verilen rolle ekle (şirketin admin üyeleri)',
+                'PUT /api/companies/:id/users/:userId/role': 'Üyenin şirketteki rolünü değiştir (şirketin admin üyeleri)',
+                'PUT /api/companies/:id/default': 'Varsayılan şirketi değiştir'
+            },
+            groups: {
+                'GET /api/groups': 'Tüm grupları listele (?limit=&cursor=&sort=)',
+                'POST /api/groups': 'Yeni grup oluştur',
+                'GET /api/groups/:id': 'Tekil grup getir',
+                'PUT /api/groups/:id': 'Grup güncelle',
+                'DELETE /api/groups/:id': 'Grup sil',
+                'GET /api/groups/:id/accounts/count': 'Gruba bağlı hesap sayısı'
+            },
+            accounts: {
+                'GET /api/accounts': 'Tüm cari hesapları listele (?limit=&cursor=&sort=)',
+                'POST /api/accounts': 'Yeni cari hesap oluştur',
+                'POST /api/accounts/import?confirm=': 'CSV/XLSX dosyasından cari hesap içe aktar (önizleme veya kayıt)',
+                'GET /api/accounts/:id': 'Tekil cari hesap getir',
+                'PUT /api/accounts/:id': 'Cari hesap güncelle',
+                'DELETE /api/accounts/:id?mode=refuse|archive|transfer': 'Cari hesap sil (bağlı hareketler varsa reddet, arşivle veya bakiyeyi devret)',
+                'GET /api/accounts/deleted': 'Silinmiş cari hesapları listele',
+                'POST /api/accounts/:id/restore': 'Silinmiş cari hesabı geri yükle',
+                'GET /api/accounts/type/:type': 'Türe göre cari hesapları getir',
+                'GET /api/accounts/group/:groupId': 'Gruba göre cari hesapları getir',
+                'GET /api/accounts/search?q=term&limit=': 'Cari hesap ara (Türkçe karakter ve yazım hatası toleranslı, puana göre sıralı)',
+                'GET /api/accounts/:id/balance-check': 'Cari hesap bakiyesini hareketlerle karşılaştır',
+                'GET /api/accounts/:id/statement': 'Cari hesap ekstresi (?from=&to=)',
+                'POST /api/accounts/recalculate-balances': 'Bakiyeleri hareketlerden yeniden hesapla'
+            },
+            transactions: {
+                'GET /api/transactions': 'Tüm işlemleri listele (?limit=&cursor=&sort=)',
+                'POST /api/transactions': 'Yeni işlem oluştur',
+                'GET /api/transactions/:id': 'Tekil işlem getir',
+                'PUT /api/transactions/:id': 'İşlem güncelle',
+                'DELETE /api/transactions/:id': 'İşlem sil',
+                'GET /api/transactions/deleted': 'Silinmiş işlemleri listele',
+                'POST /api/transactions/:id/restore': 'Silinmiş işlemi geri yükle',
+                'GET /api/transactions/filter': 'Filtrelenmiş işlemler',
+                'GET /api/transactions/summary': 'İşlem özeti',
+                'POST /api/transactions/bank-statement/preview': 'Banka ekstresini (CSV/XLSX/MT940) oku ve cari hesap eşleştirmesi öner',
+                'POST /api/transactions/bank-statement/confirm': 'Onaylanan ekstre satırlarını tek işlemde kaydet',
+                'POST /api/transactions/reconciliation/preview': 'Banka ekstresini kayıtlı hareketlerle eşleştir (mutabakat önizlemesi)',
+                'POST /api/transactions/reconciliation/confirm': 'Eşleşen hareketlerin mutabakatını onayla',
+                'DELETE /api/transactions/:id/reconciliation': 'Hareketin mutabakat işaretini kaldır',
+                'GET /api/transactions/account/:accountId': 'Cari hesaba ait işlemler'
+            },
+            settings: {
+                'GET /api/settings': 'Tüm ayarları listele',
+                'GET /api/settings/:settingName': 'Tekil ayar getir',
+                'PUT /api/settings/:settingName': 'Ayar güncelle/oluştur',
+                'DELETE /api/settings/:settingName': 'Ayar sil',
+                'POST /api/settings/initialize': 'Varsayılan ayarları oluştur',
+                'POST /api/settings/bulk': 'Çoklu ayar güncelle',
+                'GET /api/settings/category/:category': 'Kategoriye göre ayarları getir'
+            },
+            journal: {
+                'GET /api/journal': 'Yevmiye fişlerini listele',
+                'POST /api/journal': 'Yeni yevmiye fişi oluştur (borç = alacak)',
+                'GET /api/journal/:id': 'Yevmiye fişini satırlarıyla getir',
+                'DELETE /api/journal/:id': 'Yevmiye fişini sil',
+                'GET /api/journal/ledger-accounts': 'Hesap planı',
+                'GET /api/journal/trial-balance': 'Mizan'
+            },
+            reports: {
+                'GET /api/reports/aging?as_of=&group_id=&account_type=': 'Alacak/borç yaşlandırma raporu (vade dilimleri)'
+            },
+            exchangeRates: {
+                'GET /api/exchange-rates': 'Döviz kurlarını listele',
+                'POST /api/exchange-rates': 'Kur gir (aynı gün ve para birimi için günceller)',
+                'POST /api/exchange-rates/import': 'Kurları toplu içe aktar',
+                'DELETE /api/exchange-rates/:id': 'Kur sil'
+            },
+            audit: {
+                'GET /api/audit?entity=&entity_id=': 'Değişiklik geçmişi (önceki/sonraki haller)'
+            }
+        }
+    });
+});
+
+// Veritabanı bağlantı testi endpoint'i
+app.get('/api/health', async (req, res) => {
+    try {
+        const connection = await db.getConnection();
+        connection.release();
+        res.json({ 
+            status: 'success',
+            message: 'Veritabanı bağlantısı başarılı',
+            database: process.env.DB_NAME,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(500).json({ 
+            status: 'error',
+            message: 'Veritabanı bağlantı hatası',
+            error: error.message
+        });
+    }
+});
+
+/**
+ * 404 Not Found handler
+ * @route * (catch-all)
+ */
+app.use('*', (req, res) => {
+    res.status(404).json({ 
+        message: 'Endpoint bulunamadı',
+        path: req.originalUrl
+    });
+});
+
+/**
+ * Global error handler middleware
+ * @param {Error} error - The error object
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next function
+ */
+app.use((error, req, res, next) => {
+    console.error('Server Error:', error);
+    res.status(500).json({
+        message: 'Sunucu hatası',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Bir hata oluştu'
+    });
+});
+
+module.exports = app;
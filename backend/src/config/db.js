@@ -1,27 +1,80 @@
 /**
  * @fileoverview Database configuration and connection pool management
- * @description MySQL database connection setup with connection pooling
+ * @description MySQL connection pooling behind a replaceable adapter; the pool is created
+ * lazily on first use so that requiring a model never opens a connection
  * @version 1.0.0
  */
 
 const mysql = require('mysql2/promise');
 require('dotenv').config();
 
+/**
+ * Aktif veritabanı adaptörü (varsayılan: ilk kullanımda oluşturulan MySQL havuzu)
+ * Adaptör mysql2 havuzunun kullanılan alt kümesini sağlamalıdır:
+ * execute(sql, params), query(sql, params), getConnection() ve opsiyonel end().
+ * getConnection() ile dönen bağlantı execute, query, beginTransaction, commit,
+ * rollback ve release metodlarını sağlamalıdır.
+ * @type {Object|null}
+ */
+let adapter = null;
+
 /**
  * MySQL connection pool configuration
- * @type {mysql.Pool}
+ * @function createMysqlPool
+ * @returns {mysql.Pool}
  */
-const pool = mysql.createPool({
+const createMysqlPool = () => mysql.createPool({
     host: process.env.DB_HOST || 'localhost',
-    user: process.env.DB_USER || 'root', 
+    user: process.env.DB_USER || 'root',
     password: process.env.DB_PASSWORD,
     database: process.env.DB_NAME || 'cari_takip_app',
     port: process.env.DB_PORT || 3306,
     waitForConnections: true,
     connectionLimit: 10,
-    queueLimit: 0
+    queueLimit: 0,
+    // DECIMAL sütunları metin yerine sayı olarak döner; tutar hesaplamaları utils/money ile yapılır
+    decimalNumbers: true
 });
 
+// Aktif adaptörü getir, yoksa MySQL havuzunu oluştur
+const getAdapter = () => {
+    if (!adapter) {
+        adapter = createMysqlPool();
+    }
+    return adapter;
+};
+
+/**
+ * Replace the database adapter (testler veya farklı bir sürücü için)
+ * @function setAdapter
+ * @param {Object|null} newAdapter - mysql2 havuzu ile uyumlu adaptör; null verilirse
+ * bir sonraki kullanımda yeniden MySQL havuzu oluşturulur
+ * @throws {Error} Adaptör gerekli metodları sağlamıyorsa
+ */
+const setAdapter = (newAdapter) => {
+    if (newAdapter !== null && (typeof newAdapter.execute !== 'function' || typeof newAdapter.getConnection !== 'function')) {
+        throw new Error('Veritabanı adaptörü execute ve getConnection metodlarını sağlamalıdır');
+    }
+    adapter = newAdapter;
+};
+
+// Sorgu çalıştır (prepared statement)
+const execute = (sql, params) => getAdapter().execute(sql, params);
+
+// Sorgu çalıştır (metin sorgu)
+const query = (sql, params) => getAdapter().query(sql, params);
+
+// Havuzdan bağlantı al
+const getConnection = () => getAdapter().getConnection();
+
+// Havuzu kapat; sonraki kullanımda yeni havuz oluşturulur
+const end = async () => {
+    if (adapter && typeof adapter.end === 'function') {
+        await adapter.end();
+    }
+    adapter = null;
+};
+
 /**
  * Test database connection
  * @async
@@ -31,7 +84,7 @@ const pool = mysql.createPool({
  */
 const testConnection = async () => {
     try {
-        const connection = await pool.getConnection();
+        const connection = await getConnection();
         console.log('✅ Veritabanına başarıyla bağlanıldı');
         connection.release();
     } catch (error) {
@@ -40,8 +93,54 @@ const testConnection = async () => {
 };
 
 /**
- * Initialize database connection test
+ * Run a unit of work inside a single database transaction
+ * @async
+ * @function withTransaction
+ * @param {Function} work - Havuzdan alınan bağlantıyı parametre olarak alan async fonksiyon
+ * @param {Object|null} [outerConnection=null] - Devam eden bir işlemin bağlantısı; verilirse
+ * work bu bağlantıyla çalışır, BEGIN/COMMIT/ROLLBACK ve bağlantıyı bırakmak o işlemi açana kalır
+ * @returns {Promise<*>} work fonksiyonunun döndürdüğü sonuç
+ * @description İşlem BEGIN ile başlatılır; work hata fırlatırsa veya
+ * { success: false } döndürürse ROLLBACK, aksi halde COMMIT yapılır.
+ * Bağlantı her durumda havuza geri bırakılır.
+ * @throws {Error} work içinde oluşan hata (rollback sonrası yeniden fırlatılır)
  */
-testConnection();
+const withTransaction = async (work, outerConnection = null) => {
+    if (outerConnection) {
+        return work(outerConnection);
+    }
+
+    const connection = await getConnection();
+
+    try {
+        await connection.beginTransaction();
+        const result = await work(connection);
 
-module.exports = pool;
\ No newline at end of file
+        if (result && result.success === false) {
+            await connection.rollback();
+        } else {
+            await connection.commit();
+        }
+
+        return result;
+    } catch (error) {
+        try {
+            await connection.rollback();
+        } catch (rollbackError) {
+            console.error('Rollback Error:', rollbackError.message);
+        }
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+module.exports = {
+    execute,
+    query,
+    getConnection,
+    end,
+    testConnection,
+    withTransaction,
+    setAdapter
+};
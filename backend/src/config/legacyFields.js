@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Legacy field name registry
+ * @description Maps the field names accepted and returned by the original /api endpoints to the
+ * consistent English snake_case names used by /api/v2 and by the controllers
+ * @version 1.0.0
+ */
+
+/**
+ * Hareket filtrelerinin eski sorgu adları -> v2 adları
+ * @type {Object<string, string>}
+ */
+const TRANSACTION_FILTER_FIELDS = {
+    cari_id: 'account_id',
+    islem_tipi: 'transaction_type',
+    min_tutar: 'min_amount',
+    max_tutar: 'max_amount',
+    baslangic_tarihi: 'start_date',
+    bitis_tarihi: 'end_date',
+    aciklama_icinde: 'search'
+};
+
+// Eşleme tablosunu ters çevir (v2 adı -> eski ad)
+const invert = (fields) => Object.entries(fields).reduce((inverted, [legacyName, name]) => ({
+    ...inverted,
+    [name]: legacyName
+}), {});
+
+/**
+ * Kaynak bazında eski alan adları
+ * - body / query: eski ad -> v2 adı. Değer { to, methods } olursa yalnızca
+ *   belirtilen HTTP metodlarında çevrilir.
+ * - response: v2 yanıtındaki üst seviye anahtar -> eski ad. Değer bir nesne olursa
+ *   o anahtarın altındaki nesnenin alanları aynı şekilde çevrilir.
+ * @type {Object<string, {body?: Object, query?: Object, response?: Object}>}
+ */
+const LEGACY_FIELDS = {
+    groups: {
+        body: {
+            grup_adi: 'group_name'
+        }
+    },
+
+    accounts: {
+        body: {
+            ad_soyad: 'account_name',
+            // Eski oluşturma endpoint'i açılış bakiyesini balance alanında alıyordu
+            balance: { to: 'opening_balance', methods: ['POST'] }
+        },
+        response: {
+            search_term: 'searchTerm'
+        }
+    },
+
+    transactions: {
+        body: {
+            cari_id: 'account_id',
+            islem_tipi: 'transaction_type',
+            tutar: 'amount',
+            islem_tarihi: 'transaction_date',
+            vade_tarihi: 'due_date',
+            odeme_yontemi: 'payment_method',
+            durum: 'status',
+            aciklama: 'description',
+            referans_no: 'reference_number'
+        },
+        query: TRANSACTION_FILTER_FIELDS,
+        response: {
+            total_count: 'totalCount',
+            account_id: 'accountId',
+            filters: invert(TRANSACTION_FILTER_FIELDS)
+        }
+    },
+
+    settings: {
+        response: {
+            data: {
+                created_count: 'createdCount',
+                total_settings: 'totalSettings'
+            }
+        }
+    }
+};
+
+module.exports = {
+    LEGACY_FIELDS
+};
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Database migration runner
+ * @description Versioned schema migrations tracked in the schema_migrations ledger
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+/**
+ * Migration dosyalarının bulunduğu klasör
+ * @type {string}
+ */
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+/**
+ * Eş zamanlı açılışlarda migration'ların iki kez çalışmasını önleyen kilit adı
+ * @type {string}
+ */
+const MIGRATION_LOCK = 'cari_takip_schema_migrations';
+
+/**
+ * Migration dosya adı formatı: 001_create_accounts.js
+ * @type {RegExp}
+ */
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// schema_migrations ledger tablosunu oluştur
+const ensureLedger = async (connection) => {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(20) NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (version)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+};
+
+// Migration dosyalarını versiyon sırasına göre yükle
+const loadMigrations = () => {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+        .sort()
+        .map((file) => {
+            const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`${file} migration dosyası up ve down fonksiyonlarını tanımlamalıdır`);
+            }
+
+            return { version, name, file, up: migration.up, down: migration.down };
+        });
+};
+
+// Uygulanmış migration versiyonlarını getir
+const getAppliedVersions = async (connection) => {
+    const [rows] = await connection.query(
+        'SELECT version FROM schema_migrations ORDER BY version ASC'
+    );
+    return rows.map((row) => row.version);
+};
+
+// Kilidi alıp verilen işi çalıştır, ardından kilidi ve bağlantıyı bırak
+const withMigrationLock = async (work) => {
+    const connection = await db.getConnection();
+
+    try {
+        const [lockRows] = await connection.query('SELECT GET_LOCK(?, 60) AS acquired', [MIGRATION_LOCK]);
+        if (lockRows[0].acquired !== 1) {
+            throw new Error('Migration kilidi alınamadı, başka bir süreç migration çalıştırıyor olabilir');
+        }
+
+        try {
+            await ensureLedger(connection);
+            return await work(connection);
+        } finally {
+            await connection.query('SELECT RELEASE_LOCK(?)', [MIGRATION_LOCK]);
+        }
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Schema Migrations Runner
+ * @namespace Migrator
+ */
+const Migrator = {
+    // Bekleyen tüm migration'ları sırayla uygula
+    runMigrations: async () => {
+        try {
+            const applied = await withMigrationLock(async (connection) => {
+                const appliedVersions = await getAppliedVersions(connection);
+                const pending = loadMigrations().filter((m) => !appliedVersions.includes(m.version));
+                const appliedNow = [];
+
+                for (const migration of pending) {
+                    console.log(`⏫ Migration uygulanıyor: ${migration.file}`);
+                    await migration.up(connection);
+                    await connection.query(
+                        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, NOW())',
+                        [migration.version, migration.name]
+                    );
+                    appliedNow.push(migration.file);
+                }
+
+                return appliedNow;
+            });
+
+            return {
+                success: true,
+                data: {
+                    applied,
+                    message: applied.length > 0
+                        ? `${applied.length} migration uygulandı`
+                        : 'Veritabanı şeması güncel'
+                }
+            };
+        } catch (error) {
+            console.error('runMigrations Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Son uygulanan migration'ları geri al
+    rollbackMigrations: async (steps = 1) => {
+        try {
+            const rolledBack = await withMigrationLock(async (connection) => {
+                const appliedVersions = await getAppliedVersions(connection);
+                const migrations = loadMigrations();
+                const targets = appliedVersions.slice(-steps).reverse();
+                const rolledBackNow = [];
+
+                for (const version of targets) {
+                    const migration = migrations.find((m) => m.version === version);
+                    if (!migration) {
+                        throw new Error(`${version} versiyonlu migration dosyası bulunamadı`);
+                    }
+
+                    console.log(`⏬ Migration geri alınıyor: ${migration.file}`);
+                    await migration.down(connection);
+                    await connection.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+                    rolledBackNow.push(migration.file);
+                }
+
+                return rolledBackNow;
+            });
+
+            return {
+                success: true,
+                data: {
+                    rolledBack,
+                    message: `${rolledBack.length} migration geri alındı`
+                }
+            };
+        } catch (error) {
+            console.error('rollbackMigrations Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Migration durumlarını listele
+    getMigrationStatus: async () => {
+        try {
+            const status = await withMigrationLock(async (connection) => {
+                const [rows] = await connection.query(
+                    'SELECT version, applied_at FROM schema_migrations'
+                );
+
+                return loadMigrations().map((migration) => {
+                    const appliedRow = rows.find((row) => row.version === migration.version);
+                    return {
+                        version: migration.version,
+                        name: migration.name,
+                        applied: Boolean(appliedRow),
+                        applied_at: appliedRow ? appliedRow.applied_at : null
+                    };
+                });
+            });
+
+            return {
+                success: true,
+                data: status
+            };
+        } catch (error) {
+            console.error('getMigrationStatus Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+};
+
+/**
+ * Komut satırı kullanımı:
+ *   npm run migrate                 - Bekleyen migration'ları uygula
+ *   npm run migrate -- down [adım]  - Son migration'ları geri al (varsayılan: 1)
+ *   npm run migrate -- status       - Migration durumlarını listele
+ */
+if (require.main === module) {
+    const [command = 'up', stepsArg] = process.argv.slice(2);
+
+    const run = async () => {
+        let result;
+
+        if (command === 'up') {
+            result = await Migrator.runMigrations();
+        } else if (command === 'down') {
+            const steps = stepsArg && !isNaN(stepsArg) ? parseInt(stepsArg) : 1;
+            result = await Migrator.rollbackMigrations(steps);
+        } else if (command === 'status') {
+            result = await Migrator.getMigrationStatus();
+            if (result.success) {
+                result.data.forEach((m) => {
+                    console.log(`${m.applied ? '✅' : '⏳'} ${m.version}_${m.name}${m.applied_at ? ` (${m.applied_at.toISOString()})` : ''}`);
+                });
+            }
+        } else {
+            result = { success: false, error: `Bilinmeyen komut: ${command} (up, down veya status kullanın)` };
+        }
+
+        if (result.success && result.data.message) {
+            console.log(`✅ ${result.data.message}`);
+        } else if (!result.success) {
+            console.error(`❌ Migration hatası: ${result.error}`);
+        }
+
+        await db.end();
+        process.exit(result.success ? 0 : 1);
+    };
+
+    run();
+}
+
+module.exports = Migrator;
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Permission registry
+ * @description Roles and the permissions granted to each role for role-based access control
+ * @version 1.0.0
+ */
+
+/**
+ * Kullanıcı rolleri
+ * - admin: Tüm işlemler, kullanıcı rolleri ve uygulama ayarları
+ * - accountant: Cari hesap, hareket ve yevmiye kaydı oluşturma/düzenleme
+ * - viewer: Yalnızca okuma
+ * @type {Object<string, string>}
+ */
+const ROLES = {
+    ADMIN: 'admin',
+    ACCOUNTANT: 'accountant',
+    VIEWER: 'viewer'
+};
+
+const ALL_ROLES = Object.values(ROLES);
+const EDITOR_ROLES = [ROLES.ADMIN, ROLES.ACCOUNTANT];
+const ADMIN_ONLY = [ROLES.ADMIN];
+
+/**
+ * Yetki adı -> bu yetkiye sahip roller
+ * Route'lar authorize('<yetki>') ile bu tablodaki bir yetkiyi ister
+ * @type {Object<string, string[]>}
+ */
+const PERMISSIONS = {
+    // Cari hesap grupları
+    'groups:read': ALL_ROLES,
+    'groups:write': EDITOR_ROLES,
+    'groups:delete': ADMIN_ONLY,
+
+    // Cari hesaplar
+    'accounts:read': ALL_ROLES,
+    'accounts:write': EDITOR_ROLES,
+    'accounts:delete': EDITOR_ROLES,
+    'accounts:recalculate': EDITOR_ROLES,
+
+    // Hareketler
+    'transactions:read': ALL_ROLES,
+    'transactions:write': EDITOR_ROLES,
+    'transactions:delete': EDITOR_ROLES,
+
+    // Yevmiye ve mizan
+    'journal:read': ALL_ROLES,
+    'journal:write': EDITOR_ROLES,
+
+    // Raporlar
+    'reports:read': ALL_ROLES,
+
+    // Döviz kurları
+    'exchange_rates:read': ALL_ROLES,
+    'exchange_rates:write': EDITOR_ROLES,
+
+    // Uygulama ayarları
+    'settings:read': ALL_ROLES,
+    'settings:write': ADMIN_ONLY,
+    'settings:initialize': ADMIN_ONLY,
+
+    // Denetim kaydı
+    'audit:read': EDITOR_ROLES,
+
+    // Şirketler
+    'companies:read': ALL_ROLES,
+    'companies:manage': ADMIN_ONLY,
+
+    // Kullanıcı yönetimi
+    'users:manage': ADMIN_ONLY
+};
+
+/**
+ * Rolün verilen yetkiye sahip olup olmadığını kontrol eder
+ * @param {string} role - Kullanıcı rolü
+ * @param {string} permission - Yetki adı (örn. 'transactions:write')
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+    const allowedRoles = PERMISSIONS[permission];
+    return Array.isArray(allowedRoles) && allowedRoles.includes(role);
+};
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    hasPermission
+};
@@ -5,23 +5,47 @@
  */
 
 const Accounts = require('../models/accountModel');
+const Reports = require('../models/reportModel');
+const PdfReports = require('../services/pdfReportService');
+const Exports = require('../services/exportService');
+const AccountImports = require('../services/accountImportService');
+const AccountSearch = require('../services/accountSearchService');
+const BalanceReconciliation = require('../services/balanceReconciliationService');
 
 /**
  * Customer Account Controller
  * @namespace accountController
  */
 const accountController = {
-    // Tüm cari hesapları getir - GET /api/accounts
+    // Cari hesapları getir - GET /api/accounts?limit=&cursor=&sort=&format=
+    // format=csv|xlsx ile liste dosya olarak indirilir
     getAllAccounts: async (req, res) => {
         try {
-            const result = await Accounts.getAllAccounts();
+            if (Exports.FORMATS.includes(req.query.format)) {
+                const result = await Exports.exportAccounts(req.context, req.query.format, res);
+
+                if (!result.success && !res.headersSent) {
+                    res.status(500).json({
+                        success: false,
+                        message: 'Cari hesaplar dışa aktarılamadı',
+                        error: result.error
+                    });
+                }
+                return;
+            }
+
+            const { limit, cursor, sort } = req.query;
+
+            const result = await Accounts.getAllAccounts(req.context, { limit, cursor, sort });
             
             if (result.success) {
                 res.status(200).json({
                     success: true,
                     message: 'Cari hesaplar başarıyla getirildi',
                     data: result.data,
-                    count: result.data.length
+                    count: result.data.length,
+                    total_count: result.totalCount,
+                    next_cursor: result.nextCursor
                 });
             } else {
                 res.status(500).json({
@@ -44,17 +68,8 @@ const accountController = {
     getAccountById: async (req, res) => {
         try {
             const { id } = req.params;
-            
-            // ID validasyonu
-            if (!id || isNaN(id)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz cari hesap ID\'si',
-                    error: 'ID sayısal bir değer olmalıdır'
-                });
-            }
 
-            const result = await Accounts.getAccountById(parseInt(id));
+            const result = await Accounts.getAccountById(req.context, parseInt(id));
             
             if (result.success) {
                 res.status(200).json({
@@ -82,100 +97,11 @@ const accountController = {
     // Yeni cari hesap oluştur - POST /api/accounts
     createAccount: async (req, res) => {
         try {
-            const { ad_soyad, account_code, group_id, phone, email, address, tax_number, tax_office, balance, account_type } = req.body;
-            
-            // ad_soyad alanının boş olup olmadığını kontrol et
-            if (!ad_soyad || ad_soyad.trim() === '') {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Ad soyad alanı gereklidir',
-                    error: 'ad_soyad alanı boş olamaz'
-                });
-            }
-
-            // Ad soyad uzunluk kontrolü
-            if (ad_soyad.trim().length < 2) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Ad soyad en az 2 karakter olmalıdır',
-                    error: 'Geçersiz ad soyad'
-                });
-            }
-
-            if (ad_soyad.trim().length > 255) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Ad soyad en fazla 255 karakter olabilir',
-                    error: 'Ad soyad çok uzun'
-                });
-            }
-
-            // Cari kodu validasyonu (eğer belirtilmişse)
-            if (account_code && (account_code.trim().length < 2 || account_code.trim().length > 50)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Cari kodu 2-50 karakter arasında olmalıdır',
-                    error: 'Geçersiz cari kodu'
-                });
-            }
-
-            // Grup ID validasyonu (eğer belirtilmişse)
-            if (group_id && isNaN(group_id)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz grup ID\'si',
-                    error: 'Grup ID sayısal bir değer olmalıdır'
-                });
-            }
-
-            // Telefon validasyonu (eğer belirtilmişse)
-            if (phone && phone.trim().length > 20) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Telefon numarası en fazla 20 karakter olabilir',
-                    error: 'Telefon numarası çok uzun'
-                });
-            }
-
-            // Email validasyonu (eğer belirtilmişse)
-            if (email && email.trim().length > 100) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Email adresi en fazla 100 karakter olabilir',
-                    error: 'Email adresi çok uzun'
-                });
-            }
-
-            // Vergi numarası validasyonu (eğer belirtilmişse)
-            if (tax_number && tax_number.trim().length > 20) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Vergi numarası en fazla 20 karakter olabilir',
-                    error: 'Vergi numarası çok uzun'
-                });
-            }
-
-            // Bakiye validasyonu (eğer belirtilmişse)
-            if (balance && isNaN(balance)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Bakiye sayısal bir değer olmalıdır',
-                    error: 'Geçersiz bakiye değeri'
-                });
-            }
-
-            // Hesap türü validasyonu (eğer belirtilmişse)
-            if (account_type && !['customer', 'supplier', 'both'].includes(account_type)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz hesap türü',
-                    error: 'Hesap türü customer, supplier veya both olmalıdır'
-                });
-            }
+            const { account_name, account_code, group_id, phone, email, address, tax_number, tax_office, iban, opening_balance, account_type, currency } = req.body;
 
             // Model fonksiyonuna gönderilecek veri objesi
             const accountData = {
-                account_name: ad_soyad.trim(),
+                account_name: account_name.trim(),
                 account_code: account_code ? account_code.trim() : null,
                 group_id: group_id ? parseInt(group_id) : null,
                 phone: phone ? phone.trim() : null,
@@ -183,11 +109,13 @@ const accountController = {
                 address: address ? address.trim() : null,
                 tax_number: tax_number ? tax_number.trim() : null,
                 tax_office: tax_office ? tax_office.trim() : null,
-                balance: balance ? parseFloat(balance) : 0,
-                account_type: account_type || 'customer'
+                iban: iban || null,
+                balance: opening_balance || 0,
+                account_type: account_type || 'customer',
+                currency: currency || null
             };
 
-            const result = await Accounts.createAccount(accountData);
+            const result = await Accounts.createAccount(req.context, accountData);
             
             if (result.success) {
                 res.status(201).json({
@@ -213,83 +141,68 @@ const accountController = {
         }
     },
 
-    // Cari hesabı güncelle - PUT /api/accounts/:id
-    updateAccount: async (req, res) => {
+    // Dosyadan cari hesap içe aktar - POST /api/accounts/import?confirm=&mapping[alan]=başlık
+    // Dosya (CSV/XLSX) istek gövdesidir; confirm=true değilse yalnızca önizleme yapılır
+    importAccounts: async (req, res) => {
         try {
-            const { id } = req.params;
-            const { ad_soyad, account_code, group_id, phone, email, address, tax_number, tax_office, balance, account_type } = req.body;
-            
-            // ID validasyonu
-            if (!id || isNaN(id)) {
+            if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Geçersiz cari hesap ID\'si',
-                    error: 'ID sayısal bir değer olmalıdır'
+                    message: 'İçe aktarılacak dosya bulunamadı',
+                    error: 'CSV veya XLSX dosyası istek gövdesinde gönderilmelidir'
                 });
             }
 
-            // ad_soyad alanının boş olup olmadığını kontrol et
-            if (!ad_soyad || ad_soyad.trim() === '') {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Ad soyad alanı gereklidir',
-                    error: 'ad_soyad alanı boş olamaz'
-                });
-            }
-
-            // Ad soyad uzunluk kontrolü
-            if (ad_soyad.trim().length < 2) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Ad soyad en az 2 karakter olmalıdır',
-                    error: 'Geçersiz ad soyad'
-                });
-            }
+            const confirm = req.query.confirm === 'true';
+            const result = await AccountImports.importAccounts(req.context, req.body, {
+                mapping: req.query.mapping || {},
+                confirm
+            });
 
-            if (ad_soyad.trim().length > 255) {
-                return res.status(400).json({
+            if (!result.success) {
+                res.status(400).json({
                     success: false,
-                    message: 'Ad soyad en fazla 255 karakter olabilir',
-                    error: 'Ad soyad çok uzun'
+                    message: 'Dosya içe aktarılamadı',
+                    error: result.error
                 });
-            }
-
-            // Diğer validasyonlar...
-            if (account_code && (account_code.trim().length < 2 || account_code.trim().length > 50)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Cari kodu 2-50 karakter arasında olmalıdır',
-                    error: 'Geçersiz cari kodu'
+            } else if (result.data.committed) {
+                res.status(201).json({
+                    success: true,
+                    message: `${result.data.total_rows} cari hesap başarıyla içe aktarıldı`,
+                    data: result.data
                 });
-            }
-
-            if (group_id && isNaN(group_id)) {
-                return res.status(400).json({
+            } else if (confirm) {
+                res.status(422).json({
                     success: false,
-                    message: 'Geçersiz grup ID\'si',
-                    error: 'Grup ID sayısal bir değer olmalıdır'
+                    message: 'Hatalı satırlar olduğu için hiçbir cari hesap içe aktarılmadı',
+                    data: result.data
                 });
-            }
-
-            if (balance && isNaN(balance)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Bakiye sayısal bir değer olmalıdır',
-                    error: 'Geçersiz bakiye değeri'
+            } else {
+                res.status(200).json({
+                    success: true,
+                    message: 'İçe aktarma önizlemesi oluşturuldu',
+                    data: result.data
                 });
             }
+        } catch (error) {
+            console.error('importAccounts Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
 
-            if (account_type && !['customer', 'supplier', 'both'].includes(account_type)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz hesap türü',
-                    error: 'Hesap türü customer, supplier veya both olmalıdır'
-                });
-            }
+    // Cari hesabı güncelle - PUT /api/accounts/:id
+    updateAccount: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { account_name, account_code, group_id, phone, email, address, tax_number, tax_office, iban, opening_balance, account_type, currency } = req.body;
 
             // Model fonksiyonuna gönderilecek veri objesi
             const accountData = {
-                account_name: ad_soyad.trim(),
+                account_name: account_name.trim(),
                 account_code: account_code ? account_code.trim() : null,
                 group_id: group_id ? parseInt(group_id) : null,
                 phone: phone ? phone.trim() : null,
@@ -297,11 +210,13 @@ const accountController = {
                 address: address ? address.trim() : null,
                 tax_number: tax_number ? tax_number.trim() : null,
                 tax_office: tax_office ? tax_office.trim() : null,
-                balance: balance !== undefined ? parseFloat(balance) : undefined,
-                account_type: account_type
+                iban: iban || null,
+                opening_balance: opening_balance,
+                account_type: account_type,
+                currency: currency || null
             };
 
-            const result = await Accounts.updateAccount(parseInt(id), accountData);
+            const result = await Accounts.updateAccount(req.context, parseInt(id), accountData);
             
             if (result.success) {
                 res.status(200).json({
@@ -340,17 +255,14 @@ const accountController = {
     deleteAccount: async (req, res) => {
         try {
             const { id } = req.params;
-            
-            // ID validasyonu
-            if (!id || isNaN(id)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz cari hesap ID\'si',
-                    error: 'ID sayısal bir değer olmalıdır'
-                });
-            }
 
-            const result = await Accounts.deleteAccount(parseInt(id));
+            // Silme modu ve bakiye devrinde hedef hesap (opsiyonel, model doğrular)
+            const { mode, target_account_id } = req.query;
+
+            const result = await Accounts.deleteAccount(req.context, parseInt(id), {
+                mode: mode || undefined,
+                target_account_id: target_account_id || null
+            });
             
             if (result.success) {
                 res.status(200).json({
@@ -367,7 +279,7 @@ const accountController = {
                         error: result.error
                     });
                 } else {
-                    // Foreign key constraint gibi durumlar 400 Bad Request
+                    // Bağlı hareketler, geçersiz mod veya hedef hesap gibi durumlar 400 Bad Request
                     res.status(400).json({
                         success: false,
                         message: 'Cari hesap silinemedi',
@@ -385,21 +297,95 @@ const accountController = {
         }
     },
 
-    // Hesap türüne göre cari hesapları getir - GET /api/accounts/type/:type
-    getAccountsByType: async (req, res) => {
+    // Silinmiş cari hesapları getir - GET /api/accounts/deleted
+    getDeletedAccounts: async (req, res) => {
         try {
-            const { type } = req.params;
-            
-            // Hesap türü validasyonu
-            if (!['customer', 'supplier', 'both'].includes(type)) {
-                return res.status(400).json({
+            const result = await Accounts.getDeletedAccounts(req.context);
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Silinmiş cari hesaplar başarıyla getirildi',
+                    data: result.data,
+                    count: result.data.length
+                });
+            } else {
+                res.status(500).json({
                     success: false,
-                    message: 'Geçersiz hesap türü',
-                    error: 'Hesap türü customer, supplier veya both olmalıdır'
+                    message: 'Silinmiş cari hesaplar getirilemedi',
+                    error: result.error
                 });
             }
+        } catch (error) {
+            console.error('getDeletedAccounts Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Silinmiş cari hesabı geri yükle - POST /api/accounts/:id/restore
+    restoreAccount: async (req, res) => {
+        try {
+            const { id } = req.params;
 
-            const result = await Accounts.getAccountsByType(type);
+            // Çakışma durumunda kullanılacak yeni değerler (opsiyonel)
+            const overrides = {};
+            if (req.body && req.body.account_code !== undefined) {
+                overrides.account_code = req.body.account_code;
+            }
+
+            if (req.body && req.body.account_name !== undefined) {
+                overrides.account_name = req.body.account_name;
+            }
+
+            const result = await Accounts.restoreAccount(req.context, parseInt(id), overrides);
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Cari hesap başarıyla geri yüklendi',
+                    data: result.data
+                });
+            } else if (result.conflict) {
+                // Aktif bir kayıtla çakışma durumunda 409 Conflict
+                res.status(409).json({
+                    success: false,
+                    message: 'Cari hesap geri yüklenemedi',
+                    error: result.error,
+                    conflict: result.conflict
+                });
+            } else if (result.error.includes('bulunamadı')) {
+                res.status(404).json({
+                    success: false,
+                    message: 'Silinmiş cari hesap bulunamadı',
+                    error: result.error
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    message: 'Cari hesap geri yüklenemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('restoreAccount Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Hesap türüne göre cari hesapları getir - GET /api/accounts/type/:type
+    getAccountsByType: async (req, res) => {
+        try {
+            const { type } = req.params;
+
+            const result = await Accounts.getAccountsByType(req.context, type);
             
             if (result.success) {
                 res.status(200).json({
@@ -429,17 +415,8 @@ const accountController = {
     getAccountsByGroup: async (req, res) => {
         try {
             const { groupId } = req.params;
-            
-            // Grup ID validasyonu
-            if (!groupId || isNaN(groupId)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz grup ID\'si',
-                    error: 'Grup ID sayısal bir değer olmalıdır'
-                });
-            }
 
-            const result = await Accounts.getAccountsByGroup(parseInt(groupId));
+            const result = await Accounts.getAccountsByGroup(req.context, parseInt(groupId));
             
             if (result.success) {
                 res.status(200).json({
@@ -465,47 +442,146 @@ const accountController = {
         }
     },
 
-    // Cari hesap arama - GET /api/accounts/search?q=searchTerm
+    // Cari hesap arama - GET /api/accounts/search?q=searchTerm&limit=
+    // Sonuçlar puana göre sıralı (yazarken öneri için)
     searchAccounts: async (req, res) => {
         try {
-            const { q } = req.query;
+            const { q, limit } = req.query;
+
+            const result = await AccountSearch.searchAccounts(req.context, q.trim(), {
+                limit: limit ? parseInt(limit) : undefined
+            });
             
-            // Arama terimi validasyonu
-            if (!q || q.trim() === '') {
-                return res.status(400).json({
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: `"${q}" için arama sonuçları`,
+                    data: result.data,
+                    count: result.data.length,
+                    search_term: q.trim()
+                });
+            } else {
+                res.status(500).json({
+                    success: false,
+                    message: 'Arama yapılamadı',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('searchAccounts Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Cari hesap bakiye kontrolü - GET /api/accounts/:id/balance-check
+    checkAccountBalance: async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const result = await BalanceReconciliation.checkAccountBalance(req.context, parseInt(id));
+            
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: result.data.has_drift
+                        ? 'Cari hesap bakiyesi hareketlerle uyuşmuyor'
+                        : 'Cari hesap bakiyesi hareketlerle uyumlu',
+                    data: result.data
+                });
+            } else if (result.error.includes('bulunamadı')) {
+                res.status(404).json({
                     success: false,
-                    message: 'Arama terimi gereklidir',
-                    error: 'q parametresi boş olamaz'
+                    message: 'Cari hesap bulunamadı',
+                    error: result.error
+                });
+            } else {
+                res.status(500).json({
+                    success: false,
+                    message: 'Bakiye kontrolü yapılamadı',
+                    error: result.error
                 });
             }
+        } catch (error) {
+            console.error('checkAccountBalance Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
 
-            if (q.trim().length < 2) {
-                return res.status(400).json({
+    // Cari hesap ekstresi - GET /api/accounts/:id/statement?from=&to=&format=
+    getAccountStatement: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { from, to, format } = req.query;
+
+            const result = await Reports.getAccountStatement(req.context, parseInt(id), { from, to });
+
+            if (result.success && format === 'pdf') {
+                const pdf = await PdfReports.renderAccountStatement(req.context, result.data);
+                res.status(200).attachment(`cari-ekstre-${id}.pdf`).send(pdf);
+            } else if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Cari hesap ekstresi başarıyla oluşturuldu',
+                    data: result.data
+                });
+            } else if (result.error.includes('bulunamadı')) {
+                res.status(404).json({
+                    success: false,
+                    message: 'Cari hesap bulunamadı',
+                    error: result.error
+                });
+            } else {
+                res.status(500).json({
                     success: false,
-                    message: 'Arama terimi en az 2 karakter olmalıdır',
-                    error: 'Çok kısa arama terimi'
+                    message: 'Cari hesap ekstresi oluşturulamadı',
+                    error: result.error
                 });
             }
+        } catch (error) {
+            console.error('getAccountStatement Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
 
-            const result = await Accounts.searchAccounts(q.trim());
+    // Bakiyeleri yeniden hesapla - POST /api/accounts/recalculate-balances
+    recalculateBalances: async (req, res) => {
+        try {
+            const { fix = false, account_ids } = req.body;
+
+            const result = await BalanceReconciliation.recalculateBalances(req.context, {
+                fix,
+                accountIds: (account_ids || []).map((id) => parseInt(id))
+            });
             
             if (result.success) {
                 res.status(200).json({
                     success: true,
-                    message: `"${q}" için arama sonuçları`,
-                    data: result.data,
-                    count: result.data.length,
-                    searchTerm: q.trim()
+                    message: fix
+                        ? `${result.data.checked_count} cari hesap kontrol edildi, ${result.data.fixed_count} bakiye düzeltildi`
+                        : `${result.data.checked_count} cari hesap kontrol edildi, ${result.data.drift_count} hesapta fark bulundu`,
+                    data: result.data
                 });
             } else {
                 res.status(500).json({
                     success: false,
-                    message: 'Arama yapılamadı',
+                    message: 'Bakiyeler yeniden hesaplanamadı',
                     error: result.error
                 });
             }
         } catch (error) {
-            console.error('searchAccounts Controller Error:', error);
+            console.error('recalculateBalances Controller Error:', error);
             res.status(500).json({
                 success: false,
                 message: 'Sunucu hatası',
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Audit Controller
+ * @description HTTP request handlers for browsing the audit trail
+ * @version 1.0.0
+ */
+
+const AuditLog = require('../models/auditLogModel');
+
+/**
+ * Audit Trail Controller
+ * @namespace auditController
+ */
+const auditController = {
+    // Denetim kayıtlarını getir - GET /api/audit?entity=&entity_id=
+    getAuditEntries: async (req, res) => {
+        try {
+            const { entity, entity_id, user_id, limit } = req.query;
+
+            const result = await AuditLog.getEntries(req.context, {
+                entity,
+                entity_id,
+                user_id: user_id ? parseInt(user_id) : undefined,
+                limit
+            });
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Denetim kayıtları başarıyla getirildi',
+                    data: result.data,
+                    count: result.data.length
+                });
+            } else {
+                res.status(500).json({
+                    success: false,
+                    message: 'Denetim kayıtları getirilemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('getAuditEntries Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    }
+};
+
+module.exports = auditController;
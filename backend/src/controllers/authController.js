@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Auth Controller
+ * @description HTTP request handlers for user registration, login and token management
+ * @version 1.0.0
+ */
+
+const AuthService = require('../services/authService');
+const Users = require('../models/userModel');
+
+/**
+ * Authentication Controller
+ * @namespace authController
+ */
+const authController = {
+    // Yeni kullanıcı kaydı - POST /api/auth/register
+    register: async (req, res) => {
+        try {
+            const { email, password, full_name } = req.body;
+
+            const result = await AuthService.register({ email, password, full_name });
+
+            if (result.success) {
+                res.status(201).json({
+                    success: true,
+                    message: 'Kullanıcı başarıyla kaydedildi',
+                    data: result.data
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    message: 'Kullanıcı kaydedilemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('register Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Oturum aç - POST /api/auth/login
+    login: async (req, res) => {
+        try {
+            const { email, password } = req.body;
+
+            const result = await AuthService.login(email, password);
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Oturum başarıyla açıldı',
+                    data: result.data
+                });
+            } else if (result.error.includes('hatalı')) {
+                res.status(401).json({
+                    success: false,
+                    message: 'Oturum açılamadı',
+                    error: result.error
+                });
+            } else {
+                res.status(500).json({
+                    success: false,
+                    message: 'Oturum açılamadı',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('login Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Token yenile - POST /api/auth/refresh
+    refresh: async (req, res) => {
+        try {
+            const { refresh_token } = req.body;
+
+            const result = await AuthService.refresh(refresh_token);
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Token başarıyla yenilendi',
+                    data: result.data
+                });
+            } else {
+                res.status(401).json({
+                    success: false,
+                    message: 'Token yenilenemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('refresh Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Oturumu kapat - POST /api/auth/logout
+    logout: async (req, res) => {
+        try {
+            const { refresh_token } = req.body;
+
+            const result = await AuthService.logout(refresh_token);
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Oturum başarıyla kapatıldı',
+                    data: result.data
+                });
+            } else {
+                res.status(500).json({
+                    success: false,
+                    message: 'Oturum kapatılamadı',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('logout Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Oturumdaki kullanıcıyı getir - GET /api/auth/me
+    me: async (req, res) => {
+        try {
+            const result = await Users.getUserById(req.user.id);
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Kullanıcı başarıyla getirildi',
+                    data: result.data
+                });
+            } else if (result.error.includes('bulunamadı')) {
+                res.status(404).json({
+                    success: false,
+                    message: 'Kullanıcı bulunamadı',
+                    error: result.error
+                });
+            } else {
+                res.status(500).json({
+                    success: false,
+                    message: 'Kullanıcı getirilemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('me Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    }
+};
+
+module.exports = authController;
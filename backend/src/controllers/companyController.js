@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Company Controller
+ * @description HTTP request handlers for companies and company memberships
+ * @version 1.0.0
+ */
+
+const Companies = require('../models/companyModel');
+
+// Üyelik işlemi hatasını durum koduna çevir: üye olunmayan veya admin olunmayan şirket 403,
+// bulunamayan kullanıcı/üyelik 404, diğerleri 400
+const respondMembershipError = (res, error, message) => {
+    if (error.includes('erişiminiz yok') || error.includes('admin rolünüz')) {
+        return res.status(403).json({
+            success: false,
+            message: 'Şirket erişimi reddedildi',
+            error
+        });
+    }
+
+    res.status(error.includes('bulunamadı') ? 404 : 400).json({
+        success: false,
+        message,
+        error
+    });
+};
+
+/**
+ * Company Controller
+ * @namespace companyController
+ */
+const companyController = {
+    // Kullanıcının şirketlerini getir - GET /api/companies
+    getMyCompanies: async (req, res) => {
+        try {
+            const result = await Companies.getCompaniesForUser(req.user.id);
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Şirketler başarıyla getirildi',
+                    data: result.data,
+                    count: result.data.length
+                });
+            } else {
+                res.status(500).json({
+                    success: false,
+                    message: 'Şirketler getirilemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('getMyCompanies Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Yeni şirket oluştur - POST /api/companies
+    createCompany: async (req, res) => {
+        try {
+            const { company_name, tax_number, tax_office } = req.body;
+
+            const result = await Companies.createCompany(
+                { userId: req.user.id },
+                { company_name, tax_number, tax_office }
+            );
+
+            if (result.success) {
+                res.status(201).json({
+                    success: true,
+                    message: 'Şirket başarıyla oluşturuldu',
+                    data: result.data
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    message: 'Şirket oluşturulamadı',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('createCompany Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Kullanıcıyı şirkete ekle - POST /api/companies/:id/users
+    // İşlemi yapan kullanıcının şirkette admin rolüyle üye olması gerekir
+    addUserToCompany: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { user_id, role } = req.body;
+
+            const result = await Companies.addUserToCompany(
+                { userId: req.user.id },
+                parseInt(id),
+                parseInt(user_id),
+                role
+            );
+
+            if (result.success) {
+                res.status(201).json({
+                    success: true,
+                    message: 'Kullanıcı şirkete eklendi',
+                    data: result.data
+                });
+            } else {
+                respondMembershipError(res, result.error, 'Kullanıcı şirkete eklenemedi');
+            }
+        } catch (error) {
+            console.error('addUserToCompany Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Üyenin şirketteki rolünü değiştir - PUT /api/companies/:id/users/:userId/role
+    updateMemberRole: async (req, res) => {
+        try {
+            const { id, userId } = req.params;
+            const { role } = req.body;
+
+            const result = await Companies.updateMemberRole(
+                { userId: req.user.id },
+                parseInt(id),
+                parseInt(userId),
+                role
+            );
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Üyelik rolü güncellendi',
+                    data: result.data
+                });
+            } else {
+                respondMembershipError(res, result.error, 'Üyelik rolü güncellenemedi');
+            }
+        } catch (error) {
+            console.error('updateMemberRole Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Varsayılan şirketi değiştir - PUT /api/companies/:id/default
+    setDefaultCompany: async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const result = await Companies.setDefaultCompany(req.user.id, parseInt(id));
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Varsayılan şirket güncellendi',
+                    data: result.data
+                });
+            } else if (result.error.includes('bulunamadı')) {
+                res.status(404).json({
+                    success: false,
+                    message: 'Şirket bulunamadı',
+                    error: result.error
+                });
+            } else {
+                res.status(500).json({
+                    success: false,
+                    message: 'Varsayılan şirket güncellenemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('setDefaultCompany Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    }
+};
+
+module.exports = companyController;
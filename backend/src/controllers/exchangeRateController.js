@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Exchange Rate Controller
+ * @description HTTP request handlers for exchange rate entry, import and listing
+ * @version 1.0.0
+ */
+
+const ExchangeRates = require('../models/exchangeRateModel');
+
+/**
+ * Exchange Rate Controller
+ * @namespace exchangeRateController
+ */
+const exchangeRateController = {
+    // Kurları getir - GET /api/exchange-rates?currency=&start_date=&end_date=
+    getAllRates: async (req, res) => {
+        try {
+            const { currency, start_date, end_date } = req.query;
+
+            const result = await ExchangeRates.getAllRates(req.context, { currency, start_date, end_date });
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Kurlar başarıyla getirildi',
+                    data: result.data,
+                    count: result.data.length,
+                    base_currency: result.base_currency
+                });
+            } else {
+                res.status(500).json({
+                    success: false,
+                    message: 'Kurlar getirilemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('getAllRates Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Kur gir veya güncelle - POST /api/exchange-rates
+    saveRate: async (req, res) => {
+        try {
+            const { currency, rate_date, rate } = req.body;
+
+            const result = await ExchangeRates.saveRate(req.context, {
+                currency,
+                rate_date,
+                rate: parseFloat(rate)
+            });
+
+            if (result.success) {
+                res.status(result.data.created ? 201 : 200).json({
+                    success: true,
+                    message: result.data.message,
+                    data: result.data
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    message: 'Kur kaydedilemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('saveRate Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Kurları toplu içe aktar - POST /api/exchange-rates/import
+    importRates: async (req, res) => {
+        try {
+            const { rates } = req.body;
+
+            const result = await ExchangeRates.importRates(req.context, rates.map((rate) => ({
+                currency: rate.currency,
+                rate_date: rate.rate_date,
+                rate: parseFloat(rate.rate)
+            })));
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: result.data.message,
+                    data: result.data
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    message: 'Kurlar içe aktarılamadı',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('importRates Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Kuru sil - DELETE /api/exchange-rates/:id
+    deleteRate: async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const result = await ExchangeRates.deleteRate(req.context, parseInt(id));
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Kur başarıyla silindi',
+                    data: result.data
+                });
+            } else if (result.error.includes('bulunamadı')) {
+                res.status(404).json({
+                    success: false,
+                    message: 'Kur bulunamadı',
+                    error: result.error
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    message: 'Kur silinemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('deleteRate Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    }
+};
+
+module.exports = exchangeRateController;
@@ -22,14 +22,18 @@ const groupController = {
      */
     getAllGroups: async (req, res) => {
         try {
-            const result = await AccountGroups.getAllGroups();
+            const { limit, cursor, sort } = req.query;
+
+            const result = await AccountGroups.getAllGroups(req.context, { limit, cursor, sort });
             
             if (result.success) {
                 res.status(200).json({
                     success: true,
                     message: 'Gruplar başarıyla getirildi',
                     data: result.data,
-                    count: result.data.length
+                    count: result.data.length,
+                    total_count: result.totalCount,
+                    next_cursor: result.nextCursor
                 });
             } else {
                 res.status(500).json({
@@ -52,17 +56,8 @@ const groupController = {
     getGroupById: async (req, res) => {
         try {
             const { id } = req.params;
-            
-            // ID validasyonu
-            if (!id || isNaN(id)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz grup ID\'si',
-                    error: 'ID sayısal bir değer olmalıdır'
-                });
-            }
 
-            const result = await AccountGroups.getGroupById(parseInt(id));
+            const result = await AccountGroups.getGroupById(req.context, parseInt(id));
             
             if (result.success) {
                 res.status(200).json({
@@ -90,35 +85,9 @@ const groupController = {
     // Yeni grup oluştur - POST /api/groups
     createGroup: async (req, res) => {
         try {
-            const { grup_adi } = req.body;
-            
-            // Grup adı varlığını kontrol et
-            if (!grup_adi || grup_adi.trim() === '') {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Grup adı gereklidir',
-                    error: 'grup_adi alanı boş olamaz'
-                });
-            }
+            const { group_name } = req.body;
 
-            // Grup adı uzunluk kontrolü
-            if (grup_adi.trim().length < 2) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Grup adı en az 2 karakter olmalıdır',
-                    error: 'Geçersiz grup adı'
-                });
-            }
-
-            if (grup_adi.trim().length > 100) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Grup adı en fazla 100 karakter olabilir',
-                    error: 'Grup adı çok uzun'
-                });
-            }
-
-            const result = await AccountGroups.createGroup(grup_adi.trim());
+            const result = await AccountGroups.createGroup(req.context, group_name.trim());
             
             if (result.success) {
                 res.status(201).json({
@@ -148,44 +117,9 @@ const groupController = {
     updateGroup: async (req, res) => {
         try {
             const { id } = req.params;
-            const { grup_adi } = req.body;
-            
-            // ID validasyonu
-            if (!id || isNaN(id)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz grup ID\'si',
-                    error: 'ID sayısal bir değer olmalıdır'
-                });
-            }
+            const { group_name } = req.body;
 
-            // Grup adı varlığını kontrol et
-            if (!grup_adi || grup_adi.trim() === '') {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Grup adı gereklidir',
-                    error: 'grup_adi alanı boş olamaz'
-                });
-            }
-
-            // Grup adı uzunluk kontrolü
-            if (grup_adi.trim().length < 2) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Grup adı en az 2 karakter olmalıdır',
-                    error: 'Geçersiz grup adı'
-                });
-            }
-
-            if (grup_adi.trim().length > 100) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Grup adı en fazla 100 karakter olabilir',
-                    error: 'Grup adı çok uzun'
-                });
-            }
-
-            const result = await AccountGroups.updateGroup(parseInt(id), grup_adi.trim());
+            const result = await AccountGroups.updateGroup(req.context, parseInt(id), group_name.trim());
             
             if (result.success) {
                 res.status(200).json({
@@ -224,17 +158,8 @@ const groupController = {
     deleteGroup: async (req, res) => {
         try {
             const { id } = req.params;
-            
-            // ID validasyonu
-            if (!id || isNaN(id)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz grup ID\'si',
-                    error: 'ID sayısal bir değer olmalıdır'
-                });
-            }
 
-            const result = await AccountGroups.deleteGroup(parseInt(id));
+            const result = await AccountGroups.deleteGroup(req.context, parseInt(id));
             
             if (result.success) {
                 res.status(200).json({
@@ -273,17 +198,8 @@ const groupController = {
     getGroupAccountCount: async (req, res) => {
         try {
             const { id } = req.params;
-            
-            // ID validasyonu
-            if (!id || isNaN(id)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz grup ID\'si',
-                    error: 'ID sayısal bir değer olmalıdır'
-                });
-            }
 
-            const result = await AccountGroups.getGroupAccountCount(parseInt(id));
+            const result = await AccountGroups.getGroupAccountCount(req.context, parseInt(id));
             
             if (result.success) {
                 res.status(200).json({
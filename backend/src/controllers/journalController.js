@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Journal Controller
+ * @description HTTP request handlers for double-entry journal and trial balance operations
+ * @version 1.0.0
+ */
+
+const Journal = require('../models/journalModel');
+
+/**
+ * Double-Entry Journal Controller
+ * @namespace journalController
+ */
+const journalController = {
+    // Hesap planını getir - GET /api/journal/ledger-accounts
+    getLedgerAccounts: async (req, res) => {
+        try {
+            const result = await Journal.getLedgerAccounts();
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Hesap planı başarıyla getirildi',
+                    data: result.data,
+                    count: result.data.length
+                });
+            } else {
+                res.status(500).json({
+                    success: false,
+                    message: 'Hesap planı getirilemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('getLedgerAccounts Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Mizan getir - GET /api/journal/trial-balance
+    getTrialBalance: async (req, res) => {
+        try {
+            const { start_date, end_date } = req.query;
+
+            const result = await Journal.getTrialBalance(req.context, { start_date, end_date });
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: result.data.is_balanced
+                        ? 'Mizan başarıyla getirildi'
+                        : 'Mizan getirildi, ancak borç ve alacak toplamları eşit değil',
+                    data: result.data
+                });
+            } else {
+                res.status(500).json({
+                    success: false,
+                    message: 'Mizan getirilemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('getTrialBalance Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Yevmiye fişlerini getir - GET /api/journal
+    getAllEntries: async (req, res) => {
+        try {
+            const { start_date, end_date, account_id } = req.query;
+
+            const result = await Journal.getAllEntries(req.context, {
+                start_date,
+                end_date,
+                account_id: account_id ? parseInt(account_id) : undefined
+            });
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Yevmiye fişleri başarıyla getirildi',
+                    data: result.data,
+                    count: result.data.length
+                });
+            } else {
+                res.status(500).json({
+                    success: false,
+                    message: 'Yevmiye fişleri getirilemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('getAllEntries Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // ID'ye göre yevmiye fişi getir - GET /api/journal/:id
+    getEntryById: async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const result = await Journal.getEntryById(req.context, parseInt(id));
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Yevmiye fişi başarıyla getirildi',
+                    data: result.data
+                });
+            } else if (result.error.includes('bulunamadı')) {
+                res.status(404).json({
+                    success: false,
+                    message: 'Yevmiye fişi bulunamadı',
+                    error: result.error
+                });
+            } else {
+                res.status(500).json({
+                    success: false,
+                    message: 'Yevmiye fişi getirilemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('getEntryById Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Yeni yevmiye fişi oluştur - POST /api/journal
+    createEntry: async (req, res) => {
+        try {
+            const { entry_date, description, reference_number, lines } = req.body;
+
+            const result = await Journal.createEntry(req.context, {
+                entry_date,
+                description: description || null,
+                reference_number: reference_number || null,
+                lines
+            });
+
+            if (result.success) {
+                res.status(201).json({
+                    success: true,
+                    message: 'Yevmiye fişi başarıyla oluşturuldu',
+                    data: result.data
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    message: 'Yevmiye fişi oluşturulamadı',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('createEntry Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Yevmiye fişini sil - DELETE /api/journal/:id
+    deleteEntry: async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const result = await Journal.deleteEntry(req.context, parseInt(id));
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Yevmiye fişi başarıyla silindi',
+                    data: result.data
+                });
+            } else if (result.error.includes('bulunamadı')) {
+                res.status(404).json({
+                    success: false,
+                    message: 'Yevmiye fişi bulunamadı',
+                    error: result.error
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    message: 'Yevmiye fişi silinemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('deleteEntry Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    }
+};
+
+module.exports = journalController;
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Report Controller
+ * @description HTTP request handlers for read-only reports
+ * @version 1.0.0
+ */
+
+const Reports = require('../models/reportModel');
+const PdfReports = require('../services/pdfReportService');
+
+/**
+ * Report Controller
+ * @namespace reportController
+ */
+const reportController = {
+    // Alacak/borç yaşlandırma raporu - GET /api/reports/aging?as_of=&group_id=&account_type=&format=
+    getAgingReport: async (req, res) => {
+        try {
+            const { as_of, group_id, account_type, format } = req.query;
+
+            const result = await Reports.getAgingReport(req.context, {
+                as_of,
+                group_id: group_id ? parseInt(group_id) : undefined,
+                account_type
+            });
+
+            if (result.success && format === 'pdf') {
+                const pdf = await PdfReports.renderAgingReport(req.context, result.data);
+                res.status(200).attachment(`yaslandirma-${result.data.as_of}.pdf`).send(pdf);
+            } else if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Yaşlandırma raporu başarıyla oluşturuldu',
+                    data: result.data
+                });
+            } else {
+                res.status(500).json({
+                    success: false,
+                    message: 'Yaşlandırma raporu oluşturulamadı',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('getAgingReport Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    }
+};
+
+module.exports = reportController;
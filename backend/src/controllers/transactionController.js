@@ -5,23 +5,45 @@
  */
 
 const Transactions = require('../models/transactionModel');
+const PdfReports = require('../services/pdfReportService');
+const Exports = require('../services/exportService');
+const BankStatements = require('../services/bankStatementService');
+const BankReconciliations = require('../services/bankReconciliationService');
 
 /**
  * Financial Transaction Controller
  * @namespace transactionController
  */
 const transactionController = {
-    // Tüm işlemleri getir - GET /api/transactions
+    // İşlemleri getir - GET /api/transactions?limit=&cursor=&sort=&format=
+    // format=csv|xlsx ile liste dosya olarak indirilir
     getAllTransactions: async (req, res) => {
         try {
-            const result = await Transactions.getAllTransactions();
+            if (Exports.FORMATS.includes(req.query.format)) {
+                const result = await Exports.exportTransactions(req.context, { sort: req.query.sort }, req.query.format, res);
+
+                if (!result.success && !res.headersSent) {
+                    res.status(500).json({
+                        success: false,
+                        message: 'İşlemler dışa aktarılamadı',
+                        error: result.error
+                    });
+                }
+                return;
+            }
+
+            const { limit, cursor, sort } = req.query;
+
+            const result = await Transactions.getAllTransactions(req.context, { limit, cursor, sort });
             
             if (result.success) {
                 res.status(200).json({
                     success: true,
                     message: 'İşlemler başarıyla getirildi',
                     data: result.data,
-                    count: result.data.length
+                    count: result.data.length,
+                    total_count: result.totalCount,
+                    next_cursor: result.nextCursor
                 });
             } else {
                 res.status(500).json({
@@ -44,17 +66,8 @@ const transactionController = {
     getTransactionById: async (req, res) => {
         try {
             const { id } = req.params;
-            
-            // ID validasyonu
-            if (!id || isNaN(id)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz işlem ID\'si',
-                    error: 'ID sayısal bir değer olmalıdır'
-                });
-            }
 
-            const result = await Transactions.getTransactionById(parseInt(id));
+            const result = await Transactions.getTransactionById(req.context, parseInt(id));
             
             if (result.success) {
                 res.status(200).json({
@@ -83,144 +96,202 @@ const transactionController = {
     createTransaction: async (req, res) => {
         try {
             const { 
-                cari_id, 
-                islem_tipi, 
-                tutar, 
-                islem_tarihi, 
-                aciklama, 
-                referans_no, 
-                vade_tarihi, 
-                odeme_yontemi, 
-                durum 
+                account_id, 
+                transaction_type, 
+                amount, 
+                transaction_date, 
+                description, 
+                reference_number, 
+                due_date, 
+                payment_method, 
+                status,
+                currency,
+                exchange_rate,
+                settles_transaction_id
             } = req.body;
+
+            // Model fonksiyonuna gönderilecek veri objesi
+            const transactionData = {
+                account_id: parseInt(account_id),
+                transaction_type,
+                amount,
+                description: description || null,
+                reference_number: reference_number || null,
+                transaction_date,
+                due_date: due_date || null,
+                payment_method: payment_method || 'cash',
+                status: status || 'completed',
+                currency: currency || null,
+                exchange_rate: exchange_rate ? parseFloat(exchange_rate) : null,
+                settles_transaction_id: settles_transaction_id ? parseInt(settles_transaction_id) : null
+            };
+
+            const result = await Transactions.createTransaction(req.context, transactionData);
             
-            // Zorunlu alanları kontrol et
-            if (!cari_id || isNaN(cari_id)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Cari ID gereklidir',
-                    error: 'cari_id alanı boş olamaz ve sayısal olmalıdır'
+            if (result.success) {
+                res.status(201).json({
+                    success: true,
+                    message: 'İşlem başarıyla oluşturuldu',
+                    data: result.data
                 });
-            }
-
-            if (!islem_tipi || !['income', 'expense', 'receivable', 'payable'].includes(islem_tipi)) {
-                return res.status(400).json({
+            } else {
+                res.status(400).json({
                     success: false,
-                    message: 'İşlem tipi gereklidir',
-                    error: 'islem_tipi alanı income, expense, receivable veya payable olmalıdır'
+                    message: 'İşlem oluşturulamadı',
+                    error: result.error
                 });
             }
+        } catch (error) {
+            console.error('createTransaction Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
 
-            if (!tutar || isNaN(tutar) || parseFloat(tutar) <= 0) {
+    // Banka ekstresi önizlemesi - POST /api/transactions/bank-statement/preview?mapping[alan]=başlık
+    // Dosya (CSV/XLSX veya MT940) istek gövdesidir; hiçbir kayıt oluşturulmaz
+    previewBankStatement: async (req, res) => {
+        try {
+            if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Tutar gereklidir',
-                    error: 'tutar alanı boş olamaz, sayısal ve pozitif olmalıdır'
+                    message: 'Banka ekstresi bulunamadı',
+                    error: 'CSV, XLSX veya MT940 dosyası istek gövdesinde gönderilmelidir'
                 });
             }
 
-            if (!islem_tarihi) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'İşlem tarihi gereklidir',
-                    error: 'islem_tarihi alanı boş olamaz'
-                });
-            }
+            const result = await BankStatements.previewStatement(req.context, req.body, {
+                mapping: req.query.mapping || {}
+            });
 
-            // Tarih format validasyonu
-            const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-            if (!dateRegex.test(islem_tarihi)) {
-                return res.status(400).json({
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Banka ekstresi önizlemesi oluşturuldu',
+                    data: result.data
+                });
+            } else {
+                res.status(400).json({
                     success: false,
-                    message: 'Geçersiz işlem tarihi formatı',
-                    error: 'İşlem tarihi YYYY-MM-DD formatında olmalıdır'
+                    message: 'Banka ekstresi okunamadı',
+                    error: result.error
                 });
             }
+        } catch (error) {
+            console.error('previewBankStatement Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
 
-            // Vade tarihi format kontrolü (eğer belirtilmişse)
-            if (vade_tarihi && !dateRegex.test(vade_tarihi)) {
-                return res.status(400).json({
+    // Onaylanan ekstre satırlarını toplu kaydet - POST /api/transactions/bank-statement/confirm
+    postBankStatement: async (req, res) => {
+        try {
+            // Model fonksiyonuna gönderilecek veri objeleri (ödeme yöntemi varsayılan olarak havale/EFT)
+            const lines = req.body.lines.map((line) => ({
+                account_id: parseInt(line.account_id),
+                transaction_type: line.transaction_type,
+                amount: line.amount,
+                description: line.description || null,
+                reference_number: line.reference_number || null,
+                transaction_date: line.transaction_date,
+                due_date: line.due_date || null,
+                payment_method: line.payment_method || 'bank_transfer',
+                status: line.status || 'completed',
+                currency: line.currency || null,
+                exchange_rate: line.exchange_rate ? parseFloat(line.exchange_rate) : null,
+                settles_transaction_id: line.settles_transaction_id ? parseInt(line.settles_transaction_id) : null
+            }));
+
+            const result = await BankStatements.postStatementLines(req.context, lines);
+
+            if (!result.success) {
+                res.status(500).json({
                     success: false,
-                    message: 'Geçersiz vade tarihi formatı',
-                    error: 'Vade tarihi YYYY-MM-DD formatında olmalıdır'
+                    message: 'Ekstre satırları kaydedilemedi',
+                    error: result.error
                 });
-            }
-
-            // Ödeme yöntemi validasyonu (eğer belirtilmişse)
-            if (odeme_yontemi && !['cash', 'bank_transfer', 'check', 'credit_card'].includes(odeme_yontemi)) {
-                return res.status(400).json({
+            } else if (result.data.committed) {
+                res.status(201).json({
+                    success: true,
+                    message: `${result.data.total_lines} işlem başarıyla kaydedildi`,
+                    data: result.data
+                });
+            } else {
+                res.status(422).json({
                     success: false,
-                    message: 'Geçersiz ödeme yöntemi',
-                    error: 'Ödeme yöntemi cash, bank_transfer, check veya credit_card olmalıdır'
+                    message: 'Hatalı satırlar olduğu için hiçbir işlem kaydedilmedi',
+                    data: result.data
                 });
             }
+        } catch (error) {
+            console.error('postBankStatement Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
 
-            // Durum validasyonu (eğer belirtilmişse)
-            if (durum && !['completed', 'pending', 'cancelled'].includes(durum)) {
+    // Banka ekstresini kayıtlı hareketlerle eşleştir - POST /api/transactions/reconciliation/preview
+    // Dosya (CSV/XLSX/MT940) istek gövdesidir; hiçbir kayıt değiştirilmez
+    previewReconciliation: async (req, res) => {
+        try {
+            if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Geçersiz durum',
-                    error: 'Durum completed, pending veya cancelled olmalıdır'
+                    message: 'Banka ekstresi bulunamadı',
+                    error: 'CSV, XLSX veya MT940 dosyası istek gövdesinde gönderilmelidir'
                 });
             }
 
-            // Tutar değer kontrolü
-            if (parseFloat(tutar) > 999999999.99) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Tutar çok büyük',
-                    error: 'Tutar 999,999,999.99 değerinden küçük olmalıdır'
-                });
+            const { account_id, payment_method, currency, date_tolerance } = req.query;
+
+            // Aday hareket filtreleri (değerler şema ile doğrulandı)
+            const filters = {};
+
+            if (account_id) {
+                filters.account_id = parseInt(account_id);
             }
 
-            // Açıklama uzunluk kontrolü (eğer belirtilmişse)
-            if (aciklama && aciklama.length > 1000) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Açıklama çok uzun',
-                    error: 'Açıklama en fazla 1000 karakter olabilir'
-                });
+            if (payment_method) {
+                filters.payment_method = payment_method;
             }
 
-            // Referans numarası uzunluk kontrolü (eğer belirtilmişse)
-            if (referans_no && referans_no.length > 100) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Referans numarası çok uzun',
-                    error: 'Referans numarası en fazla 100 karakter olabilir'
-                });
+            if (currency) {
+                filters.currency = currency;
             }
 
-            // Model fonksiyonuna gönderilecek veri objesi
-            const transactionData = {
-                account_id: parseInt(cari_id),
-                transaction_type: islem_tipi,
-                amount: parseFloat(tutar),
-                description: aciklama || null,
-                reference_number: referans_no || null,
-                transaction_date: islem_tarihi,
-                due_date: vade_tarihi || null,
-                payment_method: odeme_yontemi || 'cash',
-                status: durum || 'completed'
-            };
+            const result = await BankReconciliations.previewReconciliation(req.context, req.body, {
+                mapping: req.query.mapping || {},
+                filters,
+                dateTolerance: date_tolerance !== undefined
+                    ? parseInt(date_tolerance)
+                    : BankReconciliations.DATE_TOLERANCE.DEFAULT
+            });
 
-            const result = await Transactions.createTransaction(transactionData);
-            
             if (result.success) {
-                res.status(201).json({
+                res.status(200).json({
                     success: true,
-                    message: 'İşlem başarıyla oluşturuldu',
+                    message: 'Mutabakat önizlemesi oluşturuldu',
                     data: result.data
                 });
             } else {
                 res.status(400).json({
                     success: false,
-                    message: 'İşlem oluşturulamadı',
+                    message: 'Banka ekstresi okunamadı',
                     error: result.error
                 });
             }
         } catch (error) {
-            console.error('createTransaction Controller Error:', error);
+            console.error('previewReconciliation Controller Error:', error);
             res.status(500).json({
                 success: false,
                 message: 'Sunucu hatası',
@@ -229,104 +300,112 @@ const transactionController = {
         }
     },
 
-    // İşlemi güncelle - PUT /api/transactions/:id
-    updateTransaction: async (req, res) => {
+    // Eşleşmeleri onayla ve hareketleri işaretle - POST /api/transactions/reconciliation/confirm
+    confirmReconciliation: async (req, res) => {
         try {
-            const { id } = req.params;
-            const { 
-                cari_id, 
-                islem_tipi, 
-                tutar, 
-                islem_tarihi, 
-                aciklama, 
-                referans_no, 
-                vade_tarihi, 
-                odeme_yontemi, 
-                durum 
-            } = req.body;
-            
-            // ID validasyonu
-            if (!id || isNaN(id)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz işlem ID\'si',
-                    error: 'ID sayısal bir değer olmalıdır'
-                });
-            }
+            const result = await Transactions.reconcileTransactions(req.context, req.body.transaction_ids);
 
-            // Zorunlu alanları kontrol et (createTransaction ile aynı validasyonlar)
-            if (!cari_id || isNaN(cari_id)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Cari ID gereklidir',
-                    error: 'cari_id alanı boş olamaz ve sayısal olmalıdır'
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: `${result.data.count} işlemin mutabakatı onaylandı`,
+                    data: result.data
                 });
-            }
-
-            if (!islem_tipi || !['income', 'expense', 'receivable', 'payable'].includes(islem_tipi)) {
-                return res.status(400).json({
+            } else if (result.error.includes('bulunamadı')) {
+                res.status(404).json({
                     success: false,
-                    message: 'İşlem tipi gereklidir',
-                    error: 'islem_tipi alanı income, expense, receivable veya payable olmalıdır'
+                    message: 'İşlem bulunamadı',
+                    error: result.error
                 });
-            }
-
-            if (!tutar || isNaN(tutar) || parseFloat(tutar) <= 0) {
-                return res.status(400).json({
+            } else {
+                res.status(400).json({
                     success: false,
-                    message: 'Tutar gereklidir',
-                    error: 'tutar alanı boş olamaz, sayısal ve pozitif olmalıdır'
+                    message: 'Mutabakat onaylanamadı',
+                    error: result.error
                 });
             }
+        } catch (error) {
+            console.error('confirmReconciliation Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
 
-            if (!islem_tarihi) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'İşlem tarihi gereklidir',
-                    error: 'islem_tarihi alanı boş olamaz'
-                });
-            }
+    // Mutabakat işaretini kaldır - DELETE /api/transactions/:id/reconciliation
+    unreconcileTransaction: async (req, res) => {
+        try {
+            const { id } = req.params;
 
-            // Diğer validasyonlar...
-            const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-            if (!dateRegex.test(islem_tarihi)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz işlem tarihi formatı',
-                    error: 'İşlem tarihi YYYY-MM-DD formatında olmalıdır'
-                });
-            }
+            const result = await Transactions.unreconcileTransaction(req.context, parseInt(id));
 
-            if (vade_tarihi && !dateRegex.test(vade_tarihi)) {
-                return res.status(400).json({
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'İşlemin mutabakat işareti kaldırıldı',
+                    data: result.data
+                });
+            } else if (result.error.includes('bulunamadı')) {
+                res.status(404).json({
                     success: false,
-                    message: 'Geçersiz vade tarihi formatı',
-                    error: 'Vade tarihi YYYY-MM-DD formatında olmalıdır'
+                    message: 'İşlem bulunamadı',
+                    error: result.error
                 });
-            }
-
-            if (parseFloat(tutar) > 999999999.99) {
-                return res.status(400).json({
+            } else {
+                res.status(400).json({
                     success: false,
-                    message: 'Tutar çok büyük',
-                    error: 'Tutar 999,999,999.99 değerinden küçük olmalıdır'
+                    message: 'Mutabakat işareti kaldırılamadı',
+                    error: result.error
                 });
             }
+        } catch (error) {
+            console.error('unreconcileTransaction Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // İşlemi güncelle - PUT /api/transactions/:id
+    updateTransaction: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { 
+                account_id, 
+                transaction_type, 
+                amount, 
+                transaction_date, 
+                description, 
+                reference_number, 
+                due_date, 
+                payment_method, 
+                status,
+                currency,
+                exchange_rate,
+                settles_transaction_id
+            } = req.body;
 
             // Model fonksiyonuna gönderilecek veri objesi
             const transactionData = {
-                account_id: parseInt(cari_id),
-                transaction_type: islem_tipi,
-                amount: parseFloat(tutar),
-                description: aciklama || null,
-                reference_number: referans_no || null,
-                transaction_date: islem_tarihi,
-                due_date: vade_tarihi || null,
-                payment_method: odeme_yontemi || 'cash',
-                status: durum || 'completed'
+                account_id: parseInt(account_id),
+                transaction_type,
+                amount,
+                description: description || null,
+                reference_number: reference_number || null,
+                transaction_date,
+                due_date: due_date || null,
+                payment_method: payment_method || 'cash',
+                status: status || 'completed',
+                currency: currency || null,
+                exchange_rate: exchange_rate ? parseFloat(exchange_rate) : null,
+                settles_transaction_id: settles_transaction_id ? parseInt(settles_transaction_id) : null
             };
 
-            const result = await Transactions.updateTransaction(parseInt(id), transactionData);
+            const result = await Transactions.updateTransaction(req.context, parseInt(id), transactionData);
             
             if (result.success) {
                 res.status(200).json({
@@ -363,17 +442,8 @@ const transactionController = {
     deleteTransaction: async (req, res) => {
         try {
             const { id } = req.params;
-            
-            // ID validasyonu
-            if (!id || isNaN(id)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz işlem ID\'si',
-                    error: 'ID sayısal bir değer olmalıdır'
-                });
-            }
 
-            const result = await Transactions.deleteTransaction(parseInt(id));
+            const result = await Transactions.deleteTransaction(req.context, parseInt(id));
             
             if (result.success) {
                 res.status(200).json({
@@ -406,159 +476,189 @@ const transactionController = {
         }
     },
 
-    // Filtrelenmiş işlemleri getir - GET /api/transactions/filter
+    // Silinmiş işlemleri getir - GET /api/transactions/deleted
+    getDeletedTransactions: async (req, res) => {
+        try {
+            const result = await Transactions.getDeletedTransactions(req.context);
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Silinmiş işlemler başarıyla getirildi',
+                    data: result.data,
+                    count: result.data.length
+                });
+            } else {
+                res.status(500).json({
+                    success: false,
+                    message: 'Silinmiş işlemler getirilemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('getDeletedTransactions Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Silinmiş işlemi geri yükle - POST /api/transactions/:id/restore
+    restoreTransaction: async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            // Çakışma durumunda kullanılacak yeni değerler (opsiyonel)
+            const overrides = {};
+            if (req.body && req.body.reference_number !== undefined) {
+                overrides.reference_number = req.body.reference_number;
+            }
+
+            const result = await Transactions.restoreTransaction(req.context, parseInt(id), overrides);
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'İşlem başarıyla geri yüklendi',
+                    data: result.data
+                });
+            } else if (result.conflict) {
+                // Aktif bir kayıtla çakışma durumunda 409 Conflict
+                res.status(409).json({
+                    success: false,
+                    message: 'İşlem geri yüklenemedi',
+                    error: result.error,
+                    conflict: result.conflict
+                });
+            } else if (result.error.includes('bulunamadı')) {
+                res.status(404).json({
+                    success: false,
+                    message: 'Silinmiş işlem bulunamadı',
+                    error: result.error
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    message: 'İşlem geri yüklenemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('restoreTransaction Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Filtrelenmiş işlemleri getir - GET /api/transactions/filter?...&format=
     getFilteredTransactions: async (req, res) => {
         try {
             const {
-                cari_id,
-                islem_tipi,
-                min_tutar,
-                max_tutar,
-                baslangic_tarihi,
-                bitis_tarihi,
-                aciklama_icinde,
+                account_id,
+                transaction_type,
+                min_amount,
+                max_amount,
+                start_date,
+                end_date,
+                search,
                 status,
                 payment_method,
+                currency,
+                reconciled,
                 limit,
+                cursor,
+                sort,
                 offset
             } = req.query;
 
-            // Filtre parametrelerini hazırla
+            // Filtre parametrelerini hazırla (değerler şema ile doğrulandı)
             const filters = {};
 
-            // Cari ID filtresi
-            if (cari_id && !isNaN(cari_id)) {
-                filters.cari_id = parseInt(cari_id);
-            } else if (cari_id) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz cari ID',
-                    error: 'cari_id sayısal bir değer olmalıdır'
-                });
+            if (account_id) {
+                filters.account_id = parseInt(account_id);
             }
 
-            // İşlem tipi filtresi
-            if (islem_tipi) {
-                if (['income', 'expense', 'receivable', 'payable'].includes(islem_tipi)) {
-                    filters.islem_tipi = islem_tipi;
-                } else {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Geçersiz işlem tipi',
-                        error: 'İşlem tipi income, expense, receivable veya payable olmalıdır'
-                    });
-                }
+            if (transaction_type) {
+                filters.transaction_type = transaction_type;
             }
 
             // Tutar filtreleri
-            if (min_tutar && !isNaN(min_tutar)) {
-                filters.min_tutar = parseFloat(min_tutar);
-            } else if (min_tutar) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz minimum tutar',
-                    error: 'min_tutar sayısal bir değer olmalıdır'
-                });
+            if (min_amount) {
+                filters.min_amount = min_amount;
             }
 
-            if (max_tutar && !isNaN(max_tutar)) {
-                filters.max_tutar = parseFloat(max_tutar);
-            } else if (max_tutar) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz maksimum tutar',
-                    error: 'max_tutar sayısal bir değer olmalıdır'
-                });
+            if (max_amount) {
+                filters.max_amount = max_amount;
             }
 
             // Tarih filtreleri
-            const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-            
-            if (baslangic_tarihi) {
-                if (dateRegex.test(baslangic_tarihi)) {
-                    filters.baslangic_tarihi = baslangic_tarihi;
-                } else {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Geçersiz başlangıç tarihi formatı',
-                        error: 'Başlangıç tarihi YYYY-MM-DD formatında olmalıdır'
-                    });
-                }
+            if (start_date) {
+                filters.start_date = start_date;
             }
 
-            if (bitis_tarihi) {
-                if (dateRegex.test(bitis_tarihi)) {
-                    filters.bitis_tarihi = bitis_tarihi;
-                } else {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Geçersiz bitiş tarihi formatı',
-                        error: 'Bitiş tarihi YYYY-MM-DD formatında olmalıdır'
-                    });
-                }
+            if (end_date) {
+                filters.end_date = end_date;
             }
 
             // Açıklama arama filtresi
-            if (aciklama_icinde && aciklama_icinde.trim() !== '') {
-                if (aciklama_icinde.trim().length >= 2) {
-                    filters.aciklama_icinde = aciklama_icinde.trim();
-                } else {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Arama terimi çok kısa',
-                        error: 'Arama terimi en az 2 karakter olmalıdır'
-                    });
-                }
+            if (search && search.trim() !== '') {
+                filters.search = search.trim();
             }
 
-            // Durum filtresi
             if (status) {
-                if (['completed', 'pending', 'cancelled'].includes(status)) {
-                    filters.status = status;
-                } else {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Geçersiz durum',
-                        error: 'Durum completed, pending veya cancelled olmalıdır'
-                    });
-                }
+                filters.status = status;
             }
 
-            // Ödeme yöntemi filtresi
             if (payment_method) {
-                if (['cash', 'bank_transfer', 'check', 'credit_card'].includes(payment_method)) {
-                    filters.payment_method = payment_method;
-                } else {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Geçersiz ödeme yöntemi',
-                        error: 'Ödeme yöntemi cash, bank_transfer, check veya credit_card olmalıdır'
-                    });
-                }
+                filters.payment_method = payment_method;
             }
 
-            // Sayfalama parametreleri
-            if (limit && !isNaN(limit)) {
-                filters.limit = Math.min(parseInt(limit), 1000); // Max 1000 kayıt
-            } else if (limit) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz limit değeri',
-                    error: 'limit sayısal bir değer olmalıdır'
-                });
+            if (currency) {
+                filters.currency = currency;
+            }
+
+            if (reconciled !== undefined) {
+                filters.reconciled = reconciled === 'true';
             }
 
-            if (offset && !isNaN(offset)) {
+            // Sayfalama ve sıralama (daha büyük limit 1000 kayda indirilir)
+            if (limit) {
+                filters.limit = parseInt(limit);
+            }
+
+            if (cursor) {
+                filters.cursor = cursor;
+            }
+
+            if (sort) {
+                filters.sort = sort;
+            }
+
+            if (offset) {
                 filters.offset = parseInt(offset);
-            } else if (offset) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz offset değeri',
-                    error: 'offset sayısal bir değer olmalıdır'
-                });
             }
 
-            const result = await Transactions.getFilteredTransactions(filters);
+            // Dosya olarak dışa aktarmada limit/cursor/offset yok sayılır, filtreye uyan tüm hareketler
+            // sort sırasıyla yazılır
+            if (Exports.FORMATS.includes(req.query.format)) {
+                const result = await Exports.exportTransactions(req.context, filters, req.query.format, res);
+
+                if (!result.success && !res.headersSent) {
+                    res.status(500).json({
+                        success: false,
+                        message: 'Filtrelenmiş işlemler dışa aktarılamadı',
+                        error: result.error
+                    });
+                }
+                return;
+            }
+
+            const result = await Transactions.getFilteredTransactions(req.context, filters);
             
             if (result.success) {
                 res.status(200).json({
@@ -566,7 +666,8 @@ const transactionController = {
                     message: 'Filtrelenmiş işlemler başarıyla getirildi',
                     data: result.data,
                     count: result.data.length,
-                    totalCount: result.totalCount,
+                    total_count: result.totalCount,
+                    next_cursor: result.nextCursor,
                     filters: result.filters
                 });
             } else {
@@ -590,16 +691,8 @@ const transactionController = {
     getTransactionsByAccount: async (req, res) => {
         try {
             const { accountId } = req.params;
-            
-            if (!accountId || isNaN(accountId)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz cari hesap ID\'si',
-                    error: 'ID sayısal bir değer olmalıdır'
-                });
-            }
 
-            const result = await Transactions.getTransactionsByAccount(parseInt(accountId));
+            const result = await Transactions.getTransactionsByAccount(req.context, parseInt(accountId));
             
             if (result.success) {
                 res.status(200).json({
@@ -607,7 +700,7 @@ const transactionController = {
                     message: 'Cari hesaba ait işlemler başarıyla getirildi',
                     data: result.data,
                     count: result.data.length,
-                    accountId: parseInt(accountId)
+                    account_id: parseInt(accountId)
                 });
             } else {
                 res.status(500).json({
@@ -626,16 +719,21 @@ const transactionController = {
         }
     },
 
-    // İşlem özeti getir - GET /api/transactions/summary
+    // İşlem özeti getir - GET /api/transactions/summary?format=
     getTransactionSummary: async (req, res) => {
         try {
-            const result = await Transactions.getTransactionSummaryByType();
+            const result = await Transactions.getTransactionSummaryByType(req.context);
             
-            if (result.success) {
+            if (result.success && req.query.format === 'pdf') {
+                const pdf = await PdfReports.renderTransactionSummary(req.context, result);
+                res.status(200).attachment('islem-ozeti.pdf').send(pdf);
+            } else if (result.success) {
                 res.status(200).json({
                     success: true,
                     message: 'İşlem özeti başarıyla getirildi',
-                    data: result.data
+                    data: result.data,
+                    by_currency: result.by_currency,
+                    base_currency: result.base_currency
                 });
             } else {
                 res.status(500).json({
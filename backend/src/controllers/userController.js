@@ -0,0 +1,81 @@
+/**
+ * @fileoverview User Controller
+ * @description HTTP request handlers for user listing and role management
+ * @version 1.0.0
+ */
+
+const Users = require('../models/userModel');
+
+/**
+ * User Management Controller
+ * @namespace userController
+ */
+const userController = {
+    // Tüm kullanıcıları getir - GET /api/users
+    getAllUsers: async (req, res) => {
+        try {
+            const result = await Users.getAllUsers();
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Kullanıcılar başarıyla getirildi',
+                    data: result.data,
+                    count: result.data.length
+                });
+            } else {
+                res.status(500).json({
+                    success: false,
+                    message: 'Kullanıcılar getirilemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('getAllUsers Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    },
+
+    // Kullanıcı rolünü güncelle - PUT /api/users/:id/role
+    updateUserRole: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { role } = req.body;
+
+            const result = await Users.updateUserRole(parseInt(id), role);
+
+            if (result.success) {
+                res.status(200).json({
+                    success: true,
+                    message: 'Kullanıcı rolü başarıyla güncellendi',
+                    data: result.data
+                });
+            } else if (result.error.includes('bulunamadı')) {
+                res.status(404).json({
+                    success: false,
+                    message: 'Kullanıcı bulunamadı',
+                    error: result.error
+                });
+            } else {
+                res.status(400).json({
+                    success: false,
+                    message: 'Kullanıcı rolü güncellenemedi',
+                    error: result.error
+                });
+            }
+        } catch (error) {
+            console.error('updateUserRole Controller Error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Sunucu hatası',
+                error: error.message
+            });
+        }
+    }
+};
+
+module.exports = userController;
@@ -15,26 +15,8 @@ const userSettingsController = {
     getSetting: async (req, res) => {
         try {
             const { settingName } = req.params;
-            
-            // Setting name validasyonu
-            if (!settingName || settingName.trim() === '') {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Ayar adı gereklidir',
-                    error: 'settingName parametresi boş olamaz'
-                });
-            }
-
-            // Ayar adı uzunluk kontrolü
-            if (settingName.trim().length > 100) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Ayar adı çok uzun',
-                    error: 'Ayar adı en fazla 100 karakter olabilir'
-                });
-            }
 
-            const result = await UserSettings.getSetting(settingName.trim());
+            const result = await UserSettings.getSetting(req.context, settingName.trim());
             
             if (result.success) {
                 res.status(200).json({
@@ -64,77 +46,9 @@ const userSettingsController = {
         try {
             const { settingName } = req.params;
             const { setting_value, setting_type = 'string', description } = req.body;
-            
-            // Setting name validasyonu
-            if (!settingName || settingName.trim() === '') {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Ayar adı gereklidir',
-                    error: 'settingName parametresi boş olamaz'
-                });
-            }
-
-            // Setting value validasyonu
-            if (setting_value === undefined || setting_value === null) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Ayar değeri gereklidir',
-                    error: 'setting_value alanı boş olamaz'
-                });
-            }
-
-            // Ayar adı uzunluk kontrolü
-            if (settingName.trim().length > 100) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Ayar adı çok uzun',
-                    error: 'Ayar adı en fazla 100 karakter olabilir'
-                });
-            }
-
-            // Setting type validasyonu
-            const validTypes = ['string', 'number', 'boolean', 'json'];
-            if (!validTypes.includes(setting_type)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz ayar tipi',
-                    error: 'setting_type string, number, boolean veya json olmalıdır'
-                });
-            }
-
-            // Description uzunluk kontrolü (eğer belirtilmişse)
-            if (description && description.length > 255) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Açıklama çok uzun',
-                    error: 'Açıklama en fazla 255 karakter olabilir'
-                });
-            }
-
-            // Özel validasyonlar
-            if (setting_type === 'number' && isNaN(setting_value)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Geçersiz sayısal değer',
-                    error: 'number tipi için sayısal bir değer girilmelidir'
-                });
-            }
-
-            if (setting_type === 'json') {
-                try {
-                    if (typeof setting_value === 'string') {
-                        JSON.parse(setting_value);
-                    }
-                } catch (e) {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Geçersiz JSON değeri',
-                        error: 'JSON tipi için geçerli bir JSON formatı girilmelidir'
-                    });
-                }
-            }
 
             const result = await UserSettings.setSetting(
+                req.context,
                 settingName.trim(),
                 setting_value,
                 setting_type,
@@ -167,7 +81,7 @@ const userSettingsController = {
     // Tüm ayarları getir - GET /api/settings
     getAllSettings: async (req, res) => {
         try {
-            const result = await UserSettings.getAllSettings();
+            const result = await UserSettings.getAllSettings(req.context);
             
             if (result.success) {
                 res.status(200).json({
@@ -197,17 +111,8 @@ const userSettingsController = {
     deleteSetting: async (req, res) => {
         try {
             const { settingName } = req.params;
-            
-            // Setting name validasyonu
-            if (!settingName || settingName.trim() === '') {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Ayar adı gereklidir',
-                    error: 'settingName parametresi boş olamaz'
-                });
-            }
 
-            const result = await UserSettings.deleteSetting(settingName.trim());
+            const result = await UserSettings.deleteSetting(req.context, settingName.trim());
             
             if (result.success) {
                 res.status(200).json({
@@ -235,7 +140,7 @@ const userSettingsController = {
     // Varsayılan ayarları oluştur - POST /api/settings/initialize
     initializeDefaultSettings: async (req, res) => {
         try {
-            const result = await UserSettings.initializeDefaultSettings();
+            const result = await UserSettings.initializeDefaultSettings(req.context);
             
             if (result.success) {
                 res.status(201).json({
@@ -264,26 +169,8 @@ const userSettingsController = {
     getSettingsByCategory: async (req, res) => {
         try {
             const { category } = req.params;
-            
-            // Kategori validasyonu
-            if (!category || category.trim() === '') {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Kategori adı gereklidir',
-                    error: 'category parametresi boş olamaz'
-                });
-            }
-
-            // Kategori adı uzunluk kontrolü
-            if (category.trim().length > 50) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Kategori adı çok uzun',
-                    error: 'Kategori adı en fazla 50 karakter olabilir'
-                });
-            }
 
-            const result = await UserSettings.getSettingsByCategory(category.trim());
+            const result = await UserSettings.getSettingsByCategory(req.context, category.trim());
             
             if (result.success) {
                 res.status(200).json({
@@ -314,31 +201,6 @@ const userSettingsController = {
     setBulkSettings: async (req, res) => {
         try {
             const { settings } = req.body;
-            
-            // Settings validasyonu
-            if (!settings || !Array.isArray(settings)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Ayarlar listesi gereklidir',
-                    error: 'settings alanı bir dizi olmalıdır'
-                });
-            }
-
-            if (settings.length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'En az bir ayar girilmelidir',
-                    error: 'settings dizisi boş olamaz'
-                });
-            }
-
-            if (settings.length > 50) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Çok fazla ayar',
-                    error: 'Tek seferde en fazla 50 ayar güncellenebilir'
-                });
-            }
 
             const results = [];
             let successCount = 0;
@@ -361,6 +223,7 @@ const userSettingsController = {
                 }
 
                 const result = await UserSettings.setSetting(
+                    req.context,
                     setting.setting_name,
                     setting.setting_value,
                     setting.setting_type || 'string',
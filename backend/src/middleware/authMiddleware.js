@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Authentication Middleware
+ * @description Verifies Bearer access tokens and attaches the authenticated user to the request
+ * @version 1.0.0
+ */
+
+const AuthService = require('../services/authService');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+
+/**
+ * Authorization başlığındaki Bearer token'ı doğrular.
+ * Başarılı olursa req.user = { id, email, role } atanır, aksi halde 401 döner.
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next function
+ */
+const authenticate = (req, res, next) => {
+    const authHeader = req.headers.authorization || '';
+    const [scheme, token] = authHeader.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({
+            success: false,
+            message: 'Kimlik doğrulama gerekli',
+            error: 'Authorization başlığı "Bearer <token>" formatında olmalıdır'
+        });
+    }
+
+    const result = AuthService.verifyAccessToken(token);
+
+    if (!result.success) {
+        return res.status(401).json({
+            success: false,
+            message: 'Kimlik doğrulama başarısız',
+            error: result.error
+        });
+    }
+
+    req.user = result.data;
+    next();
+};
+
+/**
+ * Oturumdaki kullanıcının rolünün verilen yetkiye sahip olmasını ister.
+ * Şirket kapsamındaki route'larda (resolveCompany'den sonra) kullanıcının o şirketteki
+ * üyelik rolü, diğerlerinde genel rolü (users.role) kontrol edilir.
+ * authenticate'ten sonra kullanılmalıdır; yetki yoksa 403 döner.
+ * @param {string} permission - config/permissions.js içindeki yetki adı
+ * @returns {Function} Express middleware
+ */
+const authorize = (permission) => {
+    // Yazım hatalı yetki adları sessizce herkesi engellemesin diye açılışta hata verir
+    if (!PERMISSIONS[permission]) {
+        throw new Error(`Tanımsız yetki: ${permission}`);
+    }
+
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Kimlik doğrulama gerekli',
+                error: 'Bu işlem için oturum açmalısınız'
+            });
+        }
+
+        const role = req.context ? req.context.role : req.user.role;
+
+        if (!hasPermission(role, permission)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Bu işlem için yetkiniz yok',
+                error: `'${permission}' yetkisi gerekli (rolünüz: ${role || 'tanımsız'})`
+            });
+        }
+
+        next();
+    };
+};
+
+module.exports = { authenticate, authorize };
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Company Middleware
+ * @description Resolves the active company for each request and builds the model context
+ * @version 1.0.0
+ */
+
+const Companies = require('../models/companyModel');
+
+/**
+ * İsteğin hangi şirket adına yapıldığını belirler.
+ * "X-Company-Id" başlığı verilmişse kullanıcının o şirkete üyeliği kontrol edilir,
+ * verilmemişse kullanıcının varsayılan şirketi kullanılır.
+ * Başarılı olursa req.context = { companyId, userId, role } atanır; modeller tüm
+ * sorgularını bu bağlamdaki şirketle sınırlar, authorize ise kullanıcının bu
+ * şirketteki üyelik rolünü (company_users.role) kontrol eder.
+ * authenticate'ten sonra kullanılmalıdır.
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next function
+ */
+const resolveCompany = async (req, res, next) => {
+    try {
+        const headerValue = req.get('X-Company-Id');
+
+        if (headerValue !== undefined && (isNaN(headerValue) || parseInt(headerValue) <= 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Geçersiz şirket ID\'si',
+                error: 'X-Company-Id başlığı pozitif bir sayı olmalıdır'
+            });
+        }
+
+        const result = await Companies.resolveCompanyForUser(
+            req.user.id,
+            headerValue !== undefined ? parseInt(headerValue) : null
+        );
+
+        if (!result.success && (result.error.includes('erişiminiz yok') || result.error.includes('üye değilsiniz'))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Şirket erişimi reddedildi',
+                error: result.error
+            });
+        }
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                message: 'Şirket bilgisi alınamadı',
+                error: result.error
+            });
+        }
+
+        req.context = {
+            companyId: result.data.id,
+            userId: req.user.id,
+            role: result.data.role
+        };
+
+        next();
+    } catch (error) {
+        console.error('resolveCompany Middleware Error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Sunucu hatası',
+            error: error.message
+        });
+    }
+};
+
+module.exports = { resolveCompany };
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Legacy Fields Middleware
+ * @description Compatibility layer for the original /api endpoints: renames legacy request fields
+ * to their /api/v2 names before validation and renames response fields back for old clients
+ * @version 1.0.0
+ */
+
+// Düz nesne kontrolü (dizi ve null hariç)
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Eşlemenin bu HTTP metodunda geçerli v2 adını getir
+const targetName = (mapping, method) => {
+    if (typeof mapping === 'string') {
+        return mapping;
+    }
+    return mapping.methods.includes(method) ? mapping.to : null;
+};
+
+// İstek alanlarını eski adlardan v2 adlarına çevir; v2 adıyla gönderilmiş alan ezilmez
+const renameRequestFields = (source, fields, method) => {
+    if (!isPlainObject(source)) {
+        return source;
+    }
+
+    const renamed = { ...source };
+
+    Object.entries(fields).forEach(([legacyName, mapping]) => {
+        const name = targetName(mapping, method);
+
+        if (!name || !(legacyName in renamed)) {
+            return;
+        }
+
+        if (!(name in renamed)) {
+            renamed[name] = renamed[legacyName];
+        }
+        delete renamed[legacyName];
+    });
+
+    return renamed;
+};
+
+// Yanıt alanlarını v2 adlarından eski adlara çevir
+const renameResponseFields = (body, fields) => {
+    if (!isPlainObject(body)) {
+        return body;
+    }
+
+    return Object.entries(body).reduce((renamed, [key, value]) => {
+        const mapping = fields[key];
+
+        if (typeof mapping === 'string') {
+            renamed[mapping] = value;
+        } else if (mapping && isPlainObject(value)) {
+            renamed[key] = renameResponseFields(value, mapping);
+        } else {
+            renamed[key] = value;
+        }
+
+        return renamed;
+    }, {});
+};
+
+// 422 alan hatalarını istemcinin kullandığı adlarla raporla
+// v2 adıyla gönderilmiş alanlar v2 adıyla, diğerleri eski adıyla gösterilir
+const renameFieldErrors = (body, fields, method, sentNames) => {
+    if (!isPlainObject(body) || !Array.isArray(body.errors)) {
+        return body;
+    }
+
+    const errors = body.errors.map((fieldError) => {
+        const locationFields = fields[fieldError.location] || {};
+        const legacyName = Object.keys(locationFields)
+            .find((candidate) => targetName(locationFields[candidate], method) === fieldError.field);
+
+        if (!legacyName || (sentNames[fieldError.location] || []).includes(fieldError.field)) {
+            return fieldError;
+        }
+
+        return {
+            ...fieldError,
+            field: legacyName,
+            message: fieldError.message.startsWith(fieldError.field)
+                ? `${legacyName}${fieldError.message.slice(fieldError.field.length)}`
+                : fieldError.message
+        };
+    });
+
+    return {
+        ...body,
+        error: errors.map((fieldError) => fieldError.message).join('; '),
+        errors
+    };
+};
+
+/**
+ * Eski /api istemcileri için alan adı çevirisi yapar.
+ * İstek gövdesi ve sorgu parametreleri doğrulamadan önce v2 adlarına çevrilir;
+ * res.json ile dönen yanıttaki alanlar ve doğrulama hataları eski adlara geri çevrilir.
+ * @param {Object} fields - config/legacyFields.js içindeki kaynak eşlemesi
+ * @returns {Function} Express middleware
+ */
+const translateLegacyFields = (fields) => (req, res, next) => {
+    const sentNames = {
+        body: isPlainObject(req.body) ? Object.keys(req.body) : [],
+        query: Object.keys(req.query || {})
+    };
+
+    if (fields.body) {
+        req.body = renameRequestFields(req.body, fields.body, req.method);
+    }
+
+    if (fields.query) {
+        req.query = renameRequestFields(req.query, fields.query, req.method);
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        const withFieldErrors = renameFieldErrors(body, fields, req.method, sentNames);
+        return json(fields.response ? renameResponseFields(withFieldErrors, fields.response) : withFieldErrors);
+    };
+
+    next();
+};
+
+module.exports = { translateLegacyFields };
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Upload Middleware
+ * @description Reads an uploaded CSV, XLSX or MT940 file sent as the raw request body and rejects
+ * other content types with 415
+ * @version 1.0.0
+ */
+
+const express = require('express');
+
+/**
+ * Dosya yüklemede kabul edilen istek gövdesi türleri (CSV, MT940 metni, XLSX ve türü
+ * belirtilmemiş ikili dosya); dosya türü içerikten anlaşılır
+ * @type {string[]}
+ */
+const UPLOAD_TYPES = [
+    'text/csv',
+    'text/plain',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/octet-stream'
+];
+
+/**
+ * Dosya yükleme gövdesinin en büyük boyutu
+ * @type {string}
+ */
+const MAX_UPLOAD_SIZE = '5mb';
+
+/**
+ * İstek gövdesini Buffer olarak okur (req.body).
+ * Gövdesi başka türde olan istekler 415 ile reddedilir; uygulama genelindeki JSON ve form
+ * ayrıştırıcıları bu türleri önceden okuduğu için (curl --data-binary varsayılan olarak
+ * application/x-www-form-urlencoded gönderir) dosya controller'a hiç ulaşmazdı. Gövdesiz istek
+ * geçer ve controller'da eksik dosya hatası alır.
+ * authorize'dan sonra kullanılmalıdır.
+ * @returns {Function[]} Express middleware dizisi
+ */
+const uploadFile = () => [
+    (req, res, next) => {
+        if (req.is(UPLOAD_TYPES) === false) {
+            return res.status(415).json({
+                success: false,
+                message: 'Desteklenmeyen dosya türü',
+                error: `Dosya şu Content-Type türlerinden biriyle gönderilmelidir: ${UPLOAD_TYPES.join(', ')}`
+            });
+        }
+
+        next();
+    },
+    express.raw({ type: UPLOAD_TYPES, limit: MAX_UPLOAD_SIZE })
+];
+
+module.exports = { uploadFile, UPLOAD_TYPES };
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Validation Middleware
+ * @description Rejects requests whose params, query or body do not match the route's schema
+ * @version 1.0.0
+ */
+
+const Validator = require('../validation/validator');
+
+/**
+ * İsteği verilen şemaya göre doğrular.
+ * Hatalı alanların tamamı tek yanıtta 422 ile döner; istek geçerliyse controller'a devam edilir.
+ * authorize'dan sonra kullanılmalıdır (yetkisiz istekler doğrulamadan önce 403 alır).
+ * @param {Object} schema - { params?, query?, body? } alan kuralları (validation/schemas altında)
+ * @returns {Function} Express middleware
+ */
+const validate = (schema) => {
+    // Yazım hatalı şemalar sessizce her isteği geçirmesin diye açılışta hata verir
+    Validator.assertSchema(schema);
+
+    return (req, res, next) => {
+        const errors = Validator.validate(schema, req);
+
+        if (errors.length > 0) {
+            return res.status(422).json({
+                success: false,
+                message: 'Doğrulama hatası',
+                error: errors.map((fieldError) => fieldError.message).join('; '),
+                errors
+            });
+        }
+
+        next();
+    };
+};
+
+module.exports = { validate };
@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Migration 001 - account_groups
+ * @description Cari hesap grupları tablosunu oluşturur (groupModel.js)
+ * @version 1.0.0
+ */
+
+module.exports = {
+    // Tabloyu oluştur
+    up: async (connection) => {
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS account_groups (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                group_name VARCHAR(100) NOT NULL,
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_account_groups_group_name (group_name)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    // Tabloyu kaldır
+    down: async (connection) => {
+        await connection.query('DROP TABLE IF EXISTS account_groups');
+    }
+};
@@ -0,0 +1,44 @@
+/**
+ * @fileoverview Migration 002 - accounts
+ * @description Cari hesaplar tablosunu oluşturur (accountModel.js)
+ * @version 1.0.0
+ */
+
+module.exports = {
+    // Tabloyu oluştur
+    up: async (connection) => {
+        // account_code benzersizliği sadece aktif kayıtlar arasında aranır,
+        // bu yüzden veritabanı seviyesinde UNIQUE tanımlanmaz
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS accounts (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                account_name VARCHAR(255) NOT NULL,
+                account_code VARCHAR(50) NULL,
+                group_id INT UNSIGNED NULL,
+                phone VARCHAR(20) NULL,
+                email VARCHAR(100) NULL,
+                address TEXT NULL,
+                tax_number VARCHAR(20) NULL,
+                tax_office VARCHAR(100) NULL,
+                balance DECIMAL(15, 2) NOT NULL DEFAULT 0.00,
+                account_type ENUM('customer', 'supplier', 'both') NOT NULL DEFAULT 'customer',
+                is_active TINYINT(1) NOT NULL DEFAULT 1,
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY idx_accounts_account_name (account_name),
+                KEY idx_accounts_account_code (account_code),
+                KEY idx_accounts_group_id (group_id),
+                KEY idx_accounts_account_type (account_type, is_active),
+                CONSTRAINT fk_accounts_group
+                    FOREIGN KEY (group_id) REFERENCES account_groups (id)
+                    ON UPDATE CASCADE ON DELETE RESTRICT
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    // Tabloyu kaldır
+    down: async (connection) => {
+        await connection.query('DROP TABLE IF EXISTS accounts');
+    }
+};
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Migration 003 - transactions
+ * @description Finansal hareketler tablosunu oluşturur (transactionModel.js)
+ * @version 1.0.0
+ */
+
+module.exports = {
+    // Tabloyu oluştur
+    up: async (connection) => {
+        // reference_number benzersizliği sadece aktif kayıtlar arasında aranır
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS transactions (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                account_id INT UNSIGNED NOT NULL,
+                transaction_type ENUM('income', 'expense', 'receivable', 'payable') NOT NULL,
+                amount DECIMAL(15, 2) NOT NULL,
+                description TEXT NULL,
+                reference_number VARCHAR(100) NULL,
+                transaction_date DATE NOT NULL,
+                due_date DATE NULL,
+                payment_method ENUM('cash', 'bank_transfer', 'check', 'credit_card') NOT NULL DEFAULT 'cash',
+                status ENUM('completed', 'pending', 'cancelled') NOT NULL DEFAULT 'completed',
+                is_active TINYINT(1) NOT NULL DEFAULT 1,
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY idx_transactions_account_id (account_id, is_active),
+                KEY idx_transactions_transaction_date (transaction_date),
+                KEY idx_transactions_reference_number (reference_number),
+                KEY idx_transactions_type (transaction_type, is_active),
+                CONSTRAINT fk_transactions_account
+                    FOREIGN KEY (account_id) REFERENCES accounts (id)
+                    ON UPDATE CASCADE ON DELETE RESTRICT
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    // Tabloyu kaldır
+    down: async (connection) => {
+        await connection.query('DROP TABLE IF EXISTS transactions');
+    }
+};
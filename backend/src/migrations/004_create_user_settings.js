@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Migration 004 - user_settings
+ * @description Kullanıcı ayarları tablosunu oluşturur (userSettingsModel.js)
+ * @version 1.0.0
+ */
+
+module.exports = {
+    // Tabloyu oluştur
+    up: async (connection) => {
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS user_settings (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                setting_name VARCHAR(100) NOT NULL,
+                setting_value TEXT NOT NULL,
+                setting_type ENUM('string', 'number', 'boolean', 'json') NOT NULL DEFAULT 'string',
+                description VARCHAR(255) NULL,
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_user_settings_setting_name (setting_name)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    // Tabloyu kaldır
+    down: async (connection) => {
+        await connection.query('DROP TABLE IF EXISTS user_settings');
+    }
+};
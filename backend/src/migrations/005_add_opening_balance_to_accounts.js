@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Migration 005 - accounts.opening_balance
+ * @description Bakiye mutabakatı için cari hesaplara açılış bakiyesi sütunu ekler
+ * @version 1.0.0
+ */
+
+module.exports = {
+    // Sütunu ekle
+    up: async (connection) => {
+        // Mevcut kayıtlar için açılış bakiyesi 0 kabul edilir; hareketlerle
+        // açıklanamayan bakiyeler mutabakat raporunda fark olarak görünür
+        await connection.query(`
+            ALTER TABLE accounts
+                ADD COLUMN opening_balance DECIMAL(15, 2) NOT NULL DEFAULT 0.00 AFTER tax_office
+        `);
+    },
+
+    // Sütunu kaldır
+    down: async (connection) => {
+        await connection.query('ALTER TABLE accounts DROP COLUMN opening_balance');
+    }
+};
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Migration 006 - double-entry ledger
+ * @description Hesap planı, yevmiye fişleri ve fiş satırları tablolarını oluşturur,
+ * mevcut hareketleri yevmiye kayıtlarına aktarır (journalModel.js)
+ * @version 1.0.0
+ */
+
+module.exports = {
+    // Tabloları oluştur ve mevcut hareketleri aktar
+    up: async (connection) => {
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS ledger_accounts (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                code VARCHAR(20) NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                ledger_type ENUM('asset', 'liability', 'equity', 'income', 'expense') NOT NULL,
+                is_subledger TINYINT(1) NOT NULL DEFAULT 0,
+                is_active TINYINT(1) NOT NULL DEFAULT 1,
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_ledger_accounts_code (code)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        // Tek Düzen Hesap Planı'ndan temel hesaplar; 120 cari hesaplar
+        // için alt hesap (account_id) tutan yardımcı defterdir
+        await connection.query(`
+            INSERT IGNORE INTO ledger_accounts (code, name, ledger_type, is_subledger) VALUES
+                ('100', 'Kasa', 'asset', 0),
+                ('101', 'Alınan Çekler', 'asset', 0),
+                ('102', 'Bankalar', 'asset', 0),
+                ('108', 'Kredi Kartı Tahsilatları', 'asset', 0),
+                ('120', 'Cari Hesaplar', 'asset', 1),
+                ('600', 'Gelirler', 'income', 0),
+                ('770', 'Giderler', 'expense', 0)
+        `);
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS journal_entries (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                transaction_id INT UNSIGNED NULL,
+                entry_date DATE NOT NULL,
+                description TEXT NULL,
+                reference_number VARCHAR(100) NULL,
+                is_active TINYINT(1) NOT NULL DEFAULT 1,
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_journal_entries_transaction_id (transaction_id),
+                KEY idx_journal_entries_entry_date (entry_date, is_active),
+                CONSTRAINT fk_journal_entries_transaction
+                    FOREIGN KEY (transaction_id) REFERENCES transactions (id)
+                    ON UPDATE CASCADE ON DELETE RESTRICT
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS journal_lines (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                journal_entry_id INT UNSIGNED NOT NULL,
+                ledger_account_id INT UNSIGNED NOT NULL,
+                account_id INT UNSIGNED NULL,
+                debit DECIMAL(15, 2) NOT NULL DEFAULT 0.00,
+                credit DECIMAL(15, 2) NOT NULL DEFAULT 0.00,
+                description VARCHAR(255) NULL,
+                PRIMARY KEY (id),
+                KEY idx_journal_lines_entry (journal_entry_id),
+                KEY idx_journal_lines_ledger_account (ledger_account_id),
+                KEY idx_journal_lines_account (account_id),
+                CONSTRAINT fk_journal_lines_entry
+                    FOREIGN KEY (journal_entry_id) REFERENCES journal_entries (id)
+                    ON UPDATE CASCADE ON DELETE CASCADE,
+                CONSTRAINT fk_journal_lines_ledger_account
+                    FOREIGN KEY (ledger_account_id) REFERENCES ledger_accounts (id)
+                    ON UPDATE CASCADE ON DELETE RESTRICT,
+                CONSTRAINT fk_journal_lines_account
+                    FOREIGN KEY (account_id) REFERENCES accounts (id)
+                    ON UPDATE CASCADE ON DELETE RESTRICT,
+                CONSTRAINT chk_journal_lines_one_side
+                    CHECK (debit >= 0 AND credit >= 0 AND (debit = 0 OR credit = 0))
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        // Mevcut hareketler için yevmiye fişleri (silinmiş hareketler pasif fiş olarak)
+        await connection.query(`
+            INSERT INTO journal_entries (transaction_id, entry_date, description, reference_number, is_active, created_at, updated_at)
+            SELECT t.id, t.transaction_date, t.description, t.reference_number, t.is_active, t.created_at, t.updated_at
+            FROM transactions t
+            LEFT JOIN journal_entries je ON je.transaction_id = t.id
+            WHERE je.id IS NULL
+        `);
+
+        // Cari hesap satırları: income/receivable borç, expense/payable alacak
+        await connection.query(`
+            INSERT INTO journal_lines (journal_entry_id, ledger_account_id, account_id, debit, credit)
+            SELECT
+                je.id,
+                (SELECT id FROM ledger_accounts WHERE code = '120'),
+                t.account_id,
+                CASE WHEN t.transaction_type IN ('income', 'receivable') THEN t.amount ELSE 0 END,
+                CASE WHEN t.transaction_type IN ('expense', 'payable') THEN t.amount ELSE 0 END
+            FROM journal_entries je
+            INNER JOIN transactions t ON t.id = je.transaction_id
+        `);
+
+        // Karşı satırlar: income/receivable için 600 Gelirler alacak, expense/payable için 770 Giderler borç
+        await connection.query(`
+            INSERT INTO journal_lines (journal_entry_id, ledger_account_id, account_id, debit, credit)
+            SELECT
+                je.id,
+                CASE
+                    WHEN t.transaction_type IN ('income', 'receivable') THEN (SELECT id FROM ledger_accounts WHERE code = '600')
+                    ELSE (SELECT id FROM ledger_accounts WHERE code = '770')
+                END,
+                NULL,
+                CASE WHEN t.transaction_type IN ('expense', 'payable') THEN t.amount ELSE 0 END,
+                CASE WHEN t.transaction_type IN ('income', 'receivable') THEN t.amount ELSE 0 END
+            FROM journal_entries je
+            INNER JOIN transactions t ON t.id = je.transaction_id
+        `);
+    },
+
+    // Tabloları kaldır
+    down: async (connection) => {
+        await connection.query('DROP TABLE IF EXISTS journal_lines');
+        await connection.query('DROP TABLE IF EXISTS journal_entries');
+        await connection.query('DROP TABLE IF EXISTS ledger_accounts');
+    }
+};
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Migration 007 - users ve refresh_tokens
+ * @description Kimlik doğrulama için kullanıcı ve yenileme token'ı tablolarını oluşturur (userModel.js)
+ * @version 1.0.0
+ */
+
+module.exports = {
+    // Tabloları oluştur
+    up: async (connection) => {
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS users (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                email VARCHAR(100) NOT NULL,
+                password_hash VARCHAR(255) NOT NULL,
+                full_name VARCHAR(255) NOT NULL,
+                is_active TINYINT(1) NOT NULL DEFAULT 1,
+                last_login_at DATETIME NULL,
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_users_email (email)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        // Yenileme token'larının kendisi değil SHA-256 özeti saklanır
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS refresh_tokens (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                user_id INT UNSIGNED NOT NULL,
+                token_hash CHAR(64) NOT NULL,
+                expires_at DATETIME NOT NULL,
+                revoked_at DATETIME NULL,
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_refresh_tokens_token_hash (token_hash),
+                KEY idx_refresh_tokens_user (user_id),
+                CONSTRAINT fk_refresh_tokens_user
+                    FOREIGN KEY (user_id) REFERENCES users (id)
+                    ON UPDATE CASCADE ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    // Tabloları kaldır
+    down: async (connection) => {
+        await connection.query('DROP TABLE IF EXISTS refresh_tokens');
+        await connection.query('DROP TABLE IF EXISTS users');
+    }
+};
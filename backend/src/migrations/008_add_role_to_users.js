@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Migration 008 - users.role
+ * @description Rol tabanlı yetkilendirme için kullanıcılara rol sütunu ekler (config/permissions.js)
+ * @version 1.0.0
+ */
+
+module.exports = {
+    // Sütunu ekle
+    up: async (connection) => {
+        await connection.query(`
+            ALTER TABLE users
+                ADD COLUMN role ENUM('admin', 'accountant', 'viewer') NOT NULL DEFAULT 'viewer' AFTER full_name
+        `);
+
+        // Mevcut kurulumlarda yönetici kalmaması için ilk kayıtlı kullanıcı admin yapılır
+        await connection.query(`
+            UPDATE users
+            SET role = 'admin'
+            WHERE id = (SELECT first_user.id FROM (SELECT MIN(id) AS id FROM users) AS first_user)
+        `);
+    },
+
+    // Sütunu kaldır
+    down: async (connection) => {
+        await connection.query('ALTER TABLE users DROP COLUMN role');
+    }
+};
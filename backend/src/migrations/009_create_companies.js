@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Migration 009 - companies
+ * @description Çoklu şirket desteği için şirket ve şirket üyeliği tablolarını oluşturur,
+ * şirkete ait tablolara company_id sütunu ekler (middleware/companyMiddleware.js)
+ * @version 1.0.0
+ */
+
+/**
+ * Şirket kapsamına alınan tablolar
+ * @type {string[]}
+ */
+const SCOPED_TABLES = ['account_groups', 'accounts', 'transactions', 'user_settings', 'journal_entries'];
+
+module.exports = {
+    // Tabloları oluştur ve mevcut kayıtları varsayılan şirkete bağla
+    up: async (connection) => {
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS companies (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                company_name VARCHAR(255) NOT NULL,
+                tax_number VARCHAR(20) NULL,
+                tax_office VARCHAR(100) NULL,
+                is_active TINYINT(1) NOT NULL DEFAULT 1,
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_companies_company_name (company_name)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        // Mevcut tek şirketlik veriler 1 numaralı varsayılan şirkete aktarılır
+        await connection.query(`
+            INSERT IGNORE INTO companies (id, company_name) VALUES (1, 'Varsayılan Şirket')
+        `);
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS company_users (
+                company_id INT UNSIGNED NOT NULL,
+                user_id INT UNSIGNED NOT NULL,
+                is_default TINYINT(1) NOT NULL DEFAULT 0,
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (company_id, user_id),
+                KEY idx_company_users_user (user_id, is_default),
+                CONSTRAINT fk_company_users_company
+                    FOREIGN KEY (company_id) REFERENCES companies (id)
+                    ON UPDATE CASCADE ON DELETE CASCADE,
+                CONSTRAINT fk_company_users_user
+                    FOREIGN KEY (user_id) REFERENCES users (id)
+                    ON UPDATE CASCADE ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        // Mevcut kullanıcılar varsayılan şirketin üyesi olur
+        await connection.query(`
+            INSERT IGNORE INTO company_users (company_id, user_id, is_default)
+            SELECT 1, id, 1 FROM users
+        `);
+
+        for (const table of SCOPED_TABLES) {
+            await connection.query(`
+                ALTER TABLE ${table}
+                    ADD COLUMN company_id INT UNSIGNED NOT NULL DEFAULT 1 AFTER id,
+                    ADD CONSTRAINT fk_${table}_company
+                        FOREIGN KEY (company_id) REFERENCES companies (id)
+                        ON UPDATE CASCADE ON DELETE RESTRICT
+            `);
+
+            // Varsayılan değer yalnızca mevcut kayıtları doldurmak içindir;
+            // yeni kayıtlar şirketi açıkça belirtmek zorundadır
+            await connection.query(`ALTER TABLE ${table} ALTER COLUMN company_id DROP DEFAULT`);
+        }
+
+        // Benzersizlik kuralları şirket bazında geçerlidir
+        await connection.query(`
+            ALTER TABLE account_groups
+                DROP INDEX uq_account_groups_group_name,
+                ADD UNIQUE KEY uq_account_groups_company_group_name (company_id, group_name)
+        `);
+
+        await connection.query(`
+            ALTER TABLE user_settings
+                DROP INDEX uq_user_settings_setting_name,
+                ADD UNIQUE KEY uq_user_settings_company_setting_name (company_id, setting_name)
+        `);
+
+        await connection.query('ALTER TABLE accounts ADD KEY idx_accounts_company (company_id, is_active)');
+        await connection.query('ALTER TABLE transactions ADD KEY idx_transactions_company (company_id, is_active, transaction_date)');
+        await connection.query('ALTER TABLE journal_entries ADD KEY idx_journal_entries_company (company_id, entry_date)');
+    },
+
+    // Sütunları ve tabloları kaldır (farklı şirketlerde aynı grup veya ayar adı
+    // kullanılıyorsa benzersizlik indeksleri geri yüklenemez)
+    down: async (connection) => {
+        // Yabancı anahtarlar, onları destekleyen indekslerden önce kaldırılmalıdır
+        for (const table of SCOPED_TABLES) {
+            await connection.query(`ALTER TABLE ${table} DROP FOREIGN KEY fk_${table}_company`);
+        }
+
+        await connection.query('ALTER TABLE journal_entries DROP INDEX idx_journal_entries_company');
+        await connection.query('ALTER TABLE transactions DROP INDEX idx_transactions_company');
+        await connection.query('ALTER TABLE accounts DROP INDEX idx_accounts_company');
+
+        await connection.query(`
+            ALTER TABLE user_settings
+                DROP INDEX uq_user_settings_company_setting_name,
+                ADD UNIQUE KEY uq_user_settings_setting_name (setting_name)
+        `);
+
+        await connection.query(`
+            ALTER TABLE account_groups
+                DROP INDEX uq_account_groups_company_group_name,
+                ADD UNIQUE KEY uq_account_groups_group_name (group_name)
+        `);
+
+        for (const table of SCOPED_TABLES) {
+            await connection.query(`ALTER TABLE ${table} DROP COLUMN company_id`);
+        }
+
+        await connection.query('DROP TABLE IF EXISTS company_users');
+        await connection.query('DROP TABLE IF EXISTS companies');
+    }
+};
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Migration 010 - audit_log
+ * @description Grup, cari hesap, hareket, ayar ve yevmiye değişikliklerinin önceki/sonraki
+ * hallerini tutan denetim kaydı tablosunu oluşturur (auditLogModel.js)
+ * @version 1.0.0
+ */
+
+module.exports = {
+    // Tabloyu oluştur
+    up: async (connection) => {
+        // Ayarlar ID yerine ayar adıyla izlendiği için entity_id metin tutulur
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+                company_id INT UNSIGNED NOT NULL,
+                user_id INT UNSIGNED NULL,
+                entity VARCHAR(50) NOT NULL,
+                entity_id VARCHAR(100) NOT NULL,
+                action ENUM('create', 'update', 'delete') NOT NULL,
+                before_data JSON NULL,
+                after_data JSON NULL,
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                KEY idx_audit_log_entity (company_id, entity, entity_id, created_at),
+                KEY idx_audit_log_user (user_id),
+                CONSTRAINT fk_audit_log_company
+                    FOREIGN KEY (company_id) REFERENCES companies (id)
+                    ON UPDATE CASCADE ON DELETE RESTRICT,
+                CONSTRAINT fk_audit_log_user
+                    FOREIGN KEY (user_id) REFERENCES users (id)
+                    ON UPDATE CASCADE ON DELETE SET NULL
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+    },
+
+    // Tabloyu kaldır
+    down: async (connection) => {
+        await connection.query('DROP TABLE IF EXISTS audit_log');
+    }
+};
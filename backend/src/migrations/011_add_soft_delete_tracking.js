@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Migration 011 - deleted_at ve restore denetim işlemi
+ * @description Silinen cari hesap ve hareketlerin çöp kutusunda listelenebilmesi için
+ * silinme zamanını tutar ve denetim kaydına geri yükleme (restore) işlemini ekler
+ * @version 1.0.0
+ */
+
+module.exports = {
+    // Sütunları ekle
+    up: async (connection) => {
+        for (const table of ['accounts', 'transactions']) {
+            await connection.query(`
+                ALTER TABLE ${table}
+                    ADD COLUMN deleted_at DATETIME NULL AFTER is_active
+            `);
+
+            // Daha önce silinmiş kayıtlar için en iyi tahmin son güncellenme zamanıdır
+            await connection.query(`
+                UPDATE ${table} SET deleted_at = updated_at WHERE is_active = 0
+            `);
+        }
+
+        await connection.query(`
+            ALTER TABLE audit_log
+                MODIFY COLUMN action ENUM('create', 'update', 'delete', 'restore') NOT NULL
+        `);
+    },
+
+    // Sütunları kaldır
+    down: async (connection) => {
+        // Eski ENUM'a dönebilmek için geri yükleme kayıtları güncelleme olarak işaretlenir
+        await connection.query(`UPDATE audit_log SET action = 'update' WHERE action = 'restore'`);
+        await connection.query(`
+            ALTER TABLE audit_log
+                MODIFY COLUMN action ENUM('create', 'update', 'delete') NOT NULL
+        `);
+
+        await connection.query('ALTER TABLE transactions DROP COLUMN deleted_at');
+        await connection.query('ALTER TABLE accounts DROP COLUMN deleted_at');
+    }
+};
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Migration 012 - multi-currency
+ * @description Şirket ana para birimi, cari hesap ve hareket para birimleri, döviz kurları
+ * tablosu, kambiyo kar/zarar hesapları ve yevmiye satırlarında döviz tutarı (exchangeRateModel.js)
+ * @version 1.0.0
+ */
+
+module.exports = {
+    // Sütunları ve tabloyu ekle
+    up: async (connection) => {
+        // Bakiyeler, yevmiye borç/alacakları ve raporlar şirketin ana para biriminde tutulur
+        await connection.query(`
+            ALTER TABLE companies
+                ADD COLUMN base_currency CHAR(3) NOT NULL DEFAULT 'TRY' AFTER tax_office
+        `);
+
+        await connection.query(`
+            ALTER TABLE accounts
+                ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'TRY' AFTER account_type
+        `);
+
+        // amount hareketin kendi para birimindeki tutardır; base_amount = amount * exchange_rate.
+        // settles_transaction_id ile kapatılan dövizli hareketin kur farkı fx_gain_loss'ta tutulur
+        await connection.query(`
+            ALTER TABLE transactions
+                ADD COLUMN currency CHAR(3) NOT NULL DEFAULT 'TRY' AFTER amount,
+                ADD COLUMN exchange_rate DECIMAL(18, 6) NOT NULL DEFAULT 1.000000 AFTER currency,
+                ADD COLUMN base_amount DECIMAL(15, 2) NOT NULL DEFAULT 0.00 AFTER exchange_rate,
+                ADD COLUMN settles_transaction_id INT UNSIGNED NULL AFTER base_amount,
+                ADD COLUMN fx_gain_loss DECIMAL(15, 2) NOT NULL DEFAULT 0.00 AFTER settles_transaction_id,
+                ADD KEY idx_transactions_settles (settles_transaction_id),
+                ADD CONSTRAINT fk_transactions_settles
+                    FOREIGN KEY (settles_transaction_id) REFERENCES transactions (id)
+                    ON UPDATE CASCADE ON DELETE RESTRICT
+        `);
+
+        // Mevcut hareketler ana para birimindedir
+        await connection.query('UPDATE transactions SET base_amount = amount');
+
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS exchange_rates (
+                id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+                company_id INT UNSIGNED NOT NULL,
+                currency CHAR(3) NOT NULL,
+                rate_date DATE NOT NULL,
+                rate DECIMAL(18, 6) NOT NULL,
+                source ENUM('manual', 'import') NOT NULL DEFAULT 'manual',
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                PRIMARY KEY (id),
+                UNIQUE KEY uq_exchange_rates_company_currency_date (company_id, currency, rate_date),
+                CONSTRAINT fk_exchange_rates_company
+                    FOREIGN KEY (company_id) REFERENCES companies (id)
+                    ON UPDATE CASCADE ON DELETE RESTRICT,
+                CONSTRAINT chk_exchange_rates_rate CHECK (rate > 0)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `);
+
+        await connection.query(`
+            INSERT IGNORE INTO ledger_accounts (code, name, ledger_type, is_subledger) VALUES
+                ('646', 'Kambiyo Karları', 'income', 0),
+                ('656', 'Kambiyo Zararları', 'expense', 0)
+        `);
+
+        // debit/credit ana para birimindedir; dövizli satırlar orijinal tutarı da taşır
+        await connection.query(`
+            ALTER TABLE journal_lines
+                ADD COLUMN currency CHAR(3) NULL AFTER credit,
+                ADD COLUMN currency_amount DECIMAL(15, 2) NULL AFTER currency
+        `);
+    },
+
+    // Sütunları ve tabloyu kaldır
+    down: async (connection) => {
+        await connection.query('ALTER TABLE journal_lines DROP COLUMN currency_amount, DROP COLUMN currency');
+
+        // Kambiyo hesaplarına satır yazılmışsa silme başarısız olur (ON DELETE RESTRICT)
+        await connection.query(`DELETE FROM ledger_accounts WHERE code IN ('646', '656')`);
+
+        await connection.query('DROP TABLE IF EXISTS exchange_rates');
+
+        await connection.query(`
+            ALTER TABLE transactions
+                DROP FOREIGN KEY fk_transactions_settles,
+                DROP KEY idx_transactions_settles,
+                DROP COLUMN fx_gain_loss,
+                DROP COLUMN settles_transaction_id,
+                DROP COLUMN base_amount,
+                DROP COLUMN exchange_rate,
+                DROP COLUMN currency
+        `);
+
+        await connection.query('ALTER TABLE accounts DROP COLUMN currency');
+        await connection.query('ALTER TABLE companies DROP COLUMN base_currency');
+    }
+};
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Migration 013 - money precision
+ * @description Tutar sütunlarını DECIMAL(19, 4) yapar; tutarlar şirketin decimal_places
+ * ayarına (en fazla 4 basamak) yuvarlanarak saklanır (utils/money.js)
+ * @version 1.0.0
+ */
+
+module.exports = {
+    // Tutar sütunlarını genişlet
+    up: async (connection) => {
+        await connection.query(`
+            ALTER TABLE accounts
+                MODIFY COLUMN opening_balance DECIMAL(19, 4) NOT NULL DEFAULT 0,
+                MODIFY COLUMN balance DECIMAL(19, 4) NOT NULL DEFAULT 0
+        `);
+
+        await connection.query(`
+            ALTER TABLE transactions
+                MODIFY COLUMN amount DECIMAL(19, 4) NOT NULL,
+                MODIFY COLUMN base_amount DECIMAL(19, 4) NOT NULL DEFAULT 0,
+                MODIFY COLUMN fx_gain_loss DECIMAL(19, 4) NOT NULL DEFAULT 0
+        `);
+
+        await connection.query(`
+            ALTER TABLE journal_lines
+                MODIFY COLUMN debit DECIMAL(19, 4) NOT NULL DEFAULT 0,
+                MODIFY COLUMN credit DECIMAL(19, 4) NOT NULL DEFAULT 0,
+                MODIFY COLUMN currency_amount DECIMAL(19, 4) NULL
+        `);
+    },
+
+    // Tutar sütunlarını iki basamağa geri döndür (fazla basamaklar yuvarlanır)
+    down: async (connection) => {
+        await connection.query(`
+            ALTER TABLE journal_lines
+                MODIFY COLUMN debit DECIMAL(15, 2) NOT NULL DEFAULT 0.00,
+                MODIFY COLUMN credit DECIMAL(15, 2) NOT NULL DEFAULT 0.00,
+                MODIFY COLUMN currency_amount DECIMAL(15, 2) NULL
+        `);
+
+        await connection.query(`
+            ALTER TABLE transactions
+                MODIFY COLUMN amount DECIMAL(15, 2) NOT NULL,
+                MODIFY COLUMN base_amount DECIMAL(15, 2) NOT NULL DEFAULT 0.00,
+                MODIFY COLUMN fx_gain_loss DECIMAL(15, 2) NOT NULL DEFAULT 0.00
+        `);
+
+        await connection.query(`
+            ALTER TABLE accounts
+                MODIFY COLUMN opening_balance DECIMAL(15, 2) NOT NULL DEFAULT 0.00,
+                MODIFY COLUMN balance DECIMAL(15, 2) NOT NULL DEFAULT 0.00
+        `);
+    }
+};
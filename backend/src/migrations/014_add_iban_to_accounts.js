@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Migration 014 - account IBAN
+ * @description Cari hesaplara IBAN sütunu ekler; banka ekstresi içe aktarmada hareketler
+ * karşı tarafın IBAN'ıyla cari hesaba eşleştirilir (bankStatementService.js)
+ * @version 1.0.0
+ */
+
+module.exports = {
+    // IBAN sütununu ve şirket bazlı aramalar için indeksi ekle
+    up: async (connection) => {
+        await connection.query(`
+            ALTER TABLE accounts
+                ADD COLUMN iban VARCHAR(34) NULL AFTER tax_office,
+                ADD KEY idx_accounts_company_iban (company_id, iban)
+        `);
+    },
+
+    // IBAN sütununu kaldır
+    down: async (connection) => {
+        await connection.query(`
+            ALTER TABLE accounts
+                DROP KEY idx_accounts_company_iban,
+                DROP COLUMN iban
+        `);
+    }
+};
@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Migration 015 - bank reconciliation marker
+ * @description Banka ekstresiyle mutabakatı onaylanan hareketlerin onay zamanını ve onaylayan
+ * kullanıcıyı tutar; mutabakat çalışma alanı yalnızca işaretsiz hareketleri eşleştirir
+ * (bankReconciliationService.js)
+ * @version 1.0.0
+ */
+
+module.exports = {
+    // Mutabakat sütunlarını ve işaretsiz hareket aramaları için indeksi ekle
+    up: async (connection) => {
+        await connection.query(`
+            ALTER TABLE transactions
+                ADD COLUMN reconciled_at DATETIME NULL AFTER status,
+                ADD COLUMN reconciled_by INT NULL AFTER reconciled_at,
+                ADD KEY idx_transactions_company_reconciled (company_id, reconciled_at, transaction_date)
+        `);
+    },
+
+    // Mutabakat sütunlarını kaldır
+    down: async (connection) => {
+        await connection.query(`
+            ALTER TABLE transactions
+                DROP KEY idx_transactions_company_reconciled,
+                DROP COLUMN reconciled_by,
+                DROP COLUMN reconciled_at
+        `);
+    }
+};
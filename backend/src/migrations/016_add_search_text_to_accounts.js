@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Migration 016 - account search text
+ * @description Cari hesapların ad, kod, e-posta, telefon ve vergi numarasını Türkçe karakterleri
+ * ASCII'ye indirilmiş tek bir sütunda tutar; cari hesap araması bu sütunda yapılır
+ * (accountSearchService.js). Mevcut hesaplar için sütun doldurulur.
+ * @version 1.0.0
+ */
+
+const SearchText = require('../utils/searchText');
+
+module.exports = {
+    // Arama sütununu ekle ve mevcut hesaplar için doldur
+    up: async (connection) => {
+        await connection.query(`
+            ALTER TABLE accounts
+                ADD COLUMN search_text VARCHAR(500) NULL AFTER currency
+        `);
+
+        const [accounts] = await connection.query(
+            'SELECT id, account_name, account_code, email, phone, tax_number FROM accounts'
+        );
+
+        for (const account of accounts) {
+            await connection.query(
+                'UPDATE accounts SET search_text = ? WHERE id = ?',
+                [SearchText.build(account), account.id]
+            );
+        }
+    },
+
+    // Arama sütununu kaldır
+    down: async (connection) => {
+        await connection.query(`
+            ALTER TABLE accounts
+                DROP COLUMN search_text
+        `);
+    }
+};
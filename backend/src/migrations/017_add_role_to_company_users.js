@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Migration 017 - company_users.role
+ * @description Rolü şirket üyeliğine taşır: bir kullanıcı bir şirkette admin, başka bir şirkette
+ * viewer olabilir. Şirket verilerine erişimde üyelik rolü, kullanıcı yönetimi ve şirket
+ * oluşturmada users.role geçerlidir (middleware/companyMiddleware.js, config/permissions.js)
+ * @version 1.0.0
+ */
+
+module.exports = {
+    // Sütunu ekle; mevcut üyelikler kullanıcının şimdiki rolünü alır
+    up: async (connection) => {
+        await connection.query(`
+            ALTER TABLE company_users
+                ADD COLUMN role ENUM('admin', 'accountant', 'viewer') NOT NULL DEFAULT 'viewer' AFTER user_id
+        `);
+
+        await connection.query(`
+            UPDATE company_users cu
+            INNER JOIN users u ON u.id = cu.user_id
+            SET cu.role = u.role
+        `);
+    },
+
+    // Sütunu kaldır
+    down: async (connection) => {
+        await connection.query('ALTER TABLE company_users DROP COLUMN role');
+    }
+};
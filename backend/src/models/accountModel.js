@@ -5,15 +5,68 @@
  */
 
 const db = require('../config/db');
+const AuditLog = require('./auditLogModel');
+const Journal = require('./journalModel');
+const Transactions = require('./transactionModel');
+const ExchangeRates = require('./exchangeRateModel');
+const UserSettings = require('./userSettingsModel');
+const Money = require('../utils/money');
+const Pagination = require('../utils/pagination');
+const SearchText = require('../utils/searchText');
+
+/**
+ * Cari hesap silme modları
+ * - refuse: bağlı kayıt varsa silme
+ * - archive: bağlı hareketlerle birlikte çöp kutusuna taşı
+ * - transfer: açık bakiyeyi başka bir cari hesaba devret
+ * @type {string[]}
+ */
+const DELETE_MODES = ['refuse', 'archive', 'transfer'];
+
+/**
+ * Cari hesap türleri
+ * @type {string[]}
+ */
+const ACCOUNT_TYPES = ['customer', 'supplier', 'both'];
+
+/**
+ * Cari hesap listesinin sıralanabilen alanları (?sort=alan veya -alan) ve varsayılan sıralama
+ * @type {{columns: Object<string, string>, idColumn: string, defaultSort: string}}
+ */
+const LIST_SORT = {
+    columns: {
+        account_name: 'a.account_name',
+        balance: 'a.balance',
+        id: 'a.id'
+    },
+    idColumn: 'a.id',
+    defaultSort: 'account_name'
+};
+
+// IBAN'ı boşluksuz ve büyük harfle sakla (TR33 0006 ... -> TR330006...)
+const normalizeIban = (iban) => (iban ? iban.replace(/\s+/g, '').toUpperCase() : null);
 
 /**
  * Customer Accounts Model
  * @namespace Accounts
  */
 const Accounts = {
-    // Tüm cari hesapları grup adlarıyla birlikte getir
-    getAllAccounts: async () => {
+    // Geçerli hesap türleri ve silme modları
+    ACCOUNT_TYPES,
+    DELETE_MODES,
+    normalizeIban,
+
+    // Listenin sıralanabilen alanları ve varsayılan sıralaması
+    SORT_FIELDS: Object.keys(LIST_SORT.columns),
+    DEFAULT_SORT: LIST_SORT.defaultSort,
+
+    // Aktif cari hesapları grup adlarıyla birlikte getir
+    // pagination: { limit, cursor, sort } - limit verilmezse tüm hesaplar döner
+    getAllAccounts: async (context, pagination = {}) => {
         try {
+            const page = Pagination.build(pagination, LIST_SORT);
+            const conditions = ['a.company_id = ?', 'a.is_active = 1'];
+
             const [rows] = await db.execute(`
                 SELECT 
                     a.id,
@@ -26,20 +79,34 @@ const Accounts = {
                     a.address,
                     a.tax_number,
                     a.tax_office,
+                    a.iban,
+                    a.opening_balance,
                     a.balance,
                     a.account_type,
+                    a.currency,
                     a.is_active,
                     a.created_at,
                     a.updated_at
                 FROM accounts a
                 LEFT JOIN account_groups ag ON a.group_id = ag.id
-                WHERE a.is_active = 1
-                ORDER BY a.account_name ASC
-            `);
-            
+                WHERE ${[...conditions, ...page.conditions].join(' AND ')}
+                ${page.orderBy}
+                ${page.limitClause}
+            `, [context.companyId, ...page.params]);
+
+            // Toplam kayıt sayısı imleçten bağımsızdır
+            const [countRows] = await db.execute(
+                `SELECT COUNT(*) AS total FROM accounts a WHERE ${conditions.join(' AND ')}`,
+                [context.companyId]
+            );
+
+            const { data, nextCursor } = page.toPage(rows);
+
             return {
                 success: true,
-                data: rows
+                data,
+                totalCount: countRows[0].total,
+                nextCursor
             };
         } catch (error) {
             console.error('getAllAccounts Error:', error);
@@ -50,8 +117,52 @@ const Accounts = {
         }
     },
 
+    // Cari hesapları dışa aktarma için parti parti oku - her parti için onBatch(rows)
+    // (sıralama getAllAccounts ile aynıdır)
+    forEachAccount: async (context, onBatch) => {
+        try {
+            const count = await Pagination.forEachPage({}, LIST_SORT, async (page) => {
+                const [rows] = await db.execute(`
+                    SELECT 
+                        a.id,
+                        a.account_name,
+                        a.account_code,
+                        ag.group_name,
+                        a.phone,
+                        a.email,
+                        a.address,
+                        a.tax_number,
+                        a.tax_office,
+                        a.iban,
+                        a.opening_balance,
+                        a.balance,
+                        a.account_type,
+                        a.currency
+                    FROM accounts a
+                    LEFT JOIN account_groups ag ON a.group_id = ag.id
+                    WHERE ${['a.company_id = ?', 'a.is_active = 1', ...page.conditions].join(' AND ')}
+                    ${page.orderBy}
+                    ${page.limitClause}
+                `, [context.companyId, ...page.params]);
+
+                return rows;
+            }, onBatch);
+
+            return {
+                success: true,
+                data: { count }
+            };
+        } catch (error) {
+            console.error('forEachAccount Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
     // ID'ye göre cari hesap getir (grup adıyla birlikte)
-    getAccountById: async (id) => {
+    getAccountById: async (context, id) => {
         try {
             const [rows] = await db.execute(`
                 SELECT 
@@ -65,15 +176,18 @@ const Accounts = {
                     a.address,
                     a.tax_number,
                     a.tax_office,
+                    a.iban,
+                    a.opening_balance,
                     a.balance,
                     a.account_type,
+                    a.currency,
                     a.is_active,
                     a.created_at,
                     a.updated_at
                 FROM accounts a
                 LEFT JOIN account_groups ag ON a.group_id = ag.id
-                WHERE a.id = ? AND a.is_active = 1
-            `, [id]);
+                WHERE a.id = ? AND a.company_id = ? AND a.is_active = 1
+            `, [id, context.companyId]);
             
             if (rows.length === 0) {
                 return {
@@ -96,7 +210,9 @@ const Accounts = {
     },
 
     // Yeni cari hesap oluştur
-    createAccount: async (data) => {
+    // connection verilirse kayıt çağıranın işlemine katılır (toplu içe aktarma); bu durumda
+    // veritabanı hataları çağırana fırlatılır ki çağıranın işlemi geri alınsın
+    createAccount: async (context, data, connection = null) => {
         try {
             const {
                 account_name,
@@ -107,8 +223,10 @@ const Accounts = {
                 address = null,
                 tax_number = null,
                 tax_office = null,
+                iban = null,
                 balance = 0,
-                account_type = 'customer' // customer, supplier, both
+                account_type = 'customer', // customer, supplier, both
+                currency = null // Verilmezse şirketin ana para birimi
             } = data;
 
             // Zorunlu alanları kontrol et
@@ -119,89 +237,129 @@ const Accounts = {
                 };
             }
 
-            // Cari kodu benzersizlik kontrolü
-            if (account_code) {
-                const [existingCode] = await db.execute(
-                    'SELECT id FROM accounts WHERE account_code = ? AND is_active = 1',
-                    [account_code]
-                );
-
-                if (existingCode.length > 0) {
+            // Email format kontrolü (eğer belirtilmişse)
+            if (email && email.trim() !== '') {
+                const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+                if (!emailRegex.test(email.trim())) {
                     return {
                         success: false,
-                        error: 'Bu cari kodu zaten kullanılıyor'
+                        error: 'Geçersiz email formatı'
                     };
                 }
             }
 
-            // Cari adı benzersizlik kontrolü
-            const [existingName] = await db.execute(
-                'SELECT id FROM accounts WHERE account_name = ? AND is_active = 1',
-                [account_name.trim()]
-            );
+            // Açılış bakiyesi kontrolü (eğer belirtilmişse)
+            if (balance !== undefined && balance !== null && !Money.isValid(balance)) {
+                return {
+                    success: false,
+                    error: 'Açılış bakiyesi sayısal bir değer olmalıdır'
+                };
+            }
 
-            if (existingName.length > 0) {
+            if (currency && !ExchangeRates.CURRENCY_CODE_PATTERN.test(currency)) {
                 return {
                     success: false,
-                    error: 'Bu cari hesap adı zaten mevcut'
+                    error: 'Para birimi üç harfli ISO kodu olmalıdır (örn. USD)'
                 };
             }
 
-            // Grup ID kontrolü (eğer belirtilmişse)
-            if (group_id) {
-                const [groupExists] = await db.execute(
-                    'SELECT id FROM account_groups WHERE id = ?',
-                    [group_id]
-                );
+            // Kayıt ve denetim kaydı tek işlemde yapılır
+            return await db.withTransaction(async (connection) => {
+                // Cari kodu benzersizlik kontrolü
+                if (account_code) {
+                    const [existingCode] = await connection.execute(
+                        'SELECT id FROM accounts WHERE account_code = ? AND company_id = ? AND is_active = 1',
+                        [account_code, context.companyId]
+                    );
 
-                if (groupExists.length === 0) {
-                    return {
-                        success: false,
-                        error: 'Belirtilen grup bulunamadı'
-                    };
+                    if (existingCode.length > 0) {
+                        return {
+                            success: false,
+                            error: 'Bu cari kodu zaten kullanılıyor'
+                        };
+                    }
                 }
-            }
 
-            // Email format kontrolü (eğer belirtilmişse)
-            if (email && email.trim() !== '') {
-                const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                if (!emailRegex.test(email.trim())) {
+                // Cari adı benzersizlik kontrolü
+                const [existingName] = await connection.execute(
+                    'SELECT id FROM accounts WHERE account_name = ? AND company_id = ? AND is_active = 1',
+                    [account_name.trim(), context.companyId]
+                );
+
+                if (existingName.length > 0) {
                     return {
                         success: false,
-                        error: 'Geçersiz email formatı'
+                        error: 'Bu cari hesap adı zaten mevcut'
                     };
                 }
-            }
 
-            const [result] = await db.execute(`
-                INSERT INTO accounts (
-                    account_name, account_code, group_id, phone, email, 
-                    address, tax_number, tax_office, balance, account_type, 
-                    is_active, created_at, updated_at
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, NOW(), NOW())
-            `, [
-                account_name.trim(),
-                account_code || null,
-                group_id || null,
-                phone || null,
-                email ? email.trim() : null,
-                address || null,
-                tax_number || null,
-                tax_office || null,
-                parseFloat(balance) || 0,
-                account_type
-            ]);
+                // Grup ID kontrolü (eğer belirtilmişse)
+                if (group_id) {
+                    const [groupExists] = await connection.execute(
+                        'SELECT id FROM account_groups WHERE id = ? AND company_id = ?',
+                        [group_id, context.companyId]
+                    );
 
-            return {
-                success: true,
-                data: {
-                    id: result.insertId,
-                    account_name: account_name.trim(),
-                    account_code: account_code || null,
-                    message: 'Cari hesap başarıyla oluşturuldu'
+                    if (groupExists.length === 0) {
+                        return {
+                            success: false,
+                            error: 'Belirtilen grup bulunamadı'
+                        };
+                    }
                 }
-            };
+
+                // Açılış bakiyesi hesabın para biriminden bağımsız olarak ana para birimindedir
+                const accountCurrency = currency || await ExchangeRates.getBaseCurrency(connection, context.companyId);
+                const decimalPlaces = await UserSettings.getDecimalPlaces(connection, context.companyId);
+                const openingBalance = Money.toNumber(Money.parse(balance || 0, decimalPlaces));
+
+                const [result] = await connection.execute(`
+                    INSERT INTO accounts (
+                        company_id, account_name, account_code, group_id, phone, email, 
+                        address, tax_number, tax_office, iban, opening_balance, balance, account_type, 
+                        currency, search_text, is_active, created_at, updated_at
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, NOW(), NOW())
+                `, [
+                    context.companyId,
+                    account_name.trim(),
+                    account_code || null,
+                    group_id || null,
+                    phone || null,
+                    email ? email.trim() : null,
+                    address || null,
+                    tax_number || null,
+                    tax_office || null,
+                    normalizeIban(iban),
+                    openingBalance, // Açılış bakiyesi
+                    openingBalance,
+                    account_type,
+                    accountCurrency,
+                    SearchText.build({ account_name, account_code, email, phone, tax_number })
+                ]);
+
+                await AuditLog.record(connection, context, {
+                    entity: 'account',
+                    entityId: result.insertId,
+                    action: 'create',
+                    after: await AuditLog.snapshot(connection, context, 'account', result.insertId)
+                });
+
+                return {
+                    success: true,
+                    data: {
+                        id: result.insertId,
+                        account_name: account_name.trim(),
+                        account_code: account_code || null,
+                        currency: accountCurrency,
+                        message: 'Cari hesap başarıyla oluşturuldu'
+                    }
+                };
+            }, connection);
         } catch (error) {
+            if (connection) {
+                throw error;
+            }
+
             console.error('createAccount Error:', error);
             return {
                 success: false,
@@ -211,14 +369,8 @@ const Accounts = {
     },
 
     // Cari hesabı güncelle
-    updateAccount: async (id, data) => {
+    updateAccount: async (context, id, data) => {
         try {
-            // Hesap var mı kontrol et
-            const existingAccount = await Accounts.getAccountById(id);
-            if (!existingAccount.success) {
-                return existingAccount;
-            }
-
             const {
                 account_name,
                 account_code,
@@ -228,8 +380,10 @@ const Accounts = {
                 address,
                 tax_number,
                 tax_office,
-                balance,
-                account_type
+                iban,
+                opening_balance,
+                account_type,
+                currency
             } = data;
 
             // Zorunlu alanları kontrol et
@@ -240,106 +394,409 @@ const Accounts = {
                 };
             }
 
-            // Cari kodu benzersizlik kontrolü (kendisi hariç)
-            if (account_code) {
-                const [existingCode] = await db.execute(
-                    'SELECT id FROM accounts WHERE account_code = ? AND id != ? AND is_active = 1',
-                    [account_code, id]
-                );
+            // Açılış bakiyesi kontrolü (eğer belirtilmişse)
+            if (opening_balance !== undefined && opening_balance !== null && !Money.isValid(opening_balance)) {
+                return {
+                    success: false,
+                    error: 'Açılış bakiyesi sayısal bir değer olmalıdır'
+                };
+            }
+
+            if (currency && !ExchangeRates.CURRENCY_CODE_PATTERN.test(currency)) {
+                return {
+                    success: false,
+                    error: 'Para birimi üç harfli ISO kodu olmalıdır (örn. USD)'
+                };
+            }
 
-                if (existingCode.length > 0) {
+            // Email format kontrolü (eğer belirtilmişse)
+            if (email && email.trim() !== '') {
+                const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+                if (!emailRegex.test(email.trim())) {
                     return {
                         success: false,
-                        error: 'Bu cari kodu başka bir hesap tarafından kullanılıyor'
+                        error: 'Geçersiz email formatı'
                     };
                 }
             }
 
-            // Cari adı benzersizlik kontrolü (kendisi hariç)
-            const [existingName] = await db.execute(
-                'SELECT id FROM accounts WHERE account_name = ? AND id != ? AND is_active = 1',
-                [account_name.trim(), id]
-            );
+            return await db.withTransaction(async (connection) => {
+                // Hesap var mı kontrol et ve satırı kilitle
+                const before = await AuditLog.snapshot(connection, context, 'account', id);
+                if (!before || before.is_active !== 1) {
+                    return {
+                        success: false,
+                        error: 'Cari hesap bulunamadı'
+                    };
+                }
+
+                // Cari kodu benzersizlik kontrolü (kendisi hariç)
+                if (account_code) {
+                    const [existingCode] = await connection.execute(
+                        'SELECT id FROM accounts WHERE account_code = ? AND id != ? AND company_id = ? AND is_active = 1',
+                        [account_code, id, context.companyId]
+                    );
+
+                    if (existingCode.length > 0) {
+                        return {
+                            success: false,
+                            error: 'Bu cari kodu başka bir hesap tarafından kullanılıyor'
+                        };
+                    }
+                }
+
+                // Cari adı benzersizlik kontrolü (kendisi hariç)
+                const [existingName] = await connection.execute(
+                    'SELECT id FROM accounts WHERE account_name = ? AND id != ? AND company_id = ? AND is_active = 1',
+                    [account_name.trim(), id, context.companyId]
+                );
+
+                if (existingName.length > 0) {
+                    return {
+                        success: false,
+                        error: 'Bu cari hesap adı başka bir hesap tarafından kullanılıyor'
+                    };
+                }
+
+                // Grup ID kontrolü (eğer belirtilmişse)
+                if (group_id) {
+                    const [groupExists] = await connection.execute(
+                        'SELECT id FROM account_groups WHERE id = ? AND company_id = ?',
+                        [group_id, context.companyId]
+                    );
+
+                    if (groupExists.length === 0) {
+                        return {
+                            success: false,
+                            error: 'Belirtilen grup bulunamadı'
+                        };
+                    }
+                }
+
+                // Hareketler hesabın para biriminde tutulduğu için, silinmiş olanlar dahil
+                // hareketi bulunan hesabın para birimi değiştirilemez
+                const newCurrency = currency || before.currency;
+                if (newCurrency !== before.currency) {
+                    const [transactionCount] = await connection.execute(
+                        'SELECT COUNT(*) AS count FROM transactions WHERE account_id = ? AND company_id = ?',
+                        [id, context.companyId]
+                    );
+
+                    if (transactionCount[0].count > 0) {
+                        return {
+                            success: false,
+                            error: 'Hareketi bulunan cari hesabın para birimi değiştirilemez'
+                        };
+                    }
+                }
+
+                // Bakiye doğrudan yazılmaz; açılış bakiyesi değişirse güncel bakiye
+                // aradaki fark kadar kaydırılır (MySQL atamaları soldan sağa uygular,
+                // bu yüzden balance ataması opening_balance'tan önce gelmelidir)
+                const decimalPlaces = await UserSettings.getDecimalPlaces(connection, context.companyId);
+                const newOpeningBalance = opening_balance !== undefined && opening_balance !== null
+                    ? Money.toNumber(Money.parse(opening_balance, decimalPlaces))
+                    : Money.toNumber(Money.parse(before.opening_balance));
+
+                const [result] = await connection.execute(`
+                    UPDATE accounts SET 
+                        account_name = ?, 
+                        account_code = ?, 
+                        group_id = ?, 
+                        phone = ?, 
+                        email = ?, 
+                        address = ?, 
+                        tax_number = ?, 
+                        tax_office = ?, 
+                        iban = ?, 
+                        balance = balance + (? - opening_balance), 
+                        opening_balance = ?, 
+                        account_type = ?,
+                        currency = ?,
+                        search_text = ?,
+                        updated_at = NOW()
+                    WHERE id = ? AND company_id = ? AND is_active = 1
+                `, [
+                    account_name.trim(),
+                    account_code || null,
+                    group_id || null,
+                    phone || null,
+                    email ? email.trim() : null,
+                    address || null,
+                    tax_number || null,
+                    tax_office || null,
+                    normalizeIban(iban),
+                    newOpeningBalance,
+                    newOpeningBalance,
+                    account_type || before.account_type,
+                    newCurrency,
+                    SearchText.build({ account_name, account_code, email, phone, tax_number }),
+                    id,
+                    context.companyId
+                ]);
+
+                if (result.affectedRows === 0) {
+                    return {
+                        success: false,
+                        error: 'Cari hesap güncellenemedi'
+                    };
+                }
+
+                await AuditLog.record(connection, context, {
+                    entity: 'account',
+                    entityId: id,
+                    action: 'update',
+                    before,
+                    after: await AuditLog.snapshot(connection, context, 'account', id)
+                });
+
+                return {
+                    success: true,
+                    data: {
+                        id: parseInt(id),
+                        account_name: account_name.trim(),
+                        account_code: account_code || null,
+                        message: 'Cari hesap başarıyla güncellendi'
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('updateAccount Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Cari hesabı sil (soft delete)
+    // refuse: bağlı aktif hareket veya yevmiye fişi varsa silmez (varsayılan)
+    // archive: hesabı bağlı aktif hareketleriyle birlikte çöp kutusuna taşır (elle girilmiş yevmiye
+    // fişi varsa silmez)
+    // transfer: açık bakiyeyi hedef cari hesaba devrederek hesabı kapatır
+    deleteAccount: async (context, id, options = {}) => {
+        try {
+            const { mode = 'refuse', target_account_id = null } = options;
 
-            if (existingName.length > 0) {
+            if (!DELETE_MODES.includes(mode)) {
                 return {
                     success: false,
-                    error: 'Bu cari hesap adı başka bir hesap tarafından kullanılıyor'
+                    error: `Geçersiz silme modu (${DELETE_MODES.join('/')})`
                 };
             }
 
-            // Grup ID kontrolü (eğer belirtilmişse)
-            if (group_id) {
-                const [groupExists] = await db.execute(
-                    'SELECT id FROM account_groups WHERE id = ?',
-                    [group_id]
-                );
+            if (mode === 'transfer') {
+                if (!target_account_id || isNaN(target_account_id)) {
+                    return {
+                        success: false,
+                        error: 'Bakiye devri için hedef cari hesap ID\'si gereklidir'
+                    };
+                }
 
-                if (groupExists.length === 0) {
+                if (parseInt(target_account_id) === parseInt(id)) {
                     return {
                         success: false,
-                        error: 'Belirtilen grup bulunamadı'
+                        error: 'Bakiye aynı cari hesaba devredilemez'
                     };
                 }
             }
 
-            // Email format kontrolü (eğer belirtilmişse)
-            if (email && email.trim() !== '') {
-                const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                if (!emailRegex.test(email.trim())) {
+            return await db.withTransaction(async (connection) => {
+                // Bakiye devrinde iki hesap da deadlock riskine karşı ID sırasıyla kilitlenir
+                const lockIds = mode === 'transfer'
+                    ? [parseInt(id), parseInt(target_account_id)].sort((a, b) => a - b)
+                    : [parseInt(id)];
+                const [lockedAccounts] = await connection.execute(
+                    `SELECT id, company_id, is_active, currency FROM accounts WHERE id IN (${lockIds.map(() => '?').join(', ')}) ORDER BY id FOR UPDATE`,
+                    lockIds
+                );
+
+                const before = await AuditLog.snapshot(connection, context, 'account', id);
+                if (!before || before.is_active !== 1) {
                     return {
                         success: false,
-                        error: 'Geçersiz email formatı'
+                        error: 'Cari hesap bulunamadı'
                     };
                 }
-            }
 
-            const [result] = await db.execute(`
-                UPDATE accounts SET 
-                    account_name = ?, 
-                    account_code = ?, 
-                    group_id = ?, 
-                    phone = ?, 
-                    email = ?, 
-                    address = ?, 
-                    tax_number = ?, 
-                    tax_office = ?, 
-                    balance = ?, 
-                    account_type = ?,
-                    updated_at = NOW()
-                WHERE id = ? AND is_active = 1
-            `, [
-                account_name.trim(),
-                account_code || null,
-                group_id || null,
-                phone || null,
-                email ? email.trim() : null,
-                address || null,
-                tax_number || null,
-                tax_office || null,
-                parseFloat(balance) || existingAccount.data.balance,
-                account_type || existingAccount.data.account_type,
-                id
-            ]);
+                // Hesaba bağlı aktif hareketler ve doğrudan girilmiş yevmiye fişleri
+                const [linkedTransactions] = await connection.execute(
+                    'SELECT * FROM transactions WHERE account_id = ? AND company_id = ? AND is_active = 1 ORDER BY id FOR UPDATE',
+                    [id, context.companyId]
+                );
+
+                const [linkedEntries] = await connection.execute(`
+                    SELECT COUNT(DISTINCT je.id) AS count
+                    FROM journal_lines jl
+                    INNER JOIN journal_entries je ON je.id = jl.journal_entry_id
+                    WHERE jl.account_id = ? AND je.transaction_id IS NULL AND je.is_active = 1
+                `, [id]);
+
+                if (mode === 'refuse' && (linkedTransactions.length > 0 || linkedEntries[0].count > 0)) {
+                    return {
+                        success: false,
+                        error: `Bu cari hesaba bağlı ${linkedTransactions.length} hareket ve ${linkedEntries[0].count} yevmiye fişi bulunduğu için silinemez (archive veya transfer modunu kullanın)`
+                    };
+                }
+
+                // Elle girilmiş fişler arşivlenmez; hesap sıfırdan farklı defter bakiyesiyle kapanmasın diye
+                // önce fişlerin silinmesi (DELETE /api/journal/:id) veya transfer modu gerekir
+                if (mode === 'archive' && linkedEntries[0].count > 0) {
+                    return {
+                        success: false,
+                        error: `Bu cari hesaba bağlı ${linkedEntries[0].count} elle girilmiş yevmiye fişi bulunduğu için arşivlenemez (fişleri silin veya transfer modunu kullanın)`
+                    };
+                }
+
+                // Hareketleri tek tek sil; her birinin bakiye etkisi ve yevmiye fişi geri alınır,
+                // böylece daha sonra POST /api/transactions/:id/restore ile geri yüklenebilirler
+                if (mode === 'archive') {
+                    for (const transaction of linkedTransactions) {
+                        await connection.execute(
+                            'UPDATE transactions SET is_active = 0, deleted_at = NOW(), updated_at = NOW() WHERE id = ?',
+                            [transaction.id]
+                        );
+
+                        await Transactions.updateAccountBalance(
+                            connection,
+                            transaction.account_id,
+                            transaction.transaction_type,
+                            Transactions.balanceAmount(transaction),
+                            'subtract'
+                        );
+
+                        await Journal.reverseTransactionEntry(connection, transaction.id);
+
+                        await AuditLog.record(connection, context, {
+                            entity: 'transaction',
+                            entityId: transaction.id,
+                            action: 'delete',
+                            before: transaction,
+                            after: await AuditLog.snapshot(connection, context, 'transaction', transaction.id)
+                        });
+                    }
+                }
+
+                let transfer = null;
+                if (mode === 'transfer') {
+                    const target = lockedAccounts.find((account) => account.id === parseInt(target_account_id));
+                    if (!target || target.is_active !== 1 || target.company_id !== context.companyId) {
+                        return {
+                            success: false,
+                            error: 'Bakiyenin devredileceği cari hesap geçersiz veya silinmiş'
+                        };
+                    }
+
+                    if (target.currency !== before.currency) {
+                        return {
+                            success: false,
+                            error: `Bakiye yalnızca aynı para birimindeki (${before.currency}) cari hesaba devredilebilir`
+                        };
+                    }
+
+                    // Sıfır bakiyeli hesap için devir fişi oluşturulmaz
+                    const balance = Money.toNumber(Money.parse(before.balance));
+                    if (balance !== 0) {
+                        const journalEntryId = await Journal.postBalanceTransferEntry(connection, {
+                            company_id: context.companyId,
+                            from_account_id: id,
+                            to_account_id: target.id,
+                            amount: balance,
+                            description: `${before.account_name} cari hesabının kapanış bakiyesi devri`
+                        });
+
+                        const [savedLines] = await connection.execute(
+                            'SELECT ledger_account_id, account_id, debit, credit, description FROM journal_lines WHERE journal_entry_id = ? ORDER BY id',
+                            [journalEntryId]
+                        );
+
+                        await AuditLog.record(connection, context, {
+                            entity: 'journal_entry',
+                            entityId: journalEntryId,
+                            action: 'create',
+                            after: {
+                                ...(await AuditLog.snapshot(connection, context, 'journal_entry', journalEntryId)),
+                                lines: savedLines
+                            }
+                        });
+
+                        transfer = {
+                            target_account_id: target.id,
+                            amount: balance,
+                            journal_entry_id: journalEntryId
+                        };
+                    }
+                }
+
+                // Soft delete - is_active = 0
+                const [result] = await connection.execute(
+                    'UPDATE accounts SET is_active = 0, deleted_at = NOW(), updated_at = NOW() WHERE id = ? AND company_id = ?',
+                    [id, context.companyId]
+                );
+
+                if (result.affectedRows === 0) {
+                    return {
+                        success: false,
+                        error: 'Cari hesap silinemedi'
+                    };
+                }
+
+                await AuditLog.record(connection, context, {
+                    entity: 'account',
+                    entityId: id,
+                    action: 'delete',
+                    before,
+                    after: await AuditLog.snapshot(connection, context, 'account', id)
+                });
 
-            if (result.affectedRows === 0) {
                 return {
-                    success: false,
-                    error: 'Cari hesap güncellenemedi'
+                    success: true,
+                    data: {
+                        mode,
+                        archived_transaction_count: mode === 'archive' ? linkedTransactions.length : 0,
+                        transfer,
+                        message: 'Cari hesap başarıyla silindi'
+                    }
                 };
-            }
+            });
+        } catch (error) {
+            console.error('deleteAccount Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Silinmiş (çöp kutusundaki) cari hesapları getir
+    getDeletedAccounts: async (context) => {
+        try {
+            const [rows] = await db.execute(`
+                SELECT 
+                    a.id,
+                    a.account_name,
+                    a.account_code,
+                    a.group_id,
+                    ag.group_name,
+                    a.phone,
+                    a.email,
+                    a.balance,
+                    a.account_type,
+                    a.currency,
+                    a.deleted_at,
+                    a.created_at
+                FROM accounts a
+                LEFT JOIN account_groups ag ON a.group_id = ag.id
+                WHERE a.company_id = ? AND a.is_active = 0
+                ORDER BY a.deleted_at DESC, a.id DESC
+            `, [context.companyId]);
 
             return {
                 success: true,
-                data: {
-                    id: parseInt(id),
-                    account_name: account_name.trim(),
-                    account_code: account_code || null,
-                    message: 'Cari hesap başarıyla güncellendi'
-                }
+                data: rows
             };
         } catch (error) {
-            console.error('updateAccount Error:', error);
+            console.error('getDeletedAccounts Error:', error);
             return {
                 success: false,
                 error: error.message
@@ -347,53 +804,120 @@ const Accounts = {
         }
     },
 
-    // Cari hesabı sil (soft delete)
-    deleteAccount: async (id) => {
+    // Silinmiş cari hesabı geri yükle
+    // Hesap silinirken kalan bakiyesiyle geri gelir; archive modunda silinen hareketlerin bakiye etkisi
+    // silme sırasında geri alındığından bu hareketler hesapla birlikte geri yüklenmez, sayıları yanıtta
+    // döner ve POST /api/transactions/:id/restore ile ayrıca geri yüklenir. Kod veya ad aktif bir
+    // hesapla çakışıyorsa overrides ile yeni account_code/account_name verilebilir
+    restoreAccount: async (context, id, overrides = {}) => {
         try {
-            // Hesap var mı kontrol et
-            const existingAccount = await Accounts.getAccountById(id);
-            if (!existingAccount.success) {
-                return existingAccount;
-            }
-
-            // Bu hesaba bağlı işlemler var mı kontrol et (örnek: faturalar, ödemeler)
-            const [linkedTransactions] = await db.execute(
-                `SELECT COUNT(*) as count FROM (
-                    SELECT id FROM invoices WHERE customer_id = ? 
-                    UNION ALL 
-                    SELECT id FROM payments WHERE account_id = ?
-                ) as transactions`,
-                [id, id]
-            );
-
-            if (linkedTransactions[0].count > 0) {
+            if (overrides.account_name !== undefined && (!overrides.account_name || overrides.account_name.trim() === '')) {
                 return {
                     success: false,
-                    error: `Bu cari hesaba bağlı ${linkedTransactions[0].count} işlem bulunduğu için silinemez`
+                    error: 'Cari hesap adı boş olamaz'
                 };
             }
 
-            // Soft delete - is_active = 0
-            const [result] = await db.execute(
-                'UPDATE accounts SET is_active = 0, updated_at = NOW() WHERE id = ?',
-                [id]
-            );
+            return await db.withTransaction(async (connection) => {
+                const before = await AuditLog.snapshot(connection, context, 'account', id);
+                if (!before || before.is_active !== 0) {
+                    return {
+                        success: false,
+                        error: 'Silinmiş cari hesap bulunamadı'
+                    };
+                }
 
-            if (result.affectedRows === 0) {
-                return {
-                    success: false,
-                    error: 'Cari hesap silinemedi'
-                };
-            }
+                // Verilmişse yeni değerler, verilmemişse silinmeden önceki değerler kullanılır
+                const accountCode = overrides.account_code !== undefined
+                    ? (overrides.account_code || null)
+                    : before.account_code;
+                const accountName = overrides.account_name !== undefined
+                    ? overrides.account_name.trim()
+                    : before.account_name;
 
-            return {
-                success: true,
-                data: {
-                    message: 'Cari hesap başarıyla silindi'
+                // Cari kodu aktif bir hesapla çakışıyor mu
+                if (accountCode) {
+                    const [existingCode] = await connection.execute(
+                        'SELECT id FROM accounts WHERE account_code = ? AND id != ? AND company_id = ? AND is_active = 1',
+                        [accountCode, id, context.companyId]
+                    );
+
+                    if (existingCode.length > 0) {
+                        return {
+                            success: false,
+                            error: 'Bu cari kodu başka bir hesap tarafından kullanılıyor',
+                            conflict: {
+                                field: 'account_code',
+                                value: accountCode,
+                                conflicting_id: existingCode[0].id
+                            }
+                        };
+                    }
                 }
-            };
+
+                // Cari adı aktif bir hesapla çakışıyor mu
+                const [existingName] = await connection.execute(
+                    'SELECT id FROM accounts WHERE account_name = ? AND id != ? AND company_id = ? AND is_active = 1',
+                    [accountName, id, context.companyId]
+                );
+
+                if (existingName.length > 0) {
+                    return {
+                        success: false,
+                        error: 'Bu cari hesap adı başka bir hesap tarafından kullanılıyor',
+                        conflict: {
+                            field: 'account_name',
+                            value: accountName,
+                            conflicting_id: existingName[0].id
+                        }
+                    };
+                }
+
+                await connection.execute(`
+                    UPDATE accounts SET
+                        account_code = ?,
+                        account_name = ?,
+                        search_text = ?,
+                        is_active = 1,
+                        deleted_at = NULL,
+                        updated_at = NOW()
+                    WHERE id = ? AND company_id = ?
+                `, [
+                    accountCode,
+                    accountName,
+                    SearchText.build({ ...before, account_code: accountCode, account_name: accountName }),
+                    id,
+                    context.companyId
+                ]);
+
+                // Çöp kutusunda kalan (örn. archive modunda hesapla birlikte silinen) hareketler
+                const [archivedTransactions] = await connection.execute(
+                    'SELECT COUNT(*) AS count FROM transactions WHERE account_id = ? AND company_id = ? AND is_active = 0',
+                    [id, context.companyId]
+                );
+
+                await AuditLog.record(connection, context, {
+                    entity: 'account',
+                    entityId: id,
+                    action: 'restore',
+                    before,
+                    after: await AuditLog.snapshot(connection, context, 'account', id)
+                });
+
+                return {
+                    success: true,
+                    data: {
+                        id: parseInt(id),
+                        account_name: accountName,
+                        account_code: accountCode,
+                        balance: Money.toNumber(Money.parse(before.balance)),
+                        archived_transaction_count: Number(archivedTransactions[0].count),
+                        message: 'Cari hesap başarıyla geri yüklendi'
+                    }
+                };
+            });
         } catch (error) {
-            console.error('deleteAccount Error:', error);
+            console.error('restoreAccount Error:', error);
             return {
                 success: false,
                 error: error.message
@@ -402,7 +926,7 @@ const Accounts = {
     },
 
     // Cari hesap türüne göre filtrele
-    getAccountsByType: async (accountType) => {
+    getAccountsByType: async (context, accountType) => {
         try {
             const [rows] = await db.execute(`
                 SELECT 
@@ -415,12 +939,13 @@ const Accounts = {
                     a.email,
                     a.balance,
                     a.account_type,
+                    a.currency,
                     a.created_at
                 FROM accounts a
                 LEFT JOIN account_groups ag ON a.group_id = ag.id
-                WHERE a.account_type = ? AND a.is_active = 1
+                WHERE a.account_type = ? AND a.company_id = ? AND a.is_active = 1
                 ORDER BY a.account_name ASC
-            `, [accountType]);
+            `, [accountType, context.companyId]);
 
             return {
                 success: true,
@@ -436,7 +961,7 @@ const Accounts = {
     },
 
     // Gruba göre cari hesapları getir
-    getAccountsByGroup: async (groupId) => {
+    getAccountsByGroup: async (context, groupId) => {
         try {
             const [rows] = await db.execute(`
                 SELECT 
@@ -447,12 +972,13 @@ const Accounts = {
                     ag.group_name,
                     a.balance,
                     a.account_type,
+                    a.currency,
                     a.created_at
                 FROM accounts a
                 LEFT JOIN account_groups ag ON a.group_id = ag.id
-                WHERE a.group_id = ? AND a.is_active = 1
+                WHERE a.group_id = ? AND a.company_id = ? AND a.is_active = 1
                 ORDER BY a.account_name ASC
-            `, [groupId]);
+            `, [groupId, context.companyId]);
 
             return {
                 success: true,
@@ -467,10 +993,20 @@ const Accounts = {
         }
     },
 
-    // Cari hesap arama
-    searchAccounts: async (searchTerm) => {
+    // Arama adaylarını getir - search_text kalıplarının tümünü (matchAll) veya herhangi birini
+    // içeren aktif hesaplar; kesin puanlama AccountSearch servisindedir
+    // patterns: normalize edilmiş parçalar ('yilmaz', '555123'), harf ve rakamdan oluşur
+    // Adaylar LIMIT'ten önce kalıbın tam kelime, kelime başı veya kelime içi geçmesine göre
+    // sıralanır; yalnızca ada göre sıralansa en iyi eşleşme sınırın dışında kalabilirdi
+    findSearchCandidates: async (context, patterns, { matchAll = true, limit = 200 } = {}) => {
         try {
-            const searchPattern = `%${searchTerm}%`;
+            const conditions = patterns.map(() => 'a.search_text LIKE ?');
+            const relevance = patterns.map(() => `CASE
+                    WHEN CONCAT(' ', a.search_text, ' ') LIKE ? THEN 3
+                    WHEN CONCAT(' ', a.search_text) LIKE ? THEN 2
+                    WHEN a.search_text LIKE ? THEN 1
+                    ELSE 0
+                END`);
             const [rows] = await db.execute(`
                 SELECT 
                     a.id,
@@ -480,24 +1016,28 @@ const Accounts = {
                     ag.group_name,
                     a.phone,
                     a.email,
+                    a.tax_number,
                     a.balance,
-                    a.account_type
+                    a.account_type,
+                    a.currency
                 FROM accounts a
                 LEFT JOIN account_groups ag ON a.group_id = ag.id
-                WHERE (a.account_name LIKE ? 
-                    OR a.account_code LIKE ? 
-                    OR a.phone LIKE ? 
-                    OR a.email LIKE ?) 
-                AND a.is_active = 1
-                ORDER BY a.account_name ASC
-            `, [searchPattern, searchPattern, searchPattern, searchPattern]);
+                WHERE a.company_id = ? AND a.is_active = 1
+                AND (${conditions.join(matchAll ? ' AND ' : ' OR ')})
+                ORDER BY (${relevance.join(' + ')}) DESC, a.account_name ASC, a.id ASC
+                LIMIT ${parseInt(limit)}
+            `, [
+                context.companyId,
+                ...patterns.map((pattern) => `%${pattern}%`),
+                ...patterns.flatMap((pattern) => [`% ${pattern} %`, `% ${pattern}%`, `%${pattern}%`])
+            ]);
 
             return {
                 success: true,
                 data: rows
             };
         } catch (error) {
-            console.error('searchAccounts Error:', error);
+            console.error('findSearchCandidates Error:', error);
             return {
                 success: false,
                 error: error.message
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Audit Log Model
+ * @description Records before/after snapshots of every mutation and lists them for review
+ * @version 1.0.0
+ */
+
+const db = require('../config/db');
+
+/**
+ * Denetim kaydı tutulan varlıklar ve anlık görüntülerinin okunduğu tablolar
+ * @type {Object<string, string>}
+ */
+const AUDITED_ENTITIES = {
+    group: 'account_groups',
+    account: 'accounts',
+    transaction: 'transactions',
+    setting: 'user_settings',
+    journal_entry: 'journal_entries',
+    exchange_rate: 'exchange_rates'
+};
+
+/**
+ * Listelemede varsayılan ve azami kayıt sayısı
+ * @type {{DEFAULT: number, MAX: number}}
+ */
+const LIST_LIMIT = {
+    DEFAULT: 100,
+    MAX: 500
+};
+
+/**
+ * Audit Log Model
+ * @namespace AuditLog
+ */
+const AuditLog = {
+    // Geçerli varlık adları
+    ENTITIES: Object.keys(AUDITED_ENTITIES),
+
+    // Kaydın mevcut halini getir (ayarlar hariç ID ile izlenen varlıklar için)
+    // Çağıranın veritabanı işlemi içinde çalışır, satırı kilitler
+    snapshot: async (connection, context, entity, id) => {
+        const table = AUDITED_ENTITIES[entity];
+        if (!table || entity === 'setting') {
+            throw new Error(`Anlık görüntüsü alınamayan varlık: ${entity}`);
+        }
+
+        const [rows] = await connection.execute(
+            `SELECT * FROM ${table} WHERE id = ? AND company_id = ? FOR UPDATE`,
+            [id, context.companyId]
+        );
+
+        return rows.length > 0 ? rows[0] : null;
+    },
+
+    // Değişikliği denetim kaydına yaz - çağıranın veritabanı işlemi içinde çalışır,
+    // böylece değişiklik geri alınırsa kayıt da geri alınır
+    record: async (connection, context, { entity, entityId, action, before = null, after = null }) => {
+        if (!AUDITED_ENTITIES[entity]) {
+            throw new Error(`Denetim kaydı tanımlı olmayan varlık: ${entity}`);
+        }
+
+        await connection.execute(`
+            INSERT INTO audit_log (company_id, user_id, entity, entity_id, action, before_data, after_data, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+        `, [
+            context.companyId,
+            context.userId || null,
+            entity,
+            String(entityId),
+            action,
+            before ? JSON.stringify(before) : null,
+            after ? JSON.stringify(after) : null
+        ]);
+    },
+
+    // Denetim kayıtlarını yeniden eskiye getir
+    getEntries: async (context, filters = {}) => {
+        try {
+            const conditions = ['al.company_id = ?'];
+            const params = [context.companyId];
+
+            if (filters.entity) {
+                conditions.push('al.entity = ?');
+                params.push(filters.entity);
+            }
+
+            if (filters.entity_id) {
+                conditions.push('al.entity_id = ?');
+                params.push(String(filters.entity_id));
+            }
+
+            if (filters.user_id) {
+                conditions.push('al.user_id = ?');
+                params.push(filters.user_id);
+            }
+
+            const limit = Math.min(parseInt(filters.limit) || LIST_LIMIT.DEFAULT, LIST_LIMIT.MAX);
+
+            const [rows] = await db.execute(`
+                SELECT
+                    al.id,
+                    al.entity,
+                    al.entity_id,
+                    al.action,
+                    al.before_data,
+                    al.after_data,
+                    al.user_id,
+                    u.email AS user_email,
+                    u.full_name AS user_full_name,
+                    al.created_at
+                FROM audit_log al
+                LEFT JOIN users u ON u.id = al.user_id
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY al.created_at DESC, al.id DESC
+                LIMIT ${limit}
+            `, params);
+
+            return {
+                success: true,
+                data: rows
+            };
+        } catch (error) {
+            console.error('getEntries Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+};
+
+module.exports = AuditLog;
@@ -0,0 +1,331 @@
+/**
+ * @fileoverview Companies Model
+ * @description Database operations for companies and company memberships
+ * @version 1.0.0
+ */
+
+const db = require('../config/db');
+const { ROLES, hasPermission } = require('../config/permissions');
+
+// İşlemi yapan kullanıcının şirkette üyelikleri yönetebildiğini doğrula; hata mesajı veya null
+// Global rol yetmez: kullanıcı bu şirketin üyesi ve üyelik rolü companies:manage yetkisine sahip olmalı
+const checkCompanyManager = async (connection, companyId, userId) => {
+    const [rows] = await connection.execute(`
+        SELECT cu.role
+        FROM company_users cu
+        INNER JOIN companies c ON c.id = cu.company_id
+        WHERE cu.company_id = ? AND cu.user_id = ? AND c.is_active = 1
+    `, [companyId, userId]);
+
+    if (rows.length === 0) {
+        return 'Şirket bulunamadı veya bu şirkete erişiminiz yok';
+    }
+
+    if (!hasPermission(rows[0].role, 'companies:manage')) {
+        return 'Şirket üyeliklerini yönetmek için bu şirkette admin rolünüz olmalıdır';
+    }
+
+    return null;
+};
+
+/**
+ * Companies Model
+ * @namespace Companies
+ */
+const Companies = {
+    // Kullanıcının üyesi olduğu şirketleri getir
+    getCompaniesForUser: async (userId) => {
+        try {
+            const [rows] = await db.execute(`
+                SELECT c.id, c.company_name, c.tax_number, c.tax_office, cu.role, cu.is_default, c.created_at
+                FROM companies c
+                INNER JOIN company_users cu ON cu.company_id = c.id
+                WHERE cu.user_id = ? AND c.is_active = 1
+                ORDER BY c.company_name ASC
+            `, [userId]);
+
+            return {
+                success: true,
+                data: rows
+            };
+        } catch (error) {
+            console.error('getCompaniesForUser Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // İstek için geçerli şirketi ve kullanıcının o şirketteki rolünü çöz - companyId verilmezse
+    // kullanıcının varsayılan şirketi
+    resolveCompanyForUser: async (userId, companyId = null) => {
+        try {
+            let query = `
+                SELECT c.id, c.company_name, cu.role
+                FROM companies c
+                INNER JOIN company_users cu ON cu.company_id = c.id
+                WHERE cu.user_id = ? AND c.is_active = 1
+            `;
+            const params = [userId];
+
+            if (companyId) {
+                query += ' AND c.id = ?';
+                params.push(companyId);
+            }
+
+            // Varsayılan işaretli şirket önce, yoksa en eski üyelik
+            query += ' ORDER BY cu.is_default DESC, c.id ASC LIMIT 1';
+
+            const [rows] = await db.execute(query, params);
+
+            if (rows.length === 0) {
+                return {
+                    success: false,
+                    error: companyId
+                        ? 'Şirket bulunamadı veya bu şirkete erişiminiz yok'
+                        : 'Herhangi bir şirkete üye değilsiniz'
+                };
+            }
+
+            return {
+                success: true,
+                data: rows[0]
+            };
+        } catch (error) {
+            console.error('resolveCompanyForUser Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Yeni şirket oluştur ve oluşturan kullanıcıyı şirkete admin olarak üye yap
+    createCompany: async (context, data) => {
+        try {
+            const { company_name, tax_number = null, tax_office = null } = data;
+
+            if (!company_name || company_name.trim() === '') {
+                return {
+                    success: false,
+                    error: 'Şirket adı gereklidir'
+                };
+            }
+
+            return await db.withTransaction(async (connection) => {
+                const [existingRows] = await connection.execute(
+                    'SELECT id FROM companies WHERE company_name = ?',
+                    [company_name.trim()]
+                );
+
+                if (existingRows.length > 0) {
+                    return {
+                        success: false,
+                        error: 'Bu isimde bir şirket zaten mevcut'
+                    };
+                }
+
+                const [result] = await connection.execute(`
+                    INSERT INTO companies (company_name, tax_number, tax_office, is_active, created_at, updated_at)
+                    VALUES (?, ?, ?, 1, NOW(), NOW())
+                `, [company_name.trim(), tax_number || null, tax_office || null]);
+
+                await connection.execute(
+                    'INSERT INTO company_users (company_id, user_id, role, is_default, created_at) VALUES (?, ?, ?, 0, NOW())',
+                    [result.insertId, context.userId, ROLES.ADMIN]
+                );
+
+                return {
+                    success: true,
+                    data: {
+                        id: result.insertId,
+                        company_name: company_name.trim(),
+                        message: 'Şirket başarıyla oluşturuldu'
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('createCompany Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Kullanıcıyı şirkete verilen rolle üye yap - yalnızca şirketin admin üyeleri ekleyebilir
+    addUserToCompany: async (context, companyId, userId, role = ROLES.VIEWER) => {
+        try {
+            if (!Object.values(ROLES).includes(role)) {
+                return {
+                    success: false,
+                    error: `Geçersiz rol. Geçerli roller: ${Object.values(ROLES).join(', ')}`
+                };
+            }
+
+            return await db.withTransaction(async (connection) => {
+                const managerError = await checkCompanyManager(connection, companyId, context.userId);
+                if (managerError) {
+                    return {
+                        success: false,
+                        error: managerError
+                    };
+                }
+
+                const [userRows] = await connection.execute(
+                    'SELECT id FROM users WHERE id = ? AND is_active = 1',
+                    [userId]
+                );
+
+                if (userRows.length === 0) {
+                    return {
+                        success: false,
+                        error: 'Kullanıcı bulunamadı'
+                    };
+                }
+
+                // Kullanıcının başka üyeliği yoksa bu şirket varsayılanı olur
+                const [membershipRows] = await connection.execute(
+                    'SELECT COUNT(*) AS membership_count FROM company_users WHERE user_id = ?',
+                    [userId]
+                );
+
+                const [result] = await connection.execute(
+                    'INSERT IGNORE INTO company_users (company_id, user_id, role, is_default, created_at) VALUES (?, ?, ?, ?, NOW())',
+                    [companyId, userId, role, membershipRows[0].membership_count === 0 ? 1 : 0]
+                );
+
+                if (result.affectedRows === 0) {
+                    return {
+                        success: false,
+                        error: 'Kullanıcı zaten bu şirketin üyesi'
+                    };
+                }
+
+                return {
+                    success: true,
+                    data: {
+                        company_id: companyId,
+                        user_id: userId,
+                        role,
+                        message: 'Kullanıcı şirkete eklendi'
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('addUserToCompany Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Üyenin şirketteki rolünü değiştir - yalnızca şirketin admin üyeleri değiştirebilir;
+    // şirketin son admin'i düşürülemez. Rol bir sonraki istekte geçerli olur.
+    updateMemberRole: async (context, companyId, userId, role) => {
+        try {
+            if (!Object.values(ROLES).includes(role)) {
+                return {
+                    success: false,
+                    error: `Geçersiz rol. Geçerli roller: ${Object.values(ROLES).join(', ')}`
+                };
+            }
+
+            return await db.withTransaction(async (connection) => {
+                const managerError = await checkCompanyManager(connection, companyId, context.userId);
+                if (managerError) {
+                    return {
+                        success: false,
+                        error: managerError
+                    };
+                }
+
+                // Şirketin üyelikleri kilitlenir; eş zamanlı iki düşürme son admin'i kaldıramaz
+                const [memberRows] = await connection.execute(
+                    'SELECT user_id, role FROM company_users WHERE company_id = ? FOR UPDATE',
+                    [companyId]
+                );
+
+                const member = memberRows.find((row) => row.user_id === userId);
+                if (!member) {
+                    return {
+                        success: false,
+                        error: 'Kullanıcı bu şirketin üyesi değil, üyelik bulunamadı'
+                    };
+                }
+
+                const adminCount = memberRows.filter((row) => row.role === ROLES.ADMIN).length;
+                if (member.role === ROLES.ADMIN && role !== ROLES.ADMIN && adminCount <= 1) {
+                    return {
+                        success: false,
+                        error: 'Şirketin son admin üyesinin rolü değiştirilemez'
+                    };
+                }
+
+                await connection.execute(
+                    'UPDATE company_users SET role = ? WHERE company_id = ? AND user_id = ?',
+                    [role, companyId, userId]
+                );
+
+                return {
+                    success: true,
+                    data: {
+                        company_id: companyId,
+                        user_id: userId,
+                        previous_role: member.role,
+                        role,
+                        message: 'Üyelik rolü güncellendi'
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('updateMemberRole Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Kullanıcının varsayılan şirketini değiştir
+    setDefaultCompany: async (userId, companyId) => {
+        try {
+            return await db.withTransaction(async (connection) => {
+                const [membershipRows] = await connection.execute(
+                    'SELECT company_id FROM company_users WHERE user_id = ? FOR UPDATE',
+                    [userId]
+                );
+
+                if (!membershipRows.some((row) => row.company_id === companyId)) {
+                    return {
+                        success: false,
+                        error: 'Şirket bulunamadı veya bu şirkete erişiminiz yok'
+                    };
+                }
+
+                await connection.execute(
+                    'UPDATE company_users SET is_default = (company_id = ?) WHERE user_id = ?',
+                    [companyId, userId]
+                );
+
+                return {
+                    success: true,
+                    data: {
+                        company_id: companyId,
+                        message: 'Varsayılan şirket güncellendi'
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('setDefaultCompany Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+};
+
+module.exports = Companies;
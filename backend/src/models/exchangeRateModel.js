@@ -0,0 +1,332 @@
+/**
+ * @fileoverview Exchange Rates Model
+ * @description Company base currency, daily exchange rates and conversion of foreign-currency
+ * amounts to the base currency
+ * @version 1.0.0
+ */
+
+const db = require('../config/db');
+const AuditLog = require('./auditLogModel');
+
+/**
+ * Şirket kaydında ana para birimi yoksa kullanılan para birimi
+ * @type {string}
+ */
+const DEFAULT_BASE_CURRENCY = 'TRY';
+
+/**
+ * ISO 4217 para birimi kodu biçimi (USD, EUR, TRY...)
+ * @type {RegExp}
+ */
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Kur kaynağı: elle girilen veya toplu içe aktarılan
+ * @type {string[]}
+ */
+const RATE_SOURCES = ['manual', 'import'];
+
+// Kur kaydını doğrula, hata varsa mesajını döndür
+const validateRate = (rate, baseCurrency) => {
+    if (!rate.currency || !CURRENCY_CODE_PATTERN.test(rate.currency)) {
+        return 'Para birimi üç harfli ISO kodu olmalıdır (örn. USD)';
+    }
+
+    if (rate.currency === baseCurrency) {
+        return `Ana para birimi (${baseCurrency}) için kur girilemez`;
+    }
+
+    if (!rate.rate_date) {
+        return 'Kur tarihi gereklidir';
+    }
+
+    if (!rate.rate || isNaN(rate.rate) || parseFloat(rate.rate) <= 0) {
+        return 'Kur sıfırdan büyük bir sayı olmalıdır';
+    }
+
+    return null;
+};
+
+// Aynı para birimi ve tarih için kur varsa günceller, yoksa ekler
+// Çağıranın veritabanı işlemi içinde çalışır ve denetim kaydı yazar
+const upsertRate = async (connection, context, rate, source) => {
+    const [existing] = await connection.execute(
+        'SELECT * FROM exchange_rates WHERE company_id = ? AND currency = ? AND rate_date = ? FOR UPDATE',
+        [context.companyId, rate.currency, rate.rate_date]
+    );
+
+    if (existing.length > 0) {
+        await connection.execute(
+            'UPDATE exchange_rates SET rate = ?, source = ?, updated_at = NOW() WHERE id = ?',
+            [parseFloat(rate.rate), source, existing[0].id]
+        );
+
+        await AuditLog.record(connection, context, {
+            entity: 'exchange_rate',
+            entityId: existing[0].id,
+            action: 'update',
+            before: existing[0],
+            after: await AuditLog.snapshot(connection, context, 'exchange_rate', existing[0].id)
+        });
+
+        return { id: existing[0].id, created: false };
+    }
+
+    const [result] = await connection.execute(`
+        INSERT INTO exchange_rates (company_id, currency, rate_date, rate, source, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, NOW(), NOW())
+    `, [context.companyId, rate.currency, rate.rate_date, parseFloat(rate.rate), source]);
+
+    await AuditLog.record(connection, context, {
+        entity: 'exchange_rate',
+        entityId: result.insertId,
+        action: 'create',
+        after: await AuditLog.snapshot(connection, context, 'exchange_rate', result.insertId)
+    });
+
+    return { id: result.insertId, created: true };
+};
+
+/**
+ * Exchange Rates Model
+ * @namespace ExchangeRates
+ */
+const ExchangeRates = {
+    // Para birimi kodu biçimi ve kur kaynakları
+    CURRENCY_CODE_PATTERN,
+    SOURCES: RATE_SOURCES,
+
+    // Şirketin ana para birimini getir - bağlantı veya havuz üzerinde çalışır
+    getBaseCurrency: async (executor, companyId) => {
+        const [rows] = await executor.execute(
+            'SELECT base_currency FROM companies WHERE id = ?',
+            [companyId]
+        );
+
+        return rows.length > 0 && rows[0].base_currency ? rows[0].base_currency : DEFAULT_BASE_CURRENCY;
+    },
+
+    // Hareketin kurunu belirle - çağıranın veritabanı işlemi içinde çalışır
+    // Ana para biriminde kur 1'dir; dövizde verilen kur kullanılır, verilmezse
+    // hareket tarihindeki veya öncesindeki en güncel kayıtlı kur alınır
+    resolveRate: async (connection, context, { currency, date, rate = null }) => {
+        const baseCurrency = await ExchangeRates.getBaseCurrency(connection, context.companyId);
+
+        if (currency === baseCurrency) {
+            if (rate !== null && rate !== undefined && parseFloat(rate) !== 1) {
+                return {
+                    success: false,
+                    error: `Ana para birimindeki (${baseCurrency}) işlemlerde kur 1 olmalıdır`
+                };
+            }
+
+            return {
+                success: true,
+                data: { base_currency: baseCurrency, exchange_rate: 1, is_foreign: false }
+            };
+        }
+
+        if (rate !== null && rate !== undefined) {
+            if (isNaN(rate) || parseFloat(rate) <= 0) {
+                return {
+                    success: false,
+                    error: 'Kur sıfırdan büyük bir sayı olmalıdır'
+                };
+            }
+
+            return {
+                success: true,
+                data: { base_currency: baseCurrency, exchange_rate: parseFloat(rate), is_foreign: true }
+            };
+        }
+
+        const [rows] = await connection.execute(`
+            SELECT rate FROM exchange_rates
+            WHERE company_id = ? AND currency = ? AND rate_date <= ?
+            ORDER BY rate_date DESC
+            LIMIT 1
+        `, [context.companyId, currency, date]);
+
+        if (rows.length === 0) {
+            return {
+                success: false,
+                error: `${currency} için ${date} tarihinde veya öncesinde kayıtlı kur bulunamadı`
+            };
+        }
+
+        return {
+            success: true,
+            data: { base_currency: baseCurrency, exchange_rate: parseFloat(rows[0].rate), is_foreign: true }
+        };
+    },
+
+    // Kurları yeniden eskiye getir
+    getAllRates: async (context, filters = {}) => {
+        try {
+            const conditions = ['company_id = ?'];
+            const params = [context.companyId];
+
+            if (filters.currency) {
+                conditions.push('currency = ?');
+                params.push(filters.currency);
+            }
+
+            if (filters.start_date) {
+                conditions.push('rate_date >= ?');
+                params.push(filters.start_date);
+            }
+
+            if (filters.end_date) {
+                conditions.push('rate_date <= ?');
+                params.push(filters.end_date);
+            }
+
+            const [rows] = await db.execute(`
+                SELECT id, currency, rate_date, rate, source, created_at, updated_at
+                FROM exchange_rates
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY rate_date DESC, currency ASC
+            `, params);
+
+            return {
+                success: true,
+                data: rows,
+                base_currency: await ExchangeRates.getBaseCurrency(db, context.companyId)
+            };
+        } catch (error) {
+            console.error('getAllRates Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Kur gir - aynı para birimi ve tarih için kayıt varsa güncellenir
+    saveRate: async (context, data) => {
+        try {
+            return await db.withTransaction(async (connection) => {
+                const baseCurrency = await ExchangeRates.getBaseCurrency(connection, context.companyId);
+                const rateError = validateRate(data, baseCurrency);
+
+                if (rateError) {
+                    return {
+                        success: false,
+                        error: rateError
+                    };
+                }
+
+                const { id, created } = await upsertRate(connection, context, data, 'manual');
+
+                return {
+                    success: true,
+                    data: {
+                        id,
+                        currency: data.currency,
+                        rate_date: data.rate_date,
+                        rate: parseFloat(data.rate),
+                        created,
+                        message: created ? 'Kur başarıyla kaydedildi' : 'Kur başarıyla güncellendi'
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('saveRate Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Kurları toplu içe aktar - tek işlemde; hatalı bir satır varsa hiçbiri kaydedilmez
+    importRates: async (context, rates) => {
+        try {
+            if (!Array.isArray(rates) || rates.length === 0) {
+                return {
+                    success: false,
+                    error: 'İçe aktarılacak kur listesi boş olamaz'
+                };
+            }
+
+            return await db.withTransaction(async (connection) => {
+                const baseCurrency = await ExchangeRates.getBaseCurrency(connection, context.companyId);
+
+                for (let i = 0; i < rates.length; i++) {
+                    const rateError = validateRate(rates[i], baseCurrency);
+                    if (rateError) {
+                        return {
+                            success: false,
+                            error: `${i + 1}. satır: ${rateError}`
+                        };
+                    }
+                }
+
+                let createdCount = 0;
+                for (const rate of rates) {
+                    const { created } = await upsertRate(connection, context, rate, 'import');
+                    if (created) {
+                        createdCount++;
+                    }
+                }
+
+                return {
+                    success: true,
+                    data: {
+                        created_count: createdCount,
+                        updated_count: rates.length - createdCount,
+                        message: `${rates.length} kur içe aktarıldı`
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('importRates Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Kuru sil - kayıtlı hareketler kendi kurlarını sakladığı için etkilenmez
+    deleteRate: async (context, id) => {
+        try {
+            return await db.withTransaction(async (connection) => {
+                const before = await AuditLog.snapshot(connection, context, 'exchange_rate', id);
+                if (!before) {
+                    return {
+                        success: false,
+                        error: 'Kur bulunamadı'
+                    };
+                }
+
+                await connection.execute(
+                    'DELETE FROM exchange_rates WHERE id = ? AND company_id = ?',
+                    [id, context.companyId]
+                );
+
+                await AuditLog.record(connection, context, {
+                    entity: 'exchange_rate',
+                    entityId: id,
+                    action: 'delete',
+                    before
+                });
+
+                return {
+                    success: true,
+                    data: {
+                        message: 'Kur başarıyla silindi'
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('deleteRate Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+};
+
+module.exports = ExchangeRates;
@@ -5,27 +5,62 @@
  */
 
 const db = require('../config/db');
+const AuditLog = require('./auditLogModel');
+const Pagination = require('../utils/pagination');
+
+/**
+ * Grup listesinin sıralanabilen alanları (?sort=alan veya -alan) ve varsayılan sıralama
+ * @type {{columns: Object<string, string>, idColumn: string, defaultSort: string}}
+ */
+const LIST_SORT = {
+    columns: {
+        group_name: 'group_name',
+        id: 'id'
+    },
+    idColumn: 'id',
+    defaultSort: 'group_name'
+};
 
 /**
  * Account Groups Model
  * @namespace AccountGroups
  */
 const AccountGroups = {
-    
+    // Listenin sıralanabilen alanları ve varsayılan sıralaması
+    SORT_FIELDS: Object.keys(LIST_SORT.columns),
+    DEFAULT_SORT: LIST_SORT.defaultSort,
+
     /**
-     * Retrieve all account groups
+     * Retrieve account groups page by page
      * @async
      * @function getAllGroups
-     * @returns {Promise<Object>} Result object with success status and data/error
+     * @param {Object} context - Request context ({ companyId, userId })
+     * @param {Object} [pagination] - { limit, cursor, sort }; limit verilmezse tüm gruplar döner
+     * @returns {Promise<Object>} Result object with success status, data/error, totalCount and nextCursor
      */
-    getAllGroups: async () => {
+    getAllGroups: async (context, pagination = {}) => {
         try {
-            const [rows] = await db.execute(
-                'SELECT * FROM account_groups ORDER BY group_name ASC'
+            const page = Pagination.build(pagination, LIST_SORT);
+
+            const [rows] = await db.execute(`
+                SELECT * FROM account_groups
+                WHERE ${['company_id = ?', ...page.conditions].join(' AND ')}
+                ${page.orderBy}
+                ${page.limitClause}
+            `, [context.companyId, ...page.params]);
+
+            const [countRows] = await db.execute(
+                'SELECT COUNT(*) AS total FROM account_groups WHERE company_id = ?',
+                [context.companyId]
             );
+
+            const { data, nextCursor } = page.toPage(rows);
+
             return {
                 success: true,
-                data: rows
+                data,
+                totalCount: countRows[0].total,
+                nextCursor
             };
         } catch (error) {
             console.error('getAllGroups Error:', error);
@@ -40,14 +75,15 @@ const AccountGroups = {
      * Retrieve account group by ID
      * @async
      * @function getGroupById
+     * @param {Object} context - Request context ({ companyId, userId })
      * @param {number} id - Group ID
      * @returns {Promise<Object>} Result object with success status and data/error
      */
-    getGroupById: async (id) => {
+    getGroupById: async (context, id) => {
         try {
             const [rows] = await db.execute(
-                'SELECT * FROM account_groups WHERE id = ?',
-                [id]
+                'SELECT * FROM account_groups WHERE id = ? AND company_id = ?',
+                [id, context.companyId]
             );
             
             if (rows.length === 0) {
@@ -71,34 +107,44 @@ const AccountGroups = {
     },
 
     // Yeni grup oluştur
-    createGroup: async (groupName) => {
+    createGroup: async (context, groupName) => {
         try {
-            // Aynı isimde grup var mı kontrol et
-            const [existingRows] = await db.execute(
-                'SELECT id FROM account_groups WHERE group_name = ?',
-                [groupName]
-            );
+            // Kayıt ve denetim kaydı tek işlemde yapılır
+            return await db.withTransaction(async (connection) => {
+                // Aynı isimde grup var mı kontrol et
+                const [existingRows] = await connection.execute(
+                    'SELECT id FROM account_groups WHERE group_name = ? AND company_id = ?',
+                    [groupName, context.companyId]
+                );
 
-            if (existingRows.length > 0) {
-                return {
-                    success: false,
-                    error: 'Bu isimde bir grup zaten mevcut'
-                };
-            }
+                if (existingRows.length > 0) {
+                    return {
+                        success: false,
+                        error: 'Bu isimde bir grup zaten mevcut'
+                    };
+                }
 
-            const [result] = await db.execute(
-                'INSERT INTO account_groups (group_name, created_at, updated_at) VALUES (?, NOW(), NOW())',
-                [groupName]
-            );
+                const [result] = await connection.execute(
+                    'INSERT INTO account_groups (company_id, group_name, created_at, updated_at) VALUES (?, ?, NOW(), NOW())',
+                    [context.companyId, groupName]
+                );
 
-            return {
-                success: true,
-                data: {
-                    id: result.insertId,
-                    group_name: groupName,
-                    message: 'Grup başarıyla oluşturuldu'
-                }
-            };
+                await AuditLog.record(connection, context, {
+                    entity: 'group',
+                    entityId: result.insertId,
+                    action: 'create',
+                    after: await AuditLog.snapshot(connection, context, 'group', result.insertId)
+                });
+
+                return {
+                    success: true,
+                    data: {
+                        id: result.insertId,
+                        group_name: groupName,
+                        message: 'Grup başarıyla oluşturuldu'
+                    }
+                };
+            });
         } catch (error) {
             console.error('createGroup Error:', error);
             return {
@@ -109,47 +155,60 @@ const AccountGroups = {
     },
 
     // Grubu güncelle
-    updateGroup: async (id, groupName) => {
+    updateGroup: async (context, id, groupName) => {
         try {
-            // Grup var mı kontrol et
-            const existingGroup = await AccountGroups.getGroupById(id);
-            if (!existingGroup.success) {
-                return existingGroup;
-            }
+            return await db.withTransaction(async (connection) => {
+                // Grup var mı kontrol et ve satırı kilitle
+                const before = await AuditLog.snapshot(connection, context, 'group', id);
+                if (!before) {
+                    return {
+                        success: false,
+                        error: 'Grup bulunamadı'
+                    };
+                }
 
-            // Aynı isimde başka grup var mı kontrol et (kendisi hariç)
-            const [existingRows] = await db.execute(
-                'SELECT id FROM account_groups WHERE group_name = ? AND id != ?',
-                [groupName, id]
-            );
+                // Aynı isimde başka grup var mı kontrol et (kendisi hariç)
+                const [existingRows] = await connection.execute(
+                    'SELECT id FROM account_groups WHERE group_name = ? AND id != ? AND company_id = ?',
+                    [groupName, id, context.companyId]
+                );
 
-            if (existingRows.length > 0) {
-                return {
-                    success: false,
-                    error: 'Bu isimde başka bir grup zaten mevcut'
-                };
-            }
+                if (existingRows.length > 0) {
+                    return {
+                        success: false,
+                        error: 'Bu isimde başka bir grup zaten mevcut'
+                    };
+                }
 
-            const [result] = await db.execute(
-                'UPDATE account_groups SET group_name = ?, updated_at = NOW() WHERE id = ?',
-                [groupName, id]
-            );
+                const [result] = await connection.execute(
+                    'UPDATE account_groups SET group_name = ?, updated_at = NOW() WHERE id = ? AND company_id = ?',
+                    [groupName, id, context.companyId]
+                );
+
+                if (result.affectedRows === 0) {
+                    return {
+                        success: false,
+                        error: 'Grup güncellenemedi'
+                    };
+                }
+
+                await AuditLog.record(connection, context, {
+                    entity: 'group',
+                    entityId: id,
+                    action: 'update',
+                    before,
+                    after: await AuditLog.snapshot(connection, context, 'group', id)
+                });
 
-            if (result.affectedRows === 0) {
                 return {
-                    success: false,
-                    error: 'Grup güncellenemedi'
+                    success: true,
+                    data: {
+                        id: parseInt(id),
+                        group_name: groupName,
+                        message: 'Grup başarıyla güncellendi'
+                    }
                 };
-            }
-
-            return {
-                success: true,
-                data: {
-                    id: parseInt(id),
-                    group_name: groupName,
-                    message: 'Grup başarıyla güncellendi'
-                }
-            };
+            });
         } catch (error) {
             console.error('updateGroup Error:', error);
             return {
@@ -160,45 +219,57 @@ const AccountGroups = {
     },
 
     // Grubu sil
-    deleteGroup: async (id) => {
+    deleteGroup: async (context, id) => {
         try {
-            // Grup var mı kontrol et
-            const existingGroup = await AccountGroups.getGroupById(id);
-            if (!existingGroup.success) {
-                return existingGroup;
-            }
+            return await db.withTransaction(async (connection) => {
+                // Grup var mı kontrol et ve satırı kilitle
+                const before = await AuditLog.snapshot(connection, context, 'group', id);
+                if (!before) {
+                    return {
+                        success: false,
+                        error: 'Grup bulunamadı'
+                    };
+                }
 
-            // Bu gruba bağlı hesap var mı kontrol et
-            const [linkedAccounts] = await db.execute(
-                'SELECT COUNT(*) as count FROM accounts WHERE group_id = ?',
-                [id]
-            );
+                // Bu gruba bağlı hesap var mı kontrol et
+                const [linkedAccounts] = await connection.execute(
+                    'SELECT COUNT(*) as count FROM accounts WHERE group_id = ? AND company_id = ?',
+                    [id, context.companyId]
+                );
 
-            if (linkedAccounts[0].count > 0) {
-                return {
-                    success: false,
-                    error: `Bu gruba bağlı ${linkedAccounts[0].count} hesap bulunduğu için silinemez`
-                };
-            }
+                if (linkedAccounts[0].count > 0) {
+                    return {
+                        success: false,
+                        error: `Bu gruba bağlı ${linkedAccounts[0].count} hesap bulunduğu için silinemez`
+                    };
+                }
 
-            const [result] = await db.execute(
-                'DELETE FROM account_groups WHERE id = ?',
-                [id]
-            );
+                const [result] = await connection.execute(
+                    'DELETE FROM account_groups WHERE id = ? AND company_id = ?',
+                    [id, context.companyId]
+                );
+
+                if (result.affectedRows === 0) {
+                    return {
+                        success: false,
+                        error: 'Grup silinemedi'
+                    };
+                }
+
+                await AuditLog.record(connection, context, {
+                    entity: 'group',
+                    entityId: id,
+                    action: 'delete',
+                    before
+                });
 
-            if (result.affectedRows === 0) {
                 return {
-                    success: false,
-                    error: 'Grup silinemedi'
+                    success: true,
+                    data: {
+                        message: 'Grup başarıyla silindi'
+                    }
                 };
-            }
-
-            return {
-                success: true,
-                data: {
-                    message: 'Grup başarıyla silindi'
-                }
-            };
+            });
         } catch (error) {
             console.error('deleteGroup Error:', error);
             return {
@@ -209,11 +280,11 @@ const AccountGroups = {
     },
 
     // Gruba bağlı hesap sayısını getir
-    getGroupAccountCount: async (id) => {
+    getGroupAccountCount: async (context, id) => {
         try {
             const [rows] = await db.execute(
-                'SELECT COUNT(*) as account_count FROM accounts WHERE group_id = ?',
-                [id]
+                'SELECT COUNT(*) as account_count FROM accounts WHERE group_id = ? AND company_id = ?',
+                [id, context.companyId]
             );
 
             return {
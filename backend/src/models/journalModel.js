@@ -0,0 +1,712 @@
+/**
+ * @fileoverview Journal Model
+ * @description Double-entry journal entries, ledger accounts and trial balance
+ * @version 1.0.0
+ */
+
+const db = require('../config/db');
+const AuditLog = require('./auditLogModel');
+const UserSettings = require('./userSettingsModel');
+const Money = require('../utils/money');
+
+/**
+ * Cari hesap hareketlerinin yevmiye kaydına dönüşüm kuralları.
+ * Cari hesap (120) satırı bakiye etkisine göre borç/alacak tarafına yazılır,
+ * karşı satır gelir (600) veya gider (770) hesabına gider.
+ * @type {Object<string, {accountSide: string, counterLedgerCode: string}>}
+ */
+const TRANSACTION_POSTING_RULES = {
+    income: { accountSide: 'debit', counterLedgerCode: '600' },
+    receivable: { accountSide: 'debit', counterLedgerCode: '600' },
+    expense: { accountSide: 'credit', counterLedgerCode: '770' },
+    payable: { accountSide: 'credit', counterLedgerCode: '770' }
+};
+
+/**
+ * Cari hesapların alt hesap olarak izlendiği hesap planı kodu
+ * @type {string}
+ */
+const ACCOUNTS_RECEIVABLE_CODE = '120';
+
+/**
+ * Kapama hareketlerinde (settles_transaction_id) karşı satırın yazıldığı
+ * hesaplar - ödeme yöntemine göre kasa, alınan çekler, bankalar, kredi kartı
+ * @type {Object<string, string>}
+ */
+const SETTLEMENT_LEDGER_CODES = {
+    cash: '100',
+    check: '101',
+    bank_transfer: '102',
+    credit_card: '108'
+};
+
+/**
+ * Gerçekleşen kur farklarının yazıldığı hesaplar
+ * @type {{GAIN: string, LOSS: string}}
+ */
+const FX_LEDGER_CODES = {
+    GAIN: '646',
+    LOSS: '656'
+};
+
+// Tutarı tam sayı birime çevir (borç/alacak eşitliği kontrolü için, bkz. utils/money)
+const toUnits = (value) => Money.parse(value || 0);
+
+// Hesap planı kodlarından ID'leri getir
+const getLedgerAccountIdsByCode = async (connection, codes) => {
+    const [rows] = await connection.execute(
+        `SELECT id, code FROM ledger_accounts WHERE code IN (${codes.map(() => '?').join(', ')})`,
+        codes
+    );
+
+    return rows.reduce((map, row) => ({ ...map, [row.code]: row.id }), {});
+};
+
+// Hareketten yevmiye satırlarını üret
+// Borç/alacak ana para birimindedir (base_amount); dövizli hareketlerde satırlar
+// orijinal para birimini ve tutarı da taşır. Kapama hareketinin karşı satırı ödeme
+// yöntemine göre kasa/banka hesabına, cari satırı kapatılan hareketin kuruyla
+// yazılır; aradaki kur farkı (fx_gain_loss) 646/656 hesabına gider.
+const buildTransactionLines = async (connection, transaction) => {
+    const rule = TRANSACTION_POSTING_RULES[transaction.transaction_type];
+    if (!rule) {
+        throw new Error(`Yevmiye kuralı tanımlı olmayan işlem türü: ${transaction.transaction_type}`);
+    }
+
+    const counterLedgerCode = transaction.settles_transaction_id
+        ? SETTLEMENT_LEDGER_CODES[transaction.payment_method] || SETTLEMENT_LEDGER_CODES.cash
+        : rule.counterLedgerCode;
+    const fxUnits = toUnits(transaction.fx_gain_loss);
+    const fxLedgerCode = fxUnits > 0 ? FX_LEDGER_CODES.GAIN : FX_LEDGER_CODES.LOSS;
+
+    const codes = [ACCOUNTS_RECEIVABLE_CODE, counterLedgerCode, ...(fxUnits !== 0 ? [fxLedgerCode] : [])];
+    const ledgerIds = await getLedgerAccountIdsByCode(connection, codes);
+    if (codes.some((code) => !ledgerIds[code])) {
+        throw new Error('Hesap planında yevmiye kaydı için gerekli hesaplar bulunamadı');
+    }
+
+    const accountIsDebit = rule.accountSide === 'debit';
+    const baseAmount = Money.toNumber(toUnits(transaction.base_amount));
+    // Cari satırı defter değeriyle yazılır: borç tarafında base + fark, alacak tarafında base - fark
+    const accountAmount = Money.toNumber(toUnits(transaction.base_amount) + (accountIsDebit ? fxUnits : -fxUnits));
+    const currencyFields = transaction.currency
+        ? { currency: transaction.currency, currency_amount: Money.toNumber(toUnits(transaction.amount)) }
+        : {};
+
+    const lines = [
+        {
+            ledger_account_id: ledgerIds[ACCOUNTS_RECEIVABLE_CODE],
+            account_id: parseInt(transaction.account_id),
+            debit: accountIsDebit ? accountAmount : 0,
+            credit: accountIsDebit ? 0 : accountAmount,
+            ...currencyFields
+        },
+        {
+            ledger_account_id: ledgerIds[counterLedgerCode],
+            account_id: null,
+            debit: accountIsDebit ? 0 : baseAmount,
+            credit: accountIsDebit ? baseAmount : 0,
+            ...currencyFields
+        }
+    ];
+
+    if (fxUnits !== 0) {
+        lines.push({
+            ledger_account_id: ledgerIds[fxLedgerCode],
+            account_id: null,
+            debit: fxUnits < 0 ? Money.toNumber(-fxUnits) : 0,
+            credit: fxUnits > 0 ? Money.toNumber(fxUnits) : 0,
+            description: fxUnits > 0 ? 'Kur farkı karı' : 'Kur farkı zararı'
+        });
+    }
+
+    return lines;
+};
+
+// Fiş satırlarını kaydet
+const insertLines = async (connection, journalEntryId, lines) => {
+    for (const line of lines) {
+        await connection.execute(`
+            INSERT INTO journal_lines (journal_entry_id, ledger_account_id, account_id, debit, credit, currency, currency_amount, description)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            journalEntryId,
+            line.ledger_account_id,
+            line.account_id || null,
+            Money.toNumber(toUnits(line.debit)),
+            Money.toNumber(toUnits(line.credit)),
+            line.currency || null,
+            line.currency ? Money.toNumber(toUnits(line.currency_amount)) : null,
+            line.description || null
+        ]);
+    }
+};
+
+/**
+ * Double-Entry Journal Model
+ * @namespace Journal
+ */
+const Journal = {
+    // Fiş satırlarını doğrula, hata varsa mesajını döndür
+    validateLines: (lines) => {
+        if (!Array.isArray(lines) || lines.length < 2) {
+            return 'Yevmiye fişi en az iki satırdan oluşmalıdır';
+        }
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const debit = line.debit === undefined || line.debit === null ? 0 : line.debit;
+            const credit = line.credit === undefined || line.credit === null ? 0 : line.credit;
+
+            if (!line.ledger_account_id || isNaN(line.ledger_account_id)) {
+                return `${i + 1}. satırda hesap planı ID'si gereklidir`;
+            }
+
+            if (!Money.isValid(debit) || !Money.isValid(credit) || toUnits(debit) < 0 || toUnits(credit) < 0) {
+                return `${i + 1}. satırda borç ve alacak pozitif sayısal değerler olmalıdır`;
+            }
+
+            if ((toUnits(debit) > 0) === (toUnits(credit) > 0)) {
+                return `${i + 1}. satırda borç veya alacaktan yalnızca biri girilmelidir`;
+            }
+
+            if (line.account_id !== undefined && line.account_id !== null && isNaN(line.account_id)) {
+                return `${i + 1}. satırda cari hesap ID'si sayısal olmalıdır`;
+            }
+        }
+
+        const totalDebit = lines.reduce((sum, line) => sum + toUnits(line.debit), 0);
+        const totalCredit = lines.reduce((sum, line) => sum + toUnits(line.credit), 0);
+
+        if (totalDebit !== totalCredit) {
+            return `Borç toplamı (${Money.toFixed(totalDebit)}) alacak toplamına (${Money.toFixed(totalCredit)}) eşit olmalıdır`;
+        }
+
+        return null;
+    },
+
+    // Hesap planını getir
+    getLedgerAccounts: async () => {
+        try {
+            const [rows] = await db.execute(`
+                SELECT id, code, name, ledger_type, is_subledger
+                FROM ledger_accounts
+                WHERE is_active = 1
+                ORDER BY code ASC
+            `);
+
+            return {
+                success: true,
+                data: rows
+            };
+        } catch (error) {
+            console.error('getLedgerAccounts Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Yevmiye fişlerini borç/alacak toplamlarıyla getir
+    getAllEntries: async (context, filters = {}) => {
+        try {
+            let query = `
+                SELECT
+                    je.id,
+                    je.transaction_id,
+                    je.entry_date,
+                    je.description,
+                    je.reference_number,
+                    SUM(jl.debit) AS total_debit,
+                    SUM(jl.credit) AS total_credit,
+                    je.created_at
+                FROM journal_entries je
+                INNER JOIN journal_lines jl ON jl.journal_entry_id = je.id
+                WHERE je.company_id = ? AND je.is_active = 1
+            `;
+            const params = [context.companyId];
+
+            if (filters.start_date) {
+                query += ' AND je.entry_date >= ?';
+                params.push(filters.start_date);
+            }
+
+            if (filters.end_date) {
+                query += ' AND je.entry_date <= ?';
+                params.push(filters.end_date);
+            }
+
+            if (filters.account_id) {
+                query += ' AND je.id IN (SELECT journal_entry_id FROM journal_lines WHERE account_id = ?)';
+                params.push(filters.account_id);
+            }
+
+            query += ' GROUP BY je.id ORDER BY je.entry_date DESC, je.id DESC';
+
+            const [rows] = await db.execute(query, params);
+
+            return {
+                success: true,
+                data: rows
+            };
+        } catch (error) {
+            console.error('getAllEntries Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // ID'ye göre yevmiye fişini satırlarıyla birlikte getir
+    getEntryById: async (context, id) => {
+        try {
+            const [entries] = await db.execute(`
+                SELECT id, transaction_id, entry_date, description, reference_number, created_at, updated_at
+                FROM journal_entries
+                WHERE id = ? AND company_id = ? AND is_active = 1
+            `, [id, context.companyId]);
+
+            if (entries.length === 0) {
+                return {
+                    success: false,
+                    error: 'Yevmiye fişi bulunamadı'
+                };
+            }
+
+            const [lines] = await db.execute(`
+                SELECT
+                    jl.id,
+                    jl.ledger_account_id,
+                    la.code AS ledger_code,
+                    la.name AS ledger_name,
+                    jl.account_id,
+                    a.account_name,
+                    jl.debit,
+                    jl.credit,
+                    jl.currency,
+                    jl.currency_amount,
+                    jl.description
+                FROM journal_lines jl
+                INNER JOIN ledger_accounts la ON la.id = jl.ledger_account_id
+                LEFT JOIN accounts a ON a.id = jl.account_id
+                WHERE jl.journal_entry_id = ?
+                ORDER BY jl.id ASC
+            `, [id]);
+
+            return {
+                success: true,
+                data: {
+                    ...entries[0],
+                    lines
+                }
+            };
+        } catch (error) {
+            console.error('getEntryById Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Yeni yevmiye fişi oluştur (örn. kasa - cari tahsilat kaydı)
+    createEntry: async (context, data) => {
+        try {
+            const {
+                entry_date,
+                description = null,
+                reference_number = null,
+                lines
+            } = data;
+
+            if (!entry_date) {
+                return {
+                    success: false,
+                    error: 'Fiş tarihi gereklidir'
+                };
+            }
+
+            const lineError = Journal.validateLines(lines);
+            if (lineError) {
+                return {
+                    success: false,
+                    error: lineError
+                };
+            }
+
+            // Fiş, satırlar ve cari bakiyeleri tek işlemde kaydedilir
+            return await db.withTransaction(async (connection) => {
+                const ledgerAccountIds = [...new Set(lines.map((line) => parseInt(line.ledger_account_id)))];
+                const [ledgerAccounts] = await connection.execute(
+                    `SELECT id, code, is_subledger FROM ledger_accounts WHERE is_active = 1 AND id IN (${ledgerAccountIds.map(() => '?').join(', ')})`,
+                    ledgerAccountIds
+                );
+
+                for (let i = 0; i < lines.length; i++) {
+                    const line = lines[i];
+                    const ledgerAccount = ledgerAccounts.find((la) => la.id === parseInt(line.ledger_account_id));
+
+                    if (!ledgerAccount) {
+                        return {
+                            success: false,
+                            error: `${i + 1}. satırdaki hesap planı kaydı bulunamadı`
+                        };
+                    }
+
+                    // Cari hesap ID'si yalnızca alt hesap tutan hesaplarda (120) kullanılır
+                    if (ledgerAccount.is_subledger && !line.account_id) {
+                        return {
+                            success: false,
+                            error: `${i + 1}. satırda ${ledgerAccount.code} hesabı için cari hesap ID'si gereklidir`
+                        };
+                    }
+
+                    if (!ledgerAccount.is_subledger && line.account_id) {
+                        return {
+                            success: false,
+                            error: `${i + 1}. satırda ${ledgerAccount.code} hesabı cari hesap ile kullanılamaz`
+                        };
+                    }
+                }
+
+                // Tutarlar şirketin ondalık basamak sayısını aşamaz (yuvarlama fişin dengesini bozar)
+                const decimalPlaces = await UserSettings.getDecimalPlaces(connection, context.companyId);
+                const unroundedIndex = lines.findIndex((line) =>
+                    [line.debit, line.credit].some((value) => toUnits(value) !== Money.round(toUnits(value), decimalPlaces)));
+
+                if (unroundedIndex !== -1) {
+                    return {
+                        success: false,
+                        error: `${unroundedIndex + 1}. satırda tutar en fazla ${decimalPlaces} ondalık basamak içerebilir`
+                    };
+                }
+
+                // Bakiyesi değişecek cari hesapları kilitle
+                const accountIds = [...new Set(lines.filter((line) => line.account_id).map((line) => parseInt(line.account_id)))];
+                if (accountIds.length > 0) {
+                    const [lockedAccounts] = await connection.execute(
+                        `SELECT id FROM accounts WHERE company_id = ? AND is_active = 1 AND id IN (${accountIds.map(() => '?').join(', ')}) ORDER BY id FOR UPDATE`,
+                        [context.companyId, ...accountIds]
+                    );
+
+                    if (lockedAccounts.length !== accountIds.length) {
+                        return {
+                            success: false,
+                            error: 'Belirtilen cari hesap bulunamadı'
+                        };
+                    }
+                }
+
+                const [result] = await connection.execute(`
+                    INSERT INTO journal_entries (company_id, transaction_id, entry_date, description, reference_number, is_active, created_at, updated_at)
+                    VALUES (?, NULL, ?, ?, ?, 1, NOW(), NOW())
+                `, [context.companyId, entry_date, description, reference_number]);
+
+                await insertLines(connection, result.insertId, lines);
+
+                // Cari hesap bakiyelerini güncelle (borç artırır, alacak azaltır)
+                for (const line of lines.filter((l) => l.account_id)) {
+                    await connection.execute(
+                        'UPDATE accounts SET balance = balance + ?, updated_at = NOW() WHERE id = ?',
+                        [Money.toNumber(toUnits(line.debit) - toUnits(line.credit)), parseInt(line.account_id)]
+                    );
+                }
+
+                const [savedLines] = await connection.execute(
+                    'SELECT ledger_account_id, account_id, debit, credit, description FROM journal_lines WHERE journal_entry_id = ? ORDER BY id',
+                    [result.insertId]
+                );
+
+                await AuditLog.record(connection, context, {
+                    entity: 'journal_entry',
+                    entityId: result.insertId,
+                    action: 'create',
+                    after: {
+                        ...(await AuditLog.snapshot(connection, context, 'journal_entry', result.insertId)),
+                        lines: savedLines
+                    }
+                });
+
+                const total = Money.toNumber(lines.reduce((sum, line) => sum + toUnits(line.debit), 0));
+
+                return {
+                    success: true,
+                    data: {
+                        id: result.insertId,
+                        entry_date,
+                        total_debit: total,
+                        total_credit: total,
+                        message: 'Yevmiye fişi başarıyla oluşturuldu'
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('createEntry Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Yevmiye fişini sil (soft delete) - hareketten üretilen fişler hareket üzerinden silinir
+    deleteEntry: async (context, id) => {
+        try {
+            return await db.withTransaction(async (connection) => {
+                const [entries] = await connection.execute(
+                    'SELECT id, transaction_id FROM journal_entries WHERE id = ? AND company_id = ? AND is_active = 1 FOR UPDATE',
+                    [id, context.companyId]
+                );
+
+                if (entries.length === 0) {
+                    return {
+                        success: false,
+                        error: 'Yevmiye fişi bulunamadı'
+                    };
+                }
+
+                if (entries[0].transaction_id) {
+                    return {
+                        success: false,
+                        error: 'Harekete bağlı yevmiye fişi doğrudan silinemez, ilgili işlemi silin'
+                    };
+                }
+
+                const [lines] = await connection.execute(
+                    'SELECT ledger_account_id, account_id, debit, credit, description FROM journal_lines WHERE journal_entry_id = ? ORDER BY id',
+                    [id]
+                );
+
+                const before = {
+                    ...(await AuditLog.snapshot(connection, context, 'journal_entry', id)),
+                    lines
+                };
+
+                // Cari hesap bakiyelerindeki etkiyi geri al (kilit sırası için ID'ye göre)
+                const accountLines = lines
+                    .filter((line) => line.account_id)
+                    .sort((a, b) => a.account_id - b.account_id);
+
+                for (const line of accountLines) {
+                    await connection.execute(
+                        'UPDATE accounts SET balance = balance - ?, updated_at = NOW() WHERE id = ?',
+                        [Money.toNumber(toUnits(line.debit) - toUnits(line.credit)), line.account_id]
+                    );
+                }
+
+                await connection.execute(
+                    'UPDATE journal_entries SET is_active = 0, updated_at = NOW() WHERE id = ?',
+                    [id]
+                );
+
+                await AuditLog.record(connection, context, {
+                    entity: 'journal_entry',
+                    entityId: id,
+                    action: 'delete',
+                    before,
+                    after: {
+                        ...(await AuditLog.snapshot(connection, context, 'journal_entry', id)),
+                        lines
+                    }
+                });
+
+                return {
+                    success: true,
+                    data: {
+                        message: 'Yevmiye fişi başarıyla silindi'
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('deleteEntry Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Mizan (trial balance) - hesap planı bazında borç/alacak toplamları
+    getTrialBalance: async (context, filters = {}) => {
+        try {
+            const conditions = ['je.company_id = ?', 'je.is_active = 1'];
+            const params = [context.companyId];
+
+            if (filters.start_date) {
+                conditions.push('je.entry_date >= ?');
+                params.push(filters.start_date);
+            }
+
+            if (filters.end_date) {
+                conditions.push('je.entry_date <= ?');
+                params.push(filters.end_date);
+            }
+
+            const [rows] = await db.execute(`
+                SELECT
+                    la.id AS ledger_account_id,
+                    la.code,
+                    la.name,
+                    la.ledger_type,
+                    COALESCE(SUM(jl.debit), 0) AS total_debit,
+                    COALESCE(SUM(jl.credit), 0) AS total_credit
+                FROM ledger_accounts la
+                INNER JOIN journal_lines jl ON jl.ledger_account_id = la.id
+                INNER JOIN journal_entries je ON je.id = jl.journal_entry_id
+                WHERE ${conditions.join(' AND ')}
+                GROUP BY la.id, la.code, la.name, la.ledger_type
+                ORDER BY la.code ASC
+            `, params);
+
+            let debitUnits = 0;
+            let creditUnits = 0;
+
+            const accounts = rows.map((row) => {
+                const debit = toUnits(row.total_debit);
+                const credit = toUnits(row.total_credit);
+                debitUnits += debit;
+                creditUnits += credit;
+
+                return {
+                    ledger_account_id: row.ledger_account_id,
+                    code: row.code,
+                    name: row.name,
+                    ledger_type: row.ledger_type,
+                    total_debit: Money.toNumber(debit),
+                    total_credit: Money.toNumber(credit),
+                    debit_balance: debit > credit ? Money.toNumber(debit - credit) : 0,
+                    credit_balance: credit > debit ? Money.toNumber(credit - debit) : 0
+                };
+            });
+
+            return {
+                success: true,
+                data: {
+                    accounts,
+                    totals: {
+                        total_debit: Money.toNumber(debitUnits),
+                        total_credit: Money.toNumber(creditUnits)
+                    },
+                    is_balanced: debitUnits === creditUnits
+                }
+            };
+        } catch (error) {
+            console.error('getTrialBalance Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Hareket için yevmiye fişi oluştur - çağıranın veritabanı işlemi içinde çalışır
+    postTransactionEntry: async (connection, transaction) => {
+        const lines = await buildTransactionLines(connection, transaction);
+
+        const [result] = await connection.execute(`
+            INSERT INTO journal_entries (company_id, transaction_id, entry_date, description, reference_number, is_active, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, 1, NOW(), NOW())
+        `, [
+            transaction.company_id,
+            transaction.id,
+            transaction.transaction_date,
+            transaction.description || null,
+            transaction.reference_number || null
+        ]);
+
+        await insertLines(connection, result.insertId, lines);
+
+        return result.insertId;
+    },
+
+    // Cari hesaplar arası bakiye devri fişi oluştur ve iki hesabın bakiyesini güncelle
+    // Çağıranın işlemi içinde çalışır; iki cari hesap satırı çağıran tarafından kilitlenmiş olmalıdır.
+    // Pozitif tutar kaynak hesabı alacaklandırıp hedefi borçlandırır, negatif tutar tersini yapar
+    postBalanceTransferEntry: async (connection, transfer) => {
+        const ledgerIds = await getLedgerAccountIdsByCode(connection, [ACCOUNTS_RECEIVABLE_CODE]);
+        if (!ledgerIds[ACCOUNTS_RECEIVABLE_CODE]) {
+            throw new Error('Hesap planında bakiye devri için gerekli hesaplar bulunamadı');
+        }
+
+        const amount = Money.toNumber(Math.abs(toUnits(transfer.amount)));
+        const sourceIsCredit = toUnits(transfer.amount) > 0;
+
+        const lines = [
+            {
+                ledger_account_id: ledgerIds[ACCOUNTS_RECEIVABLE_CODE],
+                account_id: parseInt(transfer.to_account_id),
+                debit: sourceIsCredit ? amount : 0,
+                credit: sourceIsCredit ? 0 : amount
+            },
+            {
+                ledger_account_id: ledgerIds[ACCOUNTS_RECEIVABLE_CODE],
+                account_id: parseInt(transfer.from_account_id),
+                debit: sourceIsCredit ? 0 : amount,
+                credit: sourceIsCredit ? amount : 0
+            }
+        ];
+
+        const [result] = await connection.execute(`
+            INSERT INTO journal_entries (company_id, transaction_id, entry_date, description, reference_number, is_active, created_at, updated_at)
+            VALUES (?, NULL, CURDATE(), ?, NULL, 1, NOW(), NOW())
+        `, [transfer.company_id, transfer.description || null]);
+
+        await insertLines(connection, result.insertId, lines);
+
+        for (const line of lines) {
+            await connection.execute(
+                'UPDATE accounts SET balance = balance + ?, updated_at = NOW() WHERE id = ?',
+                [Money.toNumber(toUnits(line.debit) - toUnits(line.credit)), line.account_id]
+            );
+        }
+
+        return result.insertId;
+    },
+
+    // Güncellenen hareketin yevmiye fişini yeniden oluştur - çağıranın işlemi içinde çalışır
+    repostTransactionEntry: async (connection, transaction) => {
+        const [entries] = await connection.execute(
+            'SELECT id FROM journal_entries WHERE transaction_id = ? FOR UPDATE',
+            [transaction.id]
+        );
+
+        if (entries.length === 0) {
+            return Journal.postTransactionEntry(connection, transaction);
+        }
+
+        const journalEntryId = entries[0].id;
+        const lines = await buildTransactionLines(connection, transaction);
+
+        await connection.execute(`
+            UPDATE journal_entries SET
+                entry_date = ?,
+                description = ?,
+                reference_number = ?,
+                is_active = 1,
+                updated_at = NOW()
+            WHERE id = ?
+        `, [
+            transaction.transaction_date,
+            transaction.description || null,
+            transaction.reference_number || null,
+            journalEntryId
+        ]);
+
+        await connection.execute('DELETE FROM journal_lines WHERE journal_entry_id = ?', [journalEntryId]);
+        await insertLines(connection, journalEntryId, lines);
+
+        return journalEntryId;
+    },
+
+    // Silinen hareketin yevmiye fişini pasifleştir - çağıranın işlemi içinde çalışır
+    reverseTransactionEntry: async (connection, transactionId) => {
+        await connection.execute(
+            'UPDATE journal_entries SET is_active = 0, updated_at = NOW() WHERE transaction_id = ?',
+            [transactionId]
+        );
+    }
+};
+
+module.exports = Journal;
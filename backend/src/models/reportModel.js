@@ -0,0 +1,316 @@
+/**
+ * @fileoverview Reports Model
+ * @description Read-only reports built from accounts and transactions (receivable/payable aging,
+ * account statement)
+ * @version 1.0.0
+ */
+
+const db = require('../config/db');
+const ExchangeRates = require('./exchangeRateModel');
+const UserSettings = require('./userSettingsModel');
+const Money = require('../utils/money');
+const Format = require('../utils/format');
+
+/**
+ * Yaşlandırma dilimleri: vadeyi en fazla maxDays gün geçmiş açık kalemler
+ * (current: vadesi gelmemiş veya bugün)
+ * @type {Array<{key: string, maxDays: number}>}
+ */
+const AGING_BUCKETS = [
+    { key: 'current', maxDays: 0 },
+    { key: 'days_1_30', maxDays: 30 },
+    { key: 'days_31_60', maxDays: 60 },
+    { key: 'days_61_90', maxDays: 90 },
+    { key: 'days_over_90', maxDays: Infinity }
+];
+
+/**
+ * Yaşlandırma raporunun bölümleri ve ilgili hareket türleri
+ * @type {Object<string, string>}
+ */
+const AGING_SECTIONS = {
+    receivables: 'receivable',
+    payables: 'payable'
+};
+
+// Vadeyi geçen gün sayısına göre dilim anahtarı
+const bucketFor = (daysOverdue) => AGING_BUCKETS.find(({ maxDays }) => daysOverdue <= maxDays).key;
+
+// Dilimleri sıfır birimle başlat
+const emptyBuckets = () => AGING_BUCKETS.reduce((buckets, { key }) => ({ ...buckets, [key]: 0 }), { total: 0 });
+
+// Birim cinsinden dilimleri JSON için sayıya çevir
+const bucketsToNumbers = (buckets) => Object.keys(buckets)
+    .reduce((result, key) => ({ ...result, [key]: Money.toNumber(buckets[key]) }), {});
+
+// Cari hesabın ekstre hareketleri sorgusu: hareketler ve harekete bağlı olmayan yevmiye
+// fişlerindeki cari satırları, ana para biriminde borç/alacak sütunlarıyla
+// (bakiye hesabıyla aynı kurallar, bkz. BalanceReconciliation ve Transactions.balanceAmount)
+// dateConditions: [{ operator: '>=', value: '2024-01-01' }, ...]
+const buildStatementQuery = (context, accountId, dateConditions) => {
+    const dateFilter = (column) => dateConditions.map(({ operator }) => ` AND ${column} ${operator} ?`).join('');
+    const dateParams = dateConditions.map(({ value }) => value);
+
+    return {
+        query: `
+            SELECT
+                'transaction' AS source,
+                t.id,
+                t.transaction_date AS entry_date,
+                t.transaction_type,
+                t.description,
+                t.reference_number,
+                t.currency,
+                t.amount,
+                CASE WHEN t.transaction_type IN ('income', 'receivable') THEN t.base_amount + t.fx_gain_loss ELSE 0 END AS debit,
+                CASE WHEN t.transaction_type IN ('expense', 'payable') THEN t.base_amount - t.fx_gain_loss ELSE 0 END AS credit
+            FROM transactions t
+            WHERE t.account_id = ? AND t.company_id = ? AND t.is_active = 1${dateFilter('t.transaction_date')}
+            UNION ALL
+            SELECT
+                'journal_entry' AS source,
+                je.id,
+                je.entry_date,
+                NULL AS transaction_type,
+                COALESCE(jl.description, je.description) AS description,
+                je.reference_number,
+                NULL AS currency,
+                NULL AS amount,
+                jl.debit,
+                jl.credit
+            FROM journal_lines jl
+            INNER JOIN journal_entries je ON je.id = jl.journal_entry_id
+            WHERE jl.account_id = ? AND je.company_id = ? AND je.transaction_id IS NULL AND je.is_active = 1${dateFilter('je.entry_date')}
+        `,
+        params: [accountId, context.companyId, ...dateParams, accountId, context.companyId, ...dateParams]
+    };
+};
+
+/**
+ * Reports Model
+ * @namespace Reports
+ */
+const Reports = {
+    // Yaşlandırma dilimleri
+    AGING_BUCKETS: AGING_BUCKETS.map(({ key }) => key),
+
+    // Açık alacak/borç yaşlandırması - cari hesap bazında vade dilimleri ve dilim toplamları
+    // Açık kalem: bekleyen (pending) receivable/payable hareketinin kapama hareketleriyle
+    // (settles_transaction_id) kapatılmamış kısmı, kendi kuruyla ana para biriminde. Kapama
+    // hareketleri (ters yönlü receivable/payable olanlar dahil) kendileri açık kalem sayılmaz.
+    // Vade tarihi olmayan kalemler hareket tarihinde vadeli sayılır.
+    getAgingReport: async (context, filters = {}) => {
+        try {
+            const asOf = filters.as_of || Format.date(new Date(), 'YYYY-MM-DD');
+            const conditions = [
+                't.company_id = ?',
+                't.is_active = 1',
+                't.status = \'pending\'',
+                't.transaction_type IN (\'receivable\', \'payable\')',
+                't.settles_transaction_id IS NULL',
+                't.transaction_date <= ?'
+            ];
+            const params = [asOf, context.companyId, asOf, context.companyId, asOf];
+
+            if (filters.group_id) {
+                conditions.push('a.group_id = ?');
+                params.push(parseInt(filters.group_id));
+            }
+
+            if (filters.account_type) {
+                conditions.push('a.account_type = ?');
+                params.push(filters.account_type);
+            }
+
+            const [rows] = await db.execute(`
+                SELECT
+                    t.id,
+                    t.account_id,
+                    a.account_name,
+                    a.account_code,
+                    a.account_type,
+                    a.group_id,
+                    ag.group_name,
+                    t.transaction_type,
+                    t.amount,
+                    t.exchange_rate,
+                    DATEDIFF(?, COALESCE(t.due_date, t.transaction_date)) AS days_overdue,
+                    COALESCE(s.settled_amount, 0) AS settled_amount
+                FROM transactions t
+                INNER JOIN accounts a ON a.id = t.account_id AND a.is_active = 1
+                LEFT JOIN account_groups ag ON a.group_id = ag.id
+                LEFT JOIN (
+                    SELECT settles_transaction_id, SUM(amount) AS settled_amount
+                    FROM transactions
+                    WHERE company_id = ? AND is_active = 1 AND settles_transaction_id IS NOT NULL
+                        AND transaction_date <= ?
+                    GROUP BY settles_transaction_id
+                ) s ON s.settles_transaction_id = t.id
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY a.account_name ASC, t.id ASC
+            `, params);
+
+            const decimalPlaces = await UserSettings.getDecimalPlaces(db, context.companyId);
+            const report = {};
+
+            for (const [section, transactionType] of Object.entries(AGING_SECTIONS)) {
+                const accounts = new Map();
+                const totals = emptyBuckets();
+
+                for (const row of rows.filter((r) => r.transaction_type === transactionType)) {
+                    const openUnits = Money.parse(row.amount) - Money.parse(row.settled_amount);
+                    if (openUnits <= 0) {
+                        continue;
+                    }
+
+                    if (!accounts.has(row.account_id)) {
+                        accounts.set(row.account_id, {
+                            account_id: row.account_id,
+                            account_name: row.account_name,
+                            account_code: row.account_code,
+                            account_type: row.account_type,
+                            group_id: row.group_id,
+                            group_name: row.group_name,
+                            item_count: 0,
+                            buckets: emptyBuckets()
+                        });
+                    }
+
+                    const account = accounts.get(row.account_id);
+                    const baseUnits = Money.convert(openUnits, row.exchange_rate, decimalPlaces);
+                    const bucket = bucketFor(parseInt(row.days_overdue));
+
+                    account.item_count++;
+                    account.buckets[bucket] += baseUnits;
+                    account.buckets.total += baseUnits;
+                    totals[bucket] += baseUnits;
+                    totals.total += baseUnits;
+                }
+
+                report[section] = {
+                    accounts: [...accounts.values()].map(({ buckets, ...account }) => ({
+                        ...account,
+                        ...bucketsToNumbers(buckets)
+                    })),
+                    totals: bucketsToNumbers(totals)
+                };
+            }
+
+            return {
+                success: true,
+                data: {
+                    as_of: asOf,
+                    base_currency: await ExchangeRates.getBaseCurrency(db, context.companyId),
+                    buckets: Reports.AGING_BUCKETS,
+                    ...report
+                }
+            };
+        } catch (error) {
+            console.error('getAgingReport Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Cari hesap ekstresi - açılış bakiyesi, tarih aralığındaki hareketler (borç/alacak ve
+    // yürüyen bakiye) ve kapanış bakiyesi. Tutarlar ana para birimindedir; from verilirse
+    // açılış bakiyesine o tarihten önceki hareketler eklenir.
+    getAccountStatement: async (context, accountId, filters = {}) => {
+        try {
+            const [accounts] = await db.execute(`
+                SELECT id, account_name, account_code, account_type, currency, opening_balance
+                FROM accounts
+                WHERE id = ? AND company_id = ? AND is_active = 1
+            `, [accountId, context.companyId]);
+
+            if (accounts.length === 0) {
+                return {
+                    success: false,
+                    error: 'Cari hesap bulunamadı'
+                };
+            }
+
+            const account = accounts[0];
+            let openingUnits = Money.parse(account.opening_balance);
+
+            if (filters.from) {
+                const previous = buildStatementQuery(context, accountId, [{ operator: '<', value: filters.from }]);
+                const [totals] = await db.execute(`
+                    SELECT COALESCE(SUM(m.debit), 0) AS total_debit, COALESCE(SUM(m.credit), 0) AS total_credit
+                    FROM (${previous.query}) m
+                `, previous.params);
+
+                openingUnits += Money.parse(totals[0].total_debit) - Money.parse(totals[0].total_credit);
+            }
+
+            const dateConditions = [];
+            if (filters.from) {
+                dateConditions.push({ operator: '>=', value: filters.from });
+            }
+            if (filters.to) {
+                dateConditions.push({ operator: '<=', value: filters.to });
+            }
+
+            const { query, params } = buildStatementQuery(context, accountId, dateConditions);
+            const [rows] = await db.execute(`${query} ORDER BY entry_date ASC, source DESC, id ASC`, params);
+
+            let balanceUnits = openingUnits;
+            let debitUnits = 0;
+            let creditUnits = 0;
+
+            const lines = rows.map((row) => {
+                const debit = Money.parse(row.debit);
+                const credit = Money.parse(row.credit);
+
+                balanceUnits += debit - credit;
+                debitUnits += debit;
+                creditUnits += credit;
+
+                return {
+                    source: row.source,
+                    id: row.id,
+                    date: row.entry_date,
+                    transaction_type: row.transaction_type,
+                    description: row.description,
+                    reference_number: row.reference_number,
+                    currency: row.currency,
+                    amount: row.amount === null ? null : Money.toNumber(Money.parse(row.amount)),
+                    debit: Money.toNumber(debit),
+                    credit: Money.toNumber(credit),
+                    balance: Money.toNumber(balanceUnits)
+                };
+            });
+
+            return {
+                success: true,
+                data: {
+                    account: {
+                        id: account.id,
+                        account_name: account.account_name,
+                        account_code: account.account_code,
+                        account_type: account.account_type,
+                        currency: account.currency
+                    },
+                    from: filters.from || null,
+                    to: filters.to || null,
+                    base_currency: await ExchangeRates.getBaseCurrency(db, context.companyId),
+                    opening_balance: Money.toNumber(openingUnits),
+                    lines,
+                    total_debit: Money.toNumber(debitUnits),
+                    total_credit: Money.toNumber(creditUnits),
+                    closing_balance: Money.toNumber(balanceUnits)
+                }
+            };
+        } catch (error) {
+            console.error('getAccountStatement Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+};
+
+module.exports = Reports;
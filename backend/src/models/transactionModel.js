@@ -5,15 +5,322 @@
  */
 
 const db = require('../config/db');
+const Journal = require('./journalModel');
+const AuditLog = require('./auditLogModel');
+const ExchangeRates = require('./exchangeRateModel');
+const UserSettings = require('./userSettingsModel');
+const Money = require('../utils/money');
+const Format = require('../utils/format');
+const Pagination = require('../utils/pagination');
+
+/**
+ * Hareket türleri
+ * @type {string[]}
+ */
+const TRANSACTION_TYPES = ['income', 'expense', 'receivable', 'payable'];
+
+/**
+ * Ödeme yöntemleri
+ * @type {string[]}
+ */
+const PAYMENT_METHODS = ['cash', 'bank_transfer', 'check', 'credit_card'];
+
+/**
+ * Hareket durumları
+ * @type {string[]}
+ */
+const TRANSACTION_STATUSES = ['completed', 'pending', 'cancelled'];
+
+/**
+ * Hareket türlerinin cari hesap bakiyesine etki yönü (1 artırır, -1 azaltır)
+ * @type {Object<string, number>}
+ */
+const BALANCE_DIRECTIONS = {
+    income: 1,
+    receivable: 1,
+    expense: -1,
+    payable: -1
+};
+
+/**
+ * Hareket listelerinin sıralanabilen alanları (?sort=alan veya -alan) ve varsayılan sıralama
+ * (yeniden eskiye)
+ * @type {{columns: Object<string, string>, idColumn: string, defaultSort: string}}
+ */
+const LIST_SORT = {
+    columns: {
+        transaction_date: 't.transaction_date',
+        amount: 't.amount',
+        id: 't.id'
+    },
+    idColumn: 't.id',
+    defaultSort: '-transaction_date'
+};
+
+// Hareketin cari bakiyesine ana para birimindeki etkisi (işaretsiz)
+// Kapama hareketleri bakiyeden kapattıkları hareketin kuruyla (defter değeriyle) düşer;
+// ödeme kuru ile aradaki fark fx_gain_loss olarak kambiyo hesabına yazılır
+const balanceAmount = (transaction) => Money.toNumber(
+    Money.parse(transaction.base_amount) + BALANCE_DIRECTIONS[transaction.transaction_type] * Money.parse(transaction.fx_gain_loss || 0)
+);
+
+// Hareket filtrelerini SQL koşullarına çevir (getFilteredTransactions ve dışa aktarma)
+const buildFilterConditions = (filters) => {
+    const conditions = [];
+    const params = [];
+
+    // Cari ID filtresi
+    if (filters.account_id && !isNaN(filters.account_id)) {
+        conditions.push('t.account_id = ?');
+        params.push(parseInt(filters.account_id));
+    }
+
+    // İşlem tipi filtresi
+    if (filters.transaction_type && TRANSACTION_TYPES.includes(filters.transaction_type)) {
+        conditions.push('t.transaction_type = ?');
+        params.push(filters.transaction_type);
+    }
+
+    // Minimum tutar filtresi
+    if (filters.min_amount && !isNaN(filters.min_amount)) {
+        conditions.push('t.amount >= ?');
+        params.push(Money.toNumber(Money.parse(filters.min_amount)));
+    }
+
+    // Maksimum tutar filtresi
+    if (filters.max_amount && !isNaN(filters.max_amount)) {
+        conditions.push('t.amount <= ?');
+        params.push(Money.toNumber(Money.parse(filters.max_amount)));
+    }
+
+    // Başlangıç tarihi filtresi
+    if (filters.start_date) {
+        conditions.push('t.transaction_date >= ?');
+        params.push(filters.start_date);
+    }
+
+    // Bitiş tarihi filtresi
+    if (filters.end_date) {
+        conditions.push('t.transaction_date <= ?');
+        params.push(filters.end_date);
+    }
+
+    // Açıklama arama filtresi
+    if (filters.search && filters.search.trim() !== '') {
+        conditions.push('(t.description LIKE ? OR t.reference_number LIKE ?)');
+        const searchTerm = `%${filters.search.trim()}%`;
+        params.push(searchTerm, searchTerm);
+    }
+
+    // Durum filtresi
+    if (filters.status && TRANSACTION_STATUSES.includes(filters.status)) {
+        conditions.push('t.status = ?');
+        params.push(filters.status);
+    }
+
+    // Ödeme yöntemi filtresi
+    if (filters.payment_method) {
+        conditions.push('t.payment_method = ?');
+        params.push(filters.payment_method);
+    }
+
+    // Para birimi filtresi (tutar filtreleri hareketin kendi para birimindedir)
+    if (filters.currency) {
+        conditions.push('t.currency = ?');
+        params.push(filters.currency);
+    }
+
+    // Banka mutabakatı filtresi (true: mutabakatı onaylanmış, false: bekleyen)
+    if (typeof filters.reconciled === 'boolean') {
+        conditions.push(filters.reconciled ? 't.reconciled_at IS NOT NULL' : 't.reconciled_at IS NULL');
+    }
+
+    return { conditions, params };
+};
+
+// Yevmiye kaydı için hareket verisi - para birimi yalnızca dövizli hareketlerde taşınır
+const toJournalTransaction = (transaction, baseCurrency) => ({
+    id: parseInt(transaction.id),
+    company_id: transaction.company_id,
+    account_id: transaction.account_id,
+    transaction_type: transaction.transaction_type,
+    amount: transaction.amount,
+    currency: transaction.currency !== baseCurrency ? transaction.currency : null,
+    base_amount: transaction.base_amount,
+    fx_gain_loss: transaction.fx_gain_loss,
+    settles_transaction_id: transaction.settles_transaction_id || null,
+    payment_method: transaction.payment_method,
+    transaction_date: transaction.transaction_date,
+    description: transaction.description,
+    reference_number: transaction.reference_number
+});
+
+// Kapatılan hareketi doğrula ve kapamanın kur farkını hesapla - çağıranın işlemi içinde çalışır
+// Kapama aynı cari hesapta, aynı para biriminde ve ters yönde olmalı, açık tutarı aşmamalıdır
+const resolveSettlement = async (connection, context, settlement, decimalPlaces) => {
+    const [settledRows] = await connection.execute(
+        'SELECT * FROM transactions WHERE id = ? AND company_id = ? AND is_active = 1 FOR UPDATE',
+        [settlement.settles_transaction_id, context.companyId]
+    );
+
+    if (settledRows.length === 0) {
+        return { success: false, error: 'Kapatılan işlem bulunamadı' };
+    }
+
+    const settled = settledRows[0];
+
+    if (settled.settles_transaction_id) {
+        return { success: false, error: 'Kapama işlemi başka bir işlemle kapatılamaz' };
+    }
+
+    if (settled.account_id !== parseInt(settlement.account_id)) {
+        return { success: false, error: 'Kapatılan işlem aynı cari hesaba ait olmalıdır' };
+    }
+
+    if (settled.currency !== settlement.currency) {
+        return { success: false, error: `Kapama işlemi kapatılan işlemin para biriminde (${settled.currency}) olmalıdır` };
+    }
+
+    const direction = BALANCE_DIRECTIONS[settlement.transaction_type];
+    if (BALANCE_DIRECTIONS[settled.transaction_type] === direction) {
+        return {
+            success: false,
+            error: direction > 0
+                ? 'Borç kaydı yalnızca alacak yönlü (expense/payable) bir işlemi kapatabilir'
+                : 'Alacak kaydı yalnızca borç yönlü (income/receivable) bir işlemi kapatabilir'
+        };
+    }
+
+    const [settledSum] = await connection.execute(`
+        SELECT COALESCE(SUM(amount), 0) AS settled_amount
+        FROM transactions
+        WHERE settles_transaction_id = ? AND company_id = ? AND is_active = 1 AND id != ?
+    `, [settled.id, context.companyId, settlement.id || 0]);
+
+    const openUnits = Money.parse(settled.amount) - Money.parse(settledSum[0].settled_amount);
+    const amountUnits = Money.parse(settlement.amount);
+    if (amountUnits > openUnits) {
+        return {
+            success: false,
+            error: `Kapama tutarı işlemin açık tutarını (${Money.toFixed(openUnits, decimalPlaces)} ${settled.currency}) aşamaz`
+        };
+    }
+
+    // Defter değeri kapatılan hareketin kuruyla; kâr borç yönlü kapanışta fazla tahsilat,
+    // alacak yönlü kapanışta eksik ödemedir
+    const carryingUnits = Money.convert(amountUnits, settled.exchange_rate, decimalPlaces);
+    const fxUnits = -direction * (Money.parse(settlement.base_amount) - carryingUnits);
+
+    return { success: true, fx_gain_loss: Money.toNumber(fxUnits) };
+};
+
+// Hareketin tutarını, para birimini, kurunu, ana para birimindeki tutarını ve kur farkını belirle
+// Tutarlar şirketin decimal_places ayarına yuvarlanır. Para birimi cari hesabın para birimi
+// olmalıdır. Kur verilmezse güncellemede para birimi ve tarih değişmedikçe mevcut kur korunur,
+// aksi halde hareket tarihindeki kayıtlı kur kullanılır.
+const resolveAmounts = async (connection, context, account, data, previous = null) => {
+    const decimalPlaces = await UserSettings.getDecimalPlaces(connection, context.companyId);
+    const amountUnits = Money.parse(data.amount, decimalPlaces);
+
+    if (!(amountUnits > 0)) {
+        return {
+            success: false,
+            error: 'Geçerli bir tutar girilmelidir'
+        };
+    }
+
+    const currency = data.currency || account.currency;
+
+    if (currency !== account.currency) {
+        return {
+            success: false,
+            error: `İşlem para birimi cari hesabın para birimiyle (${account.currency}) aynı olmalıdır`
+        };
+    }
+
+    const keepRate = (data.exchange_rate === undefined || data.exchange_rate === null)
+        && previous && previous.currency === currency
+        && Format.date(previous.transaction_date, 'YYYY-MM-DD') === Format.date(data.transaction_date, 'YYYY-MM-DD');
+
+    const rateResult = await ExchangeRates.resolveRate(connection, context, {
+        currency,
+        date: data.transaction_date,
+        rate: keepRate ? previous.exchange_rate : data.exchange_rate
+    });
+
+    if (!rateResult.success) {
+        return rateResult;
+    }
+
+    const amounts = {
+        base_currency: rateResult.data.base_currency,
+        amount: Money.toNumber(amountUnits),
+        currency,
+        exchange_rate: rateResult.data.exchange_rate,
+        base_amount: Money.toNumber(Money.convert(amountUnits, rateResult.data.exchange_rate, decimalPlaces)),
+        settles_transaction_id: data.settles_transaction_id ? parseInt(data.settles_transaction_id) : null,
+        fx_gain_loss: 0
+    };
+
+    if (amounts.settles_transaction_id) {
+        if (previous && amounts.settles_transaction_id === previous.id) {
+            return { success: false, error: 'İşlem kendisini kapatamaz' };
+        }
+
+        const settlement = await resolveSettlement(connection, context, {
+            id: previous ? previous.id : null,
+            settles_transaction_id: amounts.settles_transaction_id,
+            account_id: account.id,
+            transaction_type: data.transaction_type,
+            currency,
+            amount: amounts.amount,
+            base_amount: amounts.base_amount
+        }, decimalPlaces);
+
+        if (!settlement.success) {
+            return settlement;
+        }
+
+        amounts.fx_gain_loss = settlement.fx_gain_loss;
+    }
+
+    return { success: true, data: amounts };
+};
+
+// Hareketi kapatan aktif kapama hareketlerinin sayısı
+const countSettlements = async (connection, context, id) => {
+    const [rows] = await connection.execute(
+        'SELECT COUNT(*) AS count FROM transactions WHERE settles_transaction_id = ? AND company_id = ? AND is_active = 1',
+        [id, context.companyId]
+    );
+
+    return rows[0].count;
+};
 
 /**
  * Financial Transactions Model
  * @namespace Transactions
  */
 const Transactions = {
-    // Tüm finansal hareketleri cari adlarıyla birlikte getir
-    getAllTransactions: async () => {
+    // Geçerli hareket türleri, ödeme yöntemleri ve durumlar
+    TRANSACTION_TYPES,
+    PAYMENT_METHODS,
+    STATUSES: TRANSACTION_STATUSES,
+
+    // Listelerin sıralanabilen alanları ve varsayılan sıralaması
+    SORT_FIELDS: Object.keys(LIST_SORT.columns),
+    DEFAULT_SORT: LIST_SORT.defaultSort,
+
+    // Hareketin cari bakiyesine ana para birimindeki etkisi
+    balanceAmount,
+
+    // Aktif finansal hareketleri cari adlarıyla birlikte getir
+    // pagination: { limit, cursor, sort } - limit verilmezse tüm hareketler döner
+    getAllTransactions: async (context, pagination = {}) => {
         try {
+            const page = Pagination.build(pagination, LIST_SORT);
+            const conditions = ['t.company_id = ?', 't.is_active = 1'];
+
             const [rows] = await db.execute(`
                 SELECT 
                     t.id,
@@ -22,23 +329,40 @@ const Transactions = {
                     a.account_code,
                     t.transaction_type,
                     t.amount,
+                    t.currency,
+                    t.exchange_rate,
+                    t.base_amount,
+                    t.settles_transaction_id,
+                    t.fx_gain_loss,
                     t.description,
                     t.reference_number,
                     t.transaction_date,
                     t.due_date,
                     t.payment_method,
                     t.status,
+                    t.reconciled_at,
                     t.created_at,
                     t.updated_at
                 FROM transactions t
                 LEFT JOIN accounts a ON t.account_id = a.id
-                WHERE t.is_active = 1
-                ORDER BY t.transaction_date DESC, t.created_at DESC
-            `);
-            
+                WHERE ${[...conditions, ...page.conditions].join(' AND ')}
+                ${page.orderBy}
+                ${page.limitClause}
+            `, [context.companyId, ...page.params]);
+
+            // Toplam kayıt sayısı imleçten bağımsızdır
+            const [countRows] = await db.execute(
+                `SELECT COUNT(*) AS total FROM transactions t WHERE ${conditions.join(' AND ')}`,
+                [context.companyId]
+            );
+
+            const { data, nextCursor } = page.toPage(rows);
+
             return {
                 success: true,
-                data: rows
+                data,
+                totalCount: countRows[0].total,
+                nextCursor
             };
         } catch (error) {
             console.error('getAllTransactions Error:', error);
@@ -50,7 +374,7 @@ const Transactions = {
     },
 
     // ID'ye göre işlem getir (cari adıyla birlikte)
-    getTransactionById: async (id) => {
+    getTransactionById: async (context, id) => {
         try {
             const [rows] = await db.execute(`
                 SELECT 
@@ -60,18 +384,24 @@ const Transactions = {
                     a.account_code,
                     t.transaction_type,
                     t.amount,
+                    t.currency,
+                    t.exchange_rate,
+                    t.base_amount,
+                    t.settles_transaction_id,
+                    t.fx_gain_loss,
                     t.description,
                     t.reference_number,
                     t.transaction_date,
                     t.due_date,
                     t.payment_method,
                     t.status,
+                    t.reconciled_at,
                     t.created_at,
                     t.updated_at
                 FROM transactions t
                 LEFT JOIN accounts a ON t.account_id = a.id
-                WHERE t.id = ? AND t.is_active = 1
-            `, [id]);
+                WHERE t.id = ? AND t.company_id = ? AND t.is_active = 1
+            `, [id, context.companyId]);
             
             if (rows.length === 0) {
                 return {
@@ -94,7 +424,9 @@ const Transactions = {
     },
 
     // Yeni işlem oluştur
-    createTransaction: async (data) => {
+    // connection verilirse kayıt çağıranın işlemine katılır (banka ekstresi aktarımı); bu durumda
+    // veritabanı hataları çağırana fırlatılır ki çağıranın işlemi geri alınsın
+    createTransaction: async (context, data, connection = null) => {
         try {
             const {
                 account_id,
@@ -108,6 +440,13 @@ const Transactions = {
                 status = 'completed'
             } = data;
 
+            // Para birimi, kur ve kapatılan işlem opsiyoneldir (resolveAmounts)
+            const currencyData = {
+                currency: data.currency,
+                exchange_rate: data.exchange_rate,
+                settles_transaction_id: data.settles_transaction_id
+            };
+
             // Zorunlu alanları kontrol et
             if (!account_id) {
                 return {
@@ -116,14 +455,14 @@ const Transactions = {
                 };
             }
 
-            if (!transaction_type || !['income', 'expense', 'receivable', 'payable'].includes(transaction_type)) {
+            if (!transaction_type || !TRANSACTION_TYPES.includes(transaction_type)) {
                 return {
                     success: false,
                     error: 'Geçersiz işlem türü (income/expense/receivable/payable)'
                 };
             }
 
-            if (!amount || isNaN(amount) || parseFloat(amount) <= 0) {
+            if (!Money.isValid(amount) || Money.parse(amount) <= 0) {
                 return {
                     success: false,
                     error: 'Geçerli bir tutar girilmelidir'
@@ -137,66 +476,125 @@ const Transactions = {
                 };
             }
 
-            // Cari hesap varlığını kontrol et
-            const [accountExists] = await db.execute(
-                'SELECT id FROM accounts WHERE id = ? AND is_active = 1',
-                [account_id]
-            );
-
-            if (accountExists.length === 0) {
-                return {
-                    success: false,
-                    error: 'Belirtilen cari hesap bulunamadı'
-                };
-            }
-
-            // Referans numarası benzersizlik kontrolü (eğer belirtilmişse)
-            if (reference_number) {
-                const [existingRef] = await db.execute(
-                    'SELECT id FROM transactions WHERE reference_number = ? AND is_active = 1',
-                    [reference_number]
+            // Kayıt ve bakiye güncellemesi tek bir veritabanı işleminde yapılır
+            return await db.withTransaction(async (connection) => {
+                // Cari hesap varlığını kontrol et ve satırı kilitle
+                const [accountExists] = await connection.execute(
+                    'SELECT id, currency FROM accounts WHERE id = ? AND company_id = ? AND is_active = 1 FOR UPDATE',
+                    [account_id, context.companyId]
                 );
 
-                if (existingRef.length > 0) {
+                if (accountExists.length === 0) {
                     return {
                         success: false,
-                        error: 'Bu referans numarası zaten kullanılıyor'
+                        error: 'Belirtilen cari hesap bulunamadı'
                     };
                 }
-            }
 
-            const [result] = await db.execute(`
-                INSERT INTO transactions (
-                    account_id, transaction_type, amount, description, 
-                    reference_number, transaction_date, due_date, 
-                    payment_method, status, is_active, created_at, updated_at
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, NOW(), NOW())
-            `, [
-                parseInt(account_id),
-                transaction_type,
-                parseFloat(amount),
-                description,
-                reference_number,
-                transaction_date,
-                due_date,
-                payment_method,
-                status
-            ]);
+                // Referans numarası benzersizlik kontrolü (eğer belirtilmişse)
+                if (reference_number) {
+                    const [existingRef] = await connection.execute(
+                        'SELECT id FROM transactions WHERE reference_number = ? AND company_id = ? AND is_active = 1',
+                        [reference_number, context.companyId]
+                    );
 
-            // Cari hesap bakiyesini güncelle
-            await Transactions.updateAccountBalance(account_id, transaction_type, parseFloat(amount), 'add');
+                    if (existingRef.length > 0) {
+                        return {
+                            success: false,
+                            error: 'Bu referans numarası zaten kullanılıyor'
+                        };
+                    }
+                }
 
-            return {
-                success: true,
-                data: {
-                    id: result.insertId,
-                    account_id: parseInt(account_id),
+                // Kur, ana para birimi tutarı ve kapama kur farkı
+                const amountsResult = await resolveAmounts(connection, context, accountExists[0], {
+                    ...currencyData,
                     transaction_type,
-                    amount: parseFloat(amount),
-                    message: 'İşlem başarıyla oluşturuldu'
+                    amount,
+                    transaction_date
+                });
+
+                if (!amountsResult.success) {
+                    return amountsResult;
                 }
-            };
+
+                const amounts = amountsResult.data;
+
+                const [result] = await connection.execute(`
+                    INSERT INTO transactions (
+                        company_id, account_id, transaction_type, amount, currency, exchange_rate,
+                        base_amount, settles_transaction_id, fx_gain_loss, description, 
+                        reference_number, transaction_date, due_date, 
+                        payment_method, status, is_active, created_at, updated_at
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, NOW(), NOW())
+                `, [
+                    context.companyId,
+                    parseInt(account_id),
+                    transaction_type,
+                    amounts.amount,
+                    amounts.currency,
+                    amounts.exchange_rate,
+                    amounts.base_amount,
+                    amounts.settles_transaction_id,
+                    amounts.fx_gain_loss,
+                    description,
+                    reference_number,
+                    transaction_date,
+                    due_date,
+                    payment_method,
+                    status
+                ]);
+
+                const transaction = {
+                    id: result.insertId,
+                    company_id: context.companyId,
+                    account_id,
+                    transaction_type,
+                    ...amounts,
+                    payment_method,
+                    transaction_date,
+                    description,
+                    reference_number
+                };
+
+                // Cari hesap bakiyesini ana para biriminde güncelle
+                await Transactions.updateAccountBalance(connection, account_id, transaction_type, balanceAmount(transaction), 'add');
+
+                // Çift taraflı yevmiye kaydını oluştur
+                const journalEntryId = await Journal.postTransactionEntry(
+                    connection,
+                    toJournalTransaction(transaction, amounts.base_currency)
+                );
+
+                await AuditLog.record(connection, context, {
+                    entity: 'transaction',
+                    entityId: result.insertId,
+                    action: 'create',
+                    after: await AuditLog.snapshot(connection, context, 'transaction', result.insertId)
+                });
+
+                return {
+                    success: true,
+                    data: {
+                        id: result.insertId,
+                        account_id: parseInt(account_id),
+                        transaction_type,
+                        amount: amounts.amount,
+                        currency: amounts.currency,
+                        exchange_rate: amounts.exchange_rate,
+                        base_amount: amounts.base_amount,
+                        settles_transaction_id: amounts.settles_transaction_id,
+                        fx_gain_loss: amounts.fx_gain_loss,
+                        journal_entry_id: journalEntryId,
+                        message: 'İşlem başarıyla oluşturuldu'
+                    }
+                };
+            }, connection);
         } catch (error) {
+            if (connection) {
+                throw error;
+            }
+
             console.error('createTransaction Error:', error);
             return {
                 success: false,
@@ -206,16 +604,8 @@ const Transactions = {
     },
 
     // İşlemi güncelle
-    updateTransaction: async (id, data) => {
+    updateTransaction: async (context, id, data) => {
         try {
-            // İşlem var mı kontrol et
-            const existingTransaction = await Transactions.getTransactionById(id);
-            if (!existingTransaction.success) {
-                return existingTransaction;
-            }
-
-            const oldTransaction = existingTransaction.data;
-            
             const {
                 account_id,
                 transaction_type,
@@ -228,6 +618,13 @@ const Transactions = {
                 status
             } = data;
 
+            // Para birimi, kur ve kapatılan işlem opsiyoneldir (resolveAmounts)
+            const currencyData = {
+                currency: data.currency,
+                exchange_rate: data.exchange_rate,
+                settles_transaction_id: data.settles_transaction_id
+            };
+
             // Zorunlu alanları kontrol et
             if (!account_id) {
                 return {
@@ -236,107 +633,206 @@ const Transactions = {
                 };
             }
 
-            if (!transaction_type || !['income', 'expense', 'receivable', 'payable'].includes(transaction_type)) {
+            if (!transaction_type || !TRANSACTION_TYPES.includes(transaction_type)) {
                 return {
                     success: false,
                     error: 'Geçersiz işlem türü'
                 };
             }
 
-            if (!amount || isNaN(amount) || parseFloat(amount) <= 0) {
+            if (!Money.isValid(amount) || Money.parse(amount) <= 0) {
                 return {
                     success: false,
                     error: 'Geçerli bir tutar girilmelidir'
                 };
             }
 
-            // Cari hesap varlığını kontrol et
-            const [accountExists] = await db.execute(
-                'SELECT id FROM accounts WHERE id = ? AND is_active = 1',
-                [account_id]
-            );
+            // Eski etkinin geri alınması, güncelleme ve yeni etkinin uygulanması tek işlemde yapılır
+            return await db.withTransaction(async (connection) => {
+                // İşlem var mı kontrol et ve satırı kilitle
+                const [existingRows] = await connection.execute(
+                    'SELECT * FROM transactions WHERE id = ? AND company_id = ? AND is_active = 1 FOR UPDATE',
+                    [id, context.companyId]
+                );
 
-            if (accountExists.length === 0) {
-                return {
-                    success: false,
-                    error: 'Belirtilen cari hesap bulunamadı'
-                };
-            }
+                if (existingRows.length === 0) {
+                    return {
+                        success: false,
+                        error: 'İşlem bulunamadı'
+                    };
+                }
+
+                const oldTransaction = existingRows[0];
 
-            // Referans numarası benzersizlik kontrolü (kendisi hariç)
-            if (reference_number) {
-                const [existingRef] = await db.execute(
-                    'SELECT id FROM transactions WHERE reference_number = ? AND id != ? AND is_active = 1',
-                    [reference_number, id]
+                // Banka ekstresiyle eşleşmiş hareket sessizce değişmesin; önce işaret kaldırılmalı
+                if (oldTransaction.reconciled_at) {
+                    return {
+                        success: false,
+                        error: 'Mutabakatı yapılmış işlem güncellenemez, önce mutabakat işaretini kaldırın'
+                    };
+                }
+
+                // Eski ve yeni cari hesapları kilitle (deadlock riskine karşı ID sırasıyla)
+                const [lockedAccounts] = await connection.execute(
+                    'SELECT id, company_id, is_active, currency FROM accounts WHERE id IN (?, ?) ORDER BY id FOR UPDATE',
+                    [oldTransaction.account_id, parseInt(account_id)]
                 );
 
-                if (existingRef.length > 0) {
+                const newAccount = lockedAccounts.find((account) => account.id === parseInt(account_id));
+                if (!newAccount || newAccount.is_active !== 1 || newAccount.company_id !== context.companyId) {
                     return {
                         success: false,
-                        error: 'Bu referans numarası başka bir işlem tarafından kullanılıyor'
+                        error: 'Belirtilen cari hesap bulunamadı'
                     };
                 }
-            }
 
-            // Eski işlemin bakiye etkisini geri al
-            await Transactions.updateAccountBalance(
-                oldTransaction.account_id,
-                oldTransaction.transaction_type,
-                oldTransaction.amount,
-                'subtract'
-            );
+                // Referans numarası benzersizlik kontrolü (kendisi hariç)
+                if (reference_number) {
+                    const [existingRef] = await connection.execute(
+                        'SELECT id FROM transactions WHERE reference_number = ? AND id != ? AND company_id = ? AND is_active = 1',
+                        [reference_number, id, context.companyId]
+                    );
 
-            const [result] = await db.execute(`
-                UPDATE transactions SET 
-                    account_id = ?, 
-                    transaction_type = ?, 
-                    amount = ?, 
-                    description = ?, 
-                    reference_number = ?, 
-                    transaction_date = ?, 
-                    due_date = ?, 
-                    payment_method = ?, 
-                    status = ?,
-                    updated_at = NOW()
-                WHERE id = ? AND is_active = 1
-            `, [
-                parseInt(account_id),
-                transaction_type,
-                parseFloat(amount),
-                description || null,
-                reference_number || null,
-                transaction_date,
-                due_date || null,
-                payment_method || oldTransaction.payment_method,
-                status || oldTransaction.status,
-                id
-            ]);
+                    if (existingRef.length > 0) {
+                        return {
+                            success: false,
+                            error: 'Bu referans numarası başka bir işlem tarafından kullanılıyor'
+                        };
+                    }
+                }
 
-            if (result.affectedRows === 0) {
-                return {
-                    success: false,
-                    error: 'İşlem güncellenemedi'
-                };
-            }
+                const amountsResult = await resolveAmounts(connection, context, newAccount, {
+                    ...currencyData,
+                    transaction_type,
+                    amount,
+                    transaction_date
+                }, oldTransaction);
 
-            // Yeni işlemin bakiye etkisini uygula
-            await Transactions.updateAccountBalance(
-                parseInt(account_id),
-                transaction_type,
-                parseFloat(amount),
-                'add'
-            );
+                if (!amountsResult.success) {
+                    return amountsResult;
+                }
 
-            return {
-                success: true,
-                data: {
-                    id: parseInt(id),
-                    account_id: parseInt(account_id),
+                const amounts = amountsResult.data;
+
+                // Kapama işlemleri olan bir işlemin tutarı, kuru veya cari hesabı değiştirilemez
+                const financialChange = oldTransaction.account_id !== parseInt(account_id)
+                    || oldTransaction.transaction_type !== transaction_type
+                    || Money.parse(oldTransaction.amount) !== Money.parse(amounts.amount)
+                    || oldTransaction.currency !== amounts.currency
+                    || parseFloat(oldTransaction.exchange_rate) !== amounts.exchange_rate;
+
+                if (financialChange && await countSettlements(connection, context, id) > 0) {
+                    return {
+                        success: false,
+                        error: 'Bu işlemi kapatan işlemler var; tutar, tür, kur veya cari hesap değiştirilemez'
+                    };
+                }
+
+                // Eski işlemin bakiye etkisini geri al
+                await Transactions.updateAccountBalance(
+                    connection,
+                    oldTransaction.account_id,
+                    oldTransaction.transaction_type,
+                    balanceAmount(oldTransaction),
+                    'subtract'
+                );
+
+                const [result] = await connection.execute(`
+                    UPDATE transactions SET 
+                        account_id = ?, 
+                        transaction_type = ?, 
+                        amount = ?, 
+                        currency = ?, 
+                        exchange_rate = ?, 
+                        base_amount = ?, 
+                        settles_transaction_id = ?, 
+                        fx_gain_loss = ?, 
+                        description = ?, 
+                        reference_number = ?, 
+                        transaction_date = ?, 
+                        due_date = ?, 
+                        payment_method = ?, 
+                        status = ?,
+                        updated_at = NOW()
+                    WHERE id = ? AND company_id = ? AND is_active = 1
+                `, [
+                    parseInt(account_id),
                     transaction_type,
-                    amount: parseFloat(amount),
-                    message: 'İşlem başarıyla güncellendi'
+                    amounts.amount,
+                    amounts.currency,
+                    amounts.exchange_rate,
+                    amounts.base_amount,
+                    amounts.settles_transaction_id,
+                    amounts.fx_gain_loss,
+                    description || null,
+                    reference_number || null,
+                    transaction_date,
+                    due_date || null,
+                    payment_method || oldTransaction.payment_method,
+                    status || oldTransaction.status,
+                    id,
+                    context.companyId
+                ]);
+
+                if (result.affectedRows === 0) {
+                    return {
+                        success: false,
+                        error: 'İşlem güncellenemedi'
+                    };
                 }
-            };
+
+                const transaction = {
+                    id,
+                    company_id: context.companyId,
+                    account_id,
+                    transaction_type,
+                    ...amounts,
+                    payment_method: payment_method || oldTransaction.payment_method,
+                    transaction_date,
+                    description,
+                    reference_number
+                };
+
+                // Yeni işlemin bakiye etkisini uygula
+                await Transactions.updateAccountBalance(
+                    connection,
+                    parseInt(account_id),
+                    transaction_type,
+                    balanceAmount(transaction),
+                    'add'
+                );
+
+                // Yevmiye kaydını yeni değerlerle yeniden oluştur
+                const journalEntryId = await Journal.repostTransactionEntry(
+                    connection,
+                    toJournalTransaction(transaction, amounts.base_currency)
+                );
+
+                await AuditLog.record(connection, context, {
+                    entity: 'transaction',
+                    entityId: id,
+                    action: 'update',
+                    before: oldTransaction,
+                    after: await AuditLog.snapshot(connection, context, 'transaction', id)
+                });
+
+                return {
+                    success: true,
+                    data: {
+                        id: parseInt(id),
+                        account_id: parseInt(account_id),
+                        transaction_type,
+                        amount: amounts.amount,
+                        currency: amounts.currency,
+                        exchange_rate: amounts.exchange_rate,
+                        base_amount: amounts.base_amount,
+                        settles_transaction_id: amounts.settles_transaction_id,
+                        fx_gain_loss: amounts.fx_gain_loss,
+                        journal_entry_id: journalEntryId,
+                        message: 'İşlem başarıyla güncellendi'
+                    }
+                };
+            });
         } catch (error) {
             console.error('updateTransaction Error:', error);
             return {
@@ -347,43 +843,87 @@ const Transactions = {
     },
 
     // İşlemi sil (soft delete)
-    deleteTransaction: async (id) => {
+    deleteTransaction: async (context, id) => {
         try {
-            // İşlem var mı kontrol et
-            const existingTransaction = await Transactions.getTransactionById(id);
-            if (!existingTransaction.success) {
-                return existingTransaction;
-            }
+            // Silme ve bakiye düzeltmesi tek işlemde yapılır
+            return await db.withTransaction(async (connection) => {
+                // İşlem var mı kontrol et ve satırı kilitle
+                const [existingRows] = await connection.execute(
+                    'SELECT * FROM transactions WHERE id = ? AND company_id = ? AND is_active = 1 FOR UPDATE',
+                    [id, context.companyId]
+                );
 
-            const transaction = existingTransaction.data;
+                if (existingRows.length === 0) {
+                    return {
+                        success: false,
+                        error: 'İşlem bulunamadı'
+                    };
+                }
 
-            // Soft delete - is_active = 0
-            const [result] = await db.execute(
-                'UPDATE transactions SET is_active = 0, updated_at = NOW() WHERE id = ?',
-                [id]
-            );
+                const transaction = existingRows[0];
 
-            if (result.affectedRows === 0) {
-                return {
-                    success: false,
-                    error: 'İşlem silinemedi'
-                };
-            }
+                if (transaction.reconciled_at) {
+                    return {
+                        success: false,
+                        error: 'Mutabakatı yapılmış işlem silinemez, önce mutabakat işaretini kaldırın'
+                    };
+                }
 
-            // Bakiye etkisini geri al
-            await Transactions.updateAccountBalance(
-                transaction.account_id,
-                transaction.transaction_type,
-                transaction.amount,
-                'subtract'
-            );
+                // Kapama işlemleri silinmeden kapatılan işlem silinemez
+                const settlementCount = await countSettlements(connection, context, id);
+                if (settlementCount > 0) {
+                    return {
+                        success: false,
+                        error: `Bu işlemi kapatan ${settlementCount} işlem var, önce onları silin`
+                    };
+                }
 
-            return {
-                success: true,
-                data: {
-                    message: 'İşlem başarıyla silindi'
+                // Cari hesap satırını kilitle
+                await connection.execute(
+                    'SELECT id FROM accounts WHERE id = ? FOR UPDATE',
+                    [transaction.account_id]
+                );
+
+                // Soft delete - is_active = 0
+                const [result] = await connection.execute(
+                    'UPDATE transactions SET is_active = 0, deleted_at = NOW(), updated_at = NOW() WHERE id = ? AND company_id = ?',
+                    [id, context.companyId]
+                );
+
+                if (result.affectedRows === 0) {
+                    return {
+                        success: false,
+                        error: 'İşlem silinemedi'
+                    };
                 }
-            };
+
+                // Bakiye etkisini geri al
+                await Transactions.updateAccountBalance(
+                    connection,
+                    transaction.account_id,
+                    transaction.transaction_type,
+                    balanceAmount(transaction),
+                    'subtract'
+                );
+
+                // Yevmiye kaydını pasifleştir
+                await Journal.reverseTransactionEntry(connection, id);
+
+                await AuditLog.record(connection, context, {
+                    entity: 'transaction',
+                    entityId: id,
+                    action: 'delete',
+                    before: transaction,
+                    after: await AuditLog.snapshot(connection, context, 'transaction', id)
+                });
+
+                return {
+                    success: true,
+                    data: {
+                        message: 'İşlem başarıyla silindi'
+                    }
+                };
+            });
         } catch (error) {
             console.error('deleteTransaction Error:', error);
             return {
@@ -393,128 +933,351 @@ const Transactions = {
         }
     },
 
-    // Filtrelenmiş işlemleri getir
-    getFilteredTransactions: async (filters) => {
+    // Silinmiş (çöp kutusundaki) işlemleri getir
+    getDeletedTransactions: async (context) => {
         try {
-            let baseQuery = `
+            const [rows] = await db.execute(`
                 SELECT 
                     t.id,
                     t.account_id,
                     a.account_name,
                     a.account_code,
+                    a.is_active AS account_is_active,
                     t.transaction_type,
                     t.amount,
+                    t.currency,
+                    t.exchange_rate,
+                    t.base_amount,
+                    t.settles_transaction_id,
+                    t.fx_gain_loss,
                     t.description,
                     t.reference_number,
                     t.transaction_date,
-                    t.due_date,
-                    t.payment_method,
                     t.status,
+                    t.deleted_at,
                     t.created_at
                 FROM transactions t
                 LEFT JOIN accounts a ON t.account_id = a.id
-                WHERE t.is_active = 1
-            `;
+                WHERE t.company_id = ? AND t.is_active = 0
+                ORDER BY t.deleted_at DESC, t.id DESC
+            `, [context.companyId]);
 
-            const conditions = [];
-            const params = [];
+            return {
+                success: true,
+                data: rows
+            };
+        } catch (error) {
+            console.error('getDeletedTransactions Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
 
-            // Cari ID filtresi
-            if (filters.cari_id && !isNaN(filters.cari_id)) {
-                conditions.push('t.account_id = ?');
-                params.push(parseInt(filters.cari_id));
-            }
+    // Silinmiş işlemi geri yükle - bakiye etkisi ve yevmiye kaydı yeniden uygulanır
+    // Referans numarası aktif bir işlemle çakışıyorsa overrides.reference_number ile
+    // yeni bir numara verilebilir (null veya boş değer numarayı kaldırır)
+    restoreTransaction: async (context, id, overrides = {}) => {
+        try {
+            return await db.withTransaction(async (connection) => {
+                const [existingRows] = await connection.execute(
+                    'SELECT * FROM transactions WHERE id = ? AND company_id = ? AND is_active = 0 FOR UPDATE',
+                    [id, context.companyId]
+                );
 
-            // İşlem tipi filtresi
-            if (filters.islem_tipi && ['income', 'expense', 'receivable', 'payable'].includes(filters.islem_tipi)) {
-                conditions.push('t.transaction_type = ?');
-                params.push(filters.islem_tipi);
-            }
+                if (existingRows.length === 0) {
+                    return {
+                        success: false,
+                        error: 'Silinmiş işlem bulunamadı'
+                    };
+                }
 
-            // Minimum tutar filtresi
-            if (filters.min_tutar && !isNaN(filters.min_tutar)) {
-                conditions.push('t.amount >= ?');
-                params.push(parseFloat(filters.min_tutar));
-            }
+                const transaction = existingRows[0];
 
-            // Maksimum tutar filtresi
-            if (filters.max_tutar && !isNaN(filters.max_tutar)) {
-                conditions.push('t.amount <= ?');
-                params.push(parseFloat(filters.max_tutar));
-            }
+                // Cari hesap satırını kilitle; silinmiş bir hesaba hareket geri yüklenemez
+                const [accountRows] = await connection.execute(
+                    'SELECT id, is_active FROM accounts WHERE id = ? AND company_id = ? FOR UPDATE',
+                    [transaction.account_id, context.companyId]
+                );
 
-            // Başlangıç tarihi filtresi
-            if (filters.baslangic_tarihi) {
-                conditions.push('t.transaction_date >= ?');
-                params.push(filters.baslangic_tarihi);
-            }
+                if (accountRows.length === 0 || accountRows[0].is_active !== 1) {
+                    return {
+                        success: false,
+                        error: 'İşlemin cari hesabı silinmiş, önce cari hesabı geri yükleyin',
+                        conflict: {
+                            field: 'account_id',
+                            value: transaction.account_id,
+                            conflicting_id: null
+                        }
+                    };
+                }
 
-            // Bitiş tarihi filtresi
-            if (filters.bitis_tarihi) {
-                conditions.push('t.transaction_date <= ?');
-                params.push(filters.bitis_tarihi);
-            }
+                // Kapama işlemi, kapattığı işlem hâlâ aktif ve açık tutarı yetiyorsa geri yüklenir
+                if (transaction.settles_transaction_id) {
+                    const decimalPlaces = await UserSettings.getDecimalPlaces(connection, context.companyId);
+                    const settlement = await resolveSettlement(connection, context, transaction, decimalPlaces);
+                    if (!settlement.success) {
+                        return {
+                            success: false,
+                            error: settlement.error,
+                            conflict: {
+                                field: 'settles_transaction_id',
+                                value: transaction.settles_transaction_id,
+                                conflicting_id: null
+                            }
+                        };
+                    }
+                }
 
-            // Açıklama arama filtresi
-            if (filters.aciklama_icinde && filters.aciklama_icinde.trim() !== '') {
-                conditions.push('(t.description LIKE ? OR t.reference_number LIKE ?)');
-                const searchTerm = `%${filters.aciklama_icinde.trim()}%`;
-                params.push(searchTerm, searchTerm);
-            }
+                const referenceNumber = overrides.reference_number !== undefined
+                    ? (overrides.reference_number || null)
+                    : transaction.reference_number;
 
-            // Durum filtresi
-            if (filters.status && ['completed', 'pending', 'cancelled'].includes(filters.status)) {
-                conditions.push('t.status = ?');
-                params.push(filters.status);
-            }
+                // Referans numarası aktif bir işlemle çakışıyor mu
+                if (referenceNumber) {
+                    const [existingRef] = await connection.execute(
+                        'SELECT id FROM transactions WHERE reference_number = ? AND id != ? AND company_id = ? AND is_active = 1',
+                        [referenceNumber, id, context.companyId]
+                    );
 
-            // Ödeme yöntemi filtresi
-            if (filters.payment_method) {
-                conditions.push('t.payment_method = ?');
-                params.push(filters.payment_method);
-            }
+                    if (existingRef.length > 0) {
+                        return {
+                            success: false,
+                            error: 'Bu referans numarası başka bir işlem tarafından kullanılıyor',
+                            conflict: {
+                                field: 'reference_number',
+                                value: referenceNumber,
+                                conflicting_id: existingRef[0].id
+                            }
+                        };
+                    }
+                }
 
-            // Koşulları sorguya ekle
-            if (conditions.length > 0) {
-                baseQuery += ' AND ' + conditions.join(' AND ');
-            }
+                await connection.execute(`
+                    UPDATE transactions SET
+                        reference_number = ?,
+                        is_active = 1,
+                        deleted_at = NULL,
+                        updated_at = NOW()
+                    WHERE id = ? AND company_id = ?
+                `, [referenceNumber, id, context.companyId]);
+
+                // Silinirken geri alınan bakiye etkisini yeniden uygula
+                await Transactions.updateAccountBalance(
+                    connection,
+                    transaction.account_id,
+                    transaction.transaction_type,
+                    balanceAmount(transaction),
+                    'add'
+                );
+
+                // Pasifleştirilen yevmiye fişini güncel değerlerle yeniden etkinleştir
+                const baseCurrency = await ExchangeRates.getBaseCurrency(connection, context.companyId);
+                const journalEntryId = await Journal.repostTransactionEntry(
+                    connection,
+                    toJournalTransaction({ ...transaction, reference_number: referenceNumber }, baseCurrency)
+                );
+
+                await AuditLog.record(connection, context, {
+                    entity: 'transaction',
+                    entityId: id,
+                    action: 'restore',
+                    before: transaction,
+                    after: await AuditLog.snapshot(connection, context, 'transaction', id)
+                });
+
+                return {
+                    success: true,
+                    data: {
+                        id: parseInt(id),
+                        account_id: transaction.account_id,
+                        transaction_type: transaction.transaction_type,
+                        amount: Money.toNumber(Money.parse(transaction.amount)),
+                        reference_number: referenceNumber,
+                        journal_entry_id: journalEntryId,
+                        message: 'İşlem başarıyla geri yüklendi'
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('restoreTransaction Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Hareketlerin banka mutabakatını onayla (reconciled_at işareti)
+    // Hareketlerden biri bulunamaz veya zaten işaretliyse hiçbiri işaretlenmez
+    reconcileTransactions: async (context, ids) => {
+        try {
+            const uniqueIds = [...new Set(ids.map((id) => parseInt(id)))];
 
-            // Sıralama
-            baseQuery += ' ORDER BY t.transaction_date DESC, t.created_at DESC';
-
-            // Limit filtresi (sayfalama için)
-            if (filters.limit && !isNaN(filters.limit)) {
-                baseQuery += ' LIMIT ?';
-                params.push(parseInt(filters.limit));
-                
-                if (filters.offset && !isNaN(filters.offset)) {
-                    baseQuery = baseQuery.replace('LIMIT ?', 'LIMIT ? OFFSET ?');
-                    params.push(parseInt(filters.offset));
+            return await db.withTransaction(async (connection) => {
+                const [rows] = await connection.execute(`
+                    SELECT * FROM transactions
+                    WHERE company_id = ? AND is_active = 1 AND id IN (${uniqueIds.map(() => '?').join(', ')})
+                    FOR UPDATE
+                `, [context.companyId, ...uniqueIds]);
+
+                const found = new Map(rows.map((row) => [parseInt(row.id), row]));
+                const missing = uniqueIds.filter((id) => !found.has(id));
+                if (missing.length > 0) {
+                    return {
+                        success: false,
+                        error: `İşlem bulunamadı: ${missing.join(', ')}`
+                    };
                 }
-            }
 
-            const [rows] = await db.execute(baseQuery, params);
+                const reconciled = rows.filter((row) => row.reconciled_at).map((row) => row.id);
+                if (reconciled.length > 0) {
+                    return {
+                        success: false,
+                        error: `İşlemlerin mutabakatı zaten yapılmış: ${reconciled.join(', ')}`
+                    };
+                }
 
-            // Toplam kayıt sayısını al (sayfalama için)
-            let countQuery = `
-                SELECT COUNT(*) as total
+                await connection.execute(`
+                    UPDATE transactions SET reconciled_at = NOW(), reconciled_by = ?, updated_at = NOW()
+                    WHERE company_id = ? AND id IN (${uniqueIds.map(() => '?').join(', ')})
+                `, [context.userId || null, context.companyId, ...uniqueIds]);
+
+                for (const id of uniqueIds) {
+                    await AuditLog.record(connection, context, {
+                        entity: 'transaction',
+                        entityId: id,
+                        action: 'update',
+                        before: found.get(id),
+                        after: await AuditLog.snapshot(connection, context, 'transaction', id)
+                    });
+                }
+
+                return {
+                    success: true,
+                    data: {
+                        ids: uniqueIds,
+                        count: uniqueIds.length
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('reconcileTransactions Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Hareketin banka mutabakatı işaretini kaldır
+    unreconcileTransaction: async (context, id) => {
+        try {
+            return await db.withTransaction(async (connection) => {
+                const [existingRows] = await connection.execute(
+                    'SELECT * FROM transactions WHERE id = ? AND company_id = ? AND is_active = 1 FOR UPDATE',
+                    [id, context.companyId]
+                );
+
+                if (existingRows.length === 0) {
+                    return {
+                        success: false,
+                        error: 'İşlem bulunamadı'
+                    };
+                }
+
+                const transaction = existingRows[0];
+
+                if (!transaction.reconciled_at) {
+                    return {
+                        success: false,
+                        error: 'İşlemin mutabakatı yapılmamış'
+                    };
+                }
+
+                await connection.execute(
+                    'UPDATE transactions SET reconciled_at = NULL, reconciled_by = NULL, updated_at = NOW() WHERE id = ? AND company_id = ?',
+                    [id, context.companyId]
+                );
+
+                await AuditLog.record(connection, context, {
+                    entity: 'transaction',
+                    entityId: id,
+                    action: 'update',
+                    before: transaction,
+                    after: await AuditLog.snapshot(connection, context, 'transaction', id)
+                });
+
+                return {
+                    success: true,
+                    data: {
+                        id: parseInt(id),
+                        message: 'İşlemin mutabakat işareti kaldırıldı'
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('unreconcileTransaction Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Filtrelenmiş işlemleri getir
+    // filters: buildFilterConditions filtreleri ve sayfalama (limit, cursor, sort; eski istemciler için offset)
+    getFilteredTransactions: async (context, filters) => {
+        try {
+            const page = Pagination.build(filters, LIST_SORT);
+            const { conditions: filterConditions, params: filterParams } = buildFilterConditions(filters);
+            const conditions = ['t.company_id = ?', 't.is_active = 1', ...filterConditions];
+            const params = [context.companyId, ...filterParams];
+
+            const [rows] = await db.execute(`
+                SELECT 
+                    t.id,
+                    t.account_id,
+                    a.account_name,
+                    a.account_code,
+                    t.transaction_type,
+                    t.amount,
+                    t.currency,
+                    t.exchange_rate,
+                    t.base_amount,
+                    t.settles_transaction_id,
+                    t.fx_gain_loss,
+                    t.description,
+                    t.reference_number,
+                    t.transaction_date,
+                    t.due_date,
+                    t.payment_method,
+                    t.status,
+                    t.reconciled_at,
+                    t.created_at
                 FROM transactions t
                 LEFT JOIN accounts a ON t.account_id = a.id
-                WHERE t.is_active = 1
-            `;
+                WHERE ${[...conditions, ...page.conditions].join(' AND ')}
+                ${page.orderBy}
+                ${page.limitClause}
+            `, [...params, ...page.params]);
 
-            if (conditions.length > 0) {
-                countQuery += ' AND ' + conditions.join(' AND ');
-            }
+            // Toplam kayıt sayısı filtreye uyan tüm hareketlerdir (imleç ve sayfa boyutundan bağımsız)
+            const [countResult] = await db.execute(`
+                SELECT COUNT(*) as total
+                FROM transactions t
+                LEFT JOIN accounts a ON t.account_id = a.id
+                WHERE ${conditions.join(' AND ')}
+            `, params);
 
-            // Count sorgusu için parametreleri hazırla (limit ve offset hariç)
-            const countParams = params.slice(0, conditions.length * (filters.aciklama_icinde ? 2 : 1));
-            const [countResult] = await db.execute(countQuery, countParams);
+            const { data, nextCursor } = page.toPage(rows);
 
             return {
                 success: true,
-                data: rows,
+                data,
                 totalCount: countResult[0].total,
+                nextCursor,
                 filters: filters
             };
         } catch (error) {
@@ -526,46 +1289,103 @@ const Transactions = {
         }
     },
 
-    // Cari hesap bakiyesini güncelle
-    updateAccountBalance: async (accountId, transactionType, amount, operation) => {
+    // Filtreye uyan hareketleri dışa aktarma için parti parti oku - her parti için onBatch(rows)
+    // Filtreler ve sıralama getFilteredTransactions ile aynıdır; limit/cursor/offset yok sayılır
+    forEachFilteredTransaction: async (context, filters, onBatch) => {
         try {
-            let balanceChange = 0;
-            
-            // İşlem tipine göre bakiye değişimini hesapla
-            if (operation === 'add') {
-                if (transactionType === 'income' || transactionType === 'receivable') {
-                    balanceChange = amount; // Pozitif
-                } else if (transactionType === 'expense' || transactionType === 'payable') {
-                    balanceChange = -amount; // Negatif
-                }
-            } else if (operation === 'subtract') {
-                if (transactionType === 'income' || transactionType === 'receivable') {
-                    balanceChange = -amount; // Pozitif işlemi geri al
-                } else if (transactionType === 'expense' || transactionType === 'payable') {
-                    balanceChange = amount; // Negatif işlemi geri al
-                }
-            }
+            const { conditions, params } = buildFilterConditions(filters);
 
-            await db.execute(
-                'UPDATE accounts SET balance = balance + ?, updated_at = NOW() WHERE id = ?',
-                [balanceChange, accountId]
-            );
+            const count = await Pagination.forEachPage({ sort: filters.sort }, LIST_SORT, async (page) => {
+                const [rows] = await db.execute(`
+                    SELECT 
+                        t.id,
+                        t.account_id,
+                        a.account_name,
+                        a.account_code,
+                        t.transaction_type,
+                        t.amount,
+                        t.currency,
+                        t.exchange_rate,
+                        t.base_amount,
+                        t.fx_gain_loss,
+                        t.description,
+                        t.reference_number,
+                        t.transaction_date,
+                        t.due_date,
+                        t.payment_method,
+                        t.status
+                    FROM transactions t
+                    LEFT JOIN accounts a ON t.account_id = a.id
+                    WHERE ${['t.company_id = ?', 't.is_active = 1', ...conditions, ...page.conditions].join(' AND ')}
+                    ${page.orderBy}
+                    ${page.limitClause}
+                `, [context.companyId, ...params, ...page.params]);
+
+                return rows;
+            }, onBatch);
 
-            return { success: true };
+            return {
+                success: true,
+                data: { count }
+            };
         } catch (error) {
-            console.error('updateAccountBalance Error:', error);
-            return { success: false, error: error.message };
+            console.error('forEachFilteredTransaction Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Cari hesap bakiyesini güncelle
+    // Çağıranın açtığı veritabanı işlemi (connection) içinde çalışır; hata
+    // durumunda istisna fırlatır ki çağıran işlem geri alınabilsin
+    updateAccountBalance: async (connection, accountId, transactionType, amount, operation) => {
+        const units = Money.parse(amount);
+        let balanceChange = 0;
+        
+        // İşlem tipine göre bakiye değişimini hesapla
+        if (operation === 'add') {
+            if (transactionType === 'income' || transactionType === 'receivable') {
+                balanceChange = units; // Pozitif
+            } else if (transactionType === 'expense' || transactionType === 'payable') {
+                balanceChange = -units; // Negatif
+            }
+        } else if (operation === 'subtract') {
+            if (transactionType === 'income' || transactionType === 'receivable') {
+                balanceChange = -units; // Pozitif işlemi geri al
+            } else if (transactionType === 'expense' || transactionType === 'payable') {
+                balanceChange = units; // Negatif işlemi geri al
+            }
         }
+
+        balanceChange = Money.toNumber(balanceChange);
+
+        const [result] = await connection.execute(
+            'UPDATE accounts SET balance = balance + ?, updated_at = NOW() WHERE id = ?',
+            [balanceChange, accountId]
+        );
+
+        if (result.affectedRows === 0) {
+            throw new Error('Bakiyesi güncellenecek cari hesap bulunamadı');
+        }
+
+        return { success: true, balanceChange };
     },
 
     // Cari hesaba ait işlemleri getir
-    getTransactionsByAccount: async (accountId) => {
+    getTransactionsByAccount: async (context, accountId) => {
         try {
             const [rows] = await db.execute(`
                 SELECT 
                     t.id,
                     t.transaction_type,
                     t.amount,
+                    t.currency,
+                    t.exchange_rate,
+                    t.base_amount,
+                    t.settles_transaction_id,
+                    t.fx_gain_loss,
                     t.description,
                     t.reference_number,
                     t.transaction_date,
@@ -574,9 +1394,9 @@ const Transactions = {
                     t.status,
                     t.created_at
                 FROM transactions t
-                WHERE t.account_id = ? AND t.is_active = 1
+                WHERE t.account_id = ? AND t.company_id = ? AND t.is_active = 1
                 ORDER BY t.transaction_date DESC, t.created_at DESC
-            `, [accountId]);
+            `, [accountId, context.companyId]);
 
             return {
                 success: true,
@@ -591,26 +1411,49 @@ const Transactions = {
         }
     },
 
-    // İşlem türüne göre toplam tutarları getir
-    getTransactionSummaryByType: async () => {
+    // İşlem türüne göre toplam tutarları ana para biriminde getir
+    // by_currency her tür için para birimi bazında orijinal ve çevrilmiş toplamları içerir
+    getTransactionSummaryByType: async (context) => {
         try {
             const [rows] = await db.execute(`
                 SELECT 
                     transaction_type,
                     COUNT(*) as transaction_count,
-                    SUM(amount) as total_amount,
-                    AVG(amount) as average_amount,
-                    MIN(amount) as min_amount,
-                    MAX(amount) as max_amount
+                    SUM(base_amount) as total_amount,
+                    AVG(base_amount) as average_amount,
+                    MIN(base_amount) as min_amount,
+                    MAX(base_amount) as max_amount,
+                    SUM(fx_gain_loss) as fx_gain_loss
                 FROM transactions
-                WHERE is_active = 1
+                WHERE company_id = ? AND is_active = 1
                 GROUP BY transaction_type
                 ORDER BY total_amount DESC
-            `);
+            `, [context.companyId]);
+
+            const [currencyRows] = await db.execute(`
+                SELECT 
+                    transaction_type,
+                    currency,
+                    COUNT(*) as transaction_count,
+                    SUM(amount) as total_currency_amount,
+                    SUM(base_amount) as total_amount
+                FROM transactions
+                WHERE company_id = ? AND is_active = 1
+                GROUP BY transaction_type, currency
+                ORDER BY transaction_type ASC, currency ASC
+            `, [context.companyId]);
+
+            // Ortalama, şirketin ondalık basamak sayısına yuvarlanır
+            const decimalPlaces = await UserSettings.getDecimalPlaces(db, context.companyId);
 
             return {
                 success: true,
-                data: rows
+                data: rows.map((row) => ({
+                    ...row,
+                    average_amount: Money.toNumber(Money.parse(row.average_amount, decimalPlaces))
+                })),
+                by_currency: currencyRows,
+                base_currency: await ExchangeRates.getBaseCurrency(db, context.companyId)
             };
         } catch (error) {
             console.error('getTransactionSummaryByType Error:', error);
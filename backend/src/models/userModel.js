@@ -0,0 +1,375 @@
+/**
+ * @fileoverview Users Model
+ * @description Database operations for application users and refresh tokens
+ * @version 1.0.0
+ */
+
+const bcrypt = require('bcryptjs');
+const db = require('../config/db');
+const { ROLES } = require('../config/permissions');
+
+/**
+ * bcrypt maliyet faktörü
+ * @type {number}
+ */
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 10;
+
+/**
+ * Minimum şifre uzunluğu
+ * @type {number}
+ */
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Application Users Model
+ * @namespace Users
+ */
+const Users = {
+    // Minimum şifre uzunluğu
+    MIN_PASSWORD_LENGTH,
+
+    // Tüm aktif kullanıcıları getir (şifre özeti hariç)
+    getAllUsers: async () => {
+        try {
+            const [rows] = await db.execute(`
+                SELECT id, email, full_name, role, is_active, last_login_at, created_at, updated_at
+                FROM users
+                WHERE is_active = 1
+                ORDER BY id ASC
+            `);
+
+            return {
+                success: true,
+                data: rows
+            };
+        } catch (error) {
+            console.error('getAllUsers Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // ID'ye göre kullanıcı getir (şifre özeti hariç)
+    getUserById: async (id) => {
+        try {
+            const [rows] = await db.execute(`
+                SELECT id, email, full_name, role, is_active, last_login_at, created_at, updated_at
+                FROM users
+                WHERE id = ? AND is_active = 1
+            `, [id]);
+
+            if (rows.length === 0) {
+                return {
+                    success: false,
+                    error: 'Kullanıcı bulunamadı'
+                };
+            }
+
+            return {
+                success: true,
+                data: rows[0]
+            };
+        } catch (error) {
+            console.error('getUserById Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Yeni kullanıcı oluştur
+    createUser: async (data) => {
+        try {
+            const { email, password, full_name } = data;
+
+            // Zorunlu alanları kontrol et
+            if (!email || email.trim() === '') {
+                return {
+                    success: false,
+                    error: 'E-posta adresi gereklidir'
+                };
+            }
+
+            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            if (!emailRegex.test(email.trim())) {
+                return {
+                    success: false,
+                    error: 'Geçersiz email formatı'
+                };
+            }
+
+            if (!full_name || full_name.trim() === '') {
+                return {
+                    success: false,
+                    error: 'Ad soyad gereklidir'
+                };
+            }
+
+            if (!password || password.length < MIN_PASSWORD_LENGTH) {
+                return {
+                    success: false,
+                    error: `Şifre en az ${MIN_PASSWORD_LENGTH} karakter olmalıdır`
+                };
+            }
+
+            const normalizedEmail = email.trim().toLowerCase();
+            const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+            // Kullanıcı ve şirket üyeliği tek işlemde kaydedilir
+            return await db.withTransaction(async (connection) => {
+                // Varsayılan şirket satırı kilitlenir; eş zamanlı kayıtlar sırayla çalışır ve
+                // aşağıdaki sayım ikisinde birden sıfır çıkamaz (iki ilk admin oluşmaz)
+                await connection.execute('SELECT id FROM companies WHERE id = 1 FOR UPDATE');
+
+                // E-posta benzersizlik kontrolü
+                const [existingRows] = await connection.execute(
+                    'SELECT id FROM users WHERE email = ?',
+                    [normalizedEmail]
+                );
+
+                if (existingRows.length > 0) {
+                    return {
+                        success: false,
+                        error: 'Bu e-posta adresi zaten kayıtlı'
+                    };
+                }
+
+                // İlk kullanıcı admin olur, sonrakiler admin tarafından yetkilendirilene kadar viewer
+                const [countRows] = await connection.execute('SELECT COUNT(*) AS user_count FROM users');
+                const role = countRows[0].user_count === 0 ? ROLES.ADMIN : ROLES.VIEWER;
+
+                const [result] = await connection.execute(`
+                    INSERT INTO users (email, password_hash, full_name, role, is_active, created_at, updated_at)
+                    VALUES (?, ?, ?, ?, 1, NOW(), NOW())
+                `, [normalizedEmail, passwordHash, full_name.trim(), role]);
+
+                // İlk kullanıcı varsayılan şirkete admin olarak üye olur; diğer kullanıcıları
+                // şirketin bir admin'i POST /api/companies/:id/users ile şirketlere ekler
+                if (role === ROLES.ADMIN) {
+                    await connection.execute(
+                        'INSERT INTO company_users (company_id, user_id, role, is_default, created_at) VALUES (1, ?, ?, 1, NOW())',
+                        [result.insertId, ROLES.ADMIN]
+                    );
+                }
+
+                return {
+                    success: true,
+                    data: {
+                        id: result.insertId,
+                        email: normalizedEmail,
+                        full_name: full_name.trim(),
+                        role,
+                        message: 'Kullanıcı başarıyla oluşturuldu'
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('createUser Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // E-posta ve şifreyi doğrula
+    verifyCredentials: async (email, password) => {
+        try {
+            const [rows] = await db.execute(
+                'SELECT id, email, full_name, role, password_hash FROM users WHERE email = ? AND is_active = 1',
+                [(email || '').trim().toLowerCase()]
+            );
+
+            // Kullanıcı yoksa da şifre hatalıysa da aynı mesaj döner
+            const passwordMatches = rows.length > 0 && await bcrypt.compare(password || '', rows[0].password_hash);
+            if (!passwordMatches) {
+                return {
+                    success: false,
+                    error: 'E-posta veya şifre hatalı'
+                };
+            }
+
+            const { password_hash, ...user } = rows[0];
+
+            await db.execute(
+                'UPDATE users SET last_login_at = NOW() WHERE id = ?',
+                [user.id]
+            );
+
+            return {
+                success: true,
+                data: user
+            };
+        } catch (error) {
+            console.error('verifyCredentials Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Kullanıcının rolünü değiştir - kullanıcı yönetimi ve şirket oluşturma yetkisini belirler;
+    // şirket verilerindeki yetki şirket üyeliğinin rolündedir (Companies.updateMemberRole)
+    updateUserRole: async (id, role) => {
+        try {
+            if (!Object.values(ROLES).includes(role)) {
+                return {
+                    success: false,
+                    error: `Geçersiz rol. Geçerli roller: ${Object.values(ROLES).join(', ')}`
+                };
+            }
+
+            return await db.withTransaction(async (connection) => {
+                const [userRows] = await connection.execute(
+                    'SELECT id, role FROM users WHERE id = ? AND is_active = 1 FOR UPDATE',
+                    [id]
+                );
+
+                if (userRows.length === 0) {
+                    return {
+                        success: false,
+                        error: 'Kullanıcı bulunamadı'
+                    };
+                }
+
+                // Sistemde en az bir admin kalmalı
+                if (userRows[0].role === ROLES.ADMIN && role !== ROLES.ADMIN) {
+                    const [adminRows] = await connection.execute(
+                        'SELECT COUNT(*) AS admin_count FROM users WHERE role = ? AND is_active = 1 FOR UPDATE',
+                        [ROLES.ADMIN]
+                    );
+
+                    if (adminRows[0].admin_count <= 1) {
+                        return {
+                            success: false,
+                            error: 'Son admin kullanıcının rolü değiştirilemez'
+                        };
+                    }
+                }
+
+                await connection.execute(
+                    'UPDATE users SET role = ?, updated_at = NOW() WHERE id = ?',
+                    [role, id]
+                );
+
+                // Eski rolü taşıyan oturumların yenilenmemesi için token'lar iptal edilir
+                await connection.execute(
+                    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+                    [id]
+                );
+
+                return {
+                    success: true,
+                    data: {
+                        id,
+                        previous_role: userRows[0].role,
+                        role,
+                        message: 'Kullanıcı rolü başarıyla güncellendi'
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('updateUserRole Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Yenileme token'ı özetini kaydet
+    saveRefreshToken: async (userId, tokenHash, expiresAt) => {
+        try {
+            await db.execute(`
+                INSERT INTO refresh_tokens (user_id, token_hash, expires_at, created_at)
+                VALUES (?, ?, ?, NOW())
+            `, [userId, tokenHash, expiresAt]);
+
+            return { success: true };
+        } catch (error) {
+            console.error('saveRefreshToken Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Yenileme token'ını özetiyle bul
+    findRefreshToken: async (tokenHash) => {
+        try {
+            const [rows] = await db.execute(`
+                SELECT rt.id, rt.user_id, rt.expires_at, rt.revoked_at, u.email, u.full_name, u.role, u.is_active
+                FROM refresh_tokens rt
+                INNER JOIN users u ON u.id = rt.user_id
+                WHERE rt.token_hash = ?
+            `, [tokenHash]);
+
+            if (rows.length === 0) {
+                return {
+                    success: false,
+                    error: 'Yenileme token\'ı bulunamadı'
+                };
+            }
+
+            return {
+                success: true,
+                data: rows[0]
+            };
+        } catch (error) {
+            console.error('findRefreshToken Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Yenileme token'ını iptal et
+    revokeRefreshToken: async (tokenHash) => {
+        try {
+            const [result] = await db.execute(
+                'UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = ? AND revoked_at IS NULL',
+                [tokenHash]
+            );
+
+            return {
+                success: true,
+                data: { revoked: result.affectedRows > 0 }
+            };
+        } catch (error) {
+            console.error('revokeRefreshToken Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Kullanıcının tüm yenileme token'larını iptal et
+    revokeAllRefreshTokens: async (userId) => {
+        try {
+            const [result] = await db.execute(
+                'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+                [userId]
+            );
+
+            return {
+                success: true,
+                data: { revokedCount: result.affectedRows }
+            };
+        } catch (error) {
+            console.error('revokeAllRefreshTokens Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+};
+
+module.exports = Users;
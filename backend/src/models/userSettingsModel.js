@@ -5,14 +5,77 @@
  */
 
 const db = require('../config/db');
+const AuditLog = require('./auditLogModel');
+const Money = require('../utils/money');
+
+/**
+ * Ayar değer tipleri
+ * @type {string[]}
+ */
+const SETTING_TYPES = ['string', 'number', 'boolean', 'json'];
+
+/**
+ * Tutarların yuvarlandığı ondalık basamak sayısını tutan ayar
+ * @type {string}
+ */
+const DECIMAL_PLACES_SETTING = 'decimal_places';
+
+/**
+ * Belgelerde (PDF, CSV, Excel) kullanılan ayarlar ve varsayılan değerleri
+ * @type {Object<string, string>}
+ */
+const DISPLAY_SETTING_DEFAULTS = {
+    app_name: 'Cari Takip Uygulaması',
+    date_format: 'DD/MM/YYYY'
+};
+
+// Ayarın denetim kaydı için anlık görüntüsünü al ve satırı kilitle
+const snapshotSetting = async (connection, context, settingName) => {
+    const [rows] = await connection.execute(
+        'SELECT * FROM user_settings WHERE setting_name = ? AND company_id = ? FOR UPDATE',
+        [settingName, context.companyId]
+    );
+
+    return rows.length > 0 ? rows[0] : null;
+};
 
 /**
  * User Settings Model
  * @namespace UserSettings
  */
 const UserSettings = {
+    // Geçerli ayar tipleri
+    SETTING_TYPES,
+
+    // Şirketin tutar ondalık basamak sayısı (decimal_places, yoksa 2) - bağlantı veya havuz üzerinde çalışır
+    getDecimalPlaces: async (executor, companyId) => {
+        const [rows] = await executor.execute(
+            'SELECT setting_value FROM user_settings WHERE setting_name = ? AND company_id = ?',
+            [DECIMAL_PLACES_SETTING, companyId]
+        );
+
+        return Money.normalizeDecimalPlaces(rows.length > 0 ? rows[0].setting_value : undefined);
+    },
+
+    // Belgelerde kullanılan şirket adı, tarih biçimi ve ondalık basamak sayısı
+    // (app_name, date_format, decimal_places; yoksa varsayılanlar)
+    getDisplaySettings: async (executor, companyId) => {
+        const names = [...Object.keys(DISPLAY_SETTING_DEFAULTS), DECIMAL_PLACES_SETTING];
+        const [rows] = await executor.execute(
+            `SELECT setting_name, setting_value FROM user_settings WHERE company_id = ? AND setting_name IN (${names.map(() => '?').join(', ')})`,
+            [companyId, ...names]
+        );
+        const values = rows.reduce((result, row) => ({ ...result, [row.setting_name]: row.setting_value }), {});
+
+        return {
+            app_name: values.app_name || DISPLAY_SETTING_DEFAULTS.app_name,
+            date_format: values.date_format || DISPLAY_SETTING_DEFAULTS.date_format,
+            decimal_places: Money.normalizeDecimalPlaces(values[DECIMAL_PLACES_SETTING])
+        };
+    },
+
     // Belirli bir ayar değerini getir
-    getSetting: async (settingName) => {
+    getSetting: async (context, settingName) => {
         try {
             // Ayar adı validasyonu
             if (!settingName || settingName.trim() === '') {
@@ -23,8 +86,8 @@ const UserSettings = {
             }
 
             const [rows] = await db.execute(
-                'SELECT setting_name, setting_value, setting_type, description, updated_at FROM user_settings WHERE setting_name = ?',
-                [settingName.trim()]
+                'SELECT setting_name, setting_value, setting_type, description, updated_at FROM user_settings WHERE setting_name = ? AND company_id = ?',
+                [settingName.trim(), context.companyId]
             );
 
             if (rows.length === 0) {
@@ -79,7 +142,7 @@ const UserSettings = {
     },
 
     // Ayar değerini güncelle veya oluştur
-    setSetting: async (settingName, settingValue, settingType = 'string', description = null) => {
+    setSetting: async (context, settingName, settingValue, settingType = 'string', description = null) => {
         try {
             // Ayar adı validasyonu
             if (!settingName || settingName.trim() === '') {
@@ -98,8 +161,7 @@ const UserSettings = {
             }
 
             // Tip validasyonu
-            const validTypes = ['string', 'number', 'boolean', 'json'];
-            if (!validTypes.includes(settingType)) {
+            if (!SETTING_TYPES.includes(settingType)) {
                 return {
                     success: false,
                     error: 'Geçersiz ayar tipi. string, number, boolean veya json olmalıdır'
@@ -117,6 +179,14 @@ const UserSettings = {
                             error: 'Sayısal tip için geçersiz değer'
                         };
                     }
+                    // Tutarlar en fazla saklama ölçeği kadar basamakla tutulabilir
+                    if (settingName.trim() === DECIMAL_PLACES_SETTING
+                        && Money.normalizeDecimalPlaces(settingValue) !== Number(settingValue)) {
+                        return {
+                            success: false,
+                            error: `Ondalık basamak sayısı 0 ile ${Money.MAX_DECIMAL_PLACES} arasında bir tam sayı olmalıdır`
+                        };
+                    }
                     stringValue = String(settingValue);
                     break;
                 case 'boolean':
@@ -164,49 +234,55 @@ const UserSettings = {
                 };
             }
 
-            // Ayarın var olup olmadığını kontrol et
-            const [existingRows] = await db.execute(
-                'SELECT setting_name FROM user_settings WHERE setting_name = ?',
-                [settingName.trim()]
-            );
-
-            let result;
-
-            if (existingRows.length > 0) {
-                // Mevcut ayarı güncelle
-                [result] = await db.execute(`
-                    UPDATE user_settings 
-                    SET setting_value = ?, 
-                        setting_type = ?, 
-                        description = COALESCE(?, description), 
-                        updated_at = NOW() 
-                    WHERE setting_name = ?
-                `, [stringValue, settingType, description, settingName.trim()]);
-
-                if (result.affectedRows === 0) {
-                    return {
-                        success: false,
-                        error: 'Ayar güncellenemedi'
-                    };
+            // Değişiklik ve denetim kaydı tek işlemde yapılır
+            return await db.withTransaction(async (connection) => {
+                // Ayarın var olup olmadığını kontrol et
+                const before = await snapshotSetting(connection, context, settingName.trim());
+
+                if (before) {
+                    // Mevcut ayarı güncelle
+                    const [result] = await connection.execute(`
+                        UPDATE user_settings 
+                        SET setting_value = ?, 
+                            setting_type = ?, 
+                            description = COALESCE(?, description), 
+                            updated_at = NOW() 
+                        WHERE setting_name = ? AND company_id = ?
+                    `, [stringValue, settingType, description, settingName.trim(), context.companyId]);
+
+                    if (result.affectedRows === 0) {
+                        return {
+                            success: false,
+                            error: 'Ayar güncellenemedi'
+                        };
+                    }
+                } else {
+                    // Yeni ayar oluştur
+                    await connection.execute(`
+                        INSERT INTO user_settings (company_id, setting_name, setting_value, setting_type, description, created_at, updated_at) 
+                        VALUES (?, ?, ?, ?, ?, NOW(), NOW())
+                    `, [context.companyId, settingName.trim(), stringValue, settingType, description]);
                 }
-            } else {
-                // Yeni ayar oluştur
-                [result] = await db.execute(`
-                    INSERT INTO user_settings (setting_name, setting_value, setting_type, description, created_at, updated_at) 
-                    VALUES (?, ?, ?, ?, NOW(), NOW())
-                `, [settingName.trim(), stringValue, settingType, description]);
-            }
 
-            return {
-                success: true,
-                data: {
-                    setting_name: settingName.trim(),
-                    setting_value: settingValue,
-                    setting_type: settingType,
-                    description: description,
-                    message: existingRows.length > 0 ? 'Ayar başarıyla güncellendi' : 'Ayar başarıyla oluşturuldu'
-                }
-            };
+                await AuditLog.record(connection, context, {
+                    entity: 'setting',
+                    entityId: settingName.trim(),
+                    action: before ? 'update' : 'create',
+                    before,
+                    after: await snapshotSetting(connection, context, settingName.trim())
+                });
+
+                return {
+                    success: true,
+                    data: {
+                        setting_name: settingName.trim(),
+                        setting_value: settingValue,
+                        setting_type: settingType,
+                        description: description,
+                        message: before ? 'Ayar başarıyla güncellendi' : 'Ayar başarıyla oluşturuldu'
+                    }
+                };
+            });
         } catch (error) {
             console.error('setSetting Error:', error);
             return {
@@ -217,13 +293,14 @@ const UserSettings = {
     },
 
     // Tüm ayarları getir
-    getAllSettings: async () => {
+    getAllSettings: async (context) => {
         try {
             const [rows] = await db.execute(`
                 SELECT setting_name, setting_value, setting_type, description, created_at, updated_at 
                 FROM user_settings 
+                WHERE company_id = ?
                 ORDER BY setting_name ASC
-            `);
+            `, [context.companyId]);
 
             // Değerleri tipine göre dönüştür
             const settings = rows.map(setting => {
@@ -273,7 +350,7 @@ const UserSettings = {
     },
 
     // Belirli bir ayarı sil
-    deleteSetting: async (settingName) => {
+    deleteSetting: async (context, settingName) => {
         try {
             if (!settingName || settingName.trim() === '') {
                 return {
@@ -282,37 +359,43 @@ const UserSettings = {
                 };
             }
 
-            // Ayarın var olup olmadığını kontrol et
-            const [existingRows] = await db.execute(
-                'SELECT setting_name FROM user_settings WHERE setting_name = ?',
-                [settingName.trim()]
-            );
+            return await db.withTransaction(async (connection) => {
+                // Ayarın var olup olmadığını kontrol et
+                const before = await snapshotSetting(connection, context, settingName.trim());
 
-            if (existingRows.length === 0) {
-                return {
-                    success: false,
-                    error: 'Ayar bulunamadı'
-                };
-            }
+                if (!before) {
+                    return {
+                        success: false,
+                        error: 'Ayar bulunamadı'
+                    };
+                }
 
-            const [result] = await db.execute(
-                'DELETE FROM user_settings WHERE setting_name = ?',
-                [settingName.trim()]
-            );
+                const [result] = await connection.execute(
+                    'DELETE FROM user_settings WHERE setting_name = ? AND company_id = ?',
+                    [settingName.trim(), context.companyId]
+                );
+
+                if (result.affectedRows === 0) {
+                    return {
+                        success: false,
+                        error: 'Ayar silinemedi'
+                    };
+                }
+
+                await AuditLog.record(connection, context, {
+                    entity: 'setting',
+                    entityId: settingName.trim(),
+                    action: 'delete',
+                    before
+                });
 
-            if (result.affectedRows === 0) {
                 return {
-                    success: false,
-                    error: 'Ayar silinemedi'
+                    success: true,
+                    data: {
+                        message: 'Ayar başarıyla silindi'
+                    }
                 };
-            }
-
-            return {
-                success: true,
-                data: {
-                    message: 'Ayar başarıyla silindi'
-                }
-            };
+            });
         } catch (error) {
             console.error('deleteSetting Error:', error);
             return {
@@ -323,7 +406,7 @@ const UserSettings = {
     },
 
     // Varsayılan ayarları oluştur
-    initializeDefaultSettings: async () => {
+    initializeDefaultSettings: async (context) => {
         try {
             const defaultSettings = [
                 {
@@ -394,6 +477,7 @@ const UserSettings = {
 
             for (const setting of defaultSettings) {
                 const result = await UserSettings.setSetting(
+                    context,
                     setting.name,
                     setting.value,
                     setting.type,
@@ -409,8 +493,8 @@ const UserSettings = {
                 success: true,
                 data: {
                     message: `${createdCount} varsayılan ayar oluşturuldu/güncellendi`,
-                    createdCount: createdCount,
-                    totalSettings: defaultSettings.length
+                    created_count: createdCount,
+                    total_settings: defaultSettings.length
                 }
             };
         } catch (error) {
@@ -423,7 +507,7 @@ const UserSettings = {
     },
 
     // Ayarları kategoriye göre getir
-    getSettingsByCategory: async (category) => {
+    getSettingsByCategory: async (context, category) => {
         try {
             if (!category || category.trim() === '') {
                 return {
@@ -435,9 +519,9 @@ const UserSettings = {
             const [rows] = await db.execute(`
                 SELECT setting_name, setting_value, setting_type, description, updated_at 
                 FROM user_settings 
-                WHERE setting_name LIKE ?
+                WHERE setting_name LIKE ? AND company_id = ?
                 ORDER BY setting_name ASC
-            `, [`${category.trim()}_%`]);
+            `, [`${category.trim()}_%`, context.companyId]);
 
             // Değerleri tipine göre dönüştür
             const settings = rows.map(setting => {
@@ -6,6 +6,10 @@
 
 const express = require('express');
 const accountController = require('../controllers/accountController');
+const { authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const { uploadFile } = require('../middleware/uploadMiddleware');
+const accountSchemas = require('../validation/schemas/accountSchemas');
 
 /**
  * Express Router instance for account routes
@@ -27,9 +31,20 @@ const router = express.Router();
 /**
  * @route   GET /api/accounts
  * @desc    Tüm cari hesapları listele (grup adlarıyla birlikte)
- * @access  Public (şimdilik - ileride authentication eklenebilir)
- * @returns {Array} Cari hesap listesi (alfabetik sıralı)
+ * @access  Private (admin, accountant, viewer) - yetki: accounts:read
+ * @query   {number} limit - Sayfa başına kayıt sayısı (en çok 1000; verilmezse tüm hesaplar)
+ * @query   {string} cursor - Önceki yanıttaki next_cursor
+ * @query   {string} sort - account_name (varsayılan), balance veya id; azalan için başına - (örn. -balance)
+ * @query   {string} format - json (varsayılan), csv veya xlsx; dosyada limit/cursor/sort yok sayılır
+ * @returns {Array} Cari hesap listesi
+ * @note    format=csv|xlsx ile liste dosya olarak indirilir (cari-hesaplar-YYYY-MM-DD.csv/.xlsx);
+ *          CSV ';' ayraçlı, UTF-8 BOM'lu ve ondalık virgüllüdür (Türkçe Excel'de doğrudan açılır).
+ *          Sayfalama: limit verilirse en fazla limit (en çok 1000) kayıt ve sonraki sayfa varsa
+ *          next_cursor döner; sonraki sayfa aynı sort ile ?cursor=<next_cursor> gönderilerek alınır.
+ *          total_count sayfadan bağımsız toplam kayıt sayısıdır.
  * @example
+ * GET /api/accounts?limit=50&sort=-balance
+ *
  * Response:
  * {
  *   "success": true,
@@ -49,21 +64,23 @@ const router = express.Router();
  *       "created_at": "2024-01-01T12:00:00.000Z"
  *     }
  *   ],
- *   "count": 1
+ *   "count": 1,
+ *   "total_count": 120,
+ *   "next_cursor": "eyJzb3J0IjoiLWJhbGFuY2UiLCJ2YWx1ZSI6MTUwMC41LCJpZCI6MX0"
  * }
  */
-router.get('/', accountController.getAllAccounts);
+router.get('/', authorize('accounts:read'), validate(accountSchemas.getAllAccounts), accountController.getAllAccounts);
 
 /**
  * @route   POST /api/accounts
  * @desc    Yeni cari hesap oluştur
- * @access  Public (şimdilik - ileride authentication eklenebilir)
- * @body    {ad_soyad: string, account_code?: string, group_id?: number, phone?: string, email?: string, address?: string, tax_number?: string, tax_office?: string, balance?: number, account_type?: string}
+ * @access  Private (admin, accountant) - yetki: accounts:write
+ * @body    {account_name: string, account_code?: string, group_id?: number, phone?: string, email?: string, address?: string, tax_number?: string, tax_office?: string, opening_balance?: number, account_type?: string, currency?: string}
  * @returns {Object} Oluşturulan cari hesap bilgisi
  * @example
  * Request Body:
  * {
- *   "ad_soyad": "Mehmet Kaya",
+ *   "account_name": "Mehmet Kaya",
  *   "account_code": "MK002",
  *   "group_id": 1,
  *   "phone": "+90 555 987 65 43",
@@ -71,7 +88,7 @@ router.get('/', accountController.getAllAccounts);
  *   "address": "İstanbul, Türkiye",
  *   "tax_number": "12345678901",
  *   "tax_office": "Kadıköy Vergi Dairesi",
- *   "balance": 0,
+ *   "opening_balance": 0,
  *   "account_type": "customer"
  * }
  * 
@@ -87,7 +104,360 @@ router.get('/', accountController.getAllAccounts);
  *   }
  * }
  */
-router.post('/', accountController.createAccount);
+router.post('/', authorize('accounts:write'), validate(accountSchemas.createAccount), accountController.createAccount);
+
+/**
+ * @route   POST /api/accounts/import
+ * @desc    CSV veya XLSX dosyasından toplu cari hesap içe aktar (önizleme ve onay)
+ * @access  Private (admin, accountant) - yetki: accounts:write
+ * @body    Dosyanın kendisi (Content-Type: text/csv veya
+ *          application/vnd.openxmlformats-officedocument.spreadsheetml.sheet), en fazla 5 MB;
+ *          text/plain ve application/octet-stream da kabul edilir, diğer türler 415 alır
+ * @query   {boolean} confirm - true ise hatasız dosya kaydedilir; verilmezse yalnızca önizleme
+ * @query   {Object} mapping - Alan -> sütun başlığı eşleştirmesi (mapping[account_name]=Firma Ünvanı)
+ * @returns {Object} Satır bazında doğrulama sonucu
+ * @note    İlk satır başlık satırıdır. Varsayılan başlıklar alan adları ve dışa aktarılan listenin
+ *          Türkçe başlıklarıdır (Cari Adı, Cari Kodu, Grup, Hesap Türü, Vergi No...), bu yüzden
+ *          GET /api/accounts?format=csv|xlsx çıktısı olduğu gibi geri yüklenebilir. Grup, group_id
+ *          veya grup adıyla verilebilir. Her satır POST /api/accounts kurallarıyla ve aynı cari
+ *          adı/kodu kontrolleriyle denetlenir (dosya içindeki tekrarlar dahil). Tüm satırlar tek
+ *          işlemde kaydedilir; hatalı satır varsa hiçbiri kaydedilmez (422).
+ * @example
+ * POST /api/accounts/import?mapping[account_name]=Firma%20%C3%9Cnvan%C4%B1
+ * Content-Type: text/csv
+ *
+ * Firma Ünvanı;Cari Kodu;Grup;Açılış Bakiyesi
+ * Mehmet Kaya;MK002;Müşteriler;1.500,50
+ * Ayşe Demir;MK002;Bayiler;0
+ *
+ * Response (200 OK):
+ * {
+ *   "success": true,
+ *   "message": "İçe aktarma önizlemesi oluşturuldu",
+ *   "data": {
+ *     "committed": false,
+ *     "total_rows": 2,
+ *     "valid_rows": 1,
+ *     "error_count": 1,
+ *     "rows": [
+ *       { "row": 2, "account_name": "Mehmet Kaya", "account_code": "MK002", "errors": [] },
+ *       {
+ *         "row": 3,
+ *         "account_name": "Ayşe Demir",
+ *         "account_code": "MK002",
+ *         "errors": [
+ *           { "field": "group_name", "message": "Grup bulunamadı: Bayiler" }
+ *         ]
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+router.post('/import', authorize('accounts:write'), uploadFile(), validate(accountSchemas.importAccounts), accountController.importAccounts);
+
+// ==============================================
+// FİLTRELEME VE ARAMA ROUTE'LARI (Öncelik sırası önemli)
+// /:id route'larından önce tanımlanmalıdır, aksi halde
+// /search, /type/... ve /group/... istekleri ID handler'ına düşer
+// ==============================================
+
+/**
+ * @route   GET /api/accounts/type/:type
+ * @desc    Hesap türüne göre cari hesapları getir
+ * @access  Private (admin, accountant, viewer) - yetki: accounts:read
+ * @param   {string} type - Hesap türü (customer, supplier, both)
+ * @returns {Array} Belirtilen türdeki cari hesaplar
+ * @example
+ * GET /api/accounts/type/customer
+ * 
+ * Response (200 OK):
+ * {
+ *   "success": true,
+ *   "message": "customer türündeki cari hesaplar başarıyla getirildi",
+ *   "data": [...],
+ *   "count": 15
+ * }
+ */
+router.get('/type/:type', authorize('accounts:read'), validate(accountSchemas.getAccountsByType), accountController.getAccountsByType);
+
+/**
+ * @route   GET /api/accounts/group/:groupId
+ * @desc    Gruba göre cari hesapları getir
+ * @access  Private (admin, accountant, viewer) - yetki: accounts:read
+ * @param   {number} groupId - Grup ID'si (zorunlu, pozitif sayı)
+ * @returns {Array} Belirtilen gruba ait cari hesaplar
+ * @example
+ * GET /api/accounts/group/1
+ * 
+ * Response (200 OK):
+ * {
+ *   "success": true,
+ *   "message": "Gruba ait cari hesaplar başarıyla getirildi",
+ *   "data": [...],
+ *   "count": 8
+ * }
+ */
+router.get('/group/:groupId', authorize('accounts:read'), validate(accountSchemas.getAccountsByGroup), accountController.getAccountsByGroup);
+
+/**
+ * @route   GET /api/accounts/search
+ * @desc    Cari hesap arama (ad, kod, vergi no, telefon ve e-postada; yazarken öneri için)
+ * @access  Private (admin, accountant, viewer) - yetki: accounts:read
+ * @query   {string} q - Arama terimi (zorunlu, 2-100 karakter)
+ * @query   {number} [limit=20] - En fazla sonuç sayısı (1-100)
+ * @returns {Array} Puana göre sıralı arama sonuçları (score, matched_fields ile)
+ * @note    Türkçe karakterler ve büyük/küçük harf ayrımı yok sayılır ("Yilmaz", "YILMAZ" ve
+ *          "Yılmaz" aynıdır). Dört harf ve üzeri kelimelerde bir (sekiz harften itibaren iki)
+ *          yazım hatası tolere edilir. Yalnızca rakam ve ayraçtan oluşan terim telefon/vergi
+ *          numarası olarak aranır; baştaki sıfır yok sayılır ("0555 123" -> +90 555 123...).
+ *          Puan: tam kelime > kelime başı > kelime içi > yazım hatası; ad ve kod eşleşmeleri
+ *          iletişim bilgilerinin önüne geçer, cari adı terimle başlıyorsa ek puan alır.
+ * @example
+ * GET /api/accounts/search?q=yilmaz&limit=5
+ * 
+ * Response (200 OK):
+ * {
+ *   "success": true,
+ *   "message": "\"yilmaz\" için arama sonuçları",
+ *   "data": [
+ *     {
+ *       "id": 1,
+ *       "account_name": "Yılmaz Ticaret",
+ *       "account_code": "YT001",
+ *       "group_id": 1,
+ *       "group_name": "Müşteriler",
+ *       "phone": "0555 123 45 67",
+ *       "email": "info@yilmazticaret.com",
+ *       "tax_number": "1234567890",
+ *       "balance": 1500.50,
+ *       "account_type": "customer",
+ *       "currency": "TRY",
+ *       "score": 1.2,
+ *       "matched_fields": ["account_name"]
+ *     },
+ *     ...
+ *   ],
+ *   "count": 3,
+ *   "search_term": "yilmaz"
+ * }
+ */
+router.get('/search', authorize('accounts:read'), validate(accountSchemas.searchAccounts), accountController.searchAccounts);
+
+// ==============================================
+// BAKİYE MUTABAKATI ROUTE'LARI
+// ==============================================
+
+/**
+ * @route   POST /api/accounts/recalculate-balances
+ * @desc    Cari hesap bakiyelerini aktif hareketlerden yeniden hesapla ve farkları raporla
+ * @access  Private (admin, accountant) - yetki: accounts:recalculate
+ * @body    {fix?: boolean, account_ids?: number[]}
+ * @returns {Object} Kontrol edilen hesap sayısı ve bakiye farkı bulunan hesaplar
+ * @note    fix: true gönderilirse farklı çıkan bakiyeler hesaplanan değerle düzeltilir
+ * @example
+ * Request Body:
+ * {
+ *   "fix": false
+ * }
+ * 
+ * Response (200 OK):
+ * {
+ *   "success": true,
+ *   "message": "42 cari hesap kontrol edildi, 1 hesapta fark bulundu",
+ *   "data": {
+ *     "checked_count": 42,
+ *     "drift_count": 1,
+ *     "fixed_count": 0,
+ *     "accounts": [
+ *       {
+ *         "account_id": 1,
+ *         "account_name": "Ahmet Yılmaz",
+ *         "account_code": "AH001",
+ *         "opening_balance": 0,
+ *         "stored_balance": 2000.75,
+ *         "calculated_balance": 1500.50,
+ *         "drift": 500.25,
+ *         "has_drift": true,
+ *         "transaction_count": 12
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+router.post('/recalculate-balances', authorize('accounts:recalculate'), validate(accountSchemas.recalculateBalances), accountController.recalculateBalances);
+
+/**
+ * @route   GET /api/accounts/:id/balance-check
+ * @desc    Cari hesabın kayıtlı bakiyesini aktif hareketlerden hesaplanan bakiyeyle karşılaştır
+ * @access  Private (admin, accountant, viewer) - yetki: accounts:read
+ * @param   {number} id - Cari hesap ID'si (zorunlu, pozitif sayı)
+ * @returns {Object} Kayıtlı bakiye, hesaplanan bakiye ve fark
+ * @example
+ * GET /api/accounts/1/balance-check
+ * 
+ * Response (200 OK):
+ * {
+ *   "success": true,
+ *   "message": "Cari hesap bakiyesi hareketlerle uyumlu",
+ *   "data": {
+ *     "account_id": 1,
+ *     "account_name": "Ahmet Yılmaz",
+ *     "account_code": "AH001",
+ *     "opening_balance": 0,
+ *     "stored_balance": 1500.50,
+ *     "calculated_balance": 1500.50,
+ *     "drift": 0,
+ *     "has_drift": false,
+ *     "transaction_count": 12
+ *   }
+ * }
+ */
+router.get('/:id/balance-check', authorize('accounts:read'), validate(accountSchemas.checkAccountBalance), accountController.checkAccountBalance);
+
+/**
+ * @route   GET /api/accounts/:id/statement
+ * @desc    Cari hesap ekstresi: açılış bakiyesi, borç/alacak sütunları ve yürüyen bakiyeyle
+ *          hareketler, kapanış bakiyesi
+ * @access  Private (admin, accountant, viewer) - yetki: accounts:read
+ * @param   {number} id - Cari hesap ID'si (zorunlu, pozitif sayı)
+ * @query   {string} from - Başlangıç tarihi (YYYY-MM-DD, opsiyonel)
+ * @query   {string} to - Bitiş tarihi (YYYY-MM-DD, opsiyonel, from'dan önce olamaz)
+ * @query   {string} format - json (varsayılan) veya pdf
+ * @returns {Object} Ekstre; format=pdf ile müşteriye gönderilebilecek PDF dosyası
+ *          (cari-ekstre-:id.pdf; şirket adı app_name, tarihler date_format, tutarlar
+ *          decimal_places ayarına göre yazılır)
+ * @note    Tutarlar ana para birimindedir; bakiyeyi artıran hareketler (income/receivable)
+ *          borç, azaltanlar (expense/payable) alacak sütununa yazılır. from verilirse
+ *          açılış bakiyesi, hesabın açılış bakiyesine o tarihten önceki hareketlerin
+ *          eklenmesiyle bulunur. Harekete bağlı olmayan yevmiye fişlerinin cari satırları
+ *          (source: journal_entry) da ekstrede yer alır
+ * @example
+ * GET /api/accounts/1/statement?from=2024-01-01&to=2024-01-31
+ *
+ * Response (200 OK):
+ * {
+ *   "success": true,
+ *   "message": "Cari hesap ekstresi başarıyla oluşturuldu",
+ *   "data": {
+ *     "account": {
+ *       "id": 1,
+ *       "account_name": "Ahmet Yılmaz",
+ *       "account_code": "AH001",
+ *       "account_type": "customer",
+ *       "currency": "TRY"
+ *     },
+ *     "from": "2024-01-01",
+ *     "to": "2024-01-31",
+ *     "base_currency": "TRY",
+ *     "opening_balance": 500,
+ *     "lines": [
+ *       {
+ *         "source": "transaction",
+ *         "id": 15,
+ *         "date": "2024-01-10T00:00:00.000Z",
+ *         "transaction_type": "receivable",
+ *         "description": "Ocak faturası",
+ *         "reference_number": "FTR-2024-001",
+ *         "currency": "TRY",
+ *         "amount": 1500.5,
+ *         "debit": 1500.5,
+ *         "credit": 0,
+ *         "balance": 2000.5
+ *       },
+ *       {
+ *         "source": "transaction",
+ *         "id": 18,
+ *         "date": "2024-01-20T00:00:00.000Z",
+ *         "transaction_type": "income",
+ *         ...
+ *       }
+ *     ],
+ *     "total_debit": 1500.5,
+ *     "total_credit": 1000,
+ *     "closing_balance": 1000.5
+ *   }
+ * }
+ */
+router.get('/:id/statement', authorize('accounts:read'), validate(accountSchemas.getAccountStatement), accountController.getAccountStatement);
+
+// ==============================================
+// ÇÖP KUTUSU ROUTE'LARI
+// ==============================================
+
+/**
+ * @route   GET /api/accounts/deleted
+ * @desc    Silinmiş (soft delete) cari hesapları silinme zamanına göre yeniden eskiye listele
+ * @access  Private (admin, accountant, viewer) - yetki: accounts:read
+ * @returns {Array} Silinmiş cari hesaplar (deleted_at ile birlikte)
+ * @example
+ * GET /api/accounts/deleted
+ *
+ * Response (200 OK):
+ * {
+ *   "success": true,
+ *   "message": "Silinmiş cari hesaplar başarıyla getirildi",
+ *   "data": [
+ *     {
+ *       "id": 7,
+ *       "account_name": "Mehmet Kaya",
+ *       "account_code": "MK001",
+ *       "balance": "250.00",
+ *       "account_type": "customer",
+ *       "deleted_at": "2024-10-08T14:30:00.000Z"
+ *     }
+ *   ],
+ *   "count": 1
+ * }
+ */
+router.get('/deleted', authorize('accounts:read'), accountController.getDeletedAccounts);
+
+/**
+ * @route   POST /api/accounts/:id/restore
+ * @desc    Silinmiş cari hesabı geri yükle
+ * @access  Private (admin, accountant) - yetki: accounts:delete
+ * @param   {number} id - Geri yüklenecek cari hesap ID'si (zorunlu, pozitif sayı)
+ * @body    {account_code?: string|null, account_name?: string}
+ * @returns {Object} Geri yüklenen cari hesap bilgisi
+ * @note    Hesap silinirken kalan bakiyesiyle geri gelir. archive modunda hesapla birlikte silinen
+ *          hareketler geri yüklenmez (bakiye etkileri silmede geri alınmıştır); çöp kutusundaki
+ *          hareket sayısı archived_transaction_count ile döner ve hareketler
+ *          POST /api/transactions/:id/restore ile tek tek geri yüklenir.
+ *          Cari kodu veya adı aktif bir hesapla çakışıyorsa 409 döner; istek gövdesinde
+ *          yeni bir account_code (null ile kod kaldırılır) veya account_name gönderilerek
+ *          tekrar denenebilir
+ * @example
+ * POST /api/accounts/7/restore
+ *
+ * Error Response (409 Conflict):
+ * {
+ *   "success": false,
+ *   "message": "Cari hesap geri yüklenemedi",
+ *   "error": "Bu cari kodu başka bir hesap tarafından kullanılıyor",
+ *   "conflict": { "field": "account_code", "value": "MK001", "conflicting_id": 12 }
+ * }
+ *
+ * Yeni kodla tekrar deneme:
+ * POST /api/accounts/7/restore
+ * Request Body:
+ * {
+ *   "account_code": "MK002"
+ * }
+ *
+ * Response (200 OK):
+ * {
+ *   "success": true,
+ *   "message": "Cari hesap başarıyla geri yüklendi",
+ *   "data": {
+ *     "id": 7,
+ *     "account_name": "Mehmet Kaya",
+ *     "account_code": "MK002",
+ *     "balance": 250.00,
+ *     "archived_transaction_count": 3,
+ *     "message": "Cari hesap başarıyla geri yüklendi"
+ *   }
+ * }
+ */
+router.post('/:id/restore', authorize('accounts:delete'), validate(accountSchemas.restoreAccount), accountController.restoreAccount);
 
 // ==============================================
 // TEK CARİ HESAP İLE İLGİLİ ROUTE'LAR (:id parametreli)
@@ -96,7 +466,7 @@ router.post('/', accountController.createAccount);
 /**
  * @route   GET /api/accounts/:id
  * @desc    Belirli bir cari hesabı ID ile getir
- * @access  Public (şimdilik - ileride authentication eklenebilir)
+ * @access  Private (admin, accountant, viewer) - yetki: accounts:read
  * @param   {number} id - Cari hesap ID'si (zorunlu, pozitif sayı)
  * @returns {Object} Cari hesap detay bilgisi
  * @example
@@ -125,25 +495,26 @@ router.post('/', accountController.createAccount);
  *   }
  * }
  */
-router.get('/:id', accountController.getAccountById);
+router.get('/:id', authorize('accounts:read'), validate(accountSchemas.getAccountById), accountController.getAccountById);
 
 /**
  * @route   PUT /api/accounts/:id
  * @desc    Mevcut cari hesabı güncelle
- * @access  Public (şimdilik - ileride authentication eklenebilir)
+ * @access  Private (admin, accountant) - yetki: accounts:write
  * @param   {number} id - Güncellenecek cari hesap ID'si (zorunlu, pozitif sayı)
- * @body    {ad_soyad: string, account_code?: string, group_id?: number, phone?: string, email?: string, address?: string, tax_number?: string, tax_office?: string, balance?: number, account_type?: string}
+ * @body    {account_name: string, account_code?: string, group_id?: number, phone?: string, email?: string, address?: string, tax_number?: string, tax_office?: string, opening_balance?: number, account_type?: string, currency?: string}
  * @returns {Object} Güncellenmiş cari hesap bilgisi
+ * @note    Bakiye doğrudan güncellenemez; opening_balance değişirse bakiye aradaki fark kadar kaydırılır
  * @example
  * PUT /api/accounts/1
  * Request Body:
  * {
- *   "ad_soyad": "Ahmet Yılmaz (Güncellendi)",
+ *   "account_name": "Ahmet Yılmaz (Güncellendi)",
  *   "account_code": "AH001",
  *   "group_id": 2,
  *   "phone": "+90 555 111 22 33",
  *   "email": "ahmet.new@example.com",
- *   "balance": 2000.75,
+ *   "opening_balance": 250.00,
  *   "account_type": "both"
  * }
  * 
@@ -159,129 +530,99 @@ router.get('/:id', accountController.getAccountById);
  *   }
  * }
  */
-router.put('/:id', accountController.updateAccount);
+router.put('/:id', authorize('accounts:write'), validate(accountSchemas.updateAccount), accountController.updateAccount);
 
 /**
  * @route   DELETE /api/accounts/:id
  * @desc    Mevcut cari hesabı sil (soft delete)
- * @access  Public (şimdilik - ileride authentication eklenebilir)
+ * @access  Private (admin, accountant) - yetki: accounts:delete
  * @param   {number} id - Silinecek cari hesap ID'si (zorunlu, pozitif sayı)
+ * @query   {string} mode - Silme modu: refuse (varsayılan), archive veya transfer
+ * @query   {number} target_account_id - transfer modunda bakiyenin devredileceği cari hesap
  * @returns {Object} Silme işlemi sonucu
- * @note    Eğer cari hesaba bağlı işlemler varsa silme işlemi başarısız olur
+ * @note    refuse: Hesaba bağlı aktif hareket veya doğrudan girilmiş yevmiye fişi varsa silme başarısız olur
+ *          archive: Hesap, bağlı aktif hareketleriyle birlikte çöp kutusuna taşınır; hareketlerin bakiye
+ *                   etkisi ve yevmiye fişleri geri alınır (POST /api/transactions/:id/restore ile geri yüklenebilir).
+ *                   Hesaba bağlı elle girilmiş yevmiye fişi varsa arşivleme başarısız olur; önce fişler
+ *                   silinmeli (DELETE /api/journal/:id) veya transfer modu kullanılmalıdır
+ *          transfer: Açık bakiye, 120 Cari Hesaplar üzerinde bir devir fişiyle hedef hesaba aktarılır ve
+ *                    hesap sıfır bakiyeyle kapatılır; hareketler kaynak hesapta kalır
  * @example
  * DELETE /api/accounts/1
  * 
- * Response (200 OK):
- * {
- *   "success": true,
- *   "message": "Cari hesap başarıyla silindi",
- *   "data": {
- *     "message": "Cari hesap başarıyla silindi"
- *   }
- * }
- * 
  * Error Response (400 Bad Request):
  * {
  *   "success": false,
  *   "message": "Cari hesap silinemedi",
- *   "error": "Bu cari hesaba bağlı 10 işlem bulunduğu için silinemez"
+ *   "error": "Bu cari hesaba bağlı 10 hareket ve 0 yevmiye fişi bulunduğu için silinemez (archive veya transfer modunu kullanın)"
  * }
- */
-router.delete('/:id', accountController.deleteAccount);
-
-// ==============================================
-// FİLTRELEME VE ARAMA ROUTE'LARI
-// ==============================================
-
-/**
- * @route   GET /api/accounts/type/:type
- * @desc    Hesap türüne göre cari hesapları getir
- * @access  Public (şimdilik - ileride authentication eklenebilir)
- * @param   {string} type - Hesap türü (customer, supplier, both)
- * @returns {Array} Belirtilen türdeki cari hesaplar
- * @example
- * GET /api/accounts/type/customer
- * 
+ *
+ * DELETE /api/accounts/1?mode=transfer&target_account_id=4
+ *
  * Response (200 OK):
  * {
  *   "success": true,
- *   "message": "customer türündeki cari hesaplar başarıyla getirildi",
- *   "data": [...],
- *   "count": 15
- * }
- */
-router.get('/type/:type', accountController.getAccountsByType);
-
-/**
- * @route   GET /api/accounts/group/:groupId
- * @desc    Gruba göre cari hesapları getir
- * @access  Public (şimdilik - ileride authentication eklenebilir)
- * @param   {number} groupId - Grup ID'si (zorunlu, pozitif sayı)
- * @returns {Array} Belirtilen gruba ait cari hesaplar
- * @example
- * GET /api/accounts/group/1
- * 
- * Response (200 OK):
- * {
- *   "success": true,
- *   "message": "Gruba ait cari hesaplar başarıyla getirildi",
- *   "data": [...],
- *   "count": 8
- * }
- */
-router.get('/group/:groupId', accountController.getAccountsByGroup);
-
-/**
- * @route   GET /api/accounts/search
- * @desc    Cari hesap arama (ad, kod, telefon, email'de arama yapar)
- * @access  Public (şimdilik - ileride authentication eklenebilir)
- * @query   {string} q - Arama terimi (zorunlu, min 2 karakter)
- * @returns {Array} Arama sonuçları
- * @example
- * GET /api/accounts/search?q=ahmet
- * 
- * Response (200 OK):
- * {
- *   "success": true,
- *   "message": "\"ahmet\" için arama sonuçları",
- *   "data": [...],
- *   "count": 3,
- *   "searchTerm": "ahmet"
+ *   "message": "Cari hesap başarıyla silindi",
+ *   "data": {
+ *     "mode": "transfer",
+ *     "archived_transaction_count": 0,
+ *     "transfer": {
+ *       "target_account_id": 4,
+ *       "amount": 1500.50,
+ *       "journal_entry_id": 57
+ *     },
+ *     "message": "Cari hesap başarıyla silindi"
+ *   }
  * }
  */
-router.get('/search', accountController.searchAccounts);
+router.delete('/:id', authorize('accounts:delete'), validate(accountSchemas.deleteAccount), accountController.deleteAccount);
 
 /**
  * ==============================================
  * HATA DURUMLARI VE HTTP STATUS KODLARI
  * ==============================================
  * 
- * 200 OK          - Başarılı GET, PUT, DELETE işlemleri
- * 201 Created     - Başarılı POST işlemleri (yeni cari hesap oluşturma)
- * 400 Bad Request - Validation hataları, duplicate cari adı/kodu, bağlı işlemler varken silme
- * 404 Not Found   - Cari hesap bulunamadığında
+ * 200 OK          - Başarılı GET, PUT, DELETE ve geri yükleme işlemleri
+ * 201 Created     - Başarılı POST işlemleri (yeni cari hesap oluşturma, onaylı içe aktarma)
+ * 400 Bad Request - Duplicate cari adı/kodu, bağlı hareketler varken silme, geçersiz bakiye devri hedefi,
+ *                   okunamayan veya eksik içe aktarma dosyası
+ * 401 Unauthorized - Eksik, geçersiz veya süresi dolmuş erişim token'ı
+ * 403 Forbidden   - Kullanıcı rolünün bu işlem için yetkisi yok
+ * 404 Not Found   - Cari hesap (veya geri yüklenecek silinmiş hesap) bulunamadığında
+ * 409 Conflict    - Geri yüklenen hesabın kodu veya adı aktif bir hesapla çakıştığında
+ * 415 Unsupported Media Type - İçe aktarma dosyası CSV, XLSX, text/plain veya application/octet-stream
+ *                   dışında bir Content-Type ile gönderildiğinde
+ * 422 Unprocessable Entity - Şemaya uymayan parametre, sorgu veya gövde alanları (tüm alan hataları listelenir)
+ *                   veya onaylanan içe aktarma dosyasında hatalı satırlar (satır bazında listelenir)
  * 500 Internal Server Error - Sunucu tarafı hatalar
  * 
  * ==============================================
  * ÖRNEK VALIDATION HATALARI
  * ==============================================
  * 
- * - Boş ad soyad: "Ad soyad alanı gereklidir"
- * - Çok kısa ad soyad: "Ad soyad en az 2 karakter olmalıdır"
- * - Çok uzun ad soyad: "Ad soyad en fazla 255 karakter olabilir"
- * - Geçersiz ID: "ID sayısal bir değer olmalıdır"
+ * 422 (validation/schemas/accountSchemas.js):
+ * - Boş ad soyad: "account_name alanı gereklidir"
+ * - Çok kısa ad soyad: "account_name en az 2 karakter olmalıdır"
+ * - Çok uzun ad soyad: "account_name en fazla 255 karakter olabilir"
+ * - Geçersiz ID: "id tam sayı olmalıdır"
+ * - Geçersiz email: "email geçerli bir e-posta adresi olmalıdır"
+ * - Geçersiz hesap türü: "account_type şunlardan biri olmalıdır: customer, supplier, both"
+ * - Geçersiz bakiye: "balance sayısal bir değer olmalıdır"
+ * - Eksik devir hedefi: "transfer modu için target_account_id gereklidir"
+ * - Çok kısa arama terimi: "q en az 2 karakter olmalıdır"
+ * - Arama sonuç sayısı: "limit en fazla 100 olabilir"
+ *
+ * 400:
  * - Duplicate cari adı: "Bu cari hesap adı zaten mevcut"
  * - Duplicate cari kodu: "Bu cari kodu zaten kullanılıyor"
  * - Geçersiz grup: "Belirtilen grup bulunamadı"
- * - Geçersiz email: "Geçersiz email formatı"
- * - Geçersiz hesap türü: "Hesap türü customer, supplier veya both olmalıdır"
- * - Geçersiz bakiye: "Bakiye sayısal bir değer olmalıdır"
+ * - İçe aktarma: "Cari hesap adı sütunu bulunamadı", "Eşleştirilen sütun dosyada bulunamadı: Firma"
  * 
  * ==============================================
  * ZORUNLU ALANLAR
  * ==============================================
  * 
- * - ad_soyad (string): Cari hesap adı - zorunlu
+ * - account_name (string): Cari hesap adı - zorunlu
  * 
  * ==============================================
  * OPSİYONEL ALANLAR
@@ -294,8 +635,14 @@ router.get('/search', accountController.searchAccounts);
  * - address (string): Adres bilgisi
  * - tax_number (string): Vergi numarası
  * - tax_office (string): Vergi dairesi
- * - balance (number): Bakiye (varsayılan: 0)
+ * - opening_balance (number): Açılış bakiyesi (oluştururken varsayılan: 0)
  * - account_type (string): Hesap türü (customer/supplier/both, varsayılan: customer)
+ * - currency (string): Para birimi (varsayılan: şirketin ana para birimi; hareketi olan
+ *   hesapta değiştirilemez). Bakiye her zaman ana para biriminde tutulur
+ * 
+ * Eski /api endpoint'leri ad_soyad (account_name) ve oluştururken balance
+ * (opening_balance) adlarını da kabul eder; arama yanıtında search_term
+ * searchTerm olarak döner. Eşlemeler: src/config/legacyFields.js
  * 
  * ==============================================
  * HESAP TÜRLERİ
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Audit Routes
+ * @description RESTful API routes for browsing the audit trail
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const auditController = require('../controllers/auditController');
+const { authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const auditSchemas = require('../validation/schemas/auditSchemas');
+
+/**
+ * Express Router instance for audit routes
+ */
+const router = express.Router();
+
+/**
+ * ==============================================
+ * Audit Trail API Routes
+ * ==============================================
+ * Grup, cari hesap, hareket, ayar ve yevmiye fişi
+ * üzerindeki her oluşturma/güncelleme/silme/geri yükleme işlemi,
+ * kaydın önceki ve sonraki haliyle birlikte
+ * audit_log tablosuna yazılır. Bu dosya bu kayıtları
+ * incelemek için gerekli endpoint'i tanımlar.
+ */
+
+/**
+ * @route   GET /api/audit
+ * @desc    Denetim kayıtlarını yeniden eskiye listele
+ * @access  Private (admin, accountant) - yetki: audit:read
+ * @query   {string} entity - Varlık adı (group, account, transaction, setting, journal_entry, exchange_rate)
+ * @query   {string} entity_id - Kayıt ID'si (ayarlar için ayar adı); entity ile birlikte kullanılır
+ * @query   {number} user_id - Değişikliği yapan kullanıcı
+ * @query   {number} limit - En fazla kayıt sayısı (varsayılan 100, en fazla 500)
+ * @returns {Array} Denetim kayıtları
+ * @example
+ * GET /api/audit?entity=transaction&entity_id=15
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Denetim kayıtları başarıyla getirildi",
+ *   "data": [
+ *     {
+ *       "id": 42,
+ *       "entity": "transaction",
+ *       "entity_id": "15",
+ *       "action": "update",
+ *       "before_data": { "id": 15, "amount": "1500.00", "status": "pending", "...": "..." },
+ *       "after_data": { "id": 15, "amount": "1750.00", "status": "completed", "...": "..." },
+ *       "user_id": 2,
+ *       "user_email": "muhasebe@firma.com",
+ *       "user_full_name": "Ayşe Demir",
+ *       "created_at": "2024-10-08T14:30:00.000Z"
+ *     }
+ *   ],
+ *   "count": 1
+ * }
+ */
+router.get('/', authorize('audit:read'), validate(auditSchemas.getAuditEntries), auditController.getAuditEntries);
+
+/**
+ * ==============================================
+ * HATA DURUMLARI VE HTTP STATUS KODLARI
+ * ==============================================
+ *
+ * 200 OK           - Başarılı GET işlemleri
+ * 401 Unauthorized - Eksik, geçersiz veya süresi dolmuş erişim token'ı
+ * 403 Forbidden    - Kullanıcı rolünün bu işlem için yetkisi yok
+ * 422 Unprocessable Entity - Geçersiz varlık adı, entity olmadan entity_id, geçersiz limit
+ * 500 Internal Server Error - Sunucu tarafı hatalar
+ */
+
+// Router'ı dışa aktar
+module.exports = router;
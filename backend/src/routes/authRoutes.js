@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Auth Routes
+ * @description RESTful API routes for user registration, login and token management
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const authController = require('../controllers/authController');
+const { authenticate } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const authSchemas = require('../validation/schemas/authSchemas');
+
+/**
+ * Express Router instance for auth routes
+ */
+const router = express.Router();
+
+/**
+ * ==============================================
+ * Authentication API Routes
+ * ==============================================
+ * Bu dosya kullanıcı kaydı, oturum açma ve token
+ * yenileme için gerekli API endpoint'lerini tanımlar.
+ * Diğer /api endpoint'leri buradan alınan erişim
+ * token'ı ile "Authorization: Bearer <token>"
+ * başlığı gönderilerek kullanılır.
+ */
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Yeni kullanıcı kaydı oluştur ve oturum aç
+ * @access  Public
+ * @body    {email: string, password: string, full_name: string}
+ * @returns {Object} Kullanıcı bilgisi, erişim ve yenileme token'ları
+ * @example
+ * Request Body:
+ * {
+ *   "email": "muhasebe@firma.com",
+ *   "password": "GucluSifre123",
+ *   "full_name": "Ayşe Demir"
+ * }
+ *
+ * Response (201 Created):
+ * {
+ *   "success": true,
+ *   "message": "Kullanıcı başarıyla kaydedildi",
+ *   "data": {
+ *     "user": { "id": 1, "email": "muhasebe@firma.com", "full_name": "Ayşe Demir" },
+ *     "token_type": "Bearer",
+ *     "access_token": "eyJhbGciOiJIUzI1NiIs...",
+ *     "expires_in": "15m",
+ *     "refresh_token": "3f9c1a...",
+ *     "refresh_token_expires_at": "2024-10-15T10:30:00.000Z"
+ *   }
+ * }
+ *
+ * Error Response (422 Unprocessable Entity):
+ * {
+ *   "success": false,
+ *   "message": "Doğrulama hatası",
+ *   "error": "email geçerli bir e-posta adresi olmalıdır; password en az 8 karakter olmalıdır",
+ *   "errors": [
+ *     { "location": "body", "field": "email", "message": "email geçerli bir e-posta adresi olmalıdır" },
+ *     { "location": "body", "field": "password", "message": "password en az 8 karakter olmalıdır" }
+ *   ]
+ * }
+ */
+router.post('/register', validate(authSchemas.register), authController.register);
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    E-posta ve şifre ile oturum aç
+ * @access  Public
+ * @body    {email: string, password: string}
+ * @returns {Object} Kullanıcı bilgisi, erişim ve yenileme token'ları
+ * @example
+ * Request Body:
+ * {
+ *   "email": "muhasebe@firma.com",
+ *   "password": "GucluSifre123"
+ * }
+ *
+ * Error Response (401 Unauthorized):
+ * {
+ *   "success": false,
+ *   "message": "Oturum açılamadı",
+ *   "error": "E-posta veya şifre hatalı"
+ * }
+ */
+router.post('/login', validate(authSchemas.login), authController.login);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Yenileme token'ı ile yeni token çifti al
+ * @access  Public
+ * @body    {refresh_token: string}
+ * @returns {Object} Yeni erişim ve yenileme token'ları
+ * @note    Her yenilemede eski token iptal edilir. İptal edilmiş bir token
+ *          tekrar kullanılırsa kullanıcının tüm oturumları kapatılır.
+ */
+router.post('/refresh', validate(authSchemas.refresh), authController.refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Oturumu kapat (yenileme token'ını iptal et)
+ * @access  Public
+ * @body    {refresh_token: string}
+ * @note    Erişim token'ı süresi dolana kadar geçerli kalır; süresi kısa tutulmalıdır
+ */
+router.post('/logout', validate(authSchemas.logout), authController.logout);
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Oturumdaki kullanıcının bilgilerini getir
+ * @access  Private (Bearer token)
+ * @returns {Object} Kullanıcı bilgisi
+ */
+router.get('/me', authenticate, authController.me);
+
+/**
+ * ==============================================
+ * HATA DURUMLARI VE HTTP STATUS KODLARI
+ * ==============================================
+ *
+ * 200 OK           - Başarılı login, refresh, logout ve me işlemleri
+ * 201 Created      - Başarılı kayıt
+ * 400 Bad Request  - Kayıtlı e-posta
+ * 401 Unauthorized - Hatalı e-posta/şifre, geçersiz veya süresi dolmuş token
+ * 422 Unprocessable Entity - Eksik/geçersiz alan (ör. kısa şifre, geçersiz e-posta)
+ * 500 Internal Server Error - Sunucu tarafı hatalar
+ */
+
+// Router'ı dışa aktar
+module.exports = router;
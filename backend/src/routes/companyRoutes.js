@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Company Routes
+ * @description RESTful API routes for companies and company memberships
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const companyController = require('../controllers/companyController');
+const { authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const companySchemas = require('../validation/schemas/companySchemas');
+
+/**
+ * Express Router instance for company routes
+ */
+const router = express.Router();
+
+/**
+ * ==============================================
+ * Company API Routes
+ * ==============================================
+ * Bu dosya şirketlerin ve şirket üyeliklerinin
+ * yönetimi için gerekli API endpoint'lerini tanımlar.
+ * Grup, cari hesap, hareket, ayar ve yevmiye
+ * endpoint'leri "X-Company-Id" başlığındaki şirket
+ * (başlık yoksa kullanıcının varsayılan şirketi)
+ * adına ve kullanıcının o şirketteki üyelik rolüyle
+ * çalışır. Buradaki authorize kontrolleri ise
+ * kullanıcının genel rolünü (users.role) kullanır;
+ * üyelik işlemleri ayrıca işlemi yapanın ilgili
+ * şirkette admin rolüyle üye olmasını ister.
+ */
+
+/**
+ * @route   GET /api/companies
+ * @desc    Oturumdaki kullanıcının üyesi olduğu şirketleri listele
+ * @access  Private (admin, accountant, viewer) - yetki: companies:read
+ * @returns {Array} Şirket listesi (is_default ile)
+ * @example
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Şirketler başarıyla getirildi",
+ *   "data": [
+ *     { "id": 1, "company_name": "Varsayılan Şirket", "tax_number": null, "tax_office": null, "role": "admin", "is_default": 1 },
+ *     { "id": 2, "company_name": "Yılmaz Ticaret Ltd.", "tax_number": "1234567890", "tax_office": "Kadıköy", "role": "viewer", "is_default": 0 }
+ *   ],
+ *   "count": 2
+ * }
+ */
+router.get('/', authorize('companies:read'), companyController.getMyCompanies);
+
+/**
+ * @route   POST /api/companies
+ * @desc    Yeni şirket oluştur (oluşturan kullanıcı şirkete admin rolüyle üye olur)
+ * @access  Private (admin) - yetki: companies:manage
+ * @body    {company_name: string, tax_number?: string, tax_office?: string}
+ * @returns {Object} Oluşturulan şirket bilgisi
+ */
+router.post('/', authorize('companies:manage'), validate(companySchemas.createCompany), companyController.createCompany);
+
+/**
+ * @route   POST /api/companies/:id/users
+ * @desc    Kullanıcıyı şirkete verilen rolle üye yap
+ * @access  Private (şirketin admin üyeleri) - yetki: companies:read + şirkette admin üyelik
+ * @param   {number} id - Şirket ID'si
+ * @body    {user_id: number, role?: 'admin'|'accountant'|'viewer'} - role varsayılan: viewer
+ * @note    İşlemi yapan kullanıcı :id şirketinin üyesi değilse veya oradaki rolü admin
+ *          değilse 403 döner; genel admin rolü başka bir şirkete erişim vermez.
+ *          Kullanıcının başka üyeliği yoksa bu şirket varsayılan şirketi olur.
+ * @example
+ * POST /api/companies/2/users
+ * { "user_id": 7, "role": "accountant" }
+ *
+ * Response (201 Created):
+ * {
+ *   "success": true,
+ *   "message": "Kullanıcı şirkete eklendi",
+ *   "data": { "company_id": 2, "user_id": 7, "role": "accountant", "message": "Kullanıcı şirkete eklendi" }
+ * }
+ */
+router.post('/:id/users', authorize('companies:read'), validate(companySchemas.addUserToCompany), companyController.addUserToCompany);
+
+/**
+ * @route   PUT /api/companies/:id/users/:userId/role
+ * @desc    Üyenin şirketteki rolünü değiştir
+ * @access  Private (şirketin admin üyeleri) - yetki: companies:read + şirkette admin üyelik
+ * @param   {number} id - Şirket ID'si
+ * @param   {number} userId - Üye kullanıcının ID'si
+ * @body    {role: 'admin'|'accountant'|'viewer'}
+ * @note    Şirketin son admin üyesi düşürülemez (400). Yeni rol üyenin bir sonraki
+ *          isteğinde geçerli olur (token yenilemesi gerekmez).
+ * @example
+ * PUT /api/companies/2/users/7/role
+ * { "role": "viewer" }
+ *
+ * Response (200 OK):
+ * {
+ *   "success": true,
+ *   "message": "Üyelik rolü güncellendi",
+ *   "data": { "company_id": 2, "user_id": 7, "previous_role": "accountant", "role": "viewer", "message": "Üyelik rolü güncellendi" }
+ * }
+ */
+router.put('/:id/users/:userId/role', authorize('companies:read'), validate(companySchemas.updateMemberRole), companyController.updateMemberRole);
+
+/**
+ * @route   PUT /api/companies/:id/default
+ * @desc    Oturumdaki kullanıcının varsayılan şirketini değiştir
+ * @access  Private (admin, accountant, viewer) - yetki: companies:read
+ * @param   {number} id - Şirket ID'si (kullanıcının üyesi olduğu bir şirket)
+ */
+router.put('/:id/default', authorize('companies:read'), validate(companySchemas.setDefaultCompany), companyController.setDefaultCompany);
+
+/**
+ * ==============================================
+ * HATA DURUMLARI VE HTTP STATUS KODLARI
+ * ==============================================
+ *
+ * 200 OK           - Başarılı GET, PUT işlemleri
+ * 201 Created      - Başarılı POST işlemleri
+ * 400 Bad Request  - Duplicate şirket adı, mevcut üyelik, şirketin son admin'ini düşürme
+ * 401 Unauthorized - Eksik, geçersiz veya süresi dolmuş erişim token'ı
+ * 403 Forbidden    - Kullanıcı rolünün bu işlem için yetkisi yok; üyelik işlemlerinde
+ *                    şirketin üyesi olmamak veya şirketteki rolün admin olmaması
+ * 404 Not Found    - Şirket, kullanıcı veya üyelik bulunamadığında
+ * 422 Unprocessable Entity - Şemaya uymayan parametre veya gövde alanları
+ * 500 Internal Server Error - Sunucu tarafı hatalar
+ */
+
+// Router'ı dışa aktar
+module.exports = router;
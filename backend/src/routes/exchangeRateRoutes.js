@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Exchange Rate Routes
+ * @description RESTful API routes for exchange rate entry, import and listing
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const exchangeRateController = require('../controllers/exchangeRateController');
+const { authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const exchangeRateSchemas = require('../validation/schemas/exchangeRateSchemas');
+
+/**
+ * Express Router instance for exchange rate routes
+ */
+const router = express.Router();
+
+/**
+ * ==============================================
+ * Exchange Rate API Routes
+ * ==============================================
+ * Bu dosya dövizli cari hesap ve hareketlerin ana para
+ * birimine çevrilmesinde kullanılan günlük kurların
+ * girilmesi, içe aktarılması ve listelenmesi için
+ * gerekli endpoint'leri tanımlar.
+ *
+ * Kur, 1 birim dövizin şirketin ana para birimi
+ * (companies.base_currency, varsayılan TRY) karşılığıdır.
+ * Kur verilmeden girilen dövizli hareketlerde hareket
+ * tarihindeki veya öncesindeki en güncel kur kullanılır.
+ */
+
+/**
+ * @route   GET /api/exchange-rates
+ * @desc    Kurları yeniden eskiye listele
+ * @access  Private (tüm roller) - yetki: exchange_rates:read
+ * @query   {string} currency - Para birimi filtresi (örn. USD)
+ * @query   {string} start_date - Başlangıç tarihi (YYYY-MM-DD)
+ * @query   {string} end_date - Bitiş tarihi (YYYY-MM-DD)
+ * @returns {Array} Kur kayıtları ve şirketin ana para birimi
+ * @example
+ * GET /api/exchange-rates?currency=USD&start_date=2024-01-01
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Kurlar başarıyla getirildi",
+ *   "data": [
+ *     {
+ *       "id": 3,
+ *       "currency": "USD",
+ *       "rate_date": "2024-01-15",
+ *       "rate": "30.125000",
+ *       "source": "manual",
+ *       "created_at": "2024-01-15T09:00:00.000Z",
+ *       "updated_at": "2024-01-15T09:00:00.000Z"
+ *     }
+ *   ],
+ *   "count": 1,
+ *   "base_currency": "TRY"
+ * }
+ */
+router.get('/', authorize('exchange_rates:read'), validate(exchangeRateSchemas.getAllRates), exchangeRateController.getAllRates);
+
+/**
+ * @route   POST /api/exchange-rates/import
+ * @desc    Kurları toplu içe aktar (tek işlemde; hatalı satır varsa hiçbiri kaydedilmez)
+ * @access  Private (admin, accountant) - yetki: exchange_rates:write
+ * @body    {rates: Array<{currency: string, rate_date: string, rate: number}>} - En fazla 1000 kur
+ * @returns {Object} Eklenen ve güncellenen kur sayıları
+ * @example
+ * Request Body:
+ * {
+ *   "rates": [
+ *     { "currency": "USD", "rate_date": "2024-01-15", "rate": 30.125 },
+ *     { "currency": "EUR", "rate_date": "2024-01-15", "rate": 32.9 }
+ *   ]
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "2 kur içe aktarıldı",
+ *   "data": {
+ *     "created_count": 1,
+ *     "updated_count": 1,
+ *     "message": "2 kur içe aktarıldı"
+ *   }
+ * }
+ */
+router.post('/import', authorize('exchange_rates:write'), validate(exchangeRateSchemas.importRates), exchangeRateController.importRates);
+
+/**
+ * @route   POST /api/exchange-rates
+ * @desc    Kur gir; aynı para birimi ve tarih için kayıt varsa güncellenir
+ * @access  Private (admin, accountant) - yetki: exchange_rates:write
+ * @body    {currency: string, rate_date: string, rate: number}
+ * @returns {Object} Kaydedilen kur (yeni kayıtta 201, güncellemede 200)
+ * @example
+ * Request Body:
+ * {
+ *   "currency": "USD",
+ *   "rate_date": "2024-01-15",
+ *   "rate": 30.125
+ * }
+ *
+ * Response (201 Created):
+ * {
+ *   "success": true,
+ *   "message": "Kur başarıyla kaydedildi",
+ *   "data": {
+ *     "id": 3,
+ *     "currency": "USD",
+ *     "rate_date": "2024-01-15",
+ *     "rate": 30.125,
+ *     "created": true,
+ *     "message": "Kur başarıyla kaydedildi"
+ *   }
+ * }
+ */
+router.post('/', authorize('exchange_rates:write'), validate(exchangeRateSchemas.saveRate), exchangeRateController.saveRate);
+
+/**
+ * @route   DELETE /api/exchange-rates/:id
+ * @desc    Kuru sil (kayıtlı hareketler kendi kurlarını sakladığı için etkilenmez)
+ * @access  Private (admin, accountant) - yetki: exchange_rates:write
+ * @param   {number} id - Kur ID'si
+ * @returns {Object} Silme işlemi sonucu
+ */
+router.delete('/:id', authorize('exchange_rates:write'), validate(exchangeRateSchemas.deleteRate), exchangeRateController.deleteRate);
+
+/**
+ * ==============================================
+ * HATA DURUMLARI VE HTTP STATUS KODLARI
+ * ==============================================
+ *
+ * 200 OK           - Başarılı GET/DELETE işlemleri, mevcut kurun güncellenmesi, içe aktarma
+ * 201 Created      - Yeni kur kaydı
+ * 400 Bad Request  - Ana para birimi için kur girişi
+ * 401 Unauthorized - Eksik, geçersiz veya süresi dolmuş erişim token'ı
+ * 403 Forbidden    - Kullanıcı rolünün bu işlem için yetkisi yok
+ * 404 Not Found    - Kur bulunamadı
+ * 422 Unprocessable Entity - Geçersiz para birimi kodu, tarih veya kur değeri
+ * 500 Internal Server Error - Sunucu tarafı hatalar
+ */
+
+// Router'ı dışa aktar
+module.exports = router;
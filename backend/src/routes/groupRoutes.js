@@ -6,6 +6,9 @@
 
 const express = require('express');
 const groupController = require('../controllers/groupController');
+const { authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const groupSchemas = require('../validation/schemas/groupSchemas');
 
 /**
  * Express Router instance for group routes
@@ -29,8 +32,12 @@ const router = express.Router();
 /**
  * @route   GET /api/groups
  * @desc    Tüm cari hesap gruplarını listele
- * @access  Public (şimdilik - ileride authentication eklenebilir)
- * @returns {Array} Grup listesi (alfabetik sıralı)
+ * @access  Private (admin, accountant, viewer) - yetki: groups:read
+ * @query   {number} limit - Sayfa başına kayıt sayısı (en çok 1000; verilmezse tüm gruplar)
+ * @query   {string} cursor - Önceki yanıttaki next_cursor
+ * @query   {string} sort - group_name (varsayılan), -group_name, id veya -id
+ * @returns {Array} Grup listesi
+ * @note    Sayfalama için bkz. GET /api/accounts
  * @example
  * Response:
  * {
@@ -44,21 +51,23 @@ const router = express.Router();
  *       "updated_at": "2024-01-01T12:00:00.000Z"
  *     }
  *   ],
- *   "count": 1
+ *   "count": 1,
+ *   "total_count": 1,
+ *   "next_cursor": null
  * }
  */
-router.get('/', groupController.getAllGroups);
+router.get('/', authorize('groups:read'), validate(groupSchemas.getAllGroups), groupController.getAllGroups);
 
 /**
  * @route   POST /api/groups
  * @desc    Yeni cari hesap grubu oluştur
- * @access  Public (şimdilik - ileride authentication eklenebilir)
- * @body    {grup_adi: string} - Grup adı (zorunlu, 2-100 karakter)
+ * @access  Private (admin, accountant) - yetki: groups:write
+ * @body    {group_name: string} - Grup adı (zorunlu, 2-100 karakter; eski /api grup_adi adını da kabul eder)
  * @returns {Object} Oluşturulan grup bilgisi
  * @example
  * Request Body:
  * {
- *   "grup_adi": "Tedarikçiler"
+ *   "group_name": "Tedarikçiler"
  * }
  * 
  * Response (201 Created):
@@ -72,7 +81,7 @@ router.get('/', groupController.getAllGroups);
  *   }
  * }
  */
-router.post('/', groupController.createGroup);
+router.post('/', authorize('groups:write'), validate(groupSchemas.createGroup), groupController.createGroup);
 
 // ==============================================
 // TEK GRUP İLE İLGİLİ ROUTE'LAR (:id parametreli)
@@ -81,7 +90,7 @@ router.post('/', groupController.createGroup);
 /**
  * @route   GET /api/groups/:id
  * @desc    Belirli bir cari hesap grubunu ID ile getir
- * @access  Public (şimdilik - ileride authentication eklenebilir)
+ * @access  Private (admin, accountant, viewer) - yetki: groups:read
  * @param   {number} id - Grup ID'si (zorunlu, pozitif sayı)
  * @returns {Object} Grup detay bilgisi
  * @example
@@ -99,20 +108,20 @@ router.post('/', groupController.createGroup);
  *   }
  * }
  */
-router.get('/:id', groupController.getGroupById);
+router.get('/:id', authorize('groups:read'), validate(groupSchemas.getGroupById), groupController.getGroupById);
 
 /**
  * @route   PUT /api/groups/:id
  * @desc    Mevcut cari hesap grubunu güncelle
- * @access  Public (şimdilik - ileride authentication eklenebilir)
+ * @access  Private (admin, accountant) - yetki: groups:write
  * @param   {number} id - Güncellenecek grup ID'si (zorunlu, pozitif sayı)
- * @body    {grup_adi: string} - Yeni grup adı (zorunlu, 2-100 karakter)
+ * @body    {group_name: string} - Yeni grup adı (zorunlu, 2-100 karakter)
  * @returns {Object} Güncellenmiş grup bilgisi
  * @example
  * PUT /api/groups/1
  * Request Body:
  * {
- *   "grup_adi": "Kurumsal Müşteriler"
+ *   "group_name": "Kurumsal Müşteriler"
  * }
  * 
  * Response (200 OK):
@@ -126,12 +135,12 @@ router.get('/:id', groupController.getGroupById);
  *   }
  * }
  */
-router.put('/:id', groupController.updateGroup);
+router.put('/:id', authorize('groups:write'), validate(groupSchemas.updateGroup), groupController.updateGroup);
 
 /**
  * @route   DELETE /api/groups/:id
  * @desc    Mevcut cari hesap grubunu sil
- * @access  Public (şimdilik - ileride authentication eklenebilir)
+ * @access  Private (admin) - yetki: groups:delete
  * @param   {number} id - Silinecek grup ID'si (zorunlu, pozitif sayı)
  * @returns {Object} Silme işlemi sonucu
  * @note    Eğer gruba bağlı hesaplar varsa silme işlemi başarısız olur
@@ -154,7 +163,7 @@ router.put('/:id', groupController.updateGroup);
  *   "error": "Bu gruba bağlı 5 hesap bulunduğu için silinemez"
  * }
  */
-router.delete('/:id', groupController.deleteGroup);
+router.delete('/:id', authorize('groups:delete'), validate(groupSchemas.deleteGroup), groupController.deleteGroup);
 
 // ==============================================
 // EK YARDIMCI ROUTE'LAR
@@ -163,7 +172,7 @@ router.delete('/:id', groupController.deleteGroup);
 /**
  * @route   GET /api/groups/:id/accounts/count
  * @desc    Belirli bir gruba bağlı hesap sayısını getir
- * @access  Public (şimdilik - ileride authentication eklenebilir)
+ * @access  Private (admin, accountant, viewer) - yetki: groups:read
  * @param   {number} id - Grup ID'si (zorunlu, pozitif sayı)
  * @returns {Object} Hesap sayısı bilgisi
  * @example
@@ -179,7 +188,7 @@ router.delete('/:id', groupController.deleteGroup);
  *   }
  * }
  */
-router.get('/:id/accounts/count', groupController.getGroupAccountCount);
+router.get('/:id/accounts/count', authorize('groups:read'), validate(groupSchemas.getGroupAccountCount), groupController.getGroupAccountCount);
 
 /**
  * ==============================================
@@ -188,18 +197,24 @@ router.get('/:id/accounts/count', groupController.getGroupAccountCount);
  * 
  * 200 OK          - Başarılı GET, PUT, DELETE işlemleri
  * 201 Created     - Başarılı POST işlemleri (yeni grup oluşturma)
- * 400 Bad Request - Validation hataları, duplicate grup adı, bağlı hesaplar varken silme
+ * 400 Bad Request - Duplicate grup adı, bağlı hesaplar varken silme
+ * 401 Unauthorized - Eksik, geçersiz veya süresi dolmuş erişim token'ı
+ * 403 Forbidden   - Kullanıcı rolünün bu işlem için yetkisi yok
  * 404 Not Found   - Grup bulunamadığında
+ * 422 Unprocessable Entity - Şemaya uymayan parametre, sorgu veya gövde alanları (tüm alan hataları listelenir)
  * 500 Internal Server Error - Sunucu tarafı hatalar
  * 
  * ==============================================
  * ÖRNEK VALIDATION HATALARI
  * ==============================================
  * 
- * - Boş grup adı: "Grup adı gereklidir"
- * - Çok kısa grup adı: "Grup adı en az 2 karakter olmalıdır"
- * - Çok uzun grup adı: "Grup adı en fazla 100 karakter olabilir"
- * - Geçersiz ID: "ID sayısal bir değer olmalıdır"
+ * 422 (validation/schemas/groupSchemas.js):
+ * - Boş grup adı: "group_name alanı gereklidir"
+ * - Çok kısa grup adı: "group_name en az 2 karakter olmalıdır"
+ * - Çok uzun grup adı: "group_name en fazla 100 karakter olabilir"
+ * - Geçersiz ID: "id tam sayı olmalıdır"
+ *
+ * 400:
  * - Duplicate grup: "Bu isimde bir grup zaten mevcut"
  */
 
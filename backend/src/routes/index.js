@@ -0,0 +1,111 @@
+/**
+ * @fileoverview API router
+ * @description Mounts every resource router once so the same endpoints are served under /api/v2
+ * and, through the legacy field name layer, under /api
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const { authenticate } = require('../middleware/authMiddleware');
+const { resolveCompany } = require('../middleware/companyMiddleware');
+const { translateLegacyFields } = require('../middleware/legacyFieldsMiddleware');
+const { LEGACY_FIELDS } = require('../config/legacyFields');
+
+/**
+ * Resource routes imports
+ */
+const groupRoutes = require('./groupRoutes');
+const accountRoutes = require('./accountRoutes');
+const transactionRoutes = require('./transactionRoutes');
+const userSettingsRoutes = require('./userSettingsRoutes');
+const journalRoutes = require('./journalRoutes');
+const authRoutes = require('./authRoutes');
+const userRoutes = require('./userRoutes');
+const companyRoutes = require('./companyRoutes');
+const auditRoutes = require('./auditRoutes');
+const exchangeRateRoutes = require('./exchangeRateRoutes');
+const reportRoutes = require('./reportRoutes');
+
+/**
+ * API router'ını oluştur
+ * @param {Object} [options]
+ * @param {boolean} [options.legacy=false] - true ise grup, cari hesap, hareket ve ayar
+ * endpoint'leri eski alan adlarını da kabul eder ve yanıtları eski adlarla döner (/api)
+ * @returns {express.Router}
+ */
+const createApiRouter = ({ legacy = false } = {}) => {
+    const router = express.Router();
+
+    // Eski alan adı çevirisi (yalnızca /api için)
+    const legacyFields = (resource) => (legacy ? [translateLegacyFields(LEGACY_FIELDS[resource])] : []);
+
+    /**
+     * User registration, login and token endpoints (public)
+     * @route /auth
+     */
+    router.use('/auth', authRoutes);
+
+    /**
+     * User and role management endpoints (admin)
+     * @route /users
+     */
+    router.use('/users', authenticate, userRoutes);
+
+    /**
+     * Company and membership endpoints
+     * @route /companies
+     */
+    router.use('/companies', authenticate, companyRoutes);
+
+    /**
+     * Account group management endpoints
+     * @route /groups
+     */
+    router.use('/groups', authenticate, resolveCompany, ...legacyFields('groups'), groupRoutes);
+
+    /**
+     * Customer account management endpoints
+     * @route /accounts
+     */
+    router.use('/accounts', authenticate, resolveCompany, ...legacyFields('accounts'), accountRoutes);
+
+    /**
+     * Financial transaction management endpoints
+     * @route /transactions
+     */
+    router.use('/transactions', authenticate, resolveCompany, ...legacyFields('transactions'), transactionRoutes);
+
+    /**
+     * User settings management endpoints
+     * @route /settings
+     */
+    router.use('/settings', authenticate, resolveCompany, ...legacyFields('settings'), userSettingsRoutes);
+
+    /**
+     * Double-entry journal and trial balance endpoints
+     * @route /journal
+     */
+    router.use('/journal', authenticate, resolveCompany, journalRoutes);
+
+    /**
+     * Read-only report endpoints
+     * @route /reports
+     */
+    router.use('/reports', authenticate, resolveCompany, reportRoutes);
+
+    /**
+     * Exchange rate endpoints
+     * @route /exchange-rates
+     */
+    router.use('/exchange-rates', authenticate, resolveCompany, exchangeRateRoutes);
+
+    /**
+     * Audit trail endpoints
+     * @route /audit
+     */
+    router.use('/audit', authenticate, resolveCompany, auditRoutes);
+
+    return router;
+};
+
+module.exports = { createApiRouter };
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Journal Routes
+ * @description RESTful API routes for double-entry journal and trial balance operations
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const journalController = require('../controllers/journalController');
+const { authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const journalSchemas = require('../validation/schemas/journalSchemas');
+
+/**
+ * Express Router instance for journal routes
+ */
+const router = express.Router();
+
+/**
+ * ==============================================
+ * Double-Entry Journal API Routes
+ * ==============================================
+ * Bu dosya çift taraflı kayıt (yevmiye) fişleri,
+ * hesap planı ve mizan için gerekli API
+ * endpoint'lerini tanımlar. /api/transactions ile
+ * oluşturulan her hareket otomatik olarak bir
+ * yevmiye fişine dönüştürülür.
+ */
+
+// ==============================================
+// HESAP PLANI VE RAPOR ROUTE'LARI (Öncelik sırası önemli)
+// ==============================================
+
+/**
+ * @route   GET /api/journal/ledger-accounts
+ * @desc    Hesap planını listele
+ * @access  Private (admin, accountant, viewer) - yetki: journal:read
+ * @returns {Array} Hesap planı kayıtları (koda göre sıralı)
+ * @example
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Hesap planı başarıyla getirildi",
+ *   "data": [
+ *     { "id": 1, "code": "100", "name": "Kasa", "ledger_type": "asset", "is_subledger": 0 },
+ *     { "id": 5, "code": "120", "name": "Cari Hesaplar", "ledger_type": "asset", "is_subledger": 1 }
+ *   ],
+ *   "count": 7
+ * }
+ */
+router.get('/ledger-accounts', authorize('journal:read'), journalController.getLedgerAccounts);
+
+/**
+ * @route   GET /api/journal/trial-balance
+ * @desc    Mizan - hesap planı bazında borç/alacak toplamları ve bakiyeler
+ * @access  Private (admin, accountant, viewer) - yetki: journal:read
+ * @query   {string} start_date - Başlangıç tarihi (YYYY-MM-DD)
+ * @query   {string} end_date - Bitiş tarihi (YYYY-MM-DD)
+ * @returns {Object} Hesap bazında toplamlar, genel toplamlar ve denge durumu
+ * @example
+ * GET /api/journal/trial-balance?start_date=2024-01-01&end_date=2024-12-31
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Mizan başarıyla getirildi",
+ *   "data": {
+ *     "accounts": [
+ *       {
+ *         "ledger_account_id": 5,
+ *         "code": "120",
+ *         "name": "Cari Hesaplar",
+ *         "ledger_type": "asset",
+ *         "total_debit": 15000.00,
+ *         "total_credit": 4000.00,
+ *         "debit_balance": 11000.00,
+ *         "credit_balance": 0
+ *       }
+ *     ],
+ *     "totals": { "total_debit": 19000.00, "total_credit": 19000.00 },
+ *     "is_balanced": true
+ *   }
+ * }
+ */
+router.get('/trial-balance', authorize('journal:read'), validate(journalSchemas.getTrialBalance), journalController.getTrialBalance);
+
+// ==============================================
+// YEVMİYE FİŞLERİ İLE İLGİLİ ANA ROUTE'LAR
+// ==============================================
+
+/**
+ * @route   GET /api/journal
+ * @desc    Yevmiye fişlerini borç/alacak toplamlarıyla listele
+ * @access  Private (admin, accountant, viewer) - yetki: journal:read
+ * @query   {string} start_date - Başlangıç tarihi (YYYY-MM-DD)
+ * @query   {string} end_date - Bitiş tarihi (YYYY-MM-DD)
+ * @query   {number} account_id - Belirli bir cari hesabı içeren fişler
+ * @returns {Array} Yevmiye fişleri (tarihe göre yeniden eskiye)
+ */
+router.get('/', authorize('journal:read'), validate(journalSchemas.getAllEntries), journalController.getAllEntries);
+
+/**
+ * @route   POST /api/journal
+ * @desc    Yeni yevmiye fişi oluştur (borç toplamı alacak toplamına eşit olmalıdır)
+ * @access  Private (admin, accountant) - yetki: journal:write
+ * @body    {entry_date: string, description?: string, reference_number?: string, lines: Array<{ledger_account_id: number, account_id?: number, debit?: number, credit?: number, description?: string}>}
+ * @returns {Object} Oluşturulan fiş bilgisi
+ * @note    120 Cari Hesaplar satırlarında account_id zorunludur ve cari bakiyesi (borç - alacak) kadar değişir
+ * @example
+ * Kasadan cari tahsilat kaydı:
+ * Request Body:
+ * {
+ *   "entry_date": "2024-10-08",
+ *   "description": "Ahmet Yılmaz nakit tahsilat",
+ *   "lines": [
+ *     { "ledger_account_id": 1, "debit": 1500.50 },
+ *     { "ledger_account_id": 5, "account_id": 1, "credit": 1500.50 }
+ *   ]
+ * }
+ *
+ * Response (201 Created):
+ * {
+ *   "success": true,
+ *   "message": "Yevmiye fişi başarıyla oluşturuldu",
+ *   "data": {
+ *     "id": 42,
+ *     "entry_date": "2024-10-08",
+ *     "total_debit": 1500.50,
+ *     "total_credit": 1500.50,
+ *     "message": "Yevmiye fişi başarıyla oluşturuldu"
+ *   }
+ * }
+ *
+ * Error Response (400 Bad Request):
+ * {
+ *   "success": false,
+ *   "message": "Yevmiye fişi oluşturulamadı",
+ *   "error": "Borç toplamı (1500.50) alacak toplamına (1000.00) eşit olmalıdır"
+ * }
+ */
+router.post('/', authorize('journal:write'), validate(journalSchemas.createEntry), journalController.createEntry);
+
+/**
+ * @route   GET /api/journal/:id
+ * @desc    Yevmiye fişini satırlarıyla birlikte getir
+ * @access  Private (admin, accountant, viewer) - yetki: journal:read
+ * @param   {number} id - Yevmiye fişi ID'si (zorunlu, pozitif sayı)
+ * @returns {Object} Fiş bilgisi ve satırları
+ */
+router.get('/:id', authorize('journal:read'), validate(journalSchemas.getEntryById), journalController.getEntryById);
+
+/**
+ * @route   DELETE /api/journal/:id
+ * @desc    Yevmiye fişini sil (soft delete) ve cari bakiyelerdeki etkisini geri al
+ * @access  Private (admin, accountant) - yetki: journal:write
+ * @param   {number} id - Yevmiye fişi ID'si (zorunlu, pozitif sayı)
+ * @note    Harekete bağlı fişler yalnızca DELETE /api/transactions/:id ile silinebilir
+ */
+router.delete('/:id', authorize('journal:write'), validate(journalSchemas.deleteEntry), journalController.deleteEntry);
+
+/**
+ * ==============================================
+ * HAREKETLERİN YEVMİYE KARŞILIKLARI
+ * ==============================================
+ *
+ * - income:     120 Cari Hesaplar (borç)  / 600 Gelirler (alacak)
+ * - receivable: 120 Cari Hesaplar (borç)  / 600 Gelirler (alacak)
+ * - expense:    770 Giderler (borç)       / 120 Cari Hesaplar (alacak)
+ * - payable:    770 Giderler (borç)       / 120 Cari Hesaplar (alacak)
+ *
+ * ==============================================
+ * HATA DURUMLARI VE HTTP STATUS KODLARI
+ * ==============================================
+ *
+ * 200 OK          - Başarılı GET, DELETE işlemleri
+ * 201 Created     - Başarılı POST işlemleri
+ * 400 Bad Request - Dengesiz fiş, geçersiz satır, harekete bağlı fişi silme
+ * 401 Unauthorized - Eksik, geçersiz veya süresi dolmuş erişim token'ı
+ * 403 Forbidden   - Kullanıcı rolünün bu işlem için yetkisi yok
+ * 404 Not Found   - Fiş bulunamadığında
+ * 422 Unprocessable Entity - Eksik/geçersiz tarih, satır alanları veya ID (tüm alan hataları listelenir)
+ * 500 Internal Server Error - Sunucu tarafı hatalar
+ */
+
+// Router'ı dışa aktar
+module.exports = router;
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Report Routes
+ * @description RESTful API routes for read-only reports
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const reportController = require('../controllers/reportController');
+const { authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const reportSchemas = require('../validation/schemas/reportSchemas');
+
+/**
+ * Express Router instance for report routes
+ */
+const router = express.Router();
+
+/**
+ * ==============================================
+ * Report API Routes
+ * ==============================================
+ * Bu dosya cari hesap ve hareket verilerinden üretilen,
+ * salt okunur raporların endpoint'lerini tanımlar.
+ * Tutarlar şirketin ana para birimindedir.
+ */
+
+/**
+ * @route   GET /api/reports/aging
+ * @desc    Açık alacak ve borçları cari hesap bazında vade dilimlerine ayır
+ * @access  Private (admin, accountant, viewer) - yetki: reports:read
+ * @query   {string} as_of - Rapor tarihi (YYYY-MM-DD, varsayılan: bugün)
+ * @query   {number} group_id - Grup filtresi
+ * @query   {string} account_type - Hesap türü filtresi (customer/supplier/both)
+ * @query   {string} format - json (varsayılan) veya pdf
+ * @returns {Object} receivables ve payables bölümlerinde hesap satırları ve dilim toplamları;
+ *          format=pdf ile rapor PDF dosyası olarak indirilir (yaslandirma-:as_of.pdf)
+ * @note    Açık kalem: durumu pending olan receivable/payable hareketinin, rapor tarihine
+ *          kadar girilen kapama hareketleriyle (settles_transaction_id) kapatılmamış kısmı.
+ *          Vade tarihi olmayan kalem hareket tarihinde vadeli sayılır. Dilimler vadeyi geçen
+ *          gün sayısına göredir: current (vadesi gelmemiş), 1-30, 31-60, 61-90, 90+
+ * @example
+ * GET /api/reports/aging?as_of=2024-06-30&account_type=customer
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Yaşlandırma raporu başarıyla oluşturuldu",
+ *   "data": {
+ *     "as_of": "2024-06-30",
+ *     "base_currency": "TRY",
+ *     "buckets": ["current", "days_1_30", "days_31_60", "days_61_90", "days_over_90"],
+ *     "receivables": {
+ *       "accounts": [
+ *         {
+ *           "account_id": 5,
+ *           "account_name": "Ahmet Yılmaz",
+ *           "account_code": "AH001",
+ *           "account_type": "customer",
+ *           "group_id": 2,
+ *           "group_name": "Müşteriler",
+ *           "item_count": 3,
+ *           "current": 1500.00,
+ *           "days_1_30": 0,
+ *           "days_31_60": 750.00,
+ *           "days_61_90": 0,
+ *           "days_over_90": 250.00,
+ *           "total": 2500.00
+ *         }
+ *       ],
+ *       "totals": {
+ *         "current": 1500.00,
+ *         "days_1_30": 0,
+ *         "days_31_60": 750.00,
+ *         "days_61_90": 0,
+ *         "days_over_90": 250.00,
+ *         "total": 2500.00
+ *       }
+ *     },
+ *     "payables": {
+ *       "accounts": [],
+ *       "totals": { "current": 0, "days_1_30": 0, "days_31_60": 0, "days_61_90": 0, "days_over_90": 0, "total": 0 }
+ *     }
+ *   }
+ * }
+ */
+router.get('/aging', authorize('reports:read'), validate(reportSchemas.getAgingReport), reportController.getAgingReport);
+
+/**
+ * ==============================================
+ * HATA DURUMLARI VE HTTP STATUS KODLARI
+ * ==============================================
+ *
+ * 200 OK           - Rapor oluşturuldu
+ * 401 Unauthorized - Eksik, geçersiz veya süresi dolmuş erişim token'ı
+ * 403 Forbidden    - Kullanıcı rolünün bu işlem için yetkisi yok
+ * 422 Unprocessable Entity - Geçersiz tarih, grup ID'si veya hesap türü
+ * 500 Internal Server Error - Sunucu tarafı hatalar
+ */
+
+// Router'ı dışa aktar
+module.exports = router;
@@ -6,6 +6,10 @@
 
 const express = require('express');
 const transactionController = require('../controllers/transactionController');
+const { authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const { uploadFile } = require('../middleware/uploadMiddleware');
+const transactionSchemas = require('../validation/schemas/transactionSchemas');
 
 /**
  * Express Router instance for transaction routes
@@ -28,21 +32,33 @@ const router = express.Router();
 /**
  * @route   GET /api/transactions/filter
  * @desc    Filtrelenmiş finansal hareketleri getir
- * @access  Public (şimdilik - ileride authentication eklenebilir)
- * @query   {number} cari_id - Cari hesap ID filtresi
- * @query   {string} islem_tipi - İşlem türü filtresi (income/expense/receivable/payable)
- * @query   {number} min_tutar - Minimum tutar filtresi
- * @query   {number} max_tutar - Maksimum tutar filtresi
- * @query   {string} baslangic_tarihi - Başlangıç tarih filtresi (YYYY-MM-DD)
- * @query   {string} bitis_tarihi - Bitiş tarih filtresi (YYYY-MM-DD)
- * @query   {string} aciklama_icinde - Açıklama ve referans numarasında arama
+ * @access  Private (admin, accountant, viewer) - yetki: transactions:read
+ * @query   {number} account_id - Cari hesap ID filtresi
+ * @query   {string} transaction_type - İşlem türü filtresi (income/expense/receivable/payable)
+ * @query   {number} min_amount - Minimum tutar filtresi
+ * @query   {number} max_amount - Maksimum tutar filtresi
+ * @query   {string} start_date - Başlangıç tarih filtresi (YYYY-MM-DD)
+ * @query   {string} end_date - Bitiş tarih filtresi (YYYY-MM-DD)
+ * @query   {string} search - Açıklama ve referans numarasında arama
  * @query   {string} status - İşlem durumu filtresi (completed/pending/cancelled)
  * @query   {string} payment_method - Ödeme yöntemi filtresi (cash/bank_transfer/check/credit_card)
- * @query   {number} limit - Sayfa başına kayıt sayısı (max 1000)
- * @query   {number} offset - Sayfalama offset değeri
+ * @query   {string} currency - Para birimi filtresi (örn. USD)
+ * @query   {boolean} reconciled - true: banka mutabakatı onaylanmış, false: bekleyen hareketler
+ * @query   {number} limit - Sayfa başına kayıt sayısı (en çok 1000; verilmezse filtreye uyan tüm hareketler)
+ * @query   {string} cursor - Önceki yanıttaki next_cursor
+ * @query   {string} sort - -transaction_date (varsayılan), transaction_date, amount, -amount, id veya -id
+ * @query   {number} offset - Eski istemciler için sayfalama offset değeri (cursor verilirse yok sayılır)
+ * @query   {string} format - json (varsayılan), csv veya xlsx; dosyada limit/cursor/offset yok sayılır
  * @returns {Array} Filtrelenmiş işlem listesi
+ * @note    format=csv|xlsx ile liste dosya olarak indirilir (hareketler-YYYY-MM-DD.csv/.xlsx).
+ *          Satırlar veritabanından 500'lük partiler halinde okunup yanıta akıtılır; sütun
+ *          başlıkları Türkçe, CSV ';' ayraçlı, UTF-8 BOM'lu ve ondalık virgüllüdür (Türkçe
+ *          Excel'de doğrudan açılır). Tarihler date_format, tutarlar decimal_places ayarına göre yazılır.
+ *          Sayfalama: limit verilirse en fazla limit (en çok 1000) kayıt ve sonraki sayfa varsa
+ *          next_cursor döner; sonraki sayfa aynı sort ile ?cursor=<next_cursor> gönderilerek alınır.
+ *          total_count filtreye uyan toplam kayıt sayısıdır.
  * @example
- * GET /api/transactions/filter?cari_id=5&islem_tipi=income&min_tutar=100&max_tutar=5000&baslangic_tarihi=2024-01-01&bitis_tarihi=2024-12-31&limit=50&offset=0
+ * GET /api/transactions/filter?account_id=5&transaction_type=income&min_amount=100&max_amount=5000&start_date=2024-01-01&end_date=2024-12-31&limit=50
  * 
  * Response:
  * {
@@ -66,22 +82,26 @@ const router = express.Router();
  *     }
  *   ],
  *   "count": 1,
- *   "totalCount": 150,
+ *   "total_count": 150,
+ *   "next_cursor": "eyJzb3J0IjoiLXRyYW5zYWN0aW9uX2RhdGUiLCJ2YWx1ZSI6IjIwMjQtMTAtMDgiLCJpZCI6MX0",
  *   "filters": {
- *     "cari_id": 5,
- *     "islem_tipi": "income",
- *     "min_tutar": 100,
- *     "max_tutar": 5000
+ *     "account_id": 5,
+ *     "transaction_type": "income",
+ *     "min_amount": 100,
+ *     "max_amount": 5000
  *   }
  * }
  */
-router.get('/filter', transactionController.getFilteredTransactions);
+router.get('/filter', authorize('transactions:read'), validate(transactionSchemas.getFilteredTransactions), transactionController.getFilteredTransactions);
 
 /**
  * @route   GET /api/transactions/summary
  * @desc    İşlem türlerine göre özet istatistikleri getir
- * @access  Public (şimdilik - ileride authentication eklenebilir)
- * @returns {Array} İşlem türü bazında istatistikler
+ * @access  Private (admin, accountant, viewer) - yetki: transactions:read
+ * @query   {string} format - json (varsayılan) veya pdf
+ * @returns {Array} İşlem türü bazında istatistikler (ana para biriminde, kur farkı dahil)
+ *          ve by_currency altında tür ve para birimi bazında orijinal tutarlar;
+ *          format=pdf ile aynı özet PDF dosyası olarak indirilir (islem-ozeti.pdf)
  * @example
  * GET /api/transactions/summary
  * 
@@ -98,15 +118,224 @@ router.get('/filter', transactionController.getFilteredTransactions);
  *       "min_amount": 100.00,
  *       "max_amount": 10000.00
  *     }
+ *   ],
+ *   "by_currency": [
+ *     { "transaction_type": "income", "currency": "TRY", "transaction_count": 23, "total_amount": 69000.00 },
+ *     { "transaction_type": "income", "currency": "USD", "transaction_count": 2, "total_amount": 200.00 }
+ *   ],
+ *   "base_currency": "TRY"
+ * }
+ */
+router.get('/summary', authorize('transactions:read'), validate(transactionSchemas.getTransactionSummary), transactionController.getTransactionSummary);
+
+// ==============================================
+// BANKA EKSTRESİ AKTARIMI
+// ==============================================
+
+/**
+ * @route   POST /api/transactions/bank-statement/preview
+ * @desc    Banka ekstresini oku, satırlara cari hesap ve işlem öner (kayıt oluşturmaz)
+ * @access  Private (admin, accountant) - yetki: transactions:write
+ * @body    Dosyanın kendisi: CSV/XLSX (Content-Type: text/csv veya XLSX türü) ya da MT940
+ *          (Content-Type: text/plain), en fazla 5 MB; application/octet-stream da kabul edilir,
+ *          diğer türler 415 alır (curl ile --data-binary kullanırken -H 'Content-Type: text/csv' verin)
+ * @query   {Object} mapping - CSV/XLSX için alan -> sütun başlığı eşleştirmesi
+ *          (mapping[transaction_date]=İşlem Tarihi); alanlar: transaction_date, description, amount,
+ *          debit, credit, reference_number, iban, tax_number, counterparty, currency
+ * @returns {Object} Satır bazında okunan alanlar, önerilen cari hesap, tekrar ve hata bilgisi
+ * @note    CSV/XLSX'te tutar tek işaretli sütun (eksi: çıkış) veya ayrı Borç (çıkış) / Alacak
+ *          (giriş) sütunlarıyla verilir; tarih 31.01.2024, 31/01/2024 veya 2024-01-31, tutar
+ *          1.500,50 veya 1500.50 olabilir (1.500 gibi iki biçimde okunabilen tutar satır hatasıdır).
+ *          Cari hesap sırasıyla karşı IBAN, vergi/T.C. kimlik numarası ve açıklamada geçen cari
+ *          adı veya koduyla önerilir (match.matched_by: iban, tax_number, keyword). Referans
+ *          numarası kayıtlı bir hareketle veya dosyadaki önceki bir satırla aynıysa duplicate
+ *          doludur. Giriş satırları income, çıkış satırları expense olarak önerilir; transaction
+ *          alanı düzenlenip doğrudan /bank-statement/confirm'e gönderilebilir.
+ * @example
+ * POST /api/transactions/bank-statement/preview
+ * Content-Type: text/plain
+ *
+ * :20:STMT
+ * :25:TR330006100519786457841326
+ * :60F:C240101TRY1000,00
+ * :61:2401020102C1500,50NTRFFTR-1001//0000123
+ * :86:MEHMET KAYA TR120001000000000000000001 FATURA ODEMESI
+ *
+ * Response (200 OK):
+ * {
+ *   "success": true,
+ *   "message": "Banka ekstresi önizlemesi oluşturuldu",
+ *   "data": {
+ *     "format": "mt940",
+ *     "statement_iban": "TR330006100519786457841326",
+ *     "total_lines": 1,
+ *     "matched_lines": 1,
+ *     "duplicate_lines": 0,
+ *     "error_lines": 0,
+ *     "lines": [
+ *       {
+ *         "line": 1,
+ *         "transaction_date": "2024-01-02",
+ *         "direction": "in",
+ *         "amount": 1500.5,
+ *         "currency": "TRY",
+ *         "description": "MEHMET KAYA TR120001000000000000000001 FATURA ODEMESI",
+ *         "reference_number": "FTR-1001",
+ *         "match": { "account_id": 2, "account_name": "Mehmet Kaya", "matched_by": "iban" },
+ *         "duplicate": null,
+ *         "errors": [],
+ *         "transaction": {
+ *           "account_id": 2,
+ *           "transaction_type": "income",
+ *           "amount": 1500.5,
+ *           "transaction_date": "2024-01-02",
+ *           "description": "MEHMET KAYA TR120001000000000000000001 FATURA ODEMESI",
+ *           "reference_number": "FTR-1001",
+ *           "currency": "TRY",
+ *           "payment_method": "bank_transfer",
+ *           "status": "completed"
+ *         }
+ *       }
+ *     ]
+ *   }
+ * }
+ */
+router.post('/bank-statement/preview', authorize('transactions:write'), uploadFile(), validate(transactionSchemas.previewBankStatement), transactionController.previewBankStatement);
+
+/**
+ * @route   POST /api/transactions/bank-statement/confirm
+ * @desc    Onaylanan ekstre satırlarını bakiye güncellemeleriyle tek işlemde kaydet
+ * @access  Private (admin, accountant) - yetki: transactions:write
+ * @body    {lines: Array<Object>} POST /api/transactions gövdesiyle aynı alanlar (en fazla 5000 satır;
+ *          payment_method verilmezse bank_transfer)
+ * @returns {Object} Satır bazında (index: lines dizisindeki sıra) oluşturulan işlem ID'leri
+ * @note    Her satır POST /api/transactions kurallarıyla kaydedilir (referans numarası tekrarı,
+ *          cari hesap ve para birimi kontrolleri, bakiye ve yevmiye kaydı dahil). Bir satır bile
+ *          kaydedilemezse hiçbir işlem kaydedilmez ve satır hataları 422 ile döner. Veritabanı
+ *          hatasında kalan satırlar denenmez, işlem geri alınır ve 500 döner.
+ * @example
+ * Request Body:
+ * {
+ *   "lines": [
+ *     { "account_id": 2, "transaction_type": "income", "amount": 1500.5, "transaction_date": "2024-01-02", "reference_number": "FTR-1001" }
  *   ]
  * }
+ *
+ * Response (201 Created):
+ * {
+ *   "success": true,
+ *   "message": "1 işlem başarıyla kaydedildi",
+ *   "data": {
+ *     "committed": true,
+ *     "total_lines": 1,
+ *     "error_count": 0,
+ *     "lines": [{ "index": 0, "errors": [], "id": 42 }]
+ *   }
+ * }
+ */
+router.post('/bank-statement/confirm', authorize('transactions:write'), validate(transactionSchemas.postBankStatement), transactionController.postBankStatement);
+
+// ==============================================
+// BANKA MUTABAKATI
+// ==============================================
+
+/**
+ * @route   POST /api/transactions/reconciliation/preview
+ * @desc    Banka ekstresi satırlarını mutabakatı yapılmamış kayıtlı hareketlerle eşleştir (kayıt değiştirmez)
+ * @access  Private (admin, accountant) - yetki: transactions:write
+ * @body    Dosyanın kendisi: CSV/XLSX veya MT940 (bkz. POST /api/transactions/bank-statement/preview)
+ * @query   {Object} mapping - CSV/XLSX için alan -> sütun başlığı eşleştirmesi (bank-statement/preview ile aynı)
+ * @query   {number} account_id - Adayları bir cari hesabın hareketleriyle sınırla
+ * @query   {string} payment_method - Aday hareketlerin ödeme yöntemi (varsayılan bank_transfer)
+ * @query   {string} currency - Aday hareketlerin para birimi
+ * @query   {number} date_tolerance - Tutarla eşleşmede kabul edilen gün farkı (0-31, varsayılan 3)
+ * @returns {Object} Eşleşmeler (matches), eşleşmeyen ekstre satırları (unmatched_lines) ve
+ *          ekstre tarih aralığında eşleşmeyen hareketler (unmatched_transactions)
+ * @note    Adaylar ekstredeki en erken ve en geç tarihin date_tolerance kadar genişletilmiş
+ *          aralığındaki, mutabakatı yapılmamış ve iptal edilmemiş hareketlerdir. Ekstre girişleri
+ *          income/receivable, çıkışları expense/payable hareketlerle; önce referans numarası ve
+ *          tutar (matched_by: reference), sonra tutar ve en yakın tarih (matched_by: amount_date)
+ *          aynı olanlarla birebir eşleştirilir. Satırda para birimi varsa hareketinkiyle aynı
+ *          olmalıdır. Eşleşmeler /reconciliation/confirm ile onaylanır.
+ * @example
+ * POST /api/transactions/reconciliation/preview?date_tolerance=2
+ * Content-Type: text/csv
+ *
+ * Tarih;Tutar;Açıklama;Referans
+ * 02.01.2024;1.500,50;MEHMET KAYA FATURA;FTR-1001
+ * 03.01.2024;-250,00;KIRA;
+ *
+ * Response (200 OK):
+ * {
+ *   "success": true,
+ *   "message": "Mutabakat önizlemesi oluşturuldu",
+ *   "data": {
+ *     "format": "csv",
+ *     "statement_iban": null,
+ *     "date_tolerance": 2,
+ *     "total_lines": 2,
+ *     "matched_lines": 1,
+ *     "matches": [
+ *       {
+ *         "line": 2,
+ *         "transaction_date": "2024-01-02",
+ *         "direction": "in",
+ *         "amount": 1500.5,
+ *         "reference_number": "FTR-1001",
+ *         "errors": [],
+ *         "transaction": {
+ *           "id": 15,
+ *           "account_id": 2,
+ *           "account_name": "Mehmet Kaya",
+ *           "transaction_type": "income",
+ *           "amount": 1500.5,
+ *           "currency": "TRY",
+ *           "transaction_date": "2024-01-01",
+ *           "reference_number": "FTR-1001",
+ *           "description": "Fatura tahsilatı",
+ *           "payment_method": "bank_transfer"
+ *         },
+ *         "matched_by": "reference",
+ *         "date_difference": 1
+ *       }
+ *     ],
+ *     "unmatched_lines": [
+ *       { "line": 3, "transaction_date": "2024-01-03", "direction": "out", "amount": 250, "description": "KIRA", "errors": [] }
+ *     ],
+ *     "unmatched_transactions": []
+ *   }
+ * }
+ */
+router.post('/reconciliation/preview', authorize('transactions:write'), uploadFile(), validate(transactionSchemas.previewReconciliation), transactionController.previewReconciliation);
+
+/**
+ * @route   POST /api/transactions/reconciliation/confirm
+ * @desc    Eşleşmeleri onayla; hareketlere mutabakat zamanı (reconciled_at) ve onaylayan kullanıcı yazılır
+ * @access  Private (admin, accountant) - yetki: transactions:write
+ * @body    {transaction_ids: Array<number>} Mutabakatı onaylanan hareketler (en fazla 5000)
+ * @returns {Object} İşaretlenen hareket ID'leri ve sayısı
+ * @note    Hareketlerden biri bulunamazsa (404) veya mutabakatı zaten yapılmışsa (400) hiçbiri
+ *          işaretlenmez. Her hareket için denetim kaydı (update) yazılır. İşaret
+ *          DELETE /api/transactions/:id/reconciliation ile kaldırılır.
+ * @example
+ * Request Body:
+ * {
+ *   "transaction_ids": [15, 16]
+ * }
+ *
+ * Response (200 OK):
+ * {
+ *   "success": true,
+ *   "message": "2 işlemin mutabakatı onaylandı",
+ *   "data": { "ids": [15, 16], "count": 2 }
+ * }
  */
-router.get('/summary', transactionController.getTransactionSummary);
+router.post('/reconciliation/confirm', authorize('transactions:write'), validate(transactionSchemas.confirmReconciliation), transactionController.confirmReconciliation);
 
 /**
  * @route   GET /api/transactions/account/:accountId
  * @desc    Belirli bir cari hesaba ait tüm işlemleri getir
- * @access  Public (şimdilik - ileride authentication eklenebilir)
+ * @access  Private (admin, accountant, viewer) - yetki: transactions:read
  * @param   {number} accountId - Cari hesap ID'si (zorunlu, pozitif sayı)
  * @returns {Array} Belirtilen cari hesaba ait işlemler
  * @example
@@ -118,10 +347,108 @@ router.get('/summary', transactionController.getTransactionSummary);
  *   "message": "Cari hesaba ait işlemler başarıyla getirildi",
  *   "data": [...],
  *   "count": 12,
- *   "accountId": 5
+ *   "account_id": 5
  * }
  */
-router.get('/account/:accountId', transactionController.getTransactionsByAccount);
+router.get('/account/:accountId', authorize('transactions:read'), validate(transactionSchemas.getTransactionsByAccount), transactionController.getTransactionsByAccount);
+
+// ==============================================
+// ÇÖP KUTUSU ROUTE'LARI
+// ==============================================
+
+/**
+ * @route   GET /api/transactions/deleted
+ * @desc    Silinmiş (soft delete) işlemleri silinme zamanına göre yeniden eskiye listele
+ * @access  Private (admin, accountant, viewer) - yetki: transactions:read
+ * @returns {Array} Silinmiş işlemler (deleted_at ve cari hesabın aktiflik durumu ile birlikte)
+ * @example
+ * GET /api/transactions/deleted
+ *
+ * Response (200 OK):
+ * {
+ *   "success": true,
+ *   "message": "Silinmiş işlemler başarıyla getirildi",
+ *   "data": [
+ *     {
+ *       "id": 15,
+ *       "account_id": 1,
+ *       "account_name": "Ahmet Yılmaz",
+ *       "account_is_active": 1,
+ *       "transaction_type": "income",
+ *       "amount": "1500.50",
+ *       "reference_number": "FTR-2024-001",
+ *       "deleted_at": "2024-10-08T14:30:00.000Z"
+ *     }
+ *   ],
+ *   "count": 1
+ * }
+ */
+router.get('/deleted', authorize('transactions:read'), transactionController.getDeletedTransactions);
+
+/**
+ * @route   POST /api/transactions/:id/restore
+ * @desc    Silinmiş işlemi geri yükle; bakiye etkisi ve yevmiye fişi yeniden uygulanır
+ * @access  Private (admin, accountant) - yetki: transactions:delete
+ * @param   {number} id - Geri yüklenecek işlem ID'si (zorunlu, pozitif sayı)
+ * @body    {reference_number?: string|null}
+ * @returns {Object} Geri yüklenen işlem bilgisi
+ * @note    Referans numarası aktif bir işlemle çakışıyorsa veya işlemin cari hesabı
+ *          silinmişse 409 döner. Referans çakışmasında istek gövdesinde yeni bir
+ *          reference_number (null ile numara kaldırılır) gönderilerek tekrar denenebilir;
+ *          silinmiş cari hesap önce POST /api/accounts/:id/restore ile geri yüklenmelidir
+ * @example
+ * POST /api/transactions/15/restore
+ *
+ * Error Response (409 Conflict):
+ * {
+ *   "success": false,
+ *   "message": "İşlem geri yüklenemedi",
+ *   "error": "Bu referans numarası başka bir işlem tarafından kullanılıyor",
+ *   "conflict": { "field": "reference_number", "value": "FTR-2024-001", "conflicting_id": 31 }
+ * }
+ *
+ * Yeni referansla tekrar deneme:
+ * POST /api/transactions/15/restore
+ * Request Body:
+ * {
+ *   "reference_number": "FTR-2024-001-R"
+ * }
+ *
+ * Response (200 OK):
+ * {
+ *   "success": true,
+ *   "message": "İşlem başarıyla geri yüklendi",
+ *   "data": {
+ *     "id": 15,
+ *     "account_id": 1,
+ *     "transaction_type": "income",
+ *     "amount": 1500.50,
+ *     "reference_number": "FTR-2024-001-R",
+ *     "journal_entry_id": 42,
+ *     "message": "İşlem başarıyla geri yüklendi"
+ *   }
+ * }
+ */
+router.post('/:id/restore', authorize('transactions:delete'), validate(transactionSchemas.restoreTransaction), transactionController.restoreTransaction);
+
+/**
+ * @route   DELETE /api/transactions/:id/reconciliation
+ * @desc    Hareketin banka mutabakatı işaretini kaldır; hareket yeniden eşleştirmeye açılır
+ * @access  Private (admin, accountant) - yetki: transactions:write
+ * @param   {number} id - İşlem ID'si (zorunlu, pozitif sayı)
+ * @returns {Object} İşaretin kaldırıldığı işlem ID'si
+ * @note    Mutabakatı yapılmamış işlemde 400 döner
+ * @example
+ * DELETE /api/transactions/15/reconciliation
+ *
+ * Response (200 OK):
+ * {
+ *   "success": true,
+ *   "message": "İşlemin mutabakat işareti kaldırıldı",
+ *   "data": { "id": 15, "message": "İşlemin mutabakat işareti kaldırıldı" }
+ * }
+ */
+router.delete('/:id/reconciliation', authorize('transactions:write'), validate(transactionSchemas.unreconcileTransaction), transactionController.unreconcileTransaction);
 
 // ==============================================
 // FİNANSAL HAREKETLER İLE İLGİLİ ANA ROUTE'LAR
@@ -130,8 +457,13 @@ router.get('/account/:accountId', transactionController.getTransactionsByAccount
 /**
  * @route   GET /api/transactions
  * @desc    Tüm finansal hareketleri listele (cari adlarıyla birlikte)
- * @access  Public (şimdilik - ileride authentication eklenebilir)
- * @returns {Array} İşlem listesi (tarihe göre ters sıralı)
+ * @access  Private (admin, accountant, viewer) - yetki: transactions:read
+ * @query   {number} limit - Sayfa başına kayıt sayısı (en çok 1000; verilmezse tüm hareketler)
+ * @query   {string} cursor - Önceki yanıttaki next_cursor
+ * @query   {string} sort - -transaction_date (varsayılan), transaction_date, amount, -amount, id veya -id
+ * @query   {string} format - json (varsayılan), csv veya xlsx
+ * @returns {Array} İşlem listesi
+ * @note    Dosya biçimi ve sayfalama için bkz. GET /api/transactions/filter
  * @example
  * Response:
  * {
@@ -155,29 +487,31 @@ router.get('/account/:accountId', transactionController.getTransactionsByAccount
  *       "updated_at": "2024-10-08T10:00:00.000Z"
  *     }
  *   ],
- *   "count": 1
+ *   "count": 1,
+ *   "total_count": 1,
+ *   "next_cursor": null
  * }
  */
-router.get('/', transactionController.getAllTransactions);
+router.get('/', authorize('transactions:read'), validate(transactionSchemas.getAllTransactions), transactionController.getAllTransactions);
 
 /**
  * @route   POST /api/transactions
  * @desc    Yeni finansal hareket oluştur
- * @access  Public (şimdilik - ileride authentication eklenebilir)
- * @body    {cari_id: number, islem_tipi: string, tutar: number, islem_tarihi: string, aciklama?: string, referans_no?: string, vade_tarihi?: string, odeme_yontemi?: string, durum?: string}
+ * @access  Private (admin, accountant) - yetki: transactions:write
+ * @body    {account_id: number, transaction_type: string, amount: number, transaction_date: string, description?: string, reference_number?: string, due_date?: string, payment_method?: string, status?: string, currency?: string, exchange_rate?: number, settles_transaction_id?: number}
  * @returns {Object} Oluşturulan işlem bilgisi
  * @example
  * Request Body:
  * {
- *   "cari_id": 5,
- *   "islem_tipi": "income",
- *   "tutar": 1500.50,
- *   "islem_tarihi": "2024-10-08",
- *   "aciklama": "Fatura ödemesi alındı",
- *   "referans_no": "FAT-2024-001",
- *   "vade_tarihi": "2024-11-08",
- *   "odeme_yontemi": "bank_transfer",
- *   "durum": "completed"
+ *   "account_id": 5,
+ *   "transaction_type": "income",
+ *   "amount": 1500.50,
+ *   "transaction_date": "2024-10-08",
+ *   "description": "Fatura ödemesi alındı",
+ *   "reference_number": "FAT-2024-001",
+ *   "due_date": "2024-11-08",
+ *   "payment_method": "bank_transfer",
+ *   "status": "completed"
  * }
  * 
  * Response (201 Created):
@@ -192,8 +526,19 @@ router.get('/', transactionController.getAllTransactions);
  *     "message": "İşlem başarıyla oluşturuldu"
  *   }
  * }
+ *
+ * Error Response (422 Unprocessable Entity):
+ * {
+ *   "success": false,
+ *   "message": "Doğrulama hatası",
+ *   "error": "transaction_type şunlardan biri olmalıdır: income, expense, receivable, payable; amount sıfırdan büyük olmalıdır",
+ *   "errors": [
+ *     { "location": "body", "field": "transaction_type", "message": "transaction_type şunlardan biri olmalıdır: income, expense, receivable, payable" },
+ *     { "location": "body", "field": "amount", "message": "amount sıfırdan büyük olmalıdır" }
+ *   ]
+ * }
  */
-router.post('/', transactionController.createTransaction);
+router.post('/', authorize('transactions:write'), validate(transactionSchemas.createTransaction), transactionController.createTransaction);
 
 // ==============================================
 // TEK İŞLEM İLE İLGİLİ ROUTE'LAR (:id parametreli)
@@ -202,7 +547,7 @@ router.post('/', transactionController.createTransaction);
 /**
  * @route   GET /api/transactions/:id
  * @desc    Belirli bir finansal hareketi ID ile getir
- * @access  Public (şimdilik - ileride authentication eklenebilir)
+ * @access  Private (admin, accountant, viewer) - yetki: transactions:read
  * @param   {number} id - İşlem ID'si (zorunlu, pozitif sayı)
  * @returns {Object} İşlem detay bilgisi
  * @example
@@ -230,28 +575,29 @@ router.post('/', transactionController.createTransaction);
  *   }
  * }
  */
-router.get('/:id', transactionController.getTransactionById);
+router.get('/:id', authorize('transactions:read'), validate(transactionSchemas.getTransactionById), transactionController.getTransactionById);
 
 /**
  * @route   PUT /api/transactions/:id
  * @desc    Mevcut finansal hareketi güncelle
- * @access  Public (şimdilik - ileride authentication eklenebilir)
+ * @access  Private (admin, accountant) - yetki: transactions:write
  * @param   {number} id - Güncellenecek işlem ID'si (zorunlu, pozitif sayı)
- * @body    {cari_id: number, islem_tipi: string, tutar: number, islem_tarihi: string, aciklama?: string, referans_no?: string, vade_tarihi?: string, odeme_yontemi?: string, durum?: string}
+ * @body    {account_id: number, transaction_type: string, amount: number, transaction_date: string, description?: string, reference_number?: string, due_date?: string, payment_method?: string, status?: string, currency?: string, exchange_rate?: number, settles_transaction_id?: number}
  * @returns {Object} Güncellenmiş işlem bilgisi
- * @note    Bakiye hesaplaması otomatik olarak yeniden yapılır
+ * @note    Bakiye hesaplaması otomatik olarak yeniden yapılır. Mutabakatı yapılmış işlem 400 ile
+ *          reddedilir; önce DELETE /api/transactions/:id/reconciliation ile işaret kaldırılmalıdır
  * @example
  * PUT /api/transactions/15
  * Request Body:
  * {
- *   "cari_id": 5,
- *   "islem_tipi": "income",
- *   "tutar": 2000.75,
- *   "islem_tarihi": "2024-10-08",
- *   "aciklama": "Fatura ödemesi (güncellendi)",
- *   "referans_no": "FAT-2024-001-UPD",
- *   "odeme_yontemi": "cash",
- *   "durum": "completed"
+ *   "account_id": 5,
+ *   "transaction_type": "income",
+ *   "amount": 2000.75,
+ *   "transaction_date": "2024-10-08",
+ *   "description": "Fatura ödemesi (güncellendi)",
+ *   "reference_number": "FAT-2024-001-UPD",
+ *   "payment_method": "cash",
+ *   "status": "completed"
  * }
  * 
  * Response (200 OK):
@@ -267,15 +613,16 @@ router.get('/:id', transactionController.getTransactionById);
  *   }
  * }
  */
-router.put('/:id', transactionController.updateTransaction);
+router.put('/:id', authorize('transactions:write'), validate(transactionSchemas.updateTransaction), transactionController.updateTransaction);
 
 /**
  * @route   DELETE /api/transactions/:id
  * @desc    Mevcut finansal hareketi sil (soft delete)
- * @access  Public (şimdilik - ileride authentication eklenebilir)
+ * @access  Private (admin, accountant) - yetki: transactions:delete
  * @param   {number} id - Silinecek işlem ID'si (zorunlu, pozitif sayı)
  * @returns {Object} Silme işlemi sonucu
- * @note    Bakiye otomatik olarak düzeltilir (işlem etkisi geri alınır)
+ * @note    Bakiye otomatik olarak düzeltilir (işlem etkisi geri alınır). Mutabakatı yapılmış işlem
+ *          400 ile reddedilir; önce DELETE /api/transactions/:id/reconciliation ile işaret kaldırılmalıdır
  * @example
  * DELETE /api/transactions/15
  * 
@@ -295,52 +642,86 @@ router.put('/:id', transactionController.updateTransaction);
  *   "error": "İşlem bulunamadı"
  * }
  */
-router.delete('/:id', transactionController.deleteTransaction);
+router.delete('/:id', authorize('transactions:delete'), validate(transactionSchemas.deleteTransaction), transactionController.deleteTransaction);
 
 /**
  * ==============================================
  * HATA DURUMLARI VE HTTP STATUS KODLARI
  * ==============================================
  * 
- * 200 OK          - Başarılı GET, PUT, DELETE işlemleri
- * 201 Created     - Başarılı POST işlemleri (yeni işlem oluşturma)
- * 400 Bad Request - Validation hataları, duplicate referans numarası
- * 404 Not Found   - İşlem bulunamadığında
+ * 200 OK          - Başarılı GET, PUT, DELETE ve geri yükleme işlemleri
+ * 201 Created     - Başarılı POST işlemleri (yeni işlem oluşturma, ekstre satırlarının kaydı)
+ * 400 Bad Request - Duplicate referans numarası, bulunamayan cari hesap, okunamayan banka ekstresi,
+ *                   mutabakatı zaten yapılmış (veya kaldırılacak işareti olmayan) işlem
+ * 401 Unauthorized - Eksik, geçersiz veya süresi dolmuş erişim token'ı
+ * 403 Forbidden   - Kullanıcı rolünün bu işlem için yetkisi yok
+ * 404 Not Found   - İşlem (veya geri yüklenecek silinmiş işlem, mutabakatı onaylanan işlemlerden biri) bulunamadığında
+ * 409 Conflict    - Geri yüklenen işlemin referans numarası aktif bir işlemle çakıştığında
+ *                   veya işlemin cari hesabı silinmiş olduğunda
+ * 415 Unsupported Media Type - Banka ekstresi CSV, XLSX, MT940 (text/plain) veya application/octet-stream
+ *                   dışında bir Content-Type ile gönderildiğinde
+ * 422 Unprocessable Entity - Şemaya uymayan parametre, sorgu veya gövde alanları (tüm alan hataları listelenir)
+ *                   veya kaydedilemeyen ekstre satırları (satır bazında listelenir)
  * 500 Internal Server Error - Sunucu tarafı hatalar
  * 
  * ==============================================
  * ÖRNEK VALIDATION HATALARI
  * ==============================================
  * 
- * - Boş cari ID: "Cari ID gereklidir"
- * - Geçersiz işlem tipi: "İşlem tipi income, expense, receivable veya payable olmalıdır"
- * - Boş tutar: "Tutar gereklidir"
- * - Negatif tutar: "tutar alanı pozitif olmalıdır"
- * - Boş işlem tarihi: "İşlem tarihi gereklidir"
- * - Geçersiz tarih formatı: "İşlem tarihi YYYY-MM-DD formatında olmalıdır"
- * - Geçersiz ID: "ID sayısal bir değer olmalıdır"
+ * 422 (validation/schemas/transactionSchemas.js):
+ * - Boş cari ID: "account_id alanı gereklidir"
+ * - Geçersiz işlem tipi: "transaction_type şunlardan biri olmalıdır: income, expense, receivable, payable"
+ * - Boş tutar: "amount alanı gereklidir"
+ * - Negatif tutar: "amount sıfırdan büyük olmalıdır"
+ * - Çok büyük tutar: "amount en fazla 99999999999.9999 olabilir"
+ * - Geçersiz tarih: "transaction_date YYYY-MM-DD formatında geçerli bir tarih olmalıdır"
+ * - Geçersiz ID: "id tam sayı olmalıdır"
+ *
+ * 400:
  * - Duplicate referans: "Bu referans numarası zaten kullanılıyor"
  * - Geçersiz cari hesap: "Belirtilen cari hesap bulunamadı"
- * - Çok büyük tutar: "Tutar 999,999,999.99 değerinden küçük olmalıdır"
  * 
  * ==============================================
  * ZORUNLU ALANLAR
  * ==============================================
  * 
- * - cari_id (number): Cari hesap ID'si - zorunlu
- * - islem_tipi (string): İşlem türü - zorunlu (income/expense/receivable/payable)
- * - tutar (number): İşlem tutarı - zorunlu (pozitif sayı)
- * - islem_tarihi (string): İşlem tarihi - zorunlu (YYYY-MM-DD formatı)
+ * - account_id (number): Cari hesap ID'si - zorunlu
+ * - transaction_type (string): İşlem türü - zorunlu (income/expense/receivable/payable)
+ * - amount (number): İşlem tutarı - zorunlu (pozitif sayı)
+ * - transaction_date (string): İşlem tarihi - zorunlu (YYYY-MM-DD formatı)
  * 
  * ==============================================
  * OPSİYONEL ALANLAR
  * ==============================================
  * 
- * - aciklama (string): İşlem açıklaması (max 1000 karakter)
- * - referans_no (string): Referans numarası (benzersiz, max 100 karakter)
- * - vade_tarihi (string): Vade tarihi (YYYY-MM-DD formatı)
- * - odeme_yontemi (string): Ödeme yöntemi (cash/bank_transfer/check/credit_card, varsayılan: cash)
- * - durum (string): İşlem durumu (completed/pending/cancelled, varsayılan: completed)
+ * - description (string): İşlem açıklaması (max 1000 karakter)
+ * - reference_number (string): Referans numarası (benzersiz, max 100 karakter)
+ * - due_date (string): Vade tarihi (YYYY-MM-DD formatı)
+ * - payment_method (string): Ödeme yöntemi (cash/bank_transfer/check/credit_card, varsayılan: cash)
+ * - status (string): İşlem durumu (completed/pending/cancelled, varsayılan: completed)
+ * - currency (string): Para birimi (cari hesabın para birimiyle aynı olmalı, varsayılan: hesabın para birimi)
+ * - exchange_rate (number): Ana para birimine kur (verilmezse hareket tarihindeki veya
+ *   öncesindeki en güncel kayıtlı kur; ana para biriminde 1)
+ * - settles_transaction_id (number): Kapatılan hareketin ID'si (aynı hesap ve para biriminde,
+ *   ters yönlü; tahsilat/ödeme açık tutarı aşamaz)
+ * 
+ * ==============================================
+ * DÖVİZLİ HAREKETLER VE KUR FARKI
+ * ==============================================
+ * 
+ * amount hareketin kendi para birimindeki tutardır; base_amount = amount * exchange_rate
+ * ana para birimindeki karşılıktır ve bakiyeler, yevmiye ve özetler bununla hesaplanır.
+ * Dövizli bir alacak/borç settles_transaction_id ile kapatıldığında kapatılan tutar
+ * kapatılan hareketin kuruyla değerlenir; aradaki fark gerçekleşen kur farkı olarak
+ * fx_gain_loss alanına yazılır ve yevmiyede 646 Kambiyo Karları / 656 Kambiyo Zararları
+ * hesabına kaydedilir. Kapatma hareketi bulunan bir hareket silinemez, tutarı, kuru ve
+ * türü değiştirilemez.
+ * 
+ * Eski /api endpoint'leri Türkçe alan adlarını da kabul eder (cari_id, islem_tipi,
+ * tutar, islem_tarihi, vade_tarihi, odeme_yontemi, durum, aciklama, referans_no;
+ * filtrede min_tutar, max_tutar, baslangic_tarihi, bitis_tarihi, aciklama_icinde)
+ * ve yanıtta total_count/account_id alanlarını totalCount/accountId olarak döner.
+ * Eşlemeler: src/config/legacyFields.js
  * 
  * ==============================================
  * İŞLEM TÜRLERİ VE BAKİYE ETKİLERİ
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview User Routes
+ * @description RESTful API routes for user listing and role management
+ * @version 1.0.0
+ */
+
+const express = require('express');
+const userController = require('../controllers/userController');
+const { authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const userSchemas = require('../validation/schemas/userSchemas');
+
+/**
+ * Express Router instance for user routes
+ */
+const router = express.Router();
+
+/**
+ * ==============================================
+ * User Management API Routes
+ * ==============================================
+ * Bu dosya kullanıcıların listelenmesi ve rollerinin
+ * atanması için gerekli API endpoint'lerini tanımlar.
+ * Roller ve yetkiler src/config/permissions.js
+ * içinde tanımlıdır.
+ */
+
+/**
+ * @route   GET /api/users
+ * @desc    Tüm kullanıcıları rolleriyle listele
+ * @access  Private (admin)
+ * @returns {Array} Kullanıcı listesi (şifre özeti hariç)
+ */
+router.get('/', authorize('users:manage'), userController.getAllUsers);
+
+/**
+ * @route   PUT /api/users/:id/role
+ * @desc    Kullanıcının genel rolünü değiştir (kullanıcı yönetimi ve şirket oluşturma yetkisi)
+ * @access  Private (admin)
+ * @param   {number} id - Kullanıcı ID'si
+ * @body    {role: 'admin'|'accountant'|'viewer'}
+ * @note    Kullanıcının yenileme token'ları iptal edilir; yeni rol bir sonraki
+ *          oturum açmada geçerli olur. Son admin kullanıcının rolü değiştirilemez.
+ *          Şirket verilerindeki yetki şirket üyeliğinin rolüne bağlıdır ve
+ *          PUT /api/companies/:id/users/:userId/role ile değiştirilir.
+ * @example
+ * Request Body:
+ * {
+ *   "role": "accountant"
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Kullanıcı rolü başarıyla güncellendi",
+ *   "data": {
+ *     "id": 2,
+ *     "previous_role": "viewer",
+ *     "role": "accountant",
+ *     "message": "Kullanıcı rolü başarıyla güncellendi"
+ *   }
+ * }
+ */
+router.put('/:id/role', authorize('users:manage'), validate(userSchemas.updateUserRole), userController.updateUserRole);
+
+/**
+ * ==============================================
+ * HATA DURUMLARI VE HTTP STATUS KODLARI
+ * ==============================================
+ *
+ * 200 OK           - Başarılı işlemler
+ * 400 Bad Request  - Son admin kullanıcının rolü değiştirilemez
+ * 401 Unauthorized - Oturum açılmamış
+ * 403 Forbidden    - Admin olmayan kullanıcı
+ * 404 Not Found    - Kullanıcı bulunamadı
+ * 422 Unprocessable Entity - Geçersiz kullanıcı ID'si veya rol
+ * 500 Internal Server Error - Sunucu tarafı hatalar
+ */
+
+// Router'ı dışa aktar
+module.exports = router;
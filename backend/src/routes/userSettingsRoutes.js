@@ -6,6 +6,9 @@
 
 const express = require('express');
 const userSettingsController = require('../controllers/userSettingsController');
+const { authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validationMiddleware');
+const userSettingsSchemas = require('../validation/schemas/userSettingsSchemas');
 
 /**
  * Express Router instance for user settings routes
@@ -27,8 +30,8 @@ const router = express.Router();
 /**
  * @route   POST /api/settings/initialize
  * @desc    Varsayılan ayarları oluştur
- * @access  Public (şimdilik - ileride authentication eklenebilir)
- * @returns {Object} Oluşturulan ayar sayısı ve detayları
+ * @access  Private (admin) - yetki: settings:initialize
+ * @returns {Object} Oluşturulan ayar sayısı ve detayları (eski /api: createdCount, totalSettings)
  * @example
  * POST /api/settings/initialize
  * 
@@ -38,17 +41,17 @@ const router = express.Router();
  *   "message": "9 varsayılan ayar oluşturuldu/güncellendi",
  *   "data": {
  *     "message": "9 varsayılan ayar oluşturuldu/güncellendi",
- *     "createdCount": 9,
- *     "totalSettings": 9
+ *     "created_count": 9,
+ *     "total_settings": 9
  *   }
  * }
  */
-router.post('/initialize', userSettingsController.initializeDefaultSettings);
+router.post('/initialize', authorize('settings:initialize'), userSettingsController.initializeDefaultSettings);
 
 /**
  * @route   POST /api/settings/bulk
  * @desc    Çoklu ayar güncelleme (maksimum 50 ayar)
- * @access  Public (şimdilik - ileride authentication eklenebilir)
+ * @access  Private (admin) - yetki: settings:write
  * @body    {settings: Array} - Ayar listesi
  * @returns {Object} Toplu işlem sonucu
  * @example
@@ -81,12 +84,12 @@ router.post('/initialize', userSettingsController.initializeDefaultSettings);
  *   }
  * }
  */
-router.post('/bulk', userSettingsController.setBulkSettings);
+router.post('/bulk', authorize('settings:write'), validate(userSettingsSchemas.setBulkSettings), userSettingsController.setBulkSettings);
 
 /**
  * @route   GET /api/settings/category/:category
  * @desc    Kategoriye göre ayarları getir
- * @access  Public (şimdilik - ileride authentication eklenebilir)
+ * @access  Private (admin, accountant, viewer) - yetki: settings:read
  * @param   {string} category - Kategori adı (ayar adının başlangıç kısmı)
  * @returns {Array} Kategoriye ait ayar listesi
  * @example
@@ -112,7 +115,7 @@ router.post('/bulk', userSettingsController.setBulkSettings);
  *   "category": "theme"
  * }
  */
-router.get('/category/:category', userSettingsController.getSettingsByCategory);
+router.get('/category/:category', authorize('settings:read'), validate(userSettingsSchemas.getSettingsByCategory), userSettingsController.getSettingsByCategory);
 
 // ==============================================
 // ANA AYAR YÖNETİMİ ROUTE'LARI
@@ -121,7 +124,7 @@ router.get('/category/:category', userSettingsController.getSettingsByCategory);
 /**
  * @route   GET /api/settings
  * @desc    Tüm ayarları listele
- * @access  Public (şimdilik - ileride authentication eklenebilir)
+ * @access  Private (admin, accountant, viewer) - yetki: settings:read
  * @returns {Array} Ayar listesi (alfabetik sıralı)
  * @example
  * Response:
@@ -149,7 +152,7 @@ router.get('/category/:category', userSettingsController.getSettingsByCategory);
  *   "count": 2
  * }
  */
-router.get('/', userSettingsController.getAllSettings);
+router.get('/', authorize('settings:read'), userSettingsController.getAllSettings);
 
 // ==============================================
 // TEKİL AYAR YÖNETİMİ ROUTE'LARI (:settingName parametreli)
@@ -158,7 +161,7 @@ router.get('/', userSettingsController.getAllSettings);
 /**
  * @route   GET /api/settings/:settingName
  * @desc    Belirli bir ayarı getir
- * @access  Public (şimdilik - ileride authentication eklenebilir)
+ * @access  Private (admin, accountant, viewer) - yetki: settings:read
  * @param   {string} settingName - Ayar adı (zorunlu, max 100 karakter)
  * @returns {Object} Ayar detay bilgisi
  * @example
@@ -184,12 +187,12 @@ router.get('/', userSettingsController.getAllSettings);
  *   "error": "Ayar bulunamadı"
  * }
  */
-router.get('/:settingName', userSettingsController.getSetting);
+router.get('/:settingName', authorize('settings:read'), validate(userSettingsSchemas.getSetting), userSettingsController.getSetting);
 
 /**
  * @route   PUT /api/settings/:settingName
  * @desc    Mevcut ayarı güncelle veya yeni ayar oluştur
- * @access  Public (şimdilik - ileride authentication eklenebilir)
+ * @access  Private (admin) - yetki: settings:write
  * @param   {string} settingName - Güncellenecek/oluşturulacak ayar adı (zorunlu, max 100 karakter)
  * @body    {setting_value: any, setting_type?: string, description?: string}
  * @returns {Object} Güncellenmiş/oluşturulmuş ayar bilgisi
@@ -242,12 +245,12 @@ router.get('/:settingName', userSettingsController.getSetting);
  *   "description": "Tema konfigürasyonu"
  * }
  */
-router.put('/:settingName', userSettingsController.setSetting);
+router.put('/:settingName', authorize('settings:write'), validate(userSettingsSchemas.setSetting), userSettingsController.setSetting);
 
 /**
  * @route   DELETE /api/settings/:settingName
  * @desc    Mevcut ayarı sil
- * @access  Public (şimdilik - ileride authentication eklenebilir)
+ * @access  Private (admin) - yetki: settings:write
  * @param   {string} settingName - Silinecek ayar adı (zorunlu)
  * @returns {Object} Silme işlemi sonucu
  * @example
@@ -269,7 +272,7 @@ router.put('/:settingName', userSettingsController.setSetting);
  *   "error": "Ayar bulunamadı"
  * }
  */
-router.delete('/:settingName', userSettingsController.deleteSetting);
+router.delete('/:settingName', authorize('settings:write'), validate(userSettingsSchemas.deleteSetting), userSettingsController.deleteSetting);
 
 /**
  * ==============================================
@@ -279,21 +282,25 @@ router.delete('/:settingName', userSettingsController.deleteSetting);
  * 200 OK          - Başarılı GET, PUT, DELETE işlemleri
  * 201 Created     - Varsayılan ayarlar oluşturma
  * 207 Multi-Status - Kısmi başarılı bulk işlemler
- * 400 Bad Request - Validation hataları, tip uyumsuzlukları
+ * 400 Bad Request - Ayar kaydedilemediğinde, tüm bulk ayarlar başarısız olduğunda
+ * 401 Unauthorized - Eksik, geçersiz veya süresi dolmuş erişim token'ı
+ * 403 Forbidden   - Kullanıcı rolünün bu işlem için yetkisi yok
  * 404 Not Found   - Ayar bulunamadığında
+ * 422 Unprocessable Entity - Şemaya uymayan parametre, sorgu veya gövde alanları (tüm alan hataları listelenir)
  * 500 Internal Server Error - Sunucu tarafı hatalar
  * 
  * ==============================================
  * ÖRNEK VALIDATION HATALARI
  * ==============================================
  * 
- * - Boş ayar adı: "Ayar adı gereklidir"
- * - Uzun ayar adı: "Ayar adı en fazla 100 karakter olabilir"
- * - Boş değer: "Ayar değeri gereklidir"
- * - Geçersiz tip: "setting_type string, number, boolean veya json olmalıdır"
- * - Geçersiz JSON: "JSON tipi için geçerli bir JSON formatı girilmelidir"
- * - Geçersiz sayı: "number tipi için sayısal bir değer girilmelidir"
- * - Uzun açıklama: "Açıklama en fazla 255 karakter olabilir"
+ * 422 (validation/schemas/userSettingsSchemas.js):
+ * - Uzun ayar adı: "settingName en fazla 100 karakter olabilir"
+ * - Boş değer: "setting_value alanı gereklidir"
+ * - Geçersiz tip: "setting_type şunlardan biri olmalıdır: string, number, boolean, json"
+ * - Geçersiz JSON: "setting_value json tipi için geçerli bir JSON olmalıdır"
+ * - Geçersiz sayı: "setting_value number tipi için sayısal bir değer olmalıdır"
+ * - Uzun açıklama: "description en fazla 255 karakter olabilir"
+ * - Boş bulk listesi: "settings en az 1 eleman içermelidir"
  * 
  * ==============================================
  * DESTEKLENEN AYAR TİPLERİ
@@ -334,7 +341,7 @@ router.delete('/:settingName', userSettingsController.deleteSetting);
  * - app_name: Uygulama adı
  * - currency: Ana para birimi (TRY)
  * - date_format: Tarih formatı (DD/MM/YYYY)
- * - decimal_places: Ondalık basamak (2)
+ * - decimal_places: Ondalık basamak (2; 0-4 arası tam sayı, tutarlar bu basamağa yuvarlanır)
  * - auto_backup: Otomatik yedekleme (true)
  * - backup_frequency: Yedekleme sıklığı (7 gün)
  * - email_notifications: Email bildirimleri (false)
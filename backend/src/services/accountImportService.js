@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Account Import Service
+ * @description Reads customer accounts from an uploaded CSV or XLSX file, validates every row with
+ * the same rules as POST /api/accounts and creates them in a single database transaction
+ * @version 1.0.0
+ */
+
+const db = require('../config/db');
+const Accounts = require('../models/accountModel');
+const accountSchemas = require('../validation/schemas/accountSchemas');
+const Validator = require('../validation/validator');
+const Format = require('../utils/format');
+const Spreadsheet = require('../utils/spreadsheet');
+
+/**
+ * Bir dosyada içe aktarılabilecek en fazla satır sayısı
+ * @type {number}
+ */
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Alanların varsayılan sütun başlıkları (küçük harfe çevrilmiş, parantezli ek olmadan);
+ * dışa aktarılan cari hesap listesi (Exports.exportAccounts) olduğu gibi geri yüklenebilir
+ * @type {Object<string, string[]>}
+ */
+const COLUMN_ALIASES = {
+    account_name: ['account_name', 'cari adı', 'cari hesap adı', 'ünvan', 'unvan'],
+    account_code: ['account_code', 'cari kodu', 'kod'],
+    group_id: ['group_id', 'grup id'],
+    group_name: ['group_name', 'grup', 'grup adı'],
+    account_type: ['account_type', 'hesap türü'],
+    phone: ['phone', 'telefon'],
+    email: ['email', 'e-posta', 'eposta'],
+    address: ['address', 'adres'],
+    tax_number: ['tax_number', 'vergi no', 'vergi numarası'],
+    tax_office: ['tax_office', 'vergi dairesi'],
+    iban: ['iban'],
+    currency: ['currency', 'para birimi'],
+    opening_balance: ['opening_balance', 'açılış bakiyesi']
+};
+
+// Cari hesap adı sütunu zorunlu; diğer alanlar dosyada yoksa boş kalır
+const resolveColumns = (headers, mapping) => {
+    const columns = Spreadsheet.resolveColumns(headers, COLUMN_ALIASES, mapping);
+
+    if (columns.account_name === undefined) {
+        throw new Error('Cari hesap adı sütunu bulunamadı');
+    }
+
+    return columns;
+};
+
+// Hesap türünü değer veya Türkçe adıyla kabul et (customer, Müşteri...)
+const normalizeAccountType = (text) => {
+    const name = Spreadsheet.normalizeName(text);
+    const entry = Object.entries(Format.LABELS.account_type)
+        .find(([value, label]) => value === name || Spreadsheet.normalizeName(label) === name);
+    return entry ? entry[0] : text;
+};
+
+// Satırı POST /api/accounts gövdesi biçiminde alanlara çevir; boş hücreler alınmaz
+// Okunamayan veya iki biçimde farklı okunabilen açılış bakiyesi (1.500) alınmaz, satır hatası olur
+const rowToFields = (cells, columns) => {
+    const fields = Spreadsheet.pick(cells, columns);
+    const errors = [];
+
+    if (fields.opening_balance) {
+        const amount = Spreadsheet.parseAmount(fields.opening_balance);
+        if (Number.isNaN(amount)) {
+            errors.push({
+                field: 'opening_balance',
+                message: `Açılış bakiyesi okunamadı: ${fields.opening_balance} (örn. 1.500,50 veya 1500.50)`
+            });
+            delete fields.opening_balance;
+        } else {
+            fields.opening_balance = amount;
+        }
+    }
+    if (fields.account_type) {
+        fields.account_type = normalizeAccountType(fields.account_type);
+    }
+    if (fields.currency) {
+        fields.currency = fields.currency.toUpperCase();
+    }
+
+    return { fields, errors };
+};
+
+/**
+ * Account Import Service
+ * İlk satır başlık satırıdır; satır numaraları dosyadaki satır numaralarıdır (ilk veri satırı 2).
+ * Her satır önce POST /api/accounts şemasıyla, sonra Accounts.createAccount içindeki kontrollerle
+ * (cari kodu/adı benzersizliği, grup) denetlenir. Tüm satırlar tek işlemde kaydedildiği için
+ * dosya içinde tekrarlanan cari adı veya kodu da yakalanır. Önizlemede ve hatalı satır varsa
+ * işlem geri alınır; hiçbir kayıt kısmen içe aktarılmaz. Kayıt sırasında veritabanı hatası olursa
+ * kalan satırlar denenmez, işlem geri alınır ve içe aktarma hata döner.
+ * @namespace AccountImports
+ */
+const AccountImports = {
+    // Desteklenen sütun eşleştirme alanları
+    FIELDS: Object.keys(COLUMN_ALIASES),
+    MAX_ROWS: MAX_IMPORT_ROWS,
+
+    // Dosyadaki cari hesapları doğrula; confirm verilirse ve hata yoksa kaydet
+    // mapping: { account_name: 'Firma Ünvanı', group_name: 'Bölge', ... }
+    importAccounts: async (context, file, { mapping = {}, confirm = false } = {}) => {
+        try {
+            const [headers = [], ...records] = await Spreadsheet.readRecords(file);
+            const columns = resolveColumns(headers, mapping);
+
+            const rows = records
+                .map((cells, index) => ({ row: index + 2, cells }))
+                .filter(({ cells }) => cells.some((cell) => cell.trim() !== ''));
+
+            if (rows.length === 0) {
+                throw new Error('Dosyada içe aktarılacak satır bulunamadı');
+            }
+
+            if (rows.length > MAX_IMPORT_ROWS) {
+                throw new Error(`Bir dosyada en fazla ${MAX_IMPORT_ROWS} satır içe aktarılabilir`);
+            }
+
+            const outcome = await db.withTransaction(async (connection) => {
+                const [groups] = await connection.execute(
+                    'SELECT id, group_name FROM account_groups WHERE company_id = ?',
+                    [context.companyId]
+                );
+                const groupIds = new Map(groups.map((group) => [Spreadsheet.normalizeName(group.group_name), group.id]));
+                const results = [];
+
+                for (const { row, cells } of rows) {
+                    const { fields: { group_name, ...fields }, errors } = rowToFields(cells, columns);
+                    errors.push(...Validator.validate({ body: accountSchemas.createAccount.body }, { body: fields })
+                        .map(({ field, message }) => ({ field, message })));
+
+                    if (group_name && !fields.group_id) {
+                        if (groupIds.has(Spreadsheet.normalizeName(group_name))) {
+                            fields.group_id = groupIds.get(Spreadsheet.normalizeName(group_name));
+                        } else {
+                            errors.push({ field: 'group_name', message: `Grup bulunamadı: ${group_name}` });
+                        }
+                    }
+
+                    // Yalnızca doğrulama hataları satır hatasıdır; veritabanı hatası createAccount'tan
+                    // fırlatılır, içe aktarma durur ve işlem geri alınır
+                    let id = null;
+                    if (errors.length === 0) {
+                        const result = await Accounts.createAccount(context, {
+                            ...fields,
+                            group_id: fields.group_id ? parseInt(fields.group_id) : null,
+                            balance: fields.opening_balance || 0
+                        }, connection);
+
+                        if (result.success) {
+                            id = result.data.id;
+                        } else {
+                            errors.push({ field: null, message: result.error });
+                        }
+                    }
+
+                    results.push({
+                        row,
+                        account_name: fields.account_name || null,
+                        account_code: fields.account_code || null,
+                        id,
+                        errors
+                    });
+                }
+
+                const errorCount = results.filter((result) => result.errors.length > 0).length;
+                const committed = confirm && errorCount === 0;
+
+                // success: false ile dönülürse withTransaction işlemi geri alır (önizleme veya hatalı satır)
+                return {
+                    success: committed,
+                    data: {
+                        committed,
+                        total_rows: results.length,
+                        valid_rows: results.length - errorCount,
+                        error_count: errorCount,
+                        // Geri alınan kayıtların ID'leri anlamsız olduğu için yalnızca kayıtta döner
+                        rows: results.map(({ id, ...result }) => (committed ? { ...result, id } : result))
+                    }
+                };
+            });
+
+            return {
+                success: true,
+                data: outcome.data
+            };
+        } catch (error) {
+            console.error('importAccounts Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+};
+
+module.exports = AccountImports;
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Account Search Service
+ * @description Typeahead search over customer accounts: matches the Turkish-normalized name, code,
+ * e-mail, phone and tax number, tolerates small typos and ranks the results
+ * @version 1.0.0
+ */
+
+const Accounts = require('../models/accountModel');
+const SearchText = require('../utils/searchText');
+
+/**
+ * Aramada dönen varsayılan ve en fazla sonuç sayısı
+ * @type {{DEFAULT: number, MAX: number}}
+ */
+const RESULT_LIMIT = {
+    DEFAULT: 20,
+    MAX: 100
+};
+
+/**
+ * Puanlanmak üzere veritabanından okunan en fazla aday sayısı
+ * @type {number}
+ */
+const CANDIDATE_LIMIT = 500;
+
+/**
+ * Yazım hatası aramasında kullanılan en fazla üçlü harf grubu sayısı
+ * @type {number}
+ */
+const MAX_TRIGRAMS = 20;
+
+/**
+ * Alanların puan ağırlıkları; ad ve kod eşleşmeleri iletişim bilgilerinin önüne geçer
+ * @type {Object<string, number>}
+ */
+const FIELD_WEIGHTS = {
+    account_name: 1,
+    account_code: 1,
+    tax_number: 0.9,
+    phone: 0.8,
+    email: 0.7
+};
+
+/**
+ * Eşleşme türlerinin puanları
+ * @type {Object<string, number>}
+ */
+const MATCH_SCORES = {
+    exact: 1,
+    prefix: 0.8,
+    contains: 0.5,
+    typo: 0.45,
+    // Her ek düzenleme adımı için düşülen puan
+    typoStep: 0.15
+};
+
+/**
+ * Arama teriminin tamamı cari adının başındaysa eklenen puan
+ * @type {number}
+ */
+const NAME_PREFIX_BONUS = 0.2;
+
+/**
+ * Yalnızca rakamlardan oluşan arama kelimesi (telefon, vergi no, kod parçası)
+ * @type {RegExp}
+ */
+const NUMBER_PATTERN = /^\d+$/;
+
+// Kelime uzunluğuna göre kabul edilen yazım hatası sayısı (kısa kelimelerde ve numaralarda
+// hata aranmaz)
+const allowedTypos = (token) => {
+    if (token.length < 4 || NUMBER_PATTERN.test(token)) {
+        return 0;
+    }
+    return token.length < 8 ? 1 : 2;
+};
+
+// Hesabın alanlarını karşılaştırma biçimine getir
+const searchableFields = (account) => ({
+    account_name: SearchText.normalize(account.account_name),
+    account_code: SearchText.code(account.account_code),
+    tax_number: SearchText.digits(account.tax_number),
+    phone: SearchText.digits(account.phone),
+    email: SearchText.normalize(account.email)
+});
+
+// Bir kelimenin tek alandaki puanı; eşleşme yoksa 0
+const scoreField = (token, value) => {
+    if (!value) {
+        return 0;
+    }
+
+    const words = value.split(' ');
+    if (words.includes(token)) {
+        return MATCH_SCORES.exact;
+    }
+    // Numaralar sonundan da eşleşir: ülke kodu olmadan yazılan telefon (905551234567 <- 5551234567)
+    if (words.some((word) => word.startsWith(token) || (NUMBER_PATTERN.test(token) && word.endsWith(token)))) {
+        return MATCH_SCORES.prefix;
+    }
+    if (value.includes(token)) {
+        return MATCH_SCORES.contains;
+    }
+
+    // Yazım hatası: kelimenin tamamıyla veya (yazılırken) aynı uzunluktaki başıyla karşılaştır
+    const maxTypos = allowedTypos(token);
+    if (maxTypos === 0) {
+        return 0;
+    }
+
+    const typos = Math.min(...words.map((word) => Math.min(
+        SearchText.distance(token, word),
+        SearchText.distance(token, word.slice(0, token.length))
+    )));
+
+    return typos <= maxTypos ? MATCH_SCORES.typo - (typos - 1) * MATCH_SCORES.typoStep : 0;
+};
+
+// Hesabın puanı: her kelime en iyi eşleştiği alanın ağırlıklı puanını alır, puan kelimelerin
+// ortalamasıdır; eşleşmeyen kelime varsa hesap sonuçlarda yer almaz (null)
+const scoreAccount = (tokens, phrase, account) => {
+    const fields = searchableFields(account);
+    const matched = new Set();
+    let total = 0;
+
+    for (const token of tokens) {
+        let best = 0;
+        let bestField = null;
+
+        for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+            const score = scoreField(token, fields[field]) * weight;
+            if (score > best) {
+                best = score;
+                bestField = field;
+            }
+        }
+
+        if (best === 0) {
+            return null;
+        }
+
+        total += best;
+        matched.add(bestField);
+    }
+
+    const bonus = fields.account_name.startsWith(phrase) ? NAME_PREFIX_BONUS : 0;
+
+    return {
+        score: Math.round((total / tokens.length + bonus) * 1000) / 1000,
+        matched_fields: Object.keys(FIELD_WEIGHTS).filter((field) => matched.has(field))
+    };
+};
+
+/**
+ * Account Search Service
+ * Aday hesaplar accounts.search_text sütunundan okunur (Türkçe harfler ASCII'ye indirilmiş ad,
+ * kod, e-posta, telefon ve vergi no; SearchText.build). Önce tüm kelimeleri içeren hesaplar
+ * aranır; bunlar istenen sayıya ulaşmazsa dört harf ve üzeri kelimelerin üçlü harf gruplarından
+ * birini içeren hesaplar yazım hatası adayı olarak eklenir. Veritabanı adayları CANDIDATE_LIMIT
+ * sınırından önce kaba bir eşleşme puanıyla sıralar; tam kelime eşleşmeleri sınırın dışında
+ * kalmaz. Adaylar tam kelime, kelime başı, kelime içi ve yazım hatası eşleşmesine göre puanlanıp
+ * büyükten küçüğe sıralanır.
+ * @namespace AccountSearch
+ */
+const AccountSearch = {
+    RESULT_LIMIT,
+
+    // Cari hesap ara - sonuçlar puan, sonra cari adına göre sıralı
+    searchAccounts: async (context, query, { limit = RESULT_LIMIT.DEFAULT } = {}) => {
+        try {
+            const tokens = SearchText.tokenize(query);
+            const pageSize = Math.min(limit, RESULT_LIMIT.MAX);
+
+            if (tokens.length === 0) {
+                return {
+                    success: true,
+                    data: []
+                };
+            }
+
+            const exact = await Accounts.findSearchCandidates(context, tokens, { limit: CANDIDATE_LIMIT });
+            if (!exact.success) {
+                throw new Error(exact.error);
+            }
+
+            let candidates = exact.data;
+
+            const trigrams = [...new Set(tokens
+                .filter((token) => allowedTypos(token) > 0)
+                .flatMap(SearchText.trigrams))]
+                .slice(0, MAX_TRIGRAMS);
+
+            if (candidates.length < pageSize && trigrams.length > 0) {
+                const fuzzy = await Accounts.findSearchCandidates(context, trigrams, {
+                    matchAll: false,
+                    limit: CANDIDATE_LIMIT
+                });
+                if (!fuzzy.success) {
+                    throw new Error(fuzzy.error);
+                }
+
+                const found = new Set(candidates.map((account) => account.id));
+                candidates = candidates.concat(fuzzy.data.filter((account) => !found.has(account.id)));
+            }
+
+            const phrase = tokens.join(' ');
+            const results = candidates
+                .map((account) => ({ account, match: scoreAccount(tokens, phrase, account) }))
+                .filter(({ match }) => match !== null)
+                .map(({ account, match }) => ({ ...account, ...match }))
+                .sort((a, b) => b.score - a.score
+                    || a.account_name.localeCompare(b.account_name, 'tr')
+                    || a.id - b.id);
+
+            return {
+                success: true,
+                data: results.slice(0, pageSize)
+            };
+        } catch (error) {
+            console.error('searchAccounts Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+};
+
+module.exports = AccountSearch;
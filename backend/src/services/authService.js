@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Authentication Service
+ * @description JWT access tokens and rotating refresh tokens for user sessions
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Users = require('../models/userModel');
+
+/**
+ * Erişim token'ı geçerlilik süresi (jsonwebtoken formatında, örn. 15m, 1h)
+ * @type {string}
+ */
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+/**
+ * Yenileme token'ı geçerlilik süresi (gün)
+ * @type {number}
+ */
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 7;
+
+// İmzalama anahtarını getir
+const getJwtSecret = () => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET ortam değişkeni tanımlı değil');
+    }
+    return process.env.JWT_SECRET;
+};
+
+// Yenileme token'ının veritabanında saklanan SHA-256 özeti
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// İptal edilmiş bir token tekrar kullanılıyorsa token çalınmış olabilir; kullanıcının tüm
+// oturumları kapatılır
+const rejectReusedToken = async (userId) => {
+    await Users.revokeAllRefreshTokens(userId);
+    return {
+        success: false,
+        error: 'Yenileme token\'ı daha önce kullanılmış, tüm oturumlar kapatıldı'
+    };
+};
+
+/**
+ * Authentication Service
+ * @namespace AuthService
+ */
+const AuthService = {
+    // Kullanıcı için erişim ve yenileme token'ı üret
+    issueTokens: async (user) => {
+        const accessToken = jwt.sign(
+            { sub: user.id, email: user.email, role: user.role },
+            getJwtSecret(),
+            { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+        );
+
+        const refreshToken = crypto.randomBytes(48).toString('hex');
+        const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+        const saved = await Users.saveRefreshToken(user.id, hashToken(refreshToken), expiresAt);
+        if (!saved.success) {
+            throw new Error(saved.error);
+        }
+
+        return {
+            token_type: 'Bearer',
+            access_token: accessToken,
+            expires_in: ACCESS_TOKEN_EXPIRES_IN,
+            refresh_token: refreshToken,
+            refresh_token_expires_at: expiresAt.toISOString()
+        };
+    },
+
+    // Erişim token'ını doğrula ve içeriğini döndür
+    verifyAccessToken: (token) => {
+        try {
+            const payload = jwt.verify(token, getJwtSecret());
+
+            return {
+                success: true,
+                data: {
+                    id: payload.sub,
+                    email: payload.email,
+                    role: payload.role
+                }
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.name === 'TokenExpiredError'
+                    ? 'Erişim token\'ının süresi dolmuş'
+                    : 'Geçersiz erişim token\'ı'
+            };
+        }
+    },
+
+    // Yeni kullanıcı kaydı ve oturum açma
+    register: async (data) => {
+        try {
+            const created = await Users.createUser(data);
+            if (!created.success) {
+                return created;
+            }
+
+            const user = {
+                id: created.data.id,
+                email: created.data.email,
+                full_name: created.data.full_name,
+                role: created.data.role
+            };
+            const tokens = await AuthService.issueTokens(user);
+
+            return {
+                success: true,
+                data: { user, ...tokens }
+            };
+        } catch (error) {
+            console.error('register Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // E-posta ve şifre ile oturum aç
+    login: async (email, password) => {
+        try {
+            const verified = await Users.verifyCredentials(email, password);
+            if (!verified.success) {
+                return verified;
+            }
+
+            const tokens = await AuthService.issueTokens(verified.data);
+
+            return {
+                success: true,
+                data: { user: verified.data, ...tokens }
+            };
+        } catch (error) {
+            console.error('login Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Yenileme token'ı ile yeni token çifti üret (eski token iptal edilir)
+    refresh: async (refreshToken) => {
+        try {
+            const tokenHash = hashToken(refreshToken || '');
+            const found = await Users.findRefreshToken(tokenHash);
+
+            if (!found.success) {
+                return {
+                    success: false,
+                    error: 'Geçersiz yenileme token\'ı'
+                };
+            }
+
+            const stored = found.data;
+
+            if (stored.revoked_at) {
+                return rejectReusedToken(stored.user_id);
+            }
+
+            if (new Date(stored.expires_at) <= new Date() || stored.is_active !== 1) {
+                return {
+                    success: false,
+                    error: 'Yenileme token\'ının süresi dolmuş'
+                };
+            }
+
+            // Koşullu iptal tek kapıdır: aynı token'la eşzamanlı iki istekten yalnızca token'ı iptal
+            // eden yeni token çifti alır, diğeri tekrar kullanım sayılır
+            const revoked = await Users.revokeRefreshToken(tokenHash);
+            if (!revoked.success) {
+                return revoked;
+            }
+
+            if (!revoked.data.revoked) {
+                return rejectReusedToken(stored.user_id);
+            }
+
+            // Rol değişiklikleri token yenilenirken erişim token'ına yansır
+            const user = { id: stored.user_id, email: stored.email, full_name: stored.full_name, role: stored.role };
+            const tokens = await AuthService.issueTokens(user);
+
+            return {
+                success: true,
+                data: { user, ...tokens }
+            };
+        } catch (error) {
+            console.error('refresh Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Oturumu kapat (yenileme token'ını iptal et)
+    logout: async (refreshToken) => {
+        try {
+            const result = await Users.revokeRefreshToken(hashToken(refreshToken || ''));
+            if (!result.success) {
+                return result;
+            }
+
+            return {
+                success: true,
+                data: { message: 'Oturum başarıyla kapatıldı' }
+            };
+        } catch (error) {
+            console.error('logout Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+};
+
+module.exports = AuthService;
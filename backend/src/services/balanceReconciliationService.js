@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Balance Reconciliation Service
+ * @description Recomputes account balances from the transaction ledger and reports drift
+ * @version 1.0.0
+ */
+
+const db = require('../config/db');
+const AuditLog = require('../models/auditLogModel');
+const Money = require('../utils/money');
+
+/**
+ * Hareketlerden hesaplanan bakiye sorgusu.
+ * Bakiye = açılış bakiyesi + aktif hareketlerin ana para birimindeki işaretli toplamı
+ * (income/receivable artırır, expense/payable azaltır; kapama hareketleri kur farkı
+ * düşülerek defter değeriyle, bkz. Transactions.balanceAmount)
+ * + harekete bağlı olmayan yevmiye fişlerindeki cari satırları (borç - alacak)
+ * @type {string}
+ */
+const LEDGER_BALANCE_QUERY = `
+    SELECT
+        a.id AS account_id,
+        a.company_id,
+        a.account_name,
+        a.account_code,
+        a.opening_balance,
+        a.balance AS stored_balance,
+        a.opening_balance + COALESCE(SUM(
+            CASE
+                WHEN t.transaction_type IN ('income', 'receivable') THEN t.base_amount + t.fx_gain_loss
+                WHEN t.transaction_type IN ('expense', 'payable') THEN t.fx_gain_loss - t.base_amount
+                ELSE 0
+            END
+        ), 0) + (
+            SELECT COALESCE(SUM(jl.debit - jl.credit), 0)
+            FROM journal_lines jl
+            INNER JOIN journal_entries je ON je.id = jl.journal_entry_id
+            WHERE jl.account_id = a.id AND je.transaction_id IS NULL AND je.is_active = 1
+        ) AS calculated_balance,
+        COUNT(t.id) AS transaction_count
+    FROM accounts a
+    LEFT JOIN transactions t ON t.account_id = a.id AND t.is_active = 1
+    WHERE a.is_active = 1
+`;
+
+// Şirket ve hesap ID filtresine göre bakiye sorgusunu ve parametrelerini hazırla
+// companyId null ise tüm şirketlerin hesapları kontrol edilir (arka plan görevi)
+const buildLedgerQuery = (companyId, accountIds) => {
+    let query = LEDGER_BALANCE_QUERY;
+    const params = [];
+
+    if (companyId) {
+        query += ' AND a.company_id = ?';
+        params.push(companyId);
+    }
+
+    if (accountIds && accountIds.length > 0) {
+        query += ` AND a.id IN (${accountIds.map(() => '?').join(', ')})`;
+        params.push(...accountIds);
+    }
+
+    query += ' GROUP BY a.id, a.company_id, a.account_name, a.account_code, a.opening_balance, a.balance ORDER BY a.id ASC';
+
+    return { query, params };
+};
+
+// Sorgu satırını fark bilgisiyle birlikte rapor satırına dönüştür
+const toDriftReport = (row) => {
+    const storedUnits = Money.parse(row.stored_balance);
+    const calculatedUnits = Money.parse(row.calculated_balance);
+    const drift = Money.toNumber(storedUnits - calculatedUnits);
+
+    return {
+        account_id: row.account_id,
+        company_id: row.company_id,
+        account_name: row.account_name,
+        account_code: row.account_code,
+        opening_balance: Money.toNumber(Money.parse(row.opening_balance)),
+        stored_balance: Money.toNumber(storedUnits),
+        calculated_balance: Money.toNumber(calculatedUnits),
+        drift,
+        has_drift: drift !== 0,
+        transaction_count: row.transaction_count
+    };
+};
+
+/**
+ * Balance Reconciliation Service
+ * @namespace BalanceReconciliation
+ */
+const BalanceReconciliation = {
+    // Tek bir cari hesabın bakiyesini hareketlerle karşılaştır
+    checkAccountBalance: async (context, accountId) => {
+        try {
+            const { query, params } = buildLedgerQuery(context.companyId, [accountId]);
+            const [rows] = await db.execute(query, params);
+
+            if (rows.length === 0) {
+                return {
+                    success: false,
+                    error: 'Cari hesap bulunamadı'
+                };
+            }
+
+            return {
+                success: true,
+                data: toDriftReport(rows[0])
+            };
+        } catch (error) {
+            console.error('checkAccountBalance Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Tüm (veya belirtilen) cari hesapların bakiyelerini yeniden hesapla
+    // fix = true ise farklı çıkan bakiyeler hesaplanan değerle düzeltilir
+    // context null ise tüm şirketler kontrol edilir
+    recalculateBalances: async (context, { fix = false, accountIds = [] } = {}) => {
+        try {
+            const companyId = context ? context.companyId : null;
+            const { query, params } = buildLedgerQuery(companyId, accountIds);
+
+            if (!fix) {
+                const [rows] = await db.execute(query, params);
+                const reports = rows.map(toDriftReport);
+                const drifted = reports.filter((report) => report.has_drift);
+
+                return {
+                    success: true,
+                    data: {
+                        checked_count: reports.length,
+                        drift_count: drifted.length,
+                        fixed_count: 0,
+                        accounts: drifted
+                    }
+                };
+            }
+
+            // Düzeltme sırasında eş zamanlı hareket girişini engellemek için
+            // hesap satırları kilitlenir ve bakiye kilit altında yeniden hesaplanır
+            return await db.withTransaction(async (connection) => {
+                let lockQuery = 'SELECT id FROM accounts WHERE is_active = 1';
+                const lockParams = [];
+                if (companyId) {
+                    lockQuery += ' AND company_id = ?';
+                    lockParams.push(companyId);
+                }
+                if (accountIds.length > 0) {
+                    lockQuery += ` AND id IN (${accountIds.map(() => '?').join(', ')})`;
+                    lockParams.push(...accountIds);
+                }
+                await connection.execute(`${lockQuery} ORDER BY id FOR UPDATE`, lockParams);
+
+                const [rows] = await connection.execute(query, params);
+                const reports = rows.map(toDriftReport);
+                const drifted = reports.filter((report) => report.has_drift);
+
+                for (const report of drifted) {
+                    const auditContext = { companyId: report.company_id, userId: context ? context.userId : null };
+                    const before = await AuditLog.snapshot(connection, auditContext, 'account', report.account_id);
+
+                    await connection.execute(
+                        'UPDATE accounts SET balance = ?, updated_at = NOW() WHERE id = ?',
+                        [report.calculated_balance, report.account_id]
+                    );
+
+                    await AuditLog.record(connection, auditContext, {
+                        entity: 'account',
+                        entityId: report.account_id,
+                        action: 'update',
+                        before,
+                        after: await AuditLog.snapshot(connection, auditContext, 'account', report.account_id)
+                    });
+                }
+
+                return {
+                    success: true,
+                    data: {
+                        checked_count: reports.length,
+                        drift_count: drifted.length,
+                        fixed_count: drifted.length,
+                        accounts: drifted
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('recalculateBalances Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Belirli aralıklarla bakiye farklarını kontrol eden arka plan görevini başlat
+    // Görev yalnızca raporlar, bakiyeleri düzeltmez
+    startDriftDetectionJob: (intervalMinutes) => {
+        const intervalMs = intervalMinutes * 60 * 1000;
+
+        const timer = setInterval(async () => {
+            const result = await BalanceReconciliation.recalculateBalances(null, { fix: false });
+
+            if (!result.success) {
+                console.error('⚠️  Bakiye kontrolü yapılamadı:', result.error);
+            } else if (result.data.drift_count > 0) {
+                console.warn(`⚠️  ${result.data.drift_count} cari hesapta bakiye farkı tespit edildi`);
+                result.data.accounts.forEach((report) => {
+                    console.warn(`   #${report.account_id} ${report.account_name} (şirket #${report.company_id}): kayıtlı ${report.stored_balance}, hesaplanan ${report.calculated_balance} (fark ${report.drift})`);
+                });
+            }
+        }, intervalMs);
+
+        // Görev, sürecin kapanmasını engellememeli
+        timer.unref();
+
+        return timer;
+    }
+};
+
+module.exports = BalanceReconciliation;
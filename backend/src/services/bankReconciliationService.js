@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Bank Reconciliation Service
+ * @description Matches bank statement lines against recorded, not yet reconciled transactions by
+ * reference number, amount and date, and lists what is left unmatched on both sides
+ * @version 1.0.0
+ */
+
+const BankStatements = require('./bankStatementService');
+const Transactions = require('../models/transactionModel');
+const Format = require('../utils/format');
+const Money = require('../utils/money');
+
+/**
+ * Tutarı tutan satır ile hareket arasında kabul edilen varsayılan ve en fazla gün farkı
+ * @type {{DEFAULT: number, MAX: number}}
+ */
+const DATE_TOLERANCE = {
+    DEFAULT: 3,
+    MAX: 31
+};
+
+/**
+ * Hareket türünün banka hesabındaki yönü (tahsilat/alacak giriş, ödeme/borç çıkış)
+ * @type {Object<string, string>}
+ */
+const TRANSACTION_DIRECTIONS = {
+    income: 'in',
+    receivable: 'in',
+    expense: 'out',
+    payable: 'out'
+};
+
+/**
+ * Bir günün milisaniye karşılığı
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD tarihine gün ekle
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+// İki YYYY-MM-DD tarihi arasındaki gün farkı (işaretsiz)
+const daysBetween = (from, to) => Math.abs(Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS;
+
+// Referans karşılaştırması büyük/küçük harf ve boşluklardan bağımsızdır
+const normalizeReference = (reference) => (reference ? reference.replace(/\s+/g, '').toUpperCase() : null);
+
+// Yanıtta eşleşen hareketin özeti
+const toTransactionSummary = (transaction) => ({
+    id: transaction.id,
+    account_id: transaction.account_id,
+    account_name: transaction.account_name,
+    transaction_type: transaction.transaction_type,
+    amount: Money.toNumber(Money.parse(transaction.amount)),
+    currency: transaction.currency,
+    transaction_date: Format.date(transaction.transaction_date, 'YYYY-MM-DD'),
+    reference_number: transaction.reference_number,
+    description: transaction.description,
+    payment_method: transaction.payment_method
+});
+
+/**
+ * Bank Reconciliation Service
+ * Adaylar, ekstredeki tarih aralığının tolerans kadar genişletilmiş halinde kalan, mutabakatı
+ * yapılmamış ve iptal edilmemiş hareketlerdir (varsayılan ödeme yöntemi bank_transfer;
+ * Transactions.getFilteredTransactions filtreleriyle daraltılabilir). Bir satır ve bir hareket
+ * en fazla bir kez eşleşir: önce referans numarası ve tutarı aynı olanlar, sonra tutarı aynı ve
+ * tarihi tolerans içinde olanlar (en yakın tarih) eşleştirilir. Yön ve, satırda verilmişse,
+ * para birimi de aynı olmalıdır. Önizleme hiçbir şey kaydetmez; onay
+ * Transactions.reconcileTransactions ile yapılır.
+ * @namespace BankReconciliations
+ */
+const BankReconciliations = {
+    DATE_TOLERANCE,
+
+    // Ekstre satırlarını kayıtlı hareketlerle eşleştir
+    // filters: { account_id, payment_method, currency }, dateTolerance: gün
+    previewReconciliation: async (context, file, { mapping = {}, filters = {}, dateTolerance = DATE_TOLERANCE.DEFAULT } = {}) => {
+        try {
+            const statement = await BankStatements.readStatement(file, mapping);
+            const validLines = statement.lines.filter((line) => line.errors.length === 0);
+            const dates = validLines.map((line) => line.transaction_date).sort();
+
+            let candidates = [];
+            if (validLines.length > 0) {
+                const result = await Transactions.getFilteredTransactions(context, {
+                    ...filters,
+                    payment_method: filters.payment_method || 'bank_transfer',
+                    reconciled: false,
+                    start_date: addDays(dates[0], -dateTolerance),
+                    end_date: addDays(dates[dates.length - 1], dateTolerance)
+                });
+
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+
+                candidates = result.data
+                    .filter((transaction) => transaction.status !== 'cancelled')
+                    .map((transaction) => ({
+                        transaction,
+                        direction: TRANSACTION_DIRECTIONS[transaction.transaction_type],
+                        units: Money.parse(transaction.amount),
+                        date: Format.date(transaction.transaction_date, 'YYYY-MM-DD'),
+                        reference: normalizeReference(transaction.reference_number)
+                    }));
+            }
+
+            const used = new Set();
+            const matches = new Map();
+
+            // Satırla yön, tutar ve para birimi aynı olan, henüz eşleşmemiş adaylar
+            const sameAmount = (line) => candidates.filter((candidate) => !used.has(candidate)
+                && candidate.direction === line.direction
+                && candidate.units === Money.parse(line.amount)
+                && (!line.currency || line.currency === candidate.transaction.currency));
+
+            const pair = (line, candidate, matchedBy) => {
+                used.add(candidate);
+                matches.set(line, {
+                    transaction: toTransactionSummary(candidate.transaction),
+                    matched_by: matchedBy,
+                    date_difference: daysBetween(line.transaction_date, candidate.date)
+                });
+            };
+
+            for (const line of validLines.filter((item) => item.reference_number)) {
+                const candidate = sameAmount(line)
+                    .find((item) => item.reference === normalizeReference(line.reference_number));
+                if (candidate) {
+                    pair(line, candidate, 'reference');
+                }
+            }
+
+            for (const line of validLines.filter((item) => !matches.has(item))) {
+                const [candidate] = sameAmount(line)
+                    .map((item) => ({ item, difference: daysBetween(line.transaction_date, item.date) }))
+                    .filter(({ difference }) => difference <= dateTolerance)
+                    .sort((a, b) => a.difference - b.difference || a.item.transaction.id - b.item.transaction.id);
+                if (candidate) {
+                    pair(line, candidate.item, 'amount_date');
+                }
+            }
+
+            return {
+                success: true,
+                data: {
+                    format: statement.format,
+                    statement_iban: statement.statement_iban,
+                    date_tolerance: dateTolerance,
+                    total_lines: statement.lines.length,
+                    matched_lines: matches.size,
+                    matches: statement.lines
+                        .filter((line) => matches.has(line))
+                        .map((line) => ({ ...line, ...matches.get(line) })),
+                    unmatched_lines: statement.lines.filter((line) => !matches.has(line)),
+                    unmatched_transactions: candidates
+                        .filter((candidate) => !used.has(candidate))
+                        .map((candidate) => toTransactionSummary(candidate.transaction))
+                }
+            };
+        } catch (error) {
+            console.error('previewReconciliation Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+};
+
+module.exports = BankReconciliations;
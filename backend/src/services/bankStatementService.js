@@ -0,0 +1,413 @@
+/**
+ * @fileoverview Bank Statement Service
+ * @description Parses bank statements (CSV/XLSX and SWIFT MT940), proposes an account and a
+ * transaction for every statement line, flags lines already recorded by reference number and
+ * posts the confirmed lines in a single database transaction
+ * @version 1.0.0
+ */
+
+const db = require('../config/db');
+const Accounts = require('../models/accountModel');
+const Transactions = require('../models/transactionModel');
+const { MAX_AMOUNT } = require('../validation/schemas/common');
+const Money = require('../utils/money');
+const Spreadsheet = require('../utils/spreadsheet');
+
+/**
+ * Bir ekstrede işlenebilecek en fazla hareket satırı
+ * @type {number}
+ */
+const MAX_STATEMENT_LINES = 5000;
+
+/**
+ * CSV/XLSX ekstre alanlarının varsayılan sütun başlıkları (küçük harf). Tek işaretli tutar
+ * sütunu (amount; eksi çıkış) veya ayrı borç (çıkış) / alacak (giriş) sütunları kullanılabilir.
+ * @type {Object<string, string[]>}
+ */
+const COLUMN_ALIASES = {
+    transaction_date: ['transaction_date', 'date', 'tarih', 'işlem tarihi', 'valör', 'valör tarihi'],
+    description: ['description', 'açıklama', 'işlem açıklaması'],
+    amount: ['amount', 'tutar', 'işlem tutarı'],
+    debit: ['debit', 'borç', 'çıkan tutar'],
+    credit: ['credit', 'alacak', 'gelen tutar'],
+    reference_number: ['reference_number', 'referans', 'referans no', 'dekont no', 'işlem no'],
+    iban: ['iban', 'karşı iban', 'karşı hesap iban'],
+    tax_number: ['tax_number', 'vkn', 'tckn', 'vkn/tckn', 'vergi no'],
+    counterparty: ['counterparty', 'karşı taraf', 'gönderen/alıcı', 'alıcı/gönderen'],
+    currency: ['currency', 'para birimi', 'döviz']
+};
+
+/**
+ * Hareket yönüne göre önerilen işlem türü (giriş: tahsilat, çıkış: ödeme)
+ * @type {Object<string, string>}
+ */
+const DIRECTION_TRANSACTION_TYPES = {
+    in: 'income',
+    out: 'expense'
+};
+
+/**
+ * MT940 :61: hareket satırı - valör tarihi (YYMMDD), opsiyonel kayıt tarihi (MMDD), borç/alacak
+ * işareti (C, D, RC, RD), opsiyonel fon kodu, tutar (ondalık virgül), işlem tipi kodu,
+ * müşteri referansı ve // sonrası banka referansı
+ * @type {RegExp}
+ */
+const MT940_LINE_PATTERN = /^(\d{2})(\d{2})(\d{2})(?:\d{4})?(R?[CD])[A-Z]?(\d+(?:,\d*)?)[A-Z][A-Z0-9]{3}([^\n]*)/;
+
+/**
+ * MT940 alan etiketi (:20:, :25:, :60F:, :61:, :86: ...)
+ * @type {RegExp}
+ */
+const MT940_TAG_PATTERN = /^:(\d{2}[A-Z]?):(.*)$/;
+
+/**
+ * Vergi kimlik (10 hane) veya T.C. kimlik (11 hane) numarası olarak aranacak en kısa numara
+ * @type {number}
+ */
+const MIN_TAX_NUMBER_LENGTH = 10;
+
+/**
+ * Açıklamada aranacak cari adı veya kodunun en kısa uzunluğu (kısa kodlar yanlış eşleşmesin)
+ * @type {number}
+ */
+const MIN_KEYWORD_LENGTH = 3;
+
+// Karşılaştırma için metni kelimelere indir: Türkçe küçük harf, harf/rakam dışı karakterler boşluk
+const toWords = (text) => String(text).toLocaleLowerCase('tr-TR').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Tutar metnini birime çevir (1.500,50 veya -250.00); geçersizse veya aralık dışındaysa NaN
+const parseUnits = (text) => {
+    const value = Spreadsheet.parseAmount(text);
+    return Money.isValid(value) && Math.abs(Number(value)) <= MAX_AMOUNT ? Money.parse(value) : NaN;
+};
+
+// MT940 dosyası mı (işlem referansı ve hareket satırı etiketleri)
+const isMt940 = (text) => /^:20:/m.test(text) && /^:61:/m.test(text);
+
+// MT940 metnini etiketlere ayır; etiketsiz satırlar önceki etiketin devamıdır ({1:...} başlıkları
+// ve - ile biten blok sonları atlanır)
+const parseMt940Fields = (text) => text.split(/\r?\n/).reduce((fields, line) => {
+    const match = MT940_TAG_PATTERN.exec(line);
+
+    if (match) {
+        fields.push({ tag: match[1], value: match[2] });
+    } else if (fields.length > 0 && line.trim() !== '' && !/^[{-]/.test(line)) {
+        fields[fields.length - 1].value += `\n${line}`;
+    }
+
+    return fields;
+}, []);
+
+// MT940 ekstresini satırlara çevir; :86: bilgi alanı bir önceki :61: satırının açıklamasıdır
+const parseMt940 = (text) => {
+    const lines = [];
+    let statementIban = null;
+    let currency = null;
+    let previousTag = null;
+
+    for (const { tag, value } of parseMt940Fields(text)) {
+        if (tag === '25') {
+            statementIban = value.trim();
+        } else if (tag === '60F' || tag === '60M') {
+            currency = value.slice(7, 10);
+        } else if (tag === '61') {
+            const match = MT940_LINE_PATTERN.exec(value);
+            const line = { line: lines.length + 1, currency, errors: [] };
+
+            if (match) {
+                const [, year, month, day, mark, amount, references] = match;
+                const [customerReference, bankReference] = references.split('//').map((reference) => reference.trim());
+                // MT940 tutarında ondalık kısım boş olabilir (1500,)
+                const units = parseUnits(amount.replace(/,$/, ''));
+
+                line.transaction_date = Spreadsheet.parseDate(`20${year}-${month}-${day}`);
+                line.units = ['C', 'RD'].includes(mark) ? units : -units;
+                line.reference_number = customerReference && customerReference !== 'NONREF'
+                    ? customerReference
+                    : bankReference || null;
+            } else {
+                line.errors.push({ field: null, message: `Hareket satırı okunamadı: ${value.split('\n')[0]}` });
+            }
+
+            lines.push(line);
+        } else if (tag === '86' && previousTag === '61') {
+            lines[lines.length - 1].description = value.replace(/\s*\n\s*/g, ' ').trim();
+        }
+
+        previousTag = tag;
+    }
+
+    return { format: 'mt940', statement_iban: statementIban, lines };
+};
+
+// CSV/XLSX ekstresini satırlara çevir; satır numaraları dosyadaki satır numaralarıdır
+const parseSpreadsheet = async (file, mapping) => {
+    const [headers = [], ...records] = await Spreadsheet.readRecords(file);
+    const columns = Spreadsheet.resolveColumns(headers, COLUMN_ALIASES, mapping);
+
+    if (columns.transaction_date === undefined) {
+        throw new Error('Tarih sütunu bulunamadı');
+    }
+
+    if (columns.amount === undefined && columns.debit === undefined && columns.credit === undefined) {
+        throw new Error('Tutar sütunu (veya borç/alacak sütunları) bulunamadı');
+    }
+
+    const lines = records
+        .map((cells, index) => ({ row: index + 2, cells }))
+        .filter(({ cells }) => cells.some((cell) => cell.trim() !== ''))
+        .map(({ row, cells }) => {
+            const { transaction_date, amount, debit, credit, ...fields } = Spreadsheet.pick(cells, columns);
+            const line = { line: row, ...fields, errors: [] };
+
+            line.transaction_date = transaction_date ? Spreadsheet.parseDate(transaction_date) : null;
+            if (!line.transaction_date) {
+                line.errors.push({ field: 'transaction_date', message: `Tarih okunamadı: ${transaction_date || ''}` });
+            }
+
+            if (amount) {
+                line.units = parseUnits(amount);
+            } else if (credit && parseUnits(credit) !== 0) {
+                line.units = Math.abs(parseUnits(credit));
+            } else if (debit) {
+                line.units = -Math.abs(parseUnits(debit));
+            } else {
+                line.units = NaN;
+            }
+
+            return line;
+        });
+
+    return { format: Spreadsheet.isXlsx(file) ? 'xlsx' : 'csv', statement_iban: null, lines };
+};
+
+// Ekstreyi biçimine göre oku ve satırları ortak biçime getir: yön (in/out), işaretsiz tutar,
+// büyük harf para birimi ve boşluksuz IBAN; okunamayan tutarlar satır hatası olur
+const readStatement = async (file, mapping) => {
+    const text = Spreadsheet.isXlsx(file) ? '' : Spreadsheet.toText(file);
+    const statement = isMt940(text) ? parseMt940(text) : await parseSpreadsheet(file, mapping);
+
+    if (statement.lines.length === 0) {
+        throw new Error('Ekstrede hareket satırı bulunamadı');
+    }
+
+    if (statement.lines.length > MAX_STATEMENT_LINES) {
+        throw new Error(`Bir ekstrede en fazla ${MAX_STATEMENT_LINES} hareket satırı işlenebilir`);
+    }
+
+    const lines = statement.lines.map(({ units, ...line }) => {
+        const errors = [...line.errors];
+
+        if (Number.isNaN(units)) {
+            errors.push({ field: 'amount', message: 'Tutar okunamadı' });
+        } else if (units === 0) {
+            errors.push({ field: 'amount', message: 'Tutar sıfır olamaz' });
+        }
+
+        return {
+            line: line.line,
+            transaction_date: line.transaction_date,
+            direction: units < 0 ? 'out' : 'in',
+            amount: errors.length === 0 ? Money.toNumber(Math.abs(units)) : null,
+            currency: line.currency ? line.currency.toUpperCase() : null,
+            description: line.description || null,
+            reference_number: line.reference_number || null,
+            counterparty: line.counterparty || null,
+            iban: line.iban ? Accounts.normalizeIban(line.iban) : null,
+            tax_number: line.tax_number || null,
+            errors
+        };
+    });
+
+    return { ...statement, lines };
+};
+
+// Eşleştirmede kullanılacak cari hesap anahtarları (boşluksuz IBAN, vergi numarası, kelimeler)
+const toMatchKeys = (account) => {
+    const taxNumber = (account.tax_number || '').replace(/\D/g, '');
+
+    return {
+        account,
+        iban: account.iban || null,
+        taxNumber: taxNumber.length >= MIN_TAX_NUMBER_LENGTH ? taxNumber : null,
+        keywords: [account.account_name, account.account_code]
+            .filter(Boolean)
+            .map(toWords)
+            .filter((keyword) => keyword.length >= MIN_KEYWORD_LENGTH)
+    };
+};
+
+// Satır için cari hesap öner: önce karşı IBAN, sonra vergi/T.C. kimlik numarası, sonra
+// açıklamada geçen cari adı veya kodu (birden fazla eşleşmede en uzun ad)
+const proposeAccount = (line, accountKeys) => {
+    const text = [line.iban, line.tax_number, line.counterparty, line.description].filter(Boolean).join(' ');
+    const compactText = text.replace(/\s+/g, '').toUpperCase();
+    const numbers = ` ${text.replace(/\D+/g, ' ')} `;
+    const words = ` ${toWords(text)} `;
+
+    const found = [
+        ['iban', (keys) => keys.iban && compactText.includes(keys.iban)],
+        ['tax_number', (keys) => keys.taxNumber && numbers.includes(` ${keys.taxNumber} `)],
+        ['keyword', (keys) => keys.keywords.some((keyword) => words.includes(` ${keyword} `))]
+    ].reduce((match, [matchedBy, test]) => {
+        if (match) {
+            return match;
+        }
+
+        const candidates = accountKeys
+            .filter(test)
+            .sort((a, b) => b.account.account_name.length - a.account.account_name.length);
+
+        return candidates.length > 0 ? { keys: candidates[0], matchedBy } : null;
+    }, null);
+
+    return found
+        ? { account_id: found.keys.account.id, account_name: found.keys.account.account_name, matched_by: found.matchedBy }
+        : null;
+};
+
+// Referans numarasıyla kayıtlı aktif hareketleri bul (referans -> hareket ID)
+const findRecordedReferences = async (context, references) => {
+    if (references.length === 0) {
+        return new Map();
+    }
+
+    const [rows] = await db.execute(`
+        SELECT id, reference_number
+        FROM transactions
+        WHERE company_id = ? AND is_active = 1 AND reference_number IN (${references.map(() => '?').join(', ')})
+    `, [context.companyId, ...references]);
+
+    return new Map(rows.map((row) => [row.reference_number, row.id]));
+};
+
+/**
+ * Bank Statement Service
+ * Önizleme ekstreyi kaydetmez: her satır için okunan alanlar, önerilen cari hesap (match),
+ * daha önce kaydedilmiş veya dosyada tekrarlanan referans (duplicate) ve doğrudan onaya
+ * gönderilebilecek hareket (transaction) döner. Onaylanan satırlar Transactions.createTransaction
+ * ile (bakiye, yevmiye ve denetim kaydı dahil) tek işlemde kaydedilir.
+ * @namespace BankStatements
+ */
+const BankStatements = {
+    MAX_LINES: MAX_STATEMENT_LINES,
+
+    // Ekstreyi satırlara çevir (banka mutabakatı da kullanır); dosya okunamazsa istisna fırlatır
+    readStatement,
+
+    // Ekstreyi oku ve satırları eşleştir - mapping: CSV/XLSX sütun eşleştirmesi ({ alan: başlık })
+    previewStatement: async (context, file, { mapping = {} } = {}) => {
+        try {
+            const statement = await readStatement(file, mapping);
+
+            const [accounts] = await db.execute(`
+                SELECT id, account_name, account_code, tax_number, iban
+                FROM accounts
+                WHERE company_id = ? AND is_active = 1
+            `, [context.companyId]);
+            const accountKeys = accounts.map(toMatchKeys);
+
+            const references = [...new Set(statement.lines.map((line) => line.reference_number).filter(Boolean))];
+            const recorded = await findRecordedReferences(context, references);
+            const seen = new Map();
+
+            const lines = statement.lines.map((line) => {
+                let duplicate = null;
+                if (line.reference_number && recorded.has(line.reference_number)) {
+                    duplicate = { transaction_id: recorded.get(line.reference_number) };
+                } else if (line.reference_number && seen.has(line.reference_number)) {
+                    duplicate = { line: seen.get(line.reference_number) };
+                } else if (line.reference_number) {
+                    seen.set(line.reference_number, line.line);
+                }
+
+                const match = proposeAccount(line, accountKeys);
+
+                return {
+                    ...line,
+                    match,
+                    duplicate,
+                    transaction: line.errors.length === 0
+                        ? {
+                            account_id: match ? match.account_id : null,
+                            transaction_type: DIRECTION_TRANSACTION_TYPES[line.direction],
+                            amount: line.amount,
+                            transaction_date: line.transaction_date,
+                            description: [line.counterparty, line.description].filter(Boolean).join(' - ').slice(0, 1000) || null,
+                            reference_number: line.reference_number,
+                            currency: line.currency,
+                            payment_method: 'bank_transfer',
+                            status: 'completed'
+                        }
+                        : null
+                };
+            });
+
+            return {
+                success: true,
+                data: {
+                    format: statement.format,
+                    statement_iban: statement.statement_iban,
+                    total_lines: lines.length,
+                    matched_lines: lines.filter((line) => line.match).length,
+                    duplicate_lines: lines.filter((line) => line.duplicate).length,
+                    error_lines: lines.filter((line) => line.errors.length > 0).length,
+                    lines
+                }
+            };
+        } catch (error) {
+            console.error('previewStatement Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    },
+
+    // Onaylanan satırları tek işlemde kaydet; bir satır bile kaydedilemezse hiçbiri kaydedilmez
+    // lines: createTransaction verisi dizisi (önizlemedeki transaction alanları)
+    // Doğrulama hataları satır bazında toplanır; veritabanı hatası createTransaction'dan fırlatılır,
+    // kalan satırlar denenmez ve işlem geri alınır
+    postStatementLines: async (context, lines) => {
+        try {
+            const outcome = await db.withTransaction(async (connection) => {
+                const results = [];
+
+                for (const [index, line] of lines.entries()) {
+                    const result = await Transactions.createTransaction(context, line, connection);
+
+                    results.push(result.success
+                        ? { index, id: result.data.id, errors: [] }
+                        : { index, id: null, errors: [{ field: null, message: result.error }] });
+                }
+
+                const errorCount = results.filter((result) => result.errors.length > 0).length;
+                const committed = errorCount === 0;
+
+                // success: false ile dönülürse withTransaction işlemi geri alır
+                return {
+                    success: committed,
+                    data: {
+                        committed,
+                        total_lines: results.length,
+                        error_count: errorCount,
+                        lines: results.map(({ id, ...result }) => (committed ? { ...result, id } : result))
+                    }
+                };
+            });
+
+            return {
+                success: true,
+                data: outcome.data
+            };
+        } catch (error) {
+            console.error('postStatementLines Error:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+};
+
+module.exports = BankStatements;
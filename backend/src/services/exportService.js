@@ -0,0 +1,292 @@
+/**
+ * @fileoverview Export Service
+ * @description Streams transaction and account lists to the response as CSV (Turkish-locale
+ * Excel compatible) or XLSX (exceljs streaming writer), batch by batch
+ * @version 1.0.0
+ */
+
+const ExcelJS = require('exceljs');
+const db = require('../config/db');
+const Accounts = require('../models/accountModel');
+const ExchangeRates = require('../models/exchangeRateModel');
+const Transactions = require('../models/transactionModel');
+const UserSettings = require('../models/userSettingsModel');
+const Format = require('../utils/format');
+const Money = require('../utils/money');
+
+/**
+ * Desteklenen dosya biçimleri
+ * @type {string[]}
+ */
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * CSV ayracı; Türkçe Excel ondalık ayracı virgül olduğu için noktalı virgül kullanılır
+ * @type {string}
+ */
+const CSV_DELIMITER = ';';
+
+/**
+ * Excel'in UTF-8 olarak açması için dosya başı işareti
+ * @type {string}
+ */
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * Hücrede formül olarak yorumlanabilecek metin başlangıçları (CSV formula injection)
+ * @type {RegExp}
+ */
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+// Hareket listesi sütunları - type: text, label, date, amount, rate
+const transactionColumns = (baseCurrency) => [
+    { header: 'Tarih', key: 'transaction_date', type: 'date', width: 12 },
+    { header: 'Vade Tarihi', key: 'due_date', type: 'date', width: 12 },
+    { header: 'Cari Kodu', key: 'account_code', type: 'text', width: 12 },
+    { header: 'Cari Adı', key: 'account_name', type: 'text', width: 30 },
+    { header: 'İşlem Tipi', key: 'transaction_type', type: 'label', width: 10 },
+    { header: 'Tutar', key: 'amount', type: 'amount', width: 15 },
+    { header: 'Para Birimi', key: 'currency', type: 'text', width: 8 },
+    { header: 'Kur', key: 'exchange_rate', type: 'rate', width: 12 },
+    { header: `Tutar (${baseCurrency})`, key: 'base_amount', type: 'amount', width: 15 },
+    { header: 'Kur Farkı', key: 'fx_gain_loss', type: 'amount', width: 12 },
+    { header: 'Açıklama', key: 'description', type: 'text', width: 40 },
+    { header: 'Referans No', key: 'reference_number', type: 'text', width: 16 },
+    { header: 'Ödeme Yöntemi', key: 'payment_method', type: 'label', width: 14 },
+    { header: 'Durum', key: 'status', type: 'label', width: 12 }
+];
+
+// Cari hesap listesi sütunları
+const accountColumns = (baseCurrency) => [
+    { header: 'Cari Kodu', key: 'account_code', type: 'text', width: 12 },
+    { header: 'Cari Adı', key: 'account_name', type: 'text', width: 30 },
+    { header: 'Grup', key: 'group_name', type: 'text', width: 20 },
+    { header: 'Hesap Türü', key: 'account_type', type: 'label', width: 18 },
+    { header: 'Telefon', key: 'phone', type: 'text', width: 16 },
+    { header: 'E-posta', key: 'email', type: 'text', width: 24 },
+    { header: 'Adres', key: 'address', type: 'text', width: 40 },
+    { header: 'Vergi No', key: 'tax_number', type: 'text', width: 14 },
+    { header: 'Vergi Dairesi', key: 'tax_office', type: 'text', width: 18 },
+    { header: 'IBAN', key: 'iban', type: 'text', width: 30 },
+    { header: 'Para Birimi', key: 'currency', type: 'text', width: 8 },
+    { header: `Açılış Bakiyesi (${baseCurrency})`, key: 'opening_balance', type: 'amount', width: 16 },
+    { header: `Bakiye (${baseCurrency})`, key: 'balance', type: 'amount', width: 16 }
+];
+
+// Boş hücre mi
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// Metni CSV hücresine çevir - ayraç, tırnak veya satır sonu içeriyorsa tırnak içine alınır
+const csvCell = (text) => (/[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+// Değeri CSV için yaz; sayılar ondalık virgülle ve basamak ayracı olmadan (1500,50)
+const csvValue = (column, value, settings) => {
+    if (isBlank(value)) {
+        return '';
+    }
+
+    switch (column.type) {
+        case 'date':
+            return Format.date(value, settings.date_format);
+        case 'amount':
+            return Money.toFixed(Money.parse(value), settings.decimal_places).replace('.', ',');
+        case 'rate':
+            return String(value).replace('.', ',');
+        case 'label':
+            return csvCell(Format.label(column.key, value));
+        default: {
+            const text = String(value);
+            return csvCell(FORMULA_PREFIX_PATTERN.test(text) ? `'${text}` : text);
+        }
+    }
+};
+
+// Değeri Excel hücresine çevir; tarihler gün olarak (saat dilimi kaymasın diye UTC gece yarısı)
+const xlsxValue = (column, value) => {
+    if (isBlank(value)) {
+        return null;
+    }
+
+    switch (column.type) {
+        case 'date':
+            return new Date(`${Format.date(value, 'YYYY-MM-DD')}T00:00:00Z`);
+        case 'amount':
+            return Money.toNumber(Money.parse(value));
+        case 'rate':
+            return Number(value);
+        case 'label':
+            return Format.label(column.key, value);
+        default:
+            return String(value);
+    }
+};
+
+// Excel sayı biçimi - Excel, ayraçları kullanıcının bölge ayarına göre gösterir
+const xlsxNumberFormat = (column, settings) => {
+    switch (column.type) {
+        case 'date':
+            return settings.date_format.replace(/YYYY|MM|DD/g, (token) => token.toLowerCase());
+        case 'amount':
+            return settings.decimal_places > 0 ? `#,##0.${'0'.repeat(settings.decimal_places)}` : '#,##0';
+        case 'rate':
+            return '0.######';
+        default:
+            return undefined;
+    }
+};
+
+// Akışa yaz; tampon doluysa boşalmasını bekle, akış kapanırsa hata ver
+const writeChunk = (output, chunk) => new Promise((resolve, reject) => {
+    if (output.destroyed || output.writableEnded) {
+        reject(new Error('Yanıt akışı kapandı'));
+        return;
+    }
+
+    if (output.write(chunk)) {
+        resolve();
+        return;
+    }
+
+    const onDrain = () => {
+        output.off('close', onClose);
+        resolve();
+    };
+    const onClose = () => {
+        output.off('drain', onDrain);
+        reject(new Error('Yanıt akışı kapandı'));
+    };
+
+    output.once('drain', onDrain);
+    output.once('close', onClose);
+});
+
+// CSV yazıcısı: BOM, başlık satırı ve CRLF satır sonları
+const createCsvWriter = (output, columns, settings) => ({
+    start: () => writeChunk(output, UTF8_BOM + columns.map((column) => csvCell(column.header)).join(CSV_DELIMITER) + '\r\n'),
+    write: (rows) => writeChunk(output, rows
+        .map((row) => columns.map((column) => csvValue(column, row[column.key], settings)).join(CSV_DELIMITER) + '\r\n')
+        .join('')),
+    end: () => new Promise((resolve) => output.end(resolve))
+});
+
+// XLSX yazıcısı: satırlar eklendikçe akışa yazılır, çalışma kitabı bellekte tutulmaz
+const createXlsxWriter = (output, columns, settings, sheetName) => {
+    let workbook;
+    let worksheet;
+
+    return {
+        start: async () => {
+            workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+            worksheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+            worksheet.columns = columns.map((column) => ({
+                header: column.header,
+                key: column.key,
+                width: column.width,
+                style: { numFmt: xlsxNumberFormat(column, settings) }
+            }));
+            worksheet.getRow(1).font = { bold: true };
+            worksheet.getRow(1).commit();
+        },
+        write: async (rows) => {
+            rows.forEach((row) => {
+                worksheet.addRow(columns.reduce((values, column) => ({
+                    ...values,
+                    [column.key]: xlsxValue(column, row[column.key])
+                }), {})).commit();
+            });
+        },
+        end: async () => {
+            worksheet.commit();
+            await workbook.commit();
+        }
+    };
+};
+
+// Listeyi dosya olarak yanıta yaz
+// Yanıt başlıkları ilk parti geldiğinde (veya boş listede sonda) gönderilir; okuma baştan
+// başarısız olursa hiçbir şey yazılmamış olur ve controller JSON hata dönebilir
+// (res.headersSent false). Yazım başladıktan sonraki hatada yanıt akışı kesilir.
+const exportRows = async ({ res, format, filename, sheetName, columns, settings, forEach }) => {
+    const writer = format === 'xlsx'
+        ? createXlsxWriter(res, columns, settings, sheetName)
+        : createCsvWriter(res, columns, settings);
+    let started = false;
+
+    const start = async () => {
+        if (!started) {
+            started = true;
+            res.status(200).attachment(`${filename}.${format}`);
+            await writer.start();
+        }
+    };
+
+    try {
+        const result = await forEach(async (rows) => {
+            await start();
+            await writer.write(rows);
+        });
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        await start();
+        await writer.end();
+
+        return result;
+    } catch (error) {
+        if (started) {
+            res.destroy(error);
+        }
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+};
+
+/**
+ * Export Service
+ * Dosya adı dışa aktarma tarihini içerir (hareketler-2024-01-31.csv). Sütun başlıkları Türkçe;
+ * tarihler date_format, CSV tutarları decimal_places ayarına göre yazılır. XLSX'te tutarlar
+ * sayı hücresidir ve decimal_places basamaklı sayı biçimiyle gösterilir.
+ * @namespace Exports
+ */
+const Exports = {
+    // Desteklenen dosya biçimleri
+    FORMATS: EXPORT_FORMATS,
+
+    // Filtreye uyan hareketleri dışa aktar (getFilteredTransactions filtreleri)
+    exportTransactions: async (context, filters, format, res) => {
+        const settings = await UserSettings.getDisplaySettings(db, context.companyId);
+        const baseCurrency = await ExchangeRates.getBaseCurrency(db, context.companyId);
+
+        return exportRows({
+            res,
+            format,
+            filename: `hareketler-${Format.date(new Date(), 'YYYY-MM-DD')}`,
+            sheetName: 'Hareketler',
+            columns: transactionColumns(baseCurrency),
+            settings,
+            forEach: (onBatch) => Transactions.forEachFilteredTransaction(context, filters, onBatch)
+        });
+    },
+
+    // Aktif cari hesapları dışa aktar
+    exportAccounts: async (context, format, res) => {
+        const settings = await UserSettings.getDisplaySettings(db, context.companyId);
+        const baseCurrency = await ExchangeRates.getBaseCurrency(db, context.companyId);
+
+        return exportRows({
+            res,
+            format,
+            filename: `cari-hesaplar-${Format.date(new Date(), 'YYYY-MM-DD')}`,
+            sheetName: 'Cari Hesaplar',
+            columns: accountColumns(baseCurrency),
+            settings,
+            forEach: (onBatch) => Accounts.forEachAccount(context, onBatch)
+        });
+    }
+};
+
+module.exports = Exports;
@@ -0,0 +1,260 @@
+/**
+ * @fileoverview PDF Report Service
+ * @description Renders the account statement, aging report and transaction summary as PDF
+ * documents (pdfkit, bundled DejaVu fonts for Turkish characters)
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const db = require('../config/db');
+const UserSettings = require('../models/userSettingsModel');
+const Format = require('../utils/format');
+
+/**
+ * Türkçe karakterleri (ğ, ş, ı, İ...) içeren gömülü yazı tipleri
+ * @type {{regular: string, bold: string}}
+ */
+const FONTS = {
+    regular: path.join(__dirname, '../assets/fonts/DejaVuSans.ttf'),
+    bold: path.join(__dirname, '../assets/fonts/DejaVuSans-Bold.ttf')
+};
+
+/**
+ * Sayfa kenar boşluğu ve tablo ölçüleri (pt)
+ * @type {Object<string, number>}
+ */
+const LAYOUT = {
+    margin: 40,
+    fontSize: 8,
+    rowHeight: 14,
+    cellPadding: 3
+};
+
+/**
+ * Yaşlandırma dilimlerinin sütun başlıkları
+ * @type {Object<string, string>}
+ */
+const AGING_BUCKET_LABELS = {
+    current: 'Vadesi Gelmemiş',
+    days_1_30: '1-30 Gün',
+    days_31_60: '31-60 Gün',
+    days_61_90: '61-90 Gün',
+    days_over_90: '90+ Gün',
+    total: 'Toplam'
+};
+
+// Belgeyi oluştur; şirket adı, başlık ve bilgi satırlarını yaz
+const createDocument = (settings, title, infoLines) => {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: LAYOUT.margin,
+        bufferPages: true,
+        info: { Title: title, Author: settings.app_name }
+    });
+
+    doc.registerFont('regular', FONTS.regular);
+    doc.registerFont('bold', FONTS.bold);
+
+    doc.font('bold').fontSize(14).text(settings.app_name);
+    doc.font('bold').fontSize(12).text(title);
+    doc.moveDown(0.5);
+    doc.font('regular').fontSize(9);
+    infoLines.forEach((line) => doc.text(line));
+    doc.moveDown();
+
+    return doc;
+};
+
+// Bölüm başlığı yaz
+const drawHeading = (doc, heading) => {
+    if (doc.y + LAYOUT.rowHeight * 3 > doc.page.height - LAYOUT.margin) {
+        doc.addPage();
+    }
+
+    doc.font('bold').fontSize(10).text(heading, LAYOUT.margin, doc.y);
+    doc.moveDown(0.3);
+};
+
+// Tablo satırı yaz - hücre metinleri sütun genişliğinde tek satıra sığdırılır
+const drawRow = (doc, columns, cells, { bold = false, line = false } = {}) => {
+    const width = doc.page.width - LAYOUT.margin * 2;
+    const y = doc.y;
+    let x = LAYOUT.margin;
+
+    doc.font(bold ? 'bold' : 'regular').fontSize(LAYOUT.fontSize);
+
+    columns.forEach((column, index) => {
+        const columnWidth = width * column.width;
+        doc.text(cells[index], x + LAYOUT.cellPadding, y + LAYOUT.cellPadding, {
+            width: columnWidth - LAYOUT.cellPadding * 2,
+            height: LAYOUT.fontSize + 2,
+            align: column.align || 'left',
+            ellipsis: true
+        });
+        x += columnWidth;
+    });
+
+    if (line) {
+        doc.moveTo(LAYOUT.margin, y + LAYOUT.rowHeight).lineTo(LAYOUT.margin + width, y + LAYOUT.rowHeight).lineWidth(0.5).stroke();
+    }
+
+    doc.x = LAYOUT.margin;
+    doc.y = y + LAYOUT.rowHeight;
+};
+
+// Tabloyu yaz; sayfa taşarsa başlık satırı yeni sayfada tekrarlanır
+// columns: [{ header, width (oran), align, value: (row) => metin }]
+const drawTable = (doc, columns, rows, totals = null) => {
+    const drawHeader = () => drawRow(doc, columns, columns.map((column) => column.header), { bold: true, line: true });
+    const bottom = doc.page.height - LAYOUT.margin - LAYOUT.rowHeight;
+
+    drawHeader();
+
+    rows.forEach((row) => {
+        if (doc.y > bottom) {
+            doc.addPage();
+            drawHeader();
+        }
+        drawRow(doc, columns, columns.map((column) => column.value(row)));
+    });
+
+    if (totals) {
+        if (doc.y > bottom) {
+            doc.addPage();
+        }
+        drawRow(doc, columns, columns.map((column) => (column.total ? column.total(totals) : '')), { bold: true });
+    }
+
+    doc.moveDown();
+};
+
+// Sayfa numaralarını ve oluşturulma tarihini yaz, belgeyi Buffer olarak döndür
+const finish = (doc, settings) => new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { start, count } = doc.bufferedPageRange();
+    const createdAt = Format.date(new Date(), settings.date_format);
+
+    for (let index = start; index < start + count; index++) {
+        doc.switchToPage(index);
+        // Alt kenar boşluğuna yazarken pdfkit'in yeni sayfa açmasını engelle
+        doc.page.margins.bottom = 0;
+        doc.font('regular').fontSize(7).text(
+            `${createdAt} - Sayfa ${index - start + 1} / ${count}`,
+            LAYOUT.margin,
+            doc.page.height - LAYOUT.margin + 10,
+            { width: doc.page.width - LAYOUT.margin * 2, align: 'right', lineBreak: false }
+        );
+    }
+
+    doc.end();
+});
+
+/**
+ * PDF Report Service
+ * Tüm fonksiyonlar modelin döndürdüğü veriyi alır ve PDF Buffer'ı döndürür; şirket adı, tarih
+ * biçimi ve ondalık basamak sayısı şirket ayarlarından okunur (UserSettings.getDisplaySettings).
+ * @namespace PdfReports
+ */
+const PdfReports = {
+    // Cari hesap ekstresi (Reports.getAccountStatement)
+    renderAccountStatement: async (context, statement) => {
+        const settings = await UserSettings.getDisplaySettings(db, context.companyId);
+        const amount = (value) => Format.amount(value, settings.decimal_places);
+        const date = (value) => Format.date(value, settings.date_format);
+        const period = statement.from || statement.to
+            ? `${statement.from ? date(statement.from) : '...'} - ${statement.to ? date(statement.to) : '...'}`
+            : 'Tüm hareketler';
+
+        const doc = createDocument(settings, 'Cari Hesap Ekstresi', [
+            `Cari: ${[statement.account.account_code, statement.account.account_name].filter(Boolean).join(' - ')}`,
+            `Dönem: ${period}`,
+            `Tutarlar: ${statement.base_currency}`
+        ]);
+
+        drawTable(doc, [
+            { header: 'Tarih', width: 0.1, value: (line) => date(line.date) },
+            { header: 'Tür', width: 0.09, value: (line) => (line.source === 'journal_entry' ? 'Yevmiye' : Format.label('transaction_type', line.transaction_type)) },
+            { header: 'Açıklama', width: 0.25, value: (line) => line.description || '', total: () => 'Toplam' },
+            { header: 'Belge No', width: 0.12, value: (line) => line.reference_number || '' },
+            { header: 'Borç', width: 0.15, align: 'right', value: (line) => amount(line.debit), total: (totals) => amount(totals.total_debit) },
+            { header: 'Alacak', width: 0.15, align: 'right', value: (line) => amount(line.credit), total: (totals) => amount(totals.total_credit) },
+            { header: 'Bakiye', width: 0.14, align: 'right', value: (line) => amount(line.balance), total: (totals) => amount(totals.closing_balance) }
+        ], [
+            { date: statement.from, source: 'opening', description: 'Açılış bakiyesi', debit: null, credit: null, balance: statement.opening_balance },
+            ...statement.lines
+        ], statement);
+
+        return finish(doc, settings);
+    },
+
+    // Alacak/borç yaşlandırma raporu (Reports.getAgingReport)
+    renderAgingReport: async (context, report) => {
+        const settings = await UserSettings.getDisplaySettings(db, context.companyId);
+        const amount = (value) => Format.amount(value, settings.decimal_places);
+
+        const doc = createDocument(settings, 'Alacak/Borç Yaşlandırma Raporu', [
+            `Rapor tarihi: ${Format.date(report.as_of, settings.date_format)}`,
+            `Tutarlar: ${report.base_currency}`
+        ]);
+
+        const columns = [
+            { header: 'Cari Kodu', width: 0.1, value: (account) => account.account_code || '' },
+            { header: 'Cari Adı', width: 0.2, value: (account) => account.account_name, total: () => 'Toplam' },
+            { header: 'Kalem', width: 0.06, align: 'right', value: (account) => String(account.item_count) },
+            ...[...report.buckets, 'total'].map((bucket) => ({
+                header: AGING_BUCKET_LABELS[bucket],
+                width: 0.64 / (report.buckets.length + 1),
+                align: 'right',
+                value: (account) => amount(account[bucket]),
+                total: (totals) => amount(totals[bucket])
+            }))
+        ];
+
+        drawHeading(doc, 'Alacaklar');
+        drawTable(doc, columns, report.receivables.accounts, report.receivables.totals);
+        drawHeading(doc, 'Borçlar');
+        drawTable(doc, columns, report.payables.accounts, report.payables.totals);
+
+        return finish(doc, settings);
+    },
+
+    // İşlem türlerine göre özet (Transactions.getTransactionSummaryByType)
+    renderTransactionSummary: async (context, summary) => {
+        const settings = await UserSettings.getDisplaySettings(db, context.companyId);
+        const amount = (value) => Format.amount(value, settings.decimal_places);
+        const typeLabel = (row) => Format.label('transaction_type', row.transaction_type);
+
+        const doc = createDocument(settings, 'İşlem Özeti', [
+            `Tutarlar: ${summary.base_currency}`
+        ]);
+
+        drawHeading(doc, 'İşlem Türlerine Göre');
+        drawTable(doc, [
+            { header: 'Tür', width: 0.13, value: typeLabel },
+            { header: 'Adet', width: 0.08, align: 'right', value: (row) => String(row.transaction_count) },
+            { header: 'Toplam', width: 0.17, align: 'right', value: (row) => amount(row.total_amount) },
+            { header: 'Ortalama', width: 0.16, align: 'right', value: (row) => amount(row.average_amount) },
+            { header: 'En Düşük', width: 0.15, align: 'right', value: (row) => amount(row.min_amount) },
+            { header: 'En Yüksek', width: 0.16, align: 'right', value: (row) => amount(row.max_amount) },
+            { header: 'Kur Farkı', width: 0.15, align: 'right', value: (row) => amount(row.fx_gain_loss || 0) }
+        ], summary.data);
+
+        drawHeading(doc, 'Para Birimlerine Göre');
+        drawTable(doc, [
+            { header: 'Tür', width: 0.2, value: typeLabel },
+            { header: 'Para Birimi', width: 0.16, value: (row) => row.currency },
+            { header: 'Adet', width: 0.12, align: 'right', value: (row) => String(row.transaction_count) },
+            { header: 'Döviz Tutarı', width: 0.26, align: 'right', value: (row) => amount(row.total_currency_amount) },
+            { header: `Tutar (${summary.base_currency})`, width: 0.26, align: 'right', value: (row) => amount(row.total_amount) }
+        ], summary.by_currency);
+
+        return finish(doc, settings);
+    }
+};
+
+module.exports = PdfReports;
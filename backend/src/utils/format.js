@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Display formatting
+ * @description Formats dates per the date_format setting, money amounts with Turkish digit
+ * grouping and enum values as Turkish labels for documents (PDF, CSV, Excel)
+ * @version 1.0.0
+ */
+
+const Money = require('./money');
+
+/**
+ * date_format ayarı yoksa kullanılan tarih biçimi
+ * @type {string}
+ */
+const DEFAULT_DATE_FORMAT = 'DD/MM/YYYY';
+
+/**
+ * Tarih biçimindeki alanlar; diğer karakterler olduğu gibi yazılır
+ * @type {RegExp}
+ */
+const DATE_TOKEN_PATTERN = /YYYY|MM|DD/g;
+
+/**
+ * ISO tarih metni (YYYY-MM-DD, saat kısmı yok sayılır)
+ * @type {RegExp}
+ */
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})/;
+
+/**
+ * Belgelerde alan değerlerinin Türkçe adları (alan adı -> değer -> ad)
+ * @type {Object<string, Object<string, string>>}
+ */
+const LABELS = {
+    transaction_type: {
+        income: 'Gelir',
+        expense: 'Gider',
+        receivable: 'Alacak',
+        payable: 'Borç'
+    },
+    payment_method: {
+        cash: 'Nakit',
+        bank_transfer: 'Havale/EFT',
+        check: 'Çek',
+        credit_card: 'Kredi Kartı'
+    },
+    status: {
+        completed: 'Tamamlandı',
+        pending: 'Bekliyor',
+        cancelled: 'İptal'
+    },
+    account_type: {
+        customer: 'Müşteri',
+        supplier: 'Tedarikçi',
+        both: 'Müşteri/Tedarikçi'
+    }
+};
+
+// Tarihi yıl, ay, gün parçalarına ayır - Date nesneleri yerel saatle okunur
+// (mysql2 DATE sütunlarını yerel gece yarısı olarak döndürür)
+const dateParts = (value) => {
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime())
+            ? null
+            : {
+                YYYY: String(value.getFullYear()),
+                MM: String(value.getMonth() + 1).padStart(2, '0'),
+                DD: String(value.getDate()).padStart(2, '0')
+            };
+    }
+
+    const match = ISO_DATE_PATTERN.exec(String(value));
+    return match ? { YYYY: match[1], MM: match[2], DD: match[3] } : null;
+};
+
+/**
+ * Format helpers
+ * @namespace Format
+ */
+const Format = {
+    DEFAULT_DATE_FORMAT,
+    LABELS,
+
+    // Alan değerinin Türkçe adı - tanımsız değer olduğu gibi döner
+    label: (field, value) => (value === null || value === undefined ? '' : LABELS[field][value] || String(value)),
+
+    // Tarihi biçime göre yaz (DD/MM/YYYY, DD.MM.YYYY, YYYY-MM-DD ...) - boş değerde boş metin
+    date: (value, dateFormat = DEFAULT_DATE_FORMAT) => {
+        if (value === null || value === undefined || value === '') {
+            return '';
+        }
+
+        const parts = dateParts(value);
+        if (!parts) {
+            return String(value);
+        }
+
+        return (dateFormat || DEFAULT_DATE_FORMAT).replace(DATE_TOKEN_PATTERN, (token) => parts[token]);
+    },
+
+    // Tutarı Türkçe basamak gruplamasıyla yaz (1.500,50) - boş değerde boş metin
+    amount: (value, decimalPlaces = Money.DEFAULT_DECIMAL_PLACES) => {
+        if (value === null || value === undefined || value === '') {
+            return '';
+        }
+
+        const [whole, fraction] = Money.toFixed(Money.parse(value), decimalPlaces).split('.');
+        const negative = whole.startsWith('-');
+        const grouped = (negative ? whole.slice(1) : whole).replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+
+        return `${negative ? '-' : ''}${grouped}${fraction ? `,${fraction}` : ''}`;
+    }
+};
+
+module.exports = Format;
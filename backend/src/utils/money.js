@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Money arithmetic
+ * @description Decimal-safe parsing, rounding, summation, currency conversion and output of
+ * money amounts using integer minor units
+ * @version 1.0.0
+ */
+
+/**
+ * Tutarların saklandığı ondalık basamak sayısı (DECIMAL(19, 4) sütunları).
+ * Tüm tutarlar bellekte bu ölçekte tam sayı birim olarak tutulur: 1 birim = 0.0001
+ * @type {number}
+ */
+const STORAGE_SCALE = 4;
+
+/**
+ * Kurların ondalık basamak sayısı (DECIMAL(18, 6) sütunları)
+ * @type {number}
+ */
+const RATE_SCALE = 6;
+
+/**
+ * decimal_places ayarı yoksa veya geçersizse kullanılan ondalık basamak sayısı
+ * @type {number}
+ */
+const DEFAULT_DECIMAL_PLACES = 2;
+
+/**
+ * Ondalık sayı metni: işaret, tam kısım ve kesir kısmı
+ * @type {RegExp}
+ */
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?$/;
+
+// 10'un kuvveti (BigInt)
+const pow10 = (exponent) => 10n ** BigInt(exponent);
+
+// BigInt bölme - sonuç sıfırdan uzağa yuvarlanır (yarım kuruş yukarı)
+const divideRounded = (dividend, divisor) => {
+    const negative = (dividend < 0n) !== (divisor < 0n);
+    const absDividend = dividend < 0n ? -dividend : dividend;
+    const absDivisor = divisor < 0n ? -divisor : divisor;
+    const quotient = (absDividend * 2n + absDivisor) / (absDivisor * 2n);
+
+    return negative ? -quotient : quotient;
+};
+
+// BigInt birimi güvenli tam sayıya çevir
+const toSafeUnits = (units) => {
+    const result = Number(units);
+    if (!Number.isSafeInteger(result)) {
+        throw new Error('Tutar desteklenen aralığın dışında');
+    }
+
+    return result;
+};
+
+// Sayı veya ondalık metni verilen ölçekte BigInt'e çevir; fazla basamaklar yuvarlanır
+// Geçersiz değerde null döner
+const parseScaled = (value, scale) => {
+    if (value === null || value === undefined || typeof value === 'boolean') {
+        return null;
+    }
+
+    let text = value;
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            return null;
+        }
+        // Kayan nokta artıklarını (0.1 + 0.2 = 0.30000000000000004) ölçeğin iki basamak ötesinde at
+        text = value.toFixed(scale + 2);
+    }
+
+    const match = DECIMAL_PATTERN.exec(String(text).trim());
+    if (!match || (match[2] === '' && !match[3])) {
+        return null;
+    }
+
+    const [, sign, whole, fraction = ''] = match;
+    let units = BigInt(whole || '0') * pow10(scale) + BigInt(fraction.slice(0, scale).padEnd(scale, '0') || '0');
+
+    if (fraction.length > scale && fraction[scale] >= '5') {
+        units += 1n;
+    }
+
+    return sign === '-' ? -units : units;
+};
+
+// Ondalık basamak sayısını 0..STORAGE_SCALE aralığına getir
+const normalizeDecimalPlaces = (value) => {
+    const decimalPlaces = Number(value);
+
+    return Number.isInteger(decimalPlaces) && decimalPlaces >= 0 && decimalPlaces <= STORAGE_SCALE
+        ? decimalPlaces
+        : DEFAULT_DECIMAL_PLACES;
+};
+
+/**
+ * Money helpers
+ * Tutarlar hesaplamalarda tam sayı birim (1 birim = 0.0001) olarak taşınır; veritabanına
+ * ve JSON yanıtlarına toNumber ile yazılır.
+ * @namespace Money
+ */
+const Money = {
+    STORAGE_SCALE,
+    DEFAULT_DECIMAL_PLACES,
+    MAX_DECIMAL_PLACES: STORAGE_SCALE,
+
+    // decimal_places ayar değerini doğrula, geçersizse varsayılanı döndür
+    normalizeDecimalPlaces,
+
+    // Değer geçerli bir tutar mı (sayı veya ondalık metin)
+    isValid: (value) => parseScaled(value, STORAGE_SCALE) !== null,
+
+    // Tutarı birime çevir ve ondalık basamak sayısına yuvarla - geçersiz değerde NaN
+    parse: (value, decimalPlaces = STORAGE_SCALE) => {
+        const units = parseScaled(value, STORAGE_SCALE);
+        if (units === null) {
+            return NaN;
+        }
+
+        return Money.round(toSafeUnits(units), decimalPlaces);
+    },
+
+    // Birimi ondalık basamak sayısına yuvarla (sıfırdan uzağa)
+    round: (units, decimalPlaces = STORAGE_SCALE) => {
+        const step = pow10(STORAGE_SCALE - normalizeDecimalPlaces(decimalPlaces));
+
+        return toSafeUnits(divideRounded(BigInt(units), step) * step);
+    },
+
+    // Tutarları topla - birim döner
+    sum: (values) => values.reduce((total, value) => total + Money.parse(value), 0),
+
+    // Birimi kurla çarpıp ondalık basamak sayısına yuvarla (ana para birimine çeviri)
+    convert: (units, rate, decimalPlaces = STORAGE_SCALE) => {
+        const rateUnits = parseScaled(rate, RATE_SCALE);
+        if (rateUnits === null) {
+            throw new Error('Geçersiz kur');
+        }
+
+        return Money.round(toSafeUnits(divideRounded(BigInt(units) * rateUnits, pow10(RATE_SCALE))), decimalPlaces);
+    },
+
+    // Birimi JSON ve veritabanı için sayıya çevir (1500.5)
+    toNumber: (units) => Number(Money.toFixed(units, STORAGE_SCALE)),
+
+    // Birimi sabit ondalık basamaklı metne çevir (mesajlar için: "1500.50")
+    toFixed: (units, decimalPlaces = DEFAULT_DECIMAL_PLACES) => {
+        const places = normalizeDecimalPlaces(decimalPlaces);
+        const rounded = BigInt(Money.round(units, places)) / pow10(STORAGE_SCALE - places);
+        const negative = rounded < 0n;
+        const digits = (negative ? -rounded : rounded).toString().padStart(places + 1, '0');
+        const whole = digits.slice(0, digits.length - places);
+        const fraction = places > 0 ? `.${digits.slice(digits.length - places)}` : '';
+
+        return `${negative ? '-' : ''}${whole}${fraction}`;
+    }
+};
+
+module.exports = Money;
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Cursor pagination
+ * @description Keyset pagination for list queries: parses ?sort=, builds the ORDER BY and the
+ * condition that continues after the last row of the previous page, and encodes that row as an
+ * opaque cursor
+ * @version 1.0.0
+ */
+
+const Format = require('./format');
+
+/**
+ * Bir sayfada dönebilecek en fazla kayıt; daha büyük limit bu değere indirilir
+ * @type {number}
+ */
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Tüm sonuçlar sayfa sayfa okunurken (dışa aktarma) bir sayfada getirilen kayıt sayısı
+ * @type {number}
+ */
+const BATCH_SIZE = 500;
+
+// Sıralama değerini çöz: 'alan' artan, '-alan' azalan
+const parseSort = (sort) => ({
+    field: sort.replace(/^-/, ''),
+    descending: sort.startsWith('-')
+});
+
+// İmleçte saklanacak sıralama değeri - DATE sütunları YYYY-MM-DD olarak
+const cursorValue = (value) => (value instanceof Date ? Format.date(value, 'YYYY-MM-DD') : value);
+
+/**
+ * Pagination helpers
+ * Sıralama eşitliğinde kayıtlar ID ile (aynı yönde) sıralanır; böylece sıra kararlıdır ve imleç
+ * (son satırın sıralama değeri ve ID'si) bir sonraki sayfanın tam olarak nereden başlayacağını
+ * belirler. Sayfalar arasında eklenen veya silinen kayıtlar satır atlatmaz ya da tekrarlatmaz.
+ * @namespace Pagination
+ */
+const Pagination = {
+    MAX_LIMIT: MAX_PAGE_SIZE,
+
+    // İmleci çöz; bozuksa veya başka bir sıralamayla üretilmişse null
+    decodeCursor: (cursor, sort) => {
+        try {
+            const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+            return position && position.sort === sort && Number.isInteger(position.id) && 'value' in position
+                ? position
+                : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    // Satırdan sonraki sayfanın imlecini üret
+    encodeCursor: (sort, row) => Buffer.from(JSON.stringify({
+        sort,
+        value: cursorValue(row[parseSort(sort).field]),
+        id: row.id
+    })).toString('base64url'),
+
+    // Liste sorgusunun sıralama, imleç koşulu ve LIMIT parçalarını oluştur
+    // options: { sort, cursor, limit, offset } (sorgu parametreleri, şema ile doğrulanmış)
+    // config: { columns: { alan: 'sql sütunu' }, idColumn, defaultSort }
+    // offset yalnızca eski istemciler içindir ve imleç verilmediğinde kullanılır
+    build: ({ sort, cursor, limit, offset } = {}, { columns, idColumn, defaultSort }) => {
+        const activeSort = sort || defaultSort;
+        const { field, descending } = parseSort(activeSort);
+        const column = columns[field];
+        const direction = descending ? 'DESC' : 'ASC';
+        const operator = descending ? '<' : '>';
+        const pageSize = limit ? Math.min(parseInt(limit), MAX_PAGE_SIZE) : null;
+
+        if (!column) {
+            throw new Error(`Sıralanamayan alan: ${field}`);
+        }
+
+        const conditions = [];
+        const params = [];
+
+        if (cursor) {
+            const position = Pagination.decodeCursor(cursor, activeSort);
+            if (!position) {
+                throw new Error('Sayfa imleci geçersiz');
+            }
+
+            if (column === idColumn) {
+                conditions.push(`${idColumn} ${operator} ?`);
+                params.push(position.id);
+            } else {
+                conditions.push(`(${column} ${operator} ? OR (${column} = ? AND ${idColumn} ${operator} ?))`);
+                params.push(position.value, position.value, position.id);
+            }
+        }
+
+        const orderBy = column === idColumn
+            ? `ORDER BY ${idColumn} ${direction}`
+            : `ORDER BY ${column} ${direction}, ${idColumn} ${direction}`;
+
+        // Sonraki sayfa olup olmadığını anlamak için bir kayıt fazla okunur; değerler şema ile
+        // doğrulanmış tam sayılar olduğu için sorguya doğrudan yazılır
+        let limitClause = '';
+        if (pageSize) {
+            limitClause = `LIMIT ${pageSize + 1}`;
+            if (offset && !cursor) {
+                limitClause += ` OFFSET ${parseInt(offset)}`;
+            }
+        }
+
+        return {
+            sort: activeSort,
+            conditions,
+            params,
+            orderBy,
+            limitClause,
+
+            // Fazladan okunan kaydı çıkar ve sonraki sayfanın imlecini üret
+            toPage: (rows) => {
+                const hasMore = pageSize !== null && rows.length > pageSize;
+                const data = hasMore ? rows.slice(0, pageSize) : rows;
+
+                return {
+                    data,
+                    nextCursor: hasMore ? Pagination.encodeCursor(activeSort, data[data.length - 1]) : null
+                };
+            }
+        };
+    },
+
+    // Sorgunun tüm sonuçlarını imleçle sayfa sayfa oku - her sayfa için onPage(rows); okunan
+    // toplam kayıt sayısını döner
+    // readPage(page): build'in döndürdüğü parçalarla sorguyu çalıştırıp satırları döner
+    // Her sayfa ayrı bir sorgudur; onPage beklenirken bağlantı veya veritabanı işlemi açık
+    // tutulmaz. Sayfalar son satırdan devam ettiği için okuma sürerken eklenen veya silinen
+    // kayıtlar satır atlatmaz ya da tekrarlatmaz.
+    forEachPage: async ({ sort } = {}, config, readPage, onPage) => {
+        let count = 0;
+        let cursor = null;
+
+        do {
+            const page = Pagination.build({ sort, cursor, limit: BATCH_SIZE }, config);
+            const { data, nextCursor } = page.toPage(await readPage(page));
+
+            if (data.length > 0) {
+                await onPage(data);
+            }
+
+            count += data.length;
+            cursor = nextCursor;
+        } while (cursor);
+
+        return count;
+    }
+};
+
+module.exports = Pagination;
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Search text normalization
+ * @description Folds Turkish characters and case so that "Yilmaz", "YILMAZ" and "Yılmaz" compare
+ * equal, builds the accounts.search_text column and measures typo distance between words
+ * @version 1.0.0
+ */
+
+/**
+ * Türkçe ve şapkalı harflerin ASCII karşılıkları (küçük harfe çevrildikten sonra)
+ * @type {Object<string, string>}
+ */
+const FOLDED_LETTERS = {
+    ç: 'c',
+    ğ: 'g',
+    ı: 'i',
+    ö: 'o',
+    ş: 's',
+    ü: 'u',
+    â: 'a',
+    î: 'i',
+    û: 'u'
+};
+
+/**
+ * Yalnızca rakam ve telefon/vergi numarası ayraçlarından oluşan arama terimi
+ * @type {RegExp}
+ */
+const NUMBER_QUERY_PATTERN = /^[\d\s+()\-./]+$/;
+
+/**
+ * Search text helpers
+ * Metinler Türkçe kurallarıyla küçük harfe çevrilir (I -> ı, İ -> i), Türkçe harfler ASCII
+ * karşılıklarına indirilir ve harf/rakam dışındaki karakterler boşluk olur. Telefon ve vergi
+ * numaraları yalnızca rakamlarıyla karşılaştırılır.
+ * @namespace SearchText
+ */
+const SearchText = {
+    // Metni karşılaştırma biçimine getir: 'İpek Ltd. Şti.' -> 'ipek ltd sti'
+    normalize: (text) => String(text ?? '')
+        .toLocaleLowerCase('tr-TR')
+        .replace(/[çğıöşüâîû]/g, (letter) => FOLDED_LETTERS[letter])
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim(),
+
+    // Yalnızca rakamlar: '+90 (555) 123 45 67' -> '905551234567'
+    digits: (text) => String(text ?? '').replace(/\D/g, ''),
+
+    // Arama terimini kelimelere ayır; numara biçimindeki terim tek bir rakam dizisidir
+    // (başındaki sıfırlar atılır, '0555 123' kayıttaki '+90 555 123...' ile eşleşir)
+    tokenize: (query) => {
+        if (NUMBER_QUERY_PATTERN.test(query)) {
+            const number = SearchText.digits(query).replace(/^0+/, '');
+            return number ? [number] : [];
+        }
+
+        const normalized = SearchText.normalize(query);
+        return normalized ? [...new Set(normalized.split(' '))] : [];
+    },
+
+    // Cari kodu ayraçsız karşılaştırılır: 'AH-001' -> 'ah001'
+    code: (text) => SearchText.normalize(text).replace(/ /g, ''),
+
+    // accounts.search_text değeri: ad ve e-posta normalize, kod ayraçsız, telefon ve vergi no
+    // rakam olarak
+    build: ({ account_name, account_code, email, phone, tax_number }) => [
+        SearchText.normalize(account_name),
+        SearchText.code(account_code),
+        SearchText.normalize(email),
+        SearchText.digits(phone),
+        SearchText.digits(tax_number)
+    ].filter(Boolean).join(' '),
+
+    // Kelimenin üçlü harf grupları: 'yilmaz' -> ['yil', 'ilm', 'lma', 'maz']
+    trigrams: (word) => Array.from(
+        { length: Math.max(word.length - 2, 0) },
+        (_, index) => word.slice(index, index + 3)
+    ),
+
+    // İki kelime arasındaki düzenleme uzaklığı (ekleme, silme, değiştirme ve yan yana iki harfin
+    // yer değiştirmesi birer adım)
+    distance: (a, b) => {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return rows[a.length][b.length];
+    }
+};
+
+module.exports = SearchText;
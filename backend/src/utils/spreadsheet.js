@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Spreadsheet reading
+ * @description Reads uploaded CSV (any common delimiter, optional BOM) and XLSX files into rows of
+ * cell texts, maps header titles to fields and parses Turkish-formatted amounts and dates
+ * @version 1.0.0
+ */
+
+const ExcelJS = require('exceljs');
+
+/**
+ * XLSX (zip) dosyalarının ilk baytları
+ * @type {Buffer}
+ */
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+/**
+ * Dışa aktarmada formül olarak yorumlanmasın diye başına ' eklenmiş hücre (bkz. Exports)
+ * @type {RegExp}
+ */
+const ESCAPED_FORMULA_PATTERN = /^'[=+\-@\t\r]/;
+
+/**
+ * Binlik ayracı nokta, ondalık ayracı virgül olan Türkçe tutar (1.500,50 veya 1.234.567)
+ * @type {RegExp}
+ */
+const GROUPED_AMOUNT_PATTERN = /^-?\d{1,3}(\.\d{3})*(,\d+)?$/;
+
+/**
+ * Binlik ayracı olmayan, ondalığı nokta veya virgülle yazılmış tutar (1500.50 veya 1500,50)
+ * @type {RegExp}
+ */
+const PLAIN_AMOUNT_PATTERN = /^-?\d+([.,]\d+)?$/;
+
+/**
+ * Gün önce yazılan tarih (31.01.2024, 31/01/2024, 31-01-2024)
+ * @type {RegExp}
+ */
+const DAY_FIRST_DATE_PATTERN = /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/;
+
+/**
+ * ISO tarih (2024-01-31)
+ * @type {RegExp}
+ */
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// İlk satırda en çok geçen ayraç (Türkçe Excel ';', diğerleri ',' veya sekme kullanır)
+const detectDelimiter = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const counts = [';', ',', '\t'].map((delimiter) => [delimiter, firstLine.split(delimiter).length]);
+    return counts.reduce((best, current) => (current[1] > best[1] ? current : best))[0];
+};
+
+// CSV metnini hücre dizilerine ayır - tırnaklı hücrelerde ayraç, satır sonu ve "" desteklenir
+const parseCsv = (text) => {
+    const delimiter = detectDelimiter(text);
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            record.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[index + 1] === '\n') {
+                index++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    return records.map((cells) => cells.map((cell) => (ESCAPED_FORMULA_PATTERN.test(cell) ? cell.slice(1) : cell)));
+};
+
+// Excel hücresinin metni; tarih hücreleri YYYY-MM-DD (exceljs tarihleri UTC gece yarısı okur)
+const cellText = (cell) => (cell.value instanceof Date ? cell.value.toISOString().slice(0, 10) : cell.text);
+
+// İlk çalışma sayfasını hücre metinleri dizisine çevir
+const parseXlsx = async (file) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file);
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+        return [];
+    }
+
+    const records = [];
+    for (let rowNumber = 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+        const row = worksheet.getRow(rowNumber);
+        const cells = [];
+        for (let column = 1; column <= worksheet.columnCount; column++) {
+            cells.push(cellText(row.getCell(column)));
+        }
+        records.push(cells);
+    }
+
+    return records;
+};
+
+/**
+ * Spreadsheet helpers
+ * @namespace Spreadsheet
+ */
+const Spreadsheet = {
+    // XLSX dosyası mı (zip imzası)
+    isXlsx: (file) => file.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE),
+
+    // UTF-8 metin (BOM atlanır)
+    toText: (file) => file.toString('utf8').replace(/^\uFEFF/, ''),
+
+    // Dosyayı satırlara ayır; zip imzası varsa XLSX, yoksa UTF-8 CSV kabul edilir
+    readRecords: async (file) => (Spreadsheet.isXlsx(file) ? parseXlsx(file) : parseCsv(Spreadsheet.toText(file))),
+
+    // Başlık veya ad karşılaştırması için metni sadeleştir: Türkçe küçük harf, tek boşluk,
+    // sondaki parantezli ek olmadan ("Açılış Bakiyesi (TRY)" -> "açılış bakiyesi")
+    normalizeName: (text) => String(text)
+        .toLocaleLowerCase('tr-TR')
+        .replace(/\s*\(.*\)\s*$/, '')
+        .replace(/\s+/g, ' ')
+        .trim(),
+
+    // Alanların sütun sırasını bul - aliases: { alan: [küçük harf başlıklar] };
+    // mapping ({ alan: başlık }) varsayılan başlıkların önüne geçer
+    resolveColumns: (headers, aliases, mapping = {}) => {
+        const normalizedHeaders = headers.map(Spreadsheet.normalizeName);
+        const columns = {};
+
+        for (const [field, names] of Object.entries(aliases)) {
+            if (mapping[field]) {
+                const index = normalizedHeaders.indexOf(Spreadsheet.normalizeName(mapping[field]));
+                if (index === -1) {
+                    throw new Error(`Eşleştirilen sütun dosyada bulunamadı: ${mapping[field]}`);
+                }
+                columns[field] = index;
+                continue;
+            }
+
+            const index = normalizedHeaders.findIndex((header) => names.includes(header));
+            if (index !== -1) {
+                columns[field] = index;
+            }
+        }
+
+        return columns;
+    },
+
+    // Satırdaki eşleşen sütunların kırpılmış metinleri; boş hücreler alınmaz
+    pick: (cells, columns) => Object.entries(columns).reduce((fields, [field, index]) => {
+        const value = (cells[index] || '').trim();
+        return value === '' ? fields : { ...fields, [field]: value };
+    }, {}),
+
+    // Tutarı (1.500,50 veya 1500.50) noktalı ondalık metne çevir; iki biçimde farklı okunan
+    // (1.500 -> 1500 mü 1,5 mi) veya başka biçimde yazılmış (1,500.50) tutarda NaN
+    parseAmount: (text) => {
+        const value = text.trim();
+        const grouped = GROUPED_AMOUNT_PATTERN.test(value) ? value.replace(/\./g, '').replace(',', '.') : null;
+        const plain = PLAIN_AMOUNT_PATTERN.test(value) ? value.replace(',', '.') : null;
+
+        if (grouped !== null && plain !== null && Number(grouped) !== Number(plain)) {
+            return NaN;
+        }
+
+        return grouped ?? plain ?? NaN;
+    },
+
+    // Tarihi YYYY-MM-DD'ye çevir (31.01.2024, 31/01/2024 veya 2024-01-31); okunamazsa null
+    parseDate: (text) => {
+        const dayFirst = DAY_FIRST_DATE_PATTERN.exec(text);
+        const [year, month, day] = dayFirst
+            ? [dayFirst[3], dayFirst[2], dayFirst[1]].map(Number)
+            : (ISO_DATE_PATTERN.exec(text) || []).slice(1).map(Number);
+
+        if (!year) {
+            return null;
+        }
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+            ? date.toISOString().slice(0, 10)
+            : null;
+    }
+};
+
+module.exports = Spreadsheet;
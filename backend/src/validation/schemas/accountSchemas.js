@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Customer account request schemas
+ * @description Validation schemas for /api/accounts endpoints
+ * @version 1.0.0
+ */
+
+const Accounts = require('../../models/accountModel');
+const { id, idParams, MAX_AMOUNT, currency, iban, format, pagination } = require('./common');
+
+// Oluşturma ve güncellemede ortak cari hesap alanları
+const accountFields = {
+    account_name: { type: 'string', required: true, minLength: 2, maxLength: 255 },
+    account_code: { type: 'string', minLength: 2, maxLength: 50 },
+    group_id: id,
+    phone: { type: 'string', maxLength: 20 },
+    email: { type: 'email', maxLength: 100 },
+    address: { type: 'string' },
+    tax_number: { type: 'string', maxLength: 20 },
+    tax_office: { type: 'string', maxLength: 100 },
+    iban,
+    account_type: { type: 'string', enum: Accounts.ACCOUNT_TYPES },
+    currency
+};
+
+/**
+ * Account endpoint schemas
+ * @namespace accountSchemas
+ */
+const accountSchemas = {
+    // GET /api/accounts?limit=&cursor=&sort=&format=
+    getAllAccounts: {
+        query: {
+            ...pagination(Accounts.SORT_FIELDS, Accounts.DEFAULT_SORT),
+            format: format('csv', 'xlsx')
+        }
+    },
+
+    // GET /api/accounts/:id
+    getAccountById: { params: idParams },
+
+    // POST /api/accounts
+    createAccount: {
+        body: {
+            ...accountFields,
+            opening_balance: { type: 'number', min: -MAX_AMOUNT, max: MAX_AMOUNT }
+        }
+    },
+
+    // POST /api/accounts/import?confirm=&mapping[alan]=başlık
+    importAccounts: {
+        query: {
+            confirm: { type: 'boolean' },
+            mapping: {
+                type: 'object',
+                properties: [
+                    'account_name', 'account_code', 'group_id', 'group_name', 'account_type', 'phone',
+                    'email', 'address', 'tax_number', 'tax_office', 'iban', 'currency', 'opening_balance'
+                ].reduce((fields, field) => ({ ...fields, [field]: { type: 'string' } }), {})
+            }
+        }
+    },
+
+    // PUT /api/accounts/:id
+    updateAccount: {
+        params: idParams,
+        body: {
+            ...accountFields,
+            opening_balance: { type: 'number', min: -MAX_AMOUNT, max: MAX_AMOUNT }
+        }
+    },
+
+    // DELETE /api/accounts/:id?mode=&target_account_id=
+    deleteAccount: {
+        params: idParams,
+        query: {
+            mode: {
+                type: 'string',
+                enum: Accounts.DELETE_MODES,
+                custom: (mode, query) => (mode === 'transfer' && !query.target_account_id
+                    ? 'transfer modu için target_account_id gereklidir'
+                    : null)
+            },
+            target_account_id: id
+        }
+    },
+
+    // POST /api/accounts/:id/restore
+    restoreAccount: {
+        params: idParams,
+        body: {
+            account_code: { type: 'string', minLength: 2, maxLength: 50 },
+            account_name: { type: 'string', minLength: 2, maxLength: 255 }
+        }
+    },
+
+    // GET /api/accounts/type/:type
+    getAccountsByType: {
+        params: {
+            type: { type: 'string', required: true, enum: Accounts.ACCOUNT_TYPES }
+        }
+    },
+
+    // GET /api/accounts/group/:groupId
+    getAccountsByGroup: {
+        params: {
+            groupId: { ...id, required: true }
+        }
+    },
+
+    // GET /api/accounts/search?q=&limit=
+    searchAccounts: {
+        query: {
+            q: { type: 'string', required: true, minLength: 2, maxLength: 100 },
+            limit: { type: 'integer', min: 1, max: 100 }
+        }
+    },
+
+    // GET /api/accounts/:id/balance-check
+    checkAccountBalance: { params: idParams },
+
+    // GET /api/accounts/:id/statement?from=&to=&format=
+    getAccountStatement: {
+        params: idParams,
+        query: {
+            from: { type: 'date' },
+            to: {
+                type: 'date',
+                custom: (to, query) => (query.from && to < query.from
+                    ? 'to tarihi from tarihinden önce olamaz'
+                    : null)
+            },
+            format: format('pdf')
+        }
+    },
+
+    // POST /api/accounts/recalculate-balances
+    recalculateBalances: {
+        body: {
+            fix: { type: 'boolean' },
+            account_ids: { type: 'array', items: id }
+        }
+    }
+};
+
+module.exports = accountSchemas;
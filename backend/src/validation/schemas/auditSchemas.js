@@ -0,0 +1,32 @@
+/**
+ * @fileoverview Audit log request schemas
+ * @description Validation schemas for /api/audit endpoints
+ * @version 1.0.0
+ */
+
+const AuditLog = require('../../models/auditLogModel');
+const { id } = require('./common');
+
+/**
+ * Audit endpoint schemas
+ * @namespace auditSchemas
+ */
+const auditSchemas = {
+    // GET /api/audit?entity=&entity_id=&user_id=&limit=
+    getAuditEntries: {
+        query: {
+            entity: { type: 'string', enum: AuditLog.ENTITIES },
+            entity_id: {
+                type: 'string',
+                maxLength: 100,
+                custom: (entityId, query) => (!query.entity
+                    ? 'entity_id filtresi entity ile birlikte kullanılmalıdır'
+                    : null)
+            },
+            user_id: id,
+            limit: { type: 'integer', min: 1 }
+        }
+    }
+};
+
+module.exports = auditSchemas;
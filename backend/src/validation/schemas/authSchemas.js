@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Authentication request schemas
+ * @description Validation schemas for /api/auth endpoints
+ * @version 1.0.0
+ */
+
+const Users = require('../../models/userModel');
+
+// Yenileme token'ı gerektiren istekler
+const refreshTokenBody = {
+    refresh_token: { type: 'string', required: true }
+};
+
+/**
+ * Auth endpoint schemas
+ * @namespace authSchemas
+ */
+const authSchemas = {
+    // POST /api/auth/register
+    register: {
+        body: {
+            email: { type: 'email', required: true, maxLength: 100 },
+            password: { type: 'string', required: true, minLength: Users.MIN_PASSWORD_LENGTH },
+            full_name: { type: 'string', required: true, maxLength: 255 }
+        }
+    },
+
+    // POST /api/auth/login
+    login: {
+        body: {
+            email: { type: 'string', required: true },
+            password: { type: 'string', required: true }
+        }
+    },
+
+    // POST /api/auth/refresh
+    refresh: { body: refreshTokenBody },
+
+    // POST /api/auth/logout
+    logout: { body: refreshTokenBody }
+};
+
+module.exports = authSchemas;
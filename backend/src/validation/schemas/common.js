@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Shared validation rules
+ * @description Field rules reused by several resource schemas
+ * @version 1.0.0
+ */
+
+const Pagination = require('../../utils/pagination');
+
+/**
+ * Tekil kayıt ID'si (pozitif tam sayı)
+ * @type {Object}
+ */
+const id = { type: 'integer', min: 1 };
+
+/**
+ * :id route parametresi
+ * @type {Object}
+ */
+const idParams = {
+    id: { ...id, required: true }
+};
+
+/**
+ * Tutar alanlarının üst sınırı (DECIMAL(19,4); toplamlar utils/money'nin
+ * güvenli tam sayı aralığında kalır)
+ * @type {number}
+ */
+const MAX_AMOUNT = 99999999999.9999;
+
+/**
+ * ISO 4217 para birimi kodu (USD, EUR, TRY...)
+ * @type {Object}
+ */
+const currency = {
+    type: 'string',
+    pattern: /^[A-Z]{3}$/,
+    patternMessage: '{field} üç harfli büyük harf ISO para birimi kodu olmalıdır (örn. USD)'
+};
+
+// IBAN kontrol basamakları (ISO 13616, mod 97): ilk dört karakter sona alınır,
+// harfler sayıya çevrilir (A=10 ... Z=35) ve kalan 1 olmalıdır
+const hasValidIbanChecksum = (value) => {
+    const iban = value.replace(/\s+/g, '').toUpperCase();
+    const digits = `${iban.slice(4)}${iban.slice(0, 4)}`
+        .replace(/[A-Z]/g, (letter) => String(letter.charCodeAt(0) - 55));
+
+    return [...digits].reduce((remainder, digit) => (remainder * 10 + Number(digit)) % 97, 0) === 1;
+};
+
+/**
+ * IBAN (boşluklu yazılabilir; model boşluksuz büyük harfle saklar)
+ * @type {Object}
+ */
+const iban = {
+    type: 'string',
+    pattern: /^[A-Za-z]{2}\d{2}(?: ?[A-Za-z0-9]){11,30}$/,
+    patternMessage: '{field} geçerli bir IBAN olmalıdır (örn. TR33 0006 1005 1978 6457 8413 26)',
+    custom: (value) => (hasValidIbanChecksum(value) ? null : 'iban kontrol basamakları hatalı')
+};
+
+/**
+ * Döviz kuru (1 birim dövizin ana para birimi karşılığı, DECIMAL(18,6))
+ * @type {Object}
+ */
+const exchangeRate = { type: 'number', positive: true, max: 999999999999 };
+
+/**
+ * Yanıt biçimi (?format=); json varsayılandır, diğerleri dosya olarak indirilir
+ * @param {...string} formats - Endpoint'in desteklediği dosya biçimleri (pdf, csv, xlsx)
+ * @returns {Object}
+ */
+const format = (...formats) => ({ type: 'string', enum: ['json', ...formats] });
+
+/**
+ * Liste sayfalama sorgu alanları (?limit=&cursor=&sort=)
+ * sort: alan (artan) veya -alan (azalan); cursor yalnızca üretildiği sıralamayla geçerlidir
+ * @param {string[]} sortFields - Sıralanabilen alanlar
+ * @param {string} defaultSort - sort verilmediğinde kullanılan sıralama
+ * @returns {Object}
+ */
+const pagination = (sortFields, defaultSort) => ({
+    limit: { type: 'integer', min: 1 },
+    cursor: {
+        type: 'string',
+        maxLength: 500,
+        custom: (value, query) => (Pagination.decodeCursor(value, query.sort || defaultSort)
+            ? null
+            : 'cursor geçersiz veya farklı bir sıralamaya ait')
+    },
+    sort: { type: 'string', enum: sortFields.flatMap((field) => [field, `-${field}`]) }
+});
+
+module.exports = {
+    id,
+    idParams,
+    MAX_AMOUNT,
+    currency,
+    iban,
+    exchangeRate,
+    format,
+    pagination
+};
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Company request schemas
+ * @description Validation schemas for /api/companies endpoints
+ * @version 1.0.0
+ */
+
+const { ROLES } = require('../../config/permissions');
+const { id, idParams } = require('./common');
+
+// Şirket üyeliği rolü
+const role = { type: 'string', enum: Object.values(ROLES) };
+
+/**
+ * Company endpoint schemas
+ * @namespace companySchemas
+ */
+const companySchemas = {
+    // POST /api/companies
+    createCompany: {
+        body: {
+            company_name: { type: 'string', required: true, maxLength: 255 },
+            tax_number: { type: 'string', maxLength: 20 },
+            tax_office: { type: 'string', maxLength: 100 }
+        }
+    },
+
+    // POST /api/companies/:id/users
+    addUserToCompany: {
+        params: idParams,
+        body: {
+            user_id: { ...id, required: true },
+            role
+        }
+    },
+
+    // PUT /api/companies/:id/users/:userId/role
+    updateMemberRole: {
+        params: {
+            ...idParams,
+            userId: { ...id, required: true }
+        },
+        body: {
+            role: { ...role, required: true }
+        }
+    },
+
+    // PUT /api/companies/:id/default
+    setDefaultCompany: { params: idParams }
+};
+
+module.exports = companySchemas;
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Exchange rate request schemas
+ * @description Validation schemas for /api/exchange-rates endpoints
+ * @version 1.0.0
+ */
+
+const { idParams, currency, exchangeRate } = require('./common');
+
+// Tek bir kur kaydı (elle giriş ve içe aktarma)
+const rateFields = {
+    currency: { ...currency, required: true },
+    rate_date: { type: 'date', required: true },
+    rate: { ...exchangeRate, required: true }
+};
+
+/**
+ * Exchange rate endpoint schemas
+ * @namespace exchangeRateSchemas
+ */
+const exchangeRateSchemas = {
+    // GET /api/exchange-rates?currency=&start_date=&end_date=
+    getAllRates: {
+        query: {
+            currency,
+            start_date: { type: 'date' },
+            end_date: { type: 'date' }
+        }
+    },
+
+    // POST /api/exchange-rates
+    saveRate: { body: rateFields },
+
+    // POST /api/exchange-rates/import
+    importRates: {
+        body: {
+            rates: {
+                type: 'array',
+                required: true,
+                minItems: 1,
+                maxItems: 1000,
+                items: { type: 'object', properties: rateFields }
+            }
+        }
+    },
+
+    // DELETE /api/exchange-rates/:id
+    deleteRate: { params: idParams }
+};
+
+module.exports = exchangeRateSchemas;
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Account group request schemas
+ * @description Validation schemas for /api/groups endpoints
+ * @version 1.0.0
+ */
+
+const AccountGroups = require('../../models/groupModel');
+const { idParams, pagination } = require('./common');
+
+// Grup adı (oluşturma ve güncelleme)
+const groupBody = {
+    group_name: { type: 'string', required: true, minLength: 2, maxLength: 100 }
+};
+
+/**
+ * Group endpoint schemas
+ * @namespace groupSchemas
+ */
+const groupSchemas = {
+    // GET /api/groups?limit=&cursor=&sort=
+    getAllGroups: {
+        query: pagination(AccountGroups.SORT_FIELDS, AccountGroups.DEFAULT_SORT)
+    },
+
+    // GET /api/groups/:id
+    getGroupById: { params: idParams },
+
+    // POST /api/groups
+    createGroup: { body: groupBody },
+
+    // PUT /api/groups/:id
+    updateGroup: { params: idParams, body: groupBody },
+
+    // DELETE /api/groups/:id
+    deleteGroup: { params: idParams },
+
+    // GET /api/groups/:id/accounts/count
+    getGroupAccountCount: { params: idParams }
+};
+
+module.exports = groupSchemas;
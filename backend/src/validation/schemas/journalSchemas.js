@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Journal request schemas
+ * @description Validation schemas for /api/journal endpoints
+ * @version 1.0.0
+ */
+
+const { id, idParams, MAX_AMOUNT } = require('./common');
+
+// Tarih aralığı filtreleri
+const dateRangeQuery = {
+    start_date: { type: 'date' },
+    end_date: { type: 'date' }
+};
+
+/**
+ * Journal endpoint schemas
+ * @namespace journalSchemas
+ */
+const journalSchemas = {
+    // GET /api/journal/trial-balance
+    getTrialBalance: { query: dateRangeQuery },
+
+    // GET /api/journal
+    getAllEntries: {
+        query: {
+            ...dateRangeQuery,
+            account_id: id
+        }
+    },
+
+    // GET /api/journal/:id
+    getEntryById: { params: idParams },
+
+    // POST /api/journal
+    // Borç/alacak dengesi ve hesap planı kontrolleri modelde yapılır
+    createEntry: {
+        body: {
+            entry_date: { type: 'date', required: true },
+            description: { type: 'string', maxLength: 1000 },
+            reference_number: { type: 'string', maxLength: 100 },
+            lines: {
+                type: 'array',
+                required: true,
+                minItems: 2,
+                items: {
+                    type: 'object',
+                    properties: {
+                        ledger_account_id: { ...id, required: true },
+                        account_id: id,
+                        debit: { type: 'number', min: 0, max: MAX_AMOUNT },
+                        credit: { type: 'number', min: 0, max: MAX_AMOUNT },
+                        description: { type: 'string', maxLength: 255 }
+                    }
+                }
+            }
+        }
+    },
+
+    // DELETE /api/journal/:id
+    deleteEntry: { params: idParams }
+};
+
+module.exports = journalSchemas;
@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Report request schemas
+ * @description Validation schemas for /api/reports endpoints
+ * @version 1.0.0
+ */
+
+const Accounts = require('../../models/accountModel');
+const { id, format } = require('./common');
+
+/**
+ * Report endpoint schemas
+ * @namespace reportSchemas
+ */
+const reportSchemas = {
+    // GET /api/reports/aging?as_of=&group_id=&account_type=&format=
+    getAgingReport: {
+        query: {
+            as_of: { type: 'date' },
+            group_id: id,
+            account_type: { type: 'string', enum: Accounts.ACCOUNT_TYPES },
+            format: format('pdf')
+        }
+    }
+};
+
+module.exports = reportSchemas;
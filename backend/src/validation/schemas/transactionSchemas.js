@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Transaction request schemas
+ * @description Validation schemas for /api/transactions endpoints
+ * @version 1.0.0
+ */
+
+const Transactions = require('../../models/transactionModel');
+const { id, idParams, MAX_AMOUNT, currency, exchangeRate, format, pagination } = require('./common');
+
+// Banka ekstresi sütun eşleştirmesi (?mapping[alan]=başlık)
+const statementMapping = {
+    type: 'object',
+    properties: [
+        'transaction_date', 'description', 'amount', 'debit', 'credit', 'reference_number',
+        'iban', 'tax_number', 'counterparty', 'currency'
+    ].reduce((fields, field) => ({ ...fields, [field]: { type: 'string' } }), {})
+};
+
+// Oluşturma ve güncellemede ortak hareket alanları
+const transactionBody = {
+    account_id: { ...id, required: true },
+    transaction_type: { type: 'string', required: true, enum: Transactions.TRANSACTION_TYPES },
+    amount: { type: 'number', required: true, positive: true, max: MAX_AMOUNT },
+    transaction_date: { type: 'date', required: true },
+    due_date: { type: 'date' },
+    payment_method: { type: 'string', enum: Transactions.PAYMENT_METHODS },
+    status: { type: 'string', enum: Transactions.STATUSES },
+    description: { type: 'string', maxLength: 1000 },
+    reference_number: { type: 'string', maxLength: 100 },
+    currency,
+    exchange_rate: exchangeRate,
+    settles_transaction_id: id
+};
+
+/**
+ * Transaction endpoint schemas
+ * @namespace transactionSchemas
+ */
+const transactionSchemas = {
+    // GET /api/transactions?limit=&cursor=&sort=&format=
+    getAllTransactions: {
+        query: {
+            ...pagination(Transactions.SORT_FIELDS, Transactions.DEFAULT_SORT),
+            format: format('csv', 'xlsx')
+        }
+    },
+
+    // GET /api/transactions/:id
+    getTransactionById: { params: idParams },
+
+    // POST /api/transactions
+    createTransaction: { body: transactionBody },
+
+    // POST /api/transactions/bank-statement/preview?mapping[alan]=başlık
+    previewBankStatement: {
+        query: {
+            mapping: statementMapping
+        }
+    },
+
+    // POST /api/transactions/bank-statement/confirm
+    postBankStatement: {
+        body: {
+            lines: {
+                type: 'array',
+                required: true,
+                minItems: 1,
+                maxItems: 5000,
+                items: { type: 'object', properties: transactionBody }
+            }
+        }
+    },
+
+    // POST /api/transactions/reconciliation/preview?mapping[alan]=başlık&date_tolerance=
+    previewReconciliation: {
+        query: {
+            mapping: statementMapping,
+            account_id: id,
+            payment_method: { type: 'string', enum: Transactions.PAYMENT_METHODS },
+            currency,
+            date_tolerance: { type: 'integer', min: 0, max: 31 }
+        }
+    },
+
+    // POST /api/transactions/reconciliation/confirm
+    confirmReconciliation: {
+        body: {
+            transaction_ids: {
+                type: 'array',
+                required: true,
+                minItems: 1,
+                maxItems: 5000,
+                items: { ...id, required: true }
+            }
+        }
+    },
+
+    // DELETE /api/transactions/:id/reconciliation
+    unreconcileTransaction: { params: idParams },
+
+    // PUT /api/transactions/:id
+    updateTransaction: { params: idParams, body: transactionBody },
+
+    // DELETE /api/transactions/:id
+    deleteTransaction: { params: idParams },
+
+    // POST /api/transactions/:id/restore
+    restoreTransaction: {
+        params: idParams,
+        body: {
+            reference_number: { type: 'string', maxLength: 100 }
+        }
+    },
+
+    // GET /api/transactions/filter?...&limit=&cursor=&sort=&format=
+    getFilteredTransactions: {
+        query: {
+            account_id: id,
+            transaction_type: { type: 'string', enum: Transactions.TRANSACTION_TYPES },
+            min_amount: { type: 'number' },
+            max_amount: { type: 'number' },
+            start_date: { type: 'date' },
+            end_date: { type: 'date' },
+            search: { type: 'string', minLength: 2 },
+            status: { type: 'string', enum: Transactions.STATUSES },
+            payment_method: { type: 'string', enum: Transactions.PAYMENT_METHODS },
+            currency,
+            reconciled: { type: 'boolean' },
+            ...pagination(Transactions.SORT_FIELDS, Transactions.DEFAULT_SORT),
+            // Eski istemciler için; cursor verildiğinde yok sayılır
+            offset: { type: 'integer', min: 0 },
+            format: format('csv', 'xlsx')
+        }
+    },
+
+    // GET /api/transactions/summary?format=
+    getTransactionSummary: {
+        query: {
+            format: format('pdf')
+        }
+    },
+
+    // GET /api/transactions/account/:accountId
+    getTransactionsByAccount: {
+        params: {
+            accountId: { ...id, required: true }
+        }
+    }
+};
+
+module.exports = transactionSchemas;
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview User management request schemas
+ * @description Validation schemas for /api/users endpoints
+ * @version 1.0.0
+ */
+
+const { ROLES } = require('../../config/permissions');
+const { idParams } = require('./common');
+
+/**
+ * User endpoint schemas
+ * @namespace userSchemas
+ */
+const userSchemas = {
+    // PUT /api/users/:id/role
+    updateUserRole: {
+        params: idParams,
+        body: {
+            role: { type: 'string', required: true, enum: Object.values(ROLES) }
+        }
+    }
+};
+
+module.exports = userSchemas;
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview User settings request schemas
+ * @description Validation schemas for /api/settings endpoints
+ * @version 1.0.0
+ */
+
+const UserSettings = require('../../models/userSettingsModel');
+
+// :settingName route parametresi
+const settingNameParams = {
+    settingName: { type: 'string', required: true, maxLength: 100 }
+};
+
+// Ayar değerinin belirtilen tipe uygunluğunu kontrol et
+const checkSettingValue = (value, body) => {
+    const settingType = body.setting_type || 'string';
+
+    if (settingType === 'number' && (typeof value === 'boolean' || isNaN(value))) {
+        return 'setting_value number tipi için sayısal bir değer olmalıdır';
+    }
+
+    if (settingType === 'json' && typeof value === 'string') {
+        try {
+            JSON.parse(value);
+        } catch (error) {
+            return 'setting_value json tipi için geçerli bir JSON olmalıdır';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Settings endpoint schemas
+ * @namespace userSettingsSchemas
+ */
+const userSettingsSchemas = {
+    // GET /api/settings/:settingName
+    getSetting: { params: settingNameParams },
+
+    // PUT /api/settings/:settingName
+    setSetting: {
+        params: settingNameParams,
+        body: {
+            setting_value: { required: true, allowEmpty: true, custom: checkSettingValue },
+            setting_type: { type: 'string', enum: UserSettings.SETTING_TYPES },
+            description: { type: 'string', maxLength: 255 }
+        }
+    },
+
+    // DELETE /api/settings/:settingName
+    deleteSetting: { params: settingNameParams },
+
+    // GET /api/settings/category/:category
+    getSettingsByCategory: {
+        params: {
+            category: { type: 'string', required: true, maxLength: 50 }
+        }
+    },
+
+    // POST /api/settings/bulk
+    // Tek tek ayarların kontrolü controller'da yapılır (kısmi başarı 207 ile döner)
+    setBulkSettings: {
+        body: {
+            settings: { type: 'array', required: true, minItems: 1, maxItems: 50, items: { type: 'object' } }
+        }
+    }
+};
+
+module.exports = userSettingsSchemas;
@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Declarative request validator
+ * @description Checks request params, query and body against field rule schemas and
+ * collects every field error instead of stopping at the first one
+ * @version 1.0.0
+ */
+
+/**
+ * Şemada kullanılabilecek istek bölümleri
+ * @type {string[]}
+ */
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Desteklenen alan tipleri
+ * - string: metin
+ * - integer: tam sayı (query/params için sayısal metin de kabul edilir)
+ * - number: sayı (sayısal metin de kabul edilir)
+ * - boolean: true/false (query/params için 'true'/'false' metni de kabul edilir)
+ * - date: YYYY-MM-DD formatında geçerli bir takvim tarihi
+ * - email: e-posta adresi
+ * - array: dizi (elemanlar items kuralıyla doğrulanır)
+ * - object: nesne (alanlar properties şemasıyla doğrulanır)
+ * @type {string[]}
+ */
+const TYPES = ['string', 'integer', 'number', 'boolean', 'date', 'email', 'array', 'object'];
+
+/**
+ * Alan kuralında tanınan anahtarlar
+ * - required: alan zorunlu (undefined, null ve boş metin eksik sayılır)
+ * - allowEmpty: zorunlu alanda boş metne izin ver
+ * - enum: izin verilen değerler
+ * - min / max: sayısal alt ve üst sınır
+ * - positive: sıfırdan büyük olmalı
+ * - minLength / maxLength: metin uzunluğu (baştaki ve sondaki boşluklar sayılmaz)
+ * - pattern / patternMessage: düzenli ifade ve eşleşmezse gösterilecek mesaj ({field} alan adıyla değiştirilir)
+ * - minItems / maxItems: dizi eleman sayısı
+ * - items: dizi elemanlarına uygulanan alan kuralı
+ * - properties: nesne alanlarına uygulanan şema
+ * - custom: (value, data) => hata mesajı veya null; diğer kurallar geçtikten sonra çalışır,
+ *   data alanın bulunduğu nesnenin tamamıdır (alanlar arası kontroller için)
+ * @type {string[]}
+ */
+const RULE_KEYS = [
+    'type', 'required', 'allowEmpty', 'enum', 'min', 'max', 'positive',
+    'minLength', 'maxLength', 'pattern', 'patternMessage',
+    'minItems', 'maxItems', 'items', 'properties', 'custom'
+];
+
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const integerRegex = /^-?\d+$/;
+
+// Değerin eksik sayılıp sayılmayacağını belirle
+const isMissing = (value, rule) => {
+    if (value === undefined || value === null) {
+        return true;
+    }
+    return typeof value === 'string' && value.trim() === '' && !rule.allowEmpty;
+};
+
+// YYYY-MM-DD metninin gerçek bir takvim günü olup olmadığını kontrol et
+const isValidDate = (value) => {
+    if (typeof value !== 'string' || !dateRegex.test(value)) {
+        return false;
+    }
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+// Sayısal değeri çöz (sayı veya sayısal metin), geçersizse NaN
+const toNumber = (value) => {
+    if (typeof value === 'number') {
+        return value;
+    }
+    if (typeof value === 'string' && value.trim() !== '') {
+        return Number(value);
+    }
+    return NaN;
+};
+
+// Tip kontrolü; hata varsa mesajı döndür
+const checkType = (field, value, type, location) => {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string' ? null : `${field} metin olmalıdır`;
+        case 'integer': {
+            const valid = typeof value === 'number'
+                ? Number.isInteger(value)
+                : typeof value === 'string' && integerRegex.test(value.trim());
+            return valid ? null : `${field} tam sayı olmalıdır`;
+        }
+        case 'number':
+            return Number.isFinite(toNumber(value)) ? null : `${field} sayısal bir değer olmalıdır`;
+        case 'boolean': {
+            const valid = typeof value === 'boolean' ||
+                (location !== 'body' && (value === 'true' || value === 'false'));
+            return valid ? null : `${field} true veya false olmalıdır`;
+        }
+        case 'date':
+            return isValidDate(value) ? null : `${field} YYYY-MM-DD formatında geçerli bir tarih olmalıdır`;
+        case 'email':
+            return typeof value === 'string' && emailRegex.test(value.trim())
+                ? null
+                : `${field} geçerli bir e-posta adresi olmalıdır`;
+        case 'array':
+            return Array.isArray(value) ? null : `${field} bir dizi olmalıdır`;
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value)
+                ? null
+                : `${field} bir nesne olmalıdır`;
+        default:
+            return null;
+    }
+};
+
+// Tek bir alanı doğrula; hataları errors dizisine ekle
+const validateField = (field, value, rule, data, location, errors) => {
+    const addError = (message, path = field) => errors.push({ location, field: path, message });
+
+    if (isMissing(value, rule)) {
+        if (rule.required) {
+            addError(`${field} alanı gereklidir`);
+        }
+        return;
+    }
+
+    if (rule.type) {
+        const typeError = checkType(field, value, rule.type, location);
+        if (typeError) {
+            addError(typeError);
+            return;
+        }
+    }
+
+    const errorCountBefore = errors.length;
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        addError(`${field} şunlardan biri olmalıdır: ${rule.enum.join(', ')}`);
+    }
+
+    if (['integer', 'number'].includes(rule.type)) {
+        const number = toNumber(value);
+        if (rule.positive && number <= 0) {
+            addError(`${field} sıfırdan büyük olmalıdır`);
+        }
+        if (rule.min !== undefined && number < rule.min) {
+            addError(`${field} en az ${rule.min} olmalıdır`);
+        }
+        if (rule.max !== undefined && number > rule.max) {
+            addError(`${field} en fazla ${rule.max} olabilir`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        const length = value.trim().length;
+        if (rule.minLength !== undefined && length < rule.minLength) {
+            addError(`${field} en az ${rule.minLength} karakter olmalıdır`);
+        }
+        if (rule.maxLength !== undefined && length > rule.maxLength) {
+            addError(`${field} en fazla ${rule.maxLength} karakter olabilir`);
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            addError((rule.patternMessage || '{field} geçersiz formatta').replace('{field}', field));
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (rule.minItems !== undefined && value.length < rule.minItems) {
+            addError(`${field} en az ${rule.minItems} eleman içermelidir`);
+        }
+        if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+            addError(`${field} en fazla ${rule.maxItems} eleman içerebilir`);
+        }
+        if (rule.items) {
+            value.forEach((item, index) => {
+                validateField(`${field}[${index}]`, item, { required: true, ...rule.items }, value, location, errors);
+            });
+        }
+    }
+
+    if (rule.properties && rule.type === 'object') {
+        validateFields(rule.properties, value, location, errors, `${field}.`);
+    }
+
+    // Özel kontrol yalnızca alanın kendi kuralları geçtiyse çalışır
+    if (rule.custom && errors.length === errorCountBefore) {
+        const customError = rule.custom(value, data);
+        if (customError) {
+            addError(customError);
+        }
+    }
+};
+
+// Bir nesnenin alanlarını şemaya göre doğrula
+const validateFields = (fields, data, location, errors, prefix = '') => {
+    const source = data && typeof data === 'object' ? data : {};
+
+    Object.entries(fields).forEach(([name, rule]) => {
+        validateField(`${prefix}${name}`, source[name], rule, source, location, errors);
+    });
+};
+
+// Alan kuralını açılışta kontrol et; yazım hatalı kurallar sessizce yok sayılmasın
+const assertRule = (path, rule) => {
+    Object.keys(rule).forEach((key) => {
+        if (!RULE_KEYS.includes(key)) {
+            throw new Error(`Tanımsız doğrulama kuralı: ${path}.${key}`);
+        }
+    });
+
+    if (rule.type && !TYPES.includes(rule.type)) {
+        throw new Error(`Tanımsız doğrulama tipi: ${path} (${rule.type})`);
+    }
+
+    if (rule.items) {
+        assertRule(`${path}[]`, rule.items);
+    }
+
+    if (rule.properties) {
+        Object.entries(rule.properties).forEach(([name, child]) => assertRule(`${path}.${name}`, child));
+    }
+};
+
+/**
+ * Validator
+ * @namespace Validator
+ */
+const Validator = {
+    LOCATIONS,
+    TYPES,
+
+    /**
+     * Şemanın yapısını kontrol et
+     * @param {Object} schema - { params?, query?, body? } alan kuralları
+     * @throws {Error} Tanımsız bölüm, kural veya tip kullanılmışsa
+     */
+    assertSchema: (schema) => {
+        Object.entries(schema).forEach(([location, fields]) => {
+            if (!LOCATIONS.includes(location)) {
+                throw new Error(`Tanımsız doğrulama bölümü: ${location}`);
+            }
+            Object.entries(fields).forEach(([name, rule]) => assertRule(`${location}.${name}`, rule));
+        });
+    },
+
+    /**
+     * İsteği şemaya göre doğrula
+     * @param {Object} schema - { params?, query?, body? } alan kuralları
+     * @param {Object} request - params, query ve body alanlarını içeren istek
+     * @returns {Array<{location: string, field: string, message: string}>} Tüm alan hataları
+     */
+    validate: (schema, request) => {
+        const errors = [];
+
+        LOCATIONS.forEach((location) => {
+            if (schema[location]) {
+                validateFields(schema[location], request[location], location, errors);
+            }
+        });
+
+        return errors;
+    }
+};
+
+module.exports = Validator;
@@ -0,0 +1,343 @@
+/**
+ * @fileoverview Account route end-to-end tests
+ * @description Requests go through the real Express app, middleware, account controller, models
+ * and services; only the database is replaced with the fake adapter (helpers/fakeDb.js). Company
+ * membership is answered from company_users as well, so nothing is mocked above the database.
+ * @version 1.0.0
+ */
+
+process.env.JWT_SECRET = 'account-route-test-secret';
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../src/app');
+const db = require('../src/config/db');
+const { createFakeDb } = require('./helpers/fakeDb');
+
+// Kullanıcı ID'si şirket üyeliğindeki rolü belirler (1 admin, 2 accountant, 3 viewer)
+const MEMBER_ROLES = ['admin', 'accountant', 'viewer'];
+
+const tokenFor = (role) => jwt.sign(
+    { sub: MEMBER_ROLES.indexOf(role) + 1, email: `${role}@firma.com`, role: 'viewer' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+);
+
+// Listeleme sorgularının döndürdüğü cari hesap satırı
+const accountRow = (overrides = {}) => ({
+    id: 5,
+    account_name: 'Ahmet Yılmaz',
+    account_code: 'AH001',
+    group_id: 2,
+    group_name: 'Müşteriler',
+    phone: '0555 123 45 67',
+    email: 'ahmet@email.com',
+    address: null,
+    tax_number: null,
+    tax_office: null,
+    iban: null,
+    opening_balance: '250.00',
+    balance: '1250.00',
+    account_type: 'customer',
+    currency: 'TRY',
+    is_active: 1,
+    ...overrides
+});
+
+// AuditLog.snapshot ile okunan (SELECT *) cari hesap satırı
+const snapshotRow = (overrides = {}) => ({
+    ...accountRow(),
+    company_id: 1,
+    search_text: 'ahmet yilmaz ah001 ahmet email com 05551234567',
+    ...overrides
+});
+
+describe('cari hesap route\'ları (uçtan uca)', () => {
+    let fakeDb;
+
+    const api = (method, url, role = 'admin') => request(app)[method](`/api/v2/accounts${url}`)
+        .set('Authorization', `Bearer ${tokenFor(role)}`);
+
+    beforeEach(() => {
+        fakeDb = createFakeDb()
+            .when(/FROM companies c INNER JOIN company_users cu/, (params) => [
+                { id: 1, company_name: 'Varsayılan Şirket', role: MEMBER_ROLES[params[0] - 1] }
+            ]);
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    describe('GET /api/v2/accounts', () => {
+        it('şirketin hesaplarını sayfalı döner', async () => {
+            fakeDb
+                .when(/FROM accounts a LEFT JOIN account_groups ag/, [
+                    accountRow(),
+                    accountRow({ id: 6, account_name: 'Ayşe Demir' })
+                ])
+                .when(/SELECT COUNT\(\*\) AS total FROM accounts a/, [{ total: 2 }]);
+
+            const response = await api('get', '/?limit=1', 'viewer');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.total_count).toBe(2);
+            expect(response.body.next_cursor).toEqual(expect.any(String));
+
+            const [list] = fakeDb.queriesMatching(/FROM accounts a LEFT JOIN account_groups ag/);
+            expect(list.params[0]).toBe(1);
+        });
+
+        it('format=csv ile listeyi dosya olarak indirir', async () => {
+            fakeDb.when(/FROM accounts a LEFT JOIN account_groups ag/, [accountRow()]);
+
+            const response = await api('get', '/?format=csv', 'viewer');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toMatch(/^text\/csv/);
+            expect(response.text).toContain('Ahmet Yılmaz');
+        });
+    });
+
+    describe('GET /api/v2/accounts/:id', () => {
+        it('hesabı getirir', async () => {
+            fakeDb.when(/FROM accounts a LEFT JOIN account_groups ag/, [accountRow()]);
+
+            const response = await api('get', '/5', 'viewer');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.account_name).toBe('Ahmet Yılmaz');
+            expect(fakeDb.queriesMatching(/WHERE a\.id = \?/)[0].params).toEqual([5, 1]);
+        });
+
+        it('bulunamayan hesap için 404 döner', async () => {
+            const response = await api('get', '/99', 'viewer');
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Cari hesap bulunamadı');
+        });
+    });
+
+    describe('POST /api/v2/accounts', () => {
+        it('hesabı açılış bakiyesiyle oluşturur', async () => {
+            fakeDb.when(/^INSERT INTO accounts/, { insertId: 9, affectedRows: 1 });
+
+            const response = await api('post', '/', 'accountant')
+                .send({ account_name: '  Ayşe Demir ', account_code: 'AD001', opening_balance: 150.5 });
+
+            expect(response.status).toBe(201);
+            expect(response.body.data).toEqual({
+                id: 9,
+                account_name: 'Ayşe Demir',
+                account_code: 'AD001',
+                currency: 'TRY',
+                message: 'Cari hesap başarıyla oluşturuldu'
+            });
+            expect(fakeDb.transactions.committed).toBe(1);
+
+            const [insert] = fakeDb.queriesMatching(/^INSERT INTO accounts/);
+            expect(insert.params[0]).toBe(1);
+            expect(insert.params.slice(10, 12)).toEqual([150.5, 150.5]);
+        });
+
+        it('kullanılan cari adı için 400 döner ve işlemi geri alır', async () => {
+            fakeDb.when(/WHERE account_name = \?/, [{ id: 5 }]);
+
+            const response = await api('post', '/', 'admin').send({ account_name: 'Ahmet Yılmaz' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Bu cari hesap adı zaten mevcut');
+            expect(fakeDb.transactions.rolledBack).toBe(1);
+            expect(fakeDb.queriesMatching(/^INSERT INTO accounts/)).toHaveLength(0);
+        });
+
+        it('viewer üyeliğiyle 403 döner ve veritabanına yazmaz', async () => {
+            const response = await api('post', '/', 'viewer').send({ account_name: 'Ayşe Demir' });
+
+            expect(response.status).toBe(403);
+            expect(fakeDb.transactions.begun).toBe(0);
+        });
+
+        it('şemaya uymayan gövde için 422 döner', async () => {
+            const response = await api('post', '/', 'admin').send({ account_name: 'A' });
+
+            expect(response.status).toBe(422);
+            expect(fakeDb.transactions.begun).toBe(0);
+        });
+    });
+
+    describe('PUT /api/v2/accounts/:id', () => {
+        it('hesabı günceller', async () => {
+            fakeDb.when(/SELECT \* FROM accounts WHERE id = \?/, [snapshotRow()]);
+
+            const response = await api('put', '/5', 'accountant')
+                .send({ account_name: 'Ahmet Yılmaz Ltd.', account_code: 'AH001' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.account_name).toBe('Ahmet Yılmaz Ltd.');
+            expect(fakeDb.queriesMatching(/^UPDATE accounts SET/)).toHaveLength(1);
+            expect(fakeDb.transactions.committed).toBe(1);
+        });
+
+        it('bulunamayan hesap için 404 döner', async () => {
+            const response = await api('put', '/99', 'accountant').send({ account_name: 'Ahmet Yılmaz' });
+
+            expect(response.status).toBe(404);
+            expect(fakeDb.transactions.rolledBack).toBe(1);
+        });
+    });
+
+    describe('DELETE /api/v2/accounts/:id', () => {
+        beforeEach(() => {
+            fakeDb
+                .when(/SELECT \* FROM accounts WHERE id = \?/, [snapshotRow()])
+                .when(/SELECT \* FROM transactions WHERE account_id = \?/, [
+                    { id: 31, account_id: 5, transaction_type: 'income', amount: '1000.00', base_amount: '1000.00', is_active: 1 }
+                ])
+                .when(/COUNT\(DISTINCT je\.id\)/, [{ count: 0 }]);
+        });
+
+        it('bağlı hareket varken varsayılan modda 400 döner', async () => {
+            const response = await api('delete', '/5', 'admin');
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Bu cari hesaba bağlı 1 hareket ve 0 yevmiye fişi bulunduğu için silinemez (archive veya transfer modunu kullanın)');
+            expect(fakeDb.transactions.rolledBack).toBe(1);
+        });
+
+        it('archive modunda hesabı hareketleriyle birlikte çöp kutusuna taşır', async () => {
+            const response = await api('delete', '/5?mode=archive', 'admin');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toMatchObject({ mode: 'archive', archived_transaction_count: 1, transfer: null });
+            expect(fakeDb.queriesMatching(/^UPDATE transactions SET is_active = 0/)).toHaveLength(1);
+            expect(fakeDb.transactions.committed).toBe(1);
+        });
+
+        it('elle girilmiş yevmiye fişi varken archive modunda 400 döner', async () => {
+            fakeDb.when(/COUNT\(DISTINCT je\.id\)/, [{ count: 1 }]);
+
+            const response = await api('delete', '/5?mode=archive', 'admin');
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toContain('elle girilmiş yevmiye fişi');
+            expect(fakeDb.queriesMatching(/^UPDATE/)).toHaveLength(0);
+        });
+    });
+
+    describe('çöp kutusu', () => {
+        it('GET /deleted silinmiş hesapları listeler', async () => {
+            fakeDb.when(/WHERE a\.company_id = \? AND a\.is_active = 0/, [accountRow({ is_active: 0 })]);
+
+            const response = await api('get', '/deleted', 'viewer');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toHaveLength(1);
+        });
+
+        it('POST /:id/restore hesabı geri yükler ve çöp kutusundaki hareket sayısını döner', async () => {
+            fakeDb
+                .when(/SELECT \* FROM accounts WHERE id = \?/, [snapshotRow({ is_active: 0 })])
+                .when(/SELECT COUNT\(\*\) AS count FROM transactions/, [{ count: 1 }]);
+
+            const response = await api('post', '/5/restore', 'accountant');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toMatchObject({ id: 5, balance: 1250, archived_transaction_count: 1 });
+        });
+
+        it('POST /:id/restore aktif bir hesapla çakışan kod için 409 döner', async () => {
+            fakeDb
+                .when(/SELECT \* FROM accounts WHERE id = \?/, [snapshotRow({ is_active: 0 })])
+                .when(/WHERE account_code = \? AND id != \?/, [{ id: 12 }]);
+
+            const response = await api('post', '/5/restore', 'accountant');
+
+            expect(response.status).toBe(409);
+            expect(response.body.conflict).toEqual({ field: 'account_code', value: 'AH001', conflicting_id: 12 });
+            expect(fakeDb.transactions.rolledBack).toBe(1);
+        });
+    });
+
+    describe('filtreleme ve arama', () => {
+        it('GET /type/:type türe göre listeler', async () => {
+            fakeDb.when(/FROM accounts a LEFT JOIN account_groups ag/, [accountRow()]);
+
+            const response = await api('get', '/type/customer', 'viewer');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toHaveLength(1);
+        });
+
+        it('GET /group/:groupId gruba göre listeler', async () => {
+            fakeDb.when(/FROM accounts a LEFT JOIN account_groups ag/, [accountRow()]);
+
+            const response = await api('get', '/group/2', 'viewer');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toHaveLength(1);
+        });
+
+        it('GET /search Türkçe harflerden bağımsız arar', async () => {
+            fakeDb.when(/search_text LIKE/, [accountRow()]);
+
+            const response = await api('get', '/search?q=YILMAZ', 'viewer');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toHaveLength(1);
+            expect(response.body.data[0]).toMatchObject({ id: 5, matched_fields: ['account_name'] });
+        });
+    });
+
+    describe('bakiye ve ekstre', () => {
+        it('GET /:id/balance-check bulunamayan hesap için 404 döner', async () => {
+            const response = await api('get', '/99/balance-check', 'viewer');
+
+            expect(response.status).toBe(404);
+        });
+
+        it('GET /:id/statement bulunamayan hesap için 404 döner', async () => {
+            const response = await api('get', '/99/statement', 'viewer');
+
+            expect(response.status).toBe(404);
+        });
+
+        it('POST /recalculate-balances kontrol edilen hesap sayısını döner', async () => {
+            const response = await api('post', '/recalculate-balances', 'admin').send({});
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.checked_count).toBe(0);
+        });
+    });
+
+    describe('POST /api/v2/accounts/import', () => {
+        it('CSV dosyasının önizlemesini döner ve işlemi geri alır', async () => {
+            const response = await api('post', '/import', 'admin')
+                .set('Content-Type', 'text/csv')
+                .send('account_name,account_code,opening_balance\nAyşe Demir,AD001,"1.500,50"\n');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.committed).toBe(false);
+            expect(response.body.data.total_rows).toBe(1);
+            expect(fakeDb.transactions).toMatchObject({ committed: 0, rolledBack: 1 });
+
+            const [insert] = fakeDb.queriesMatching(/^INSERT INTO accounts/);
+            expect(insert.params.slice(10, 12)).toEqual([1500.5, 1500.5]);
+        });
+    });
+
+    it('eski /api öneki aynı controller ve modele ulaşır', async () => {
+        fakeDb.when(/FROM accounts a LEFT JOIN account_groups ag/, [accountRow()]);
+
+        const response = await request(app)
+            .get('/api/accounts/5')
+            .set('Authorization', `Bearer ${tokenFor('viewer')}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.id).toBe(5);
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview In-memory fake database adapter for model tests
+ * @description Implements the adapter interface expected by config/db.setAdapter. Queries are
+ * recorded, answered from registered patterns, and transaction boundaries are counted so tests
+ * can assert commit/rollback behaviour without a MySQL server.
+ * @version 1.0.0
+ */
+
+// SQL metnindeki boşlukları tek boşluğa indir (desen eşleştirme ve okunabilir kayıt için)
+const normalizeSql = (sql) => sql.replace(/\s+/g, ' ').trim();
+
+/**
+ * Sahte veritabanı adaptörü oluştur
+ * Kayıtlı bir desene uymayan SELECT sorguları boş sonuç, INSERT/UPDATE/DELETE
+ * sorguları { insertId: 1, affectedRows: 1 } döndürür.
+ * @returns {{adapter: Object, queries: Array, transactions: Object, when: Function, queriesMatching: Function}}
+ */
+const createFakeDb = () => {
+    const handlers = [];
+    const queries = [];
+    const transactions = { begun: 0, committed: 0, rolledBack: 0 };
+
+    const run = async (sql, params = []) => {
+        const text = normalizeSql(sql);
+        queries.push({ sql: text, params });
+
+        const handler = handlers.find(({ pattern }) => pattern.test(text));
+        if (handler) {
+            const result = typeof handler.result === 'function' ? handler.result(params, text) : handler.result;
+            return [result, []];
+        }
+
+        if (/^(INSERT|UPDATE|DELETE)\b/i.test(text)) {
+            return [{ insertId: 1, affectedRows: 1 }, []];
+        }
+
+        return [[], []];
+    };
+
+    const connection = {
+        execute: run,
+        query: run,
+        beginTransaction: async () => { transactions.begun++; },
+        commit: async () => { transactions.committed++; },
+        rollback: async () => { transactions.rolledBack++; },
+        release: () => {}
+    };
+
+    const fakeDb = {
+        adapter: {
+            execute: run,
+            query: run,
+            getConnection: async () => connection,
+            end: async () => {}
+        },
+        queries,
+        transactions,
+
+        // Desene uyan sorgular için dönecek sonucu tanımla (sonradan eklenen önce eşleşir)
+        // result: satır dizisi, sonuç nesnesi veya (params, sql) alan bir fonksiyon
+        when: (pattern, result) => {
+            handlers.unshift({ pattern, result });
+            return fakeDb;
+        },
+
+        // Desene uyan kayıtlı sorguları getir
+        queriesMatching: (pattern) => queries.filter(({ sql }) => pattern.test(sql))
+    };
+
+    return fakeDb;
+};
+
+module.exports = { createFakeDb };
@@ -0,0 +1,19 @@
+/**
+ * @fileoverview Controller stubs for route tests
+ * @description Replaces every handler of a controller with a jest.fn that echoes which
+ * handler was reached, so tests can assert routing without touching the database
+ * @version 1.0.0
+ */
+
+// Controller'daki her handler'ı, hangi handler'a ulaşıldığını döndüren bir jest.fn ile değiştir
+const stubController = (actualController) => Object.keys(actualController).reduce((stubs, handlerName) => ({
+    ...stubs,
+    [handlerName]: jest.fn((req, res) => res.status(200).json({
+        handler: handlerName,
+        params: req.params,
+        query: req.query,
+        body: req.body
+    }))
+}), {});
+
+module.exports = stubController;
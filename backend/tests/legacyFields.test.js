@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Legacy field name layer tests
+ * @description /api accepts the original Turkish/camelCase field names and translates them to
+ * the /api/v2 names before validation; responses and 422 field errors are translated back.
+ * Controllers are stubbed to echo the request they received.
+ * @version 1.0.0
+ */
+
+jest.mock('../src/models/companyModel', () => ({
+    resolveCompanyForUser: jest.fn(async () => ({
+        success: true,
+        data: { id: 1, company_name: 'Varsayılan Şirket', role: 'admin' }
+    }))
+}));
+
+jest.mock('../src/controllers/accountController', () =>
+    require('./helpers/stubController')(jest.requireActual('../src/controllers/accountController')));
+jest.mock('../src/controllers/transactionController', () =>
+    require('./helpers/stubController')(jest.requireActual('../src/controllers/transactionController')));
+
+process.env.JWT_SECRET = 'legacy-test-secret';
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../src/app');
+const { translateLegacyFields } = require('../src/middleware/legacyFieldsMiddleware');
+const { LEGACY_FIELDS } = require('../src/config/legacyFields');
+
+const token = jwt.sign({ sub: 1, email: 'admin@firma.com', role: 'admin' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+
+// Eşlemeyi sahte bir istek/yanıt üzerinde çalıştır, res.json'a giden gövdeyi döndür
+const runMiddleware = (fields, { method = 'GET', body = {}, query = {} } = {}, responseBody = {}) => {
+    const req = { method, body, query };
+    const json = jest.fn();
+    const res = { json };
+
+    translateLegacyFields(fields)(req, res, () => {});
+    res.json(responseBody);
+
+    return { req, sent: json.mock.calls[0][0] };
+};
+
+describe('eski /api istekleri', () => {
+    it('Türkçe hareket alanlarını controller\'a v2 adlarıyla ulaştırır', async () => {
+        const response = await request(app)
+            .post('/api/transactions')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ cari_id: 5, islem_tipi: 'income', tutar: 1500, islem_tarihi: '2024-01-15', aciklama: 'Fatura' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.body).toEqual({
+            account_id: 5,
+            transaction_type: 'income',
+            amount: 1500,
+            transaction_date: '2024-01-15',
+            description: 'Fatura'
+        });
+    });
+
+    it('filtre sorgu parametrelerini çevirir', async () => {
+        const response = await request(app)
+            .get('/api/transactions/filter?cari_id=5&min_tutar=100&aciklama_icinde=fatura&status=pending')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.query).toEqual({ account_id: '5', min_amount: '100', search: 'fatura', status: 'pending' });
+    });
+
+    it('balance alanını yalnızca cari hesap oluştururken açılış bakiyesi sayar', async () => {
+        const created = await request(app)
+            .post('/api/accounts')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ ad_soyad: 'Ahmet Yılmaz', balance: 250 });
+        const updated = await request(app)
+            .put('/api/accounts/5')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ ad_soyad: 'Ahmet Yılmaz', balance: 250 });
+
+        expect(created.body.body).toEqual({ account_name: 'Ahmet Yılmaz', opening_balance: 250 });
+        expect(updated.body.body).toEqual({ account_name: 'Ahmet Yılmaz', balance: 250 });
+    });
+
+    it('aynı alan iki adla gönderilirse v2 adını korur', async () => {
+        const response = await request(app)
+            .post('/api/accounts')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ ad_soyad: 'Eski Ad', account_name: 'Yeni Ad' });
+
+        expect(response.body.body).toEqual({ account_name: 'Yeni Ad' });
+    });
+
+    it('422 hatalarını istemcinin gönderdiği adlarla raporlar', async () => {
+        const response = await request(app)
+            .post('/api/transactions')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ cari_id: 5, islem_tipi: 'income', amount: -5 });
+
+        expect(response.status).toBe(422);
+        expect(response.body.errors).toEqual([
+            { location: 'body', field: 'amount', message: 'amount sıfırdan büyük olmalıdır' },
+            { location: 'body', field: 'islem_tarihi', message: 'islem_tarihi alanı gereklidir' }
+        ]);
+        expect(response.body.error).toBe('amount sıfırdan büyük olmalıdır; islem_tarihi alanı gereklidir');
+    });
+});
+
+describe('/api/v2 istekleri', () => {
+    it('eski alan adlarını tanımaz', async () => {
+        const response = await request(app)
+            .post('/api/v2/transactions')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ cari_id: 5, islem_tipi: 'income', tutar: 1500, islem_tarihi: '2024-01-15' });
+
+        expect(response.status).toBe(422);
+        expect(response.body.errors.map((fieldError) => fieldError.field)).toEqual(
+            ['account_id', 'transaction_type', 'amount', 'transaction_date']
+        );
+    });
+
+    it('yanıt alanlarını olduğu gibi döndürür', async () => {
+        const response = await request(app)
+            .get('/api/v2/transactions/filter?account_id=5')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.query).toEqual({ account_id: '5' });
+    });
+});
+
+describe('translateLegacyFields yanıt çevirisi', () => {
+    it('hareket filtre yanıtını eski adlara çevirir', () => {
+        const { sent } = runMiddleware(LEGACY_FIELDS.transactions, {}, {
+            success: true,
+            data: [{ id: 1, account_id: 5 }],
+            total_count: 12,
+            filters: { account_id: 5, min_amount: 100, status: 'pending' }
+        });
+
+        expect(sent).toEqual({
+            success: true,
+            data: [{ id: 1, account_id: 5 }],
+            totalCount: 12,
+            filters: { cari_id: 5, min_tutar: 100, status: 'pending' }
+        });
+    });
+
+    it('cari hesaba ait hareket yanıtında account_id alanını accountId yapar', () => {
+        const { sent } = runMiddleware(LEGACY_FIELDS.transactions, {}, { success: true, data: [], account_id: 5 });
+
+        expect(sent).toEqual({ success: true, data: [], accountId: 5 });
+    });
+
+    it('varsayılan ayar yanıtındaki sayaçları data altında çevirir', () => {
+        const { sent } = runMiddleware(LEGACY_FIELDS.settings, { method: 'POST' }, {
+            success: true,
+            data: { message: '9 varsayılan ayar oluşturuldu/güncellendi', created_count: 9, total_settings: 9 }
+        });
+
+        expect(sent.data).toEqual({ message: '9 varsayılan ayar oluşturuldu/güncellendi', createdCount: 9, totalSettings: 9 });
+    });
+
+    it('cari hesap arama yanıtında search_term alanını searchTerm yapar', () => {
+        const { sent } = runMiddleware(LEGACY_FIELDS.accounts, {}, { success: true, data: [], search_term: 'ahmet' });
+
+        expect(sent).toEqual({ success: true, data: [], searchTerm: 'ahmet' });
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Accounts model unit tests
+ * @description createAccount validation branches and uniqueness checks, archive deletion and restore
+ * against the fake adapter
+ * @version 1.0.0
+ */
+
+const db = require('../../src/config/db');
+const Accounts = require('../../src/models/accountModel');
+const { createFakeDb } = require('../helpers/fakeDb');
+
+const context = { companyId: 1, userId: 1 };
+
+const validAccount = {
+    account_name: 'Ahmet Yılmaz',
+    account_code: 'AH001',
+    group_id: 2,
+    email: 'ahmet@email.com',
+    balance: '250.75'
+};
+
+describe('Accounts.createAccount', () => {
+    let fakeDb;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb()
+            .when(/FROM account_groups WHERE id = \?/, [{ id: 2 }]);
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it.each([
+        ['cari adı yoksa', { account_name: undefined }, 'Cari hesap adı gereklidir'],
+        ['cari adı boşluktan oluşuyorsa', { account_name: '   ' }, 'Cari hesap adı gereklidir'],
+        ['email formatı geçersizse', { email: 'ahmet@' }, 'Geçersiz email formatı']
+    ])('%s veritabanına gitmeden hata döner', async (_, override, error) => {
+        const result = await Accounts.createAccount(context, { ...validAccount, ...override });
+
+        expect(result).toEqual({ success: false, error });
+        expect(fakeDb.queries).toHaveLength(0);
+    });
+
+    it.each([
+        ['cari kodu kullanılıyorsa', /WHERE account_code = \?/, [{ id: 9 }], 'Bu cari kodu zaten kullanılıyor'],
+        ['cari adı kullanılıyorsa', /WHERE account_name = \?/, [{ id: 9 }], 'Bu cari hesap adı zaten mevcut'],
+        ['grup bulunamazsa', /FROM account_groups WHERE id = \?/, [], 'Belirtilen grup bulunamadı']
+    ])('%s işlemi geri alır', async (_, pattern, rows, error) => {
+        fakeDb.when(pattern, rows);
+
+        const result = await Accounts.createAccount(context, validAccount);
+
+        expect(result).toEqual({ success: false, error });
+        expect(fakeDb.transactions.rolledBack).toBe(1);
+        expect(fakeDb.queriesMatching(/^INSERT INTO accounts/)).toHaveLength(0);
+    });
+
+    it('boş email kontrol edilmez', async () => {
+        const result = await Accounts.createAccount(context, { ...validAccount, email: '' });
+
+        expect(result.success).toBe(true);
+    });
+
+    it('geçerli hesabı açılış bakiyesiyle birlikte kaydeder', async () => {
+        fakeDb.when(/^INSERT INTO accounts/, { insertId: 7, affectedRows: 1 });
+
+        const result = await Accounts.createAccount(context, { ...validAccount, account_name: '  Ahmet Yılmaz  ' });
+
+        expect(result).toEqual({
+            success: true,
+            data: {
+                id: 7,
+                account_name: 'Ahmet Yılmaz',
+                account_code: 'AH001',
+                currency: 'TRY',
+                message: 'Cari hesap başarıyla oluşturuldu'
+            }
+        });
+        expect(fakeDb.transactions.committed).toBe(1);
+
+        const [insert] = fakeDb.queriesMatching(/^INSERT INTO accounts/);
+        expect(insert.params[0]).toBe(1);
+        expect(insert.params[1]).toBe('Ahmet Yılmaz');
+        // Açılış bakiyesi ve güncel bakiye aynı değerle başlar
+        expect(insert.params.slice(10, 12)).toEqual([250.75, 250.75]);
+        // Arama sütunu Türkçe harfler ASCII'ye indirilmiş olarak yazılır
+        expect(insert.params[14]).toBe('ahmet yilmaz ah001 ahmet email com');
+    });
+
+    it('açılış bakiyesini kayan nokta hatası olmadan ondalık basamağa yuvarlar', async () => {
+        const result = await Accounts.createAccount(context, { ...validAccount, balance: 0.1 + 0.2 });
+
+        expect(result.success).toBe(true);
+        const [insert] = fakeDb.queriesMatching(/^INSERT INTO accounts/);
+        expect(insert.params.slice(10, 12)).toEqual([0.3, 0.3]);
+    });
+
+    it('para birimi verilmezse şirketin ana para birimini kullanır', async () => {
+        fakeDb.when(/SELECT base_currency FROM companies/, [{ base_currency: 'EUR' }]);
+
+        const result = await Accounts.createAccount(context, validAccount);
+
+        expect(result.data.currency).toBe('EUR');
+        const [insert] = fakeDb.queriesMatching(/^INSERT INTO accounts/);
+        expect(insert.params[13]).toBe('EUR');
+    });
+});
+
+describe('Accounts.deleteAccount (archive)', () => {
+    let fakeDb;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb()
+            .when(/SELECT \* FROM accounts WHERE id = \?/, [{ id: 7, company_id: 1, is_active: 1, balance: '400.00', currency: 'TRY' }])
+            .when(/SELECT \* FROM transactions WHERE account_id = \?/, [
+                { id: 31, account_id: 7, transaction_type: 'receivable', amount: '400.00', base_amount: '400.00', is_active: 1 }
+            ])
+            .when(/COUNT\(DISTINCT je\.id\)/, [{ count: 0 }]);
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it('bağlı hareketleri bakiye etkisi geri alınarak çöp kutusuna taşır', async () => {
+        const result = await Accounts.deleteAccount(context, 7, { mode: 'archive' });
+
+        expect(result.success).toBe(true);
+        expect(result.data.archived_transaction_count).toBe(1);
+        expect(fakeDb.queriesMatching(/^UPDATE transactions SET is_active = 0/)).toHaveLength(1);
+        expect(fakeDb.queriesMatching(/^UPDATE accounts SET is_active = 0/)).toHaveLength(1);
+        expect(fakeDb.transactions.committed).toBe(1);
+    });
+
+    it('elle girilmiş yevmiye fişi varsa hesabı arşivlemez', async () => {
+        fakeDb.when(/COUNT\(DISTINCT je\.id\)/, [{ count: 2 }]);
+
+        const result = await Accounts.deleteAccount(context, 7, { mode: 'archive' });
+
+        expect(result).toEqual({
+            success: false,
+            error: 'Bu cari hesaba bağlı 2 elle girilmiş yevmiye fişi bulunduğu için arşivlenemez (fişleri silin veya transfer modunu kullanın)'
+        });
+        expect(fakeDb.transactions.rolledBack).toBe(1);
+        expect(fakeDb.queriesMatching(/^UPDATE transactions/)).toHaveLength(0);
+        expect(fakeDb.queriesMatching(/^UPDATE accounts/)).toHaveLength(0);
+    });
+});
+
+describe('Accounts.restoreAccount', () => {
+    let fakeDb;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb()
+            .when(/SELECT \* FROM accounts WHERE id = \?/, [{
+                id: 7,
+                company_id: 1,
+                is_active: 0,
+                account_name: 'Mehmet Kaya',
+                account_code: 'MK001',
+                balance: '250.00'
+            }])
+            .when(/SELECT COUNT\(\*\) AS count FROM transactions/, [{ count: 3 }]);
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it('hesabı kalan bakiyesiyle geri yükler ve çöp kutusundaki hareket sayısını döner', async () => {
+        const result = await Accounts.restoreAccount(context, 7);
+
+        expect(result).toEqual({
+            success: true,
+            data: {
+                id: 7,
+                account_name: 'Mehmet Kaya',
+                account_code: 'MK001',
+                balance: 250,
+                archived_transaction_count: 3,
+                message: 'Cari hesap başarıyla geri yüklendi'
+            }
+        });
+        // Arşivlenen hareketler hesapla birlikte geri yüklenmez
+        expect(fakeDb.queriesMatching(/^UPDATE transactions/)).toHaveLength(0);
+        expect(fakeDb.transactions.committed).toBe(1);
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Companies membership unit tests
+ * @description Adding members and changing their per-company role require the caller to be an
+ * admin member of that company; checked against the fake adapter
+ * @version 1.0.0
+ */
+
+const db = require('../../src/config/db');
+const Companies = require('../../src/models/companyModel');
+const { createFakeDb } = require('../helpers/fakeDb');
+
+const context = { userId: 1 };
+
+// İşlemi yapan kullanıcının şirketteki üyeliği (yoksa boş)
+const callerMembership = (role) => [/SELECT cu\.role FROM company_users cu/, role ? [{ role }] : []];
+
+describe('Companies.addUserToCompany', () => {
+    let fakeDb;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb()
+            .when(/SELECT id FROM users WHERE id = \?/, [{ id: 7 }])
+            .when(/SELECT COUNT\(\*\) AS membership_count/, [{ membership_count: 0 }])
+            .when(...callerMembership('admin'));
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it('şirketin admin üyesi kullanıcıyı verilen rolle ekler', async () => {
+        const result = await Companies.addUserToCompany(context, 2, 7, 'accountant');
+
+        expect(result.data).toMatchObject({ company_id: 2, user_id: 7, role: 'accountant' });
+
+        const [membership] = fakeDb.queriesMatching(/SELECT cu\.role FROM company_users cu/);
+        expect(membership.params).toEqual([2, 1]);
+
+        const [insert] = fakeDb.queriesMatching(/^INSERT IGNORE INTO company_users/);
+        expect(insert.params).toEqual([2, 7, 'accountant', 1]);
+        expect(fakeDb.transactions.committed).toBe(1);
+    });
+
+    it('rol verilmezse viewer olarak ekler', async () => {
+        const result = await Companies.addUserToCompany(context, 2, 7);
+
+        expect(result.data.role).toBe('viewer');
+    });
+
+    it.each([
+        ['şirketin üyesi olmayan kullanıcı (genel rolü admin olsa da)', null, 'Şirket bulunamadı veya bu şirkete erişiminiz yok'],
+        ['şirketteki rolü admin olmayan kullanıcı', 'accountant', 'Şirket üyeliklerini yönetmek için bu şirkette admin rolünüz olmalıdır']
+    ])('%s kimseyi ekleyemez', async (_, role, error) => {
+        fakeDb.when(...callerMembership(role));
+
+        const result = await Companies.addUserToCompany(context, 2, 1, 'admin');
+
+        expect(result).toEqual({ success: false, error });
+        expect(fakeDb.queriesMatching(/INSERT/)).toHaveLength(0);
+    });
+});
+
+describe('Companies.updateMemberRole', () => {
+    let fakeDb;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb()
+            .when(...callerMembership('admin'))
+            .when(/SELECT user_id, role FROM company_users WHERE company_id = \? FOR UPDATE/, [
+                { user_id: 1, role: 'admin' },
+                { user_id: 7, role: 'accountant' }
+            ]);
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it('üyenin rolünü değiştirir', async () => {
+        const result = await Companies.updateMemberRole(context, 2, 7, 'viewer');
+
+        expect(result.data).toMatchObject({ previous_role: 'accountant', role: 'viewer' });
+        const [update] = fakeDb.queriesMatching(/^UPDATE company_users SET role/);
+        expect(update.params).toEqual(['viewer', 2, 7]);
+    });
+
+    it('şirketin son admin üyesini düşürmez', async () => {
+        const result = await Companies.updateMemberRole(context, 2, 1, 'viewer');
+
+        expect(result).toEqual({ success: false, error: 'Şirketin son admin üyesinin rolü değiştirilemez' });
+        expect(fakeDb.transactions.rolledBack).toBe(1);
+    });
+
+    it('üye olmayan kullanıcı için hata döner', async () => {
+        const result = await Companies.updateMemberRole(context, 2, 9, 'viewer');
+
+        expect(result.error).toBe('Kullanıcı bu şirketin üyesi değil, üyelik bulunamadı');
+    });
+
+    it('geçersiz rolü veritabanına gitmeden reddeder', async () => {
+        const result = await Companies.updateMemberRole(context, 2, 7, 'owner');
+
+        expect(result.success).toBe(false);
+        expect(fakeDb.queries).toHaveLength(0);
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview AccountGroups.createGroup unit tests
+ * @description Duplicate-name check and the audited insert against the fake adapter
+ * @version 1.0.0
+ */
+
+const db = require('../../src/config/db');
+const AccountGroups = require('../../src/models/groupModel');
+const { createFakeDb } = require('../helpers/fakeDb');
+
+const context = { companyId: 1, userId: 1 };
+
+describe('AccountGroups.createGroup', () => {
+    let fakeDb;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb();
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it('aynı isimde grup varsa işlemi geri alır', async () => {
+        fakeDb.when(/FROM account_groups WHERE group_name = \?/, [{ id: 3 }]);
+
+        const result = await AccountGroups.createGroup(context, 'Müşteriler');
+
+        expect(result).toEqual({ success: false, error: 'Bu isimde bir grup zaten mevcut' });
+        expect(fakeDb.transactions.rolledBack).toBe(1);
+        expect(fakeDb.queriesMatching(/^INSERT INTO account_groups/)).toHaveLength(0);
+    });
+
+    it('isim kontrolü aktif şirketle sınırlıdır', async () => {
+        await AccountGroups.createGroup({ companyId: 4, userId: 1 }, 'Müşteriler');
+
+        const [check] = fakeDb.queriesMatching(/FROM account_groups WHERE group_name = \?/);
+        expect(check.params).toEqual(['Müşteriler', 4]);
+    });
+
+    it('yeni grubu kaydeder ve denetim kaydına yazar', async () => {
+        fakeDb.when(/^INSERT INTO account_groups/, { insertId: 8, affectedRows: 1 });
+
+        const result = await AccountGroups.createGroup(context, 'Tedarikçiler');
+
+        expect(result).toEqual({
+            success: true,
+            data: { id: 8, group_name: 'Tedarikçiler', message: 'Grup başarıyla oluşturuldu' }
+        });
+        expect(fakeDb.transactions.committed).toBe(1);
+        expect(fakeDb.queriesMatching(/^INSERT INTO audit_log/)).toHaveLength(1);
+    });
+
+    it('veritabanı hatasında işlemi geri alır ve hatayı döndürür', async () => {
+        fakeDb.when(/^INSERT INTO account_groups/, () => {
+            throw new Error('Duplicate entry');
+        });
+
+        const result = await AccountGroups.createGroup(context, 'Tedarikçiler');
+
+        expect(result).toEqual({ success: false, error: 'Duplicate entry' });
+        expect(fakeDb.transactions.rolledBack).toBe(1);
+    });
+});
@@ -0,0 +1,196 @@
+/**
+ * @fileoverview Reports.getAgingReport unit tests
+ * @description Bucketing of open receivables and payables by days overdue against the fake adapter
+ * @version 1.0.0
+ */
+
+const db = require('../../src/config/db');
+const Reports = require('../../src/models/reportModel');
+const { createFakeDb } = require('../helpers/fakeDb');
+
+const context = { companyId: 1, userId: 1 };
+
+// Açık kalem sorgusunun döndüreceği satır
+const openItem = (overrides) => ({
+    account_id: 5,
+    account_name: 'Ahmet Yılmaz',
+    account_code: 'AH001',
+    account_type: 'customer',
+    group_id: 2,
+    group_name: 'Müşteriler',
+    transaction_type: 'receivable',
+    amount: 100,
+    exchange_rate: 1,
+    days_overdue: 0,
+    settled_amount: 0,
+    ...overrides
+});
+
+describe('Reports.getAgingReport', () => {
+    let fakeDb;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb();
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it('açık kalemleri vadeyi geçen gün sayısına göre dilimlere ayırır', async () => {
+        fakeDb.when(/FROM transactions t/, [
+            openItem({ id: 1, days_overdue: -10, amount: 1500 }),
+            openItem({ id: 2, days_overdue: 0, amount: 0.1 }),
+            openItem({ id: 3, days_overdue: 30, amount: 0.2 }),
+            openItem({ id: 4, days_overdue: 31, amount: 750 }),
+            openItem({ id: 5, days_overdue: 90, amount: 60 }),
+            openItem({ id: 6, days_overdue: 91, amount: 250 })
+        ]);
+
+        const result = await Reports.getAgingReport(context, { as_of: '2024-06-30' });
+
+        expect(result.success).toBe(true);
+        expect(result.data.as_of).toBe('2024-06-30');
+        expect(result.data.receivables.accounts).toEqual([{
+            account_id: 5,
+            account_name: 'Ahmet Yılmaz',
+            account_code: 'AH001',
+            account_type: 'customer',
+            group_id: 2,
+            group_name: 'Müşteriler',
+            item_count: 6,
+            current: 1500.1,
+            days_1_30: 0.2,
+            days_31_60: 750,
+            days_61_90: 60,
+            days_over_90: 250,
+            total: 2560.3
+        }]);
+        expect(result.data.payables).toEqual({
+            accounts: [],
+            totals: { current: 0, days_1_30: 0, days_31_60: 0, days_61_90: 0, days_over_90: 0, total: 0 }
+        });
+    });
+
+    it('kapatılan kısmı düşer, tamamen kapanan kalemi atlar ve dövizi kendi kuruyla çevirir', async () => {
+        fakeDb.when(/FROM transactions t/, [
+            openItem({ id: 1, amount: 100, settled_amount: 100 }),
+            openItem({ id: 2, amount: 100, settled_amount: 40, exchange_rate: 30, days_overdue: 45 }),
+            openItem({ id: 3, account_id: 8, account_name: 'Beta Ltd.', transaction_type: 'payable', amount: 500, days_overdue: 5 })
+        ]);
+
+        const result = await Reports.getAgingReport(context, { as_of: '2024-06-30' });
+
+        expect(result.data.receivables.totals).toEqual({
+            current: 0, days_1_30: 0, days_31_60: 1800, days_61_90: 0, days_over_90: 0, total: 1800
+        });
+        expect(result.data.receivables.accounts[0].item_count).toBe(1);
+        expect(result.data.payables.accounts.map((account) => [account.account_id, account.days_1_30])).toEqual([[8, 500]]);
+    });
+
+    it('alacağı kapatan payable türündeki kapama hareketini ayrı açık kalem saymaz', async () => {
+        const rows = [
+            openItem({ id: 1, amount: 100, settled_amount: 40 }),
+            openItem({ id: 2, transaction_type: 'payable', amount: 40, settles_transaction_id: 1 })
+        ];
+        fakeDb.when(/FROM transactions t/, (params, sql) => (sql.includes('t.settles_transaction_id IS NULL')
+            ? rows.filter((row) => row.settles_transaction_id === undefined)
+            : rows));
+
+        const result = await Reports.getAgingReport(context, { as_of: '2024-06-30' });
+
+        expect(result.data.receivables.totals.total).toBe(60);
+        expect(result.data.payables.accounts).toEqual([]);
+        expect(result.data.payables.totals.total).toBe(0);
+    });
+
+    it('grup ve hesap türü filtrelerini sorguya ekler', async () => {
+        await Reports.getAgingReport(context, { as_of: '2024-06-30', group_id: 2, account_type: 'supplier' });
+
+        const [reportQuery] = fakeDb.queriesMatching(/FROM transactions t/);
+        expect(reportQuery.sql).toContain('a.group_id = ? AND a.account_type = ?');
+        expect(reportQuery.params).toEqual(['2024-06-30', 1, '2024-06-30', 1, '2024-06-30', 2, 'supplier']);
+    });
+});
+
+describe('Reports.getAccountStatement', () => {
+    let fakeDb;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb();
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        fakeDb.when(/FROM accounts WHERE id = \?/, [{
+            id: 5,
+            account_name: 'Ahmet Yılmaz',
+            account_code: 'AH001',
+            account_type: 'customer',
+            currency: 'TRY',
+            opening_balance: '100.0000'
+        }]);
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it('açılış bakiyesine önceki hareketleri ekler ve yürüyen bakiyeyi hesaplar', async () => {
+        fakeDb.when(/AS total_debit/, [{ total_debit: '400.1000', total_credit: '0.2000' }]);
+        fakeDb.when(/ORDER BY entry_date/, [
+            { source: 'transaction', id: 15, entry_date: '2024-01-10', transaction_type: 'receivable', currency: 'TRY', amount: '0.1000', debit: '0.1000', credit: '0.0000' },
+            { source: 'transaction', id: 18, entry_date: '2024-01-20', transaction_type: 'income', currency: 'USD', amount: '10.0000', debit: '0.0000', credit: '300.0000' },
+            { source: 'journal_entry', id: 4, entry_date: '2024-01-25', transaction_type: null, currency: null, amount: null, debit: '0.2000', credit: '0.0000' }
+        ]);
+
+        const result = await Reports.getAccountStatement(context, 5, { from: '2024-01-01', to: '2024-01-31' });
+
+        expect(result.success).toBe(true);
+        expect(result.data.opening_balance).toBe(499.9);
+        expect(result.data.lines.map((line) => [line.id, line.debit, line.credit, line.balance])).toEqual([
+            [15, 0.1, 0, 500],
+            [18, 0, 300, 200],
+            [4, 0.2, 0, 200.2]
+        ]);
+        expect(result.data.lines[2].amount).toBeNull();
+        expect(result.data).toMatchObject({
+            from: '2024-01-01',
+            to: '2024-01-31',
+            total_debit: 0.3,
+            total_credit: 300,
+            closing_balance: 200.2
+        });
+    });
+
+    it('tarih aralığını hareket ve yevmiye sorgularının ikisine de uygular', async () => {
+        fakeDb.when(/AS total_debit/, [{ total_debit: 0, total_credit: 0 }]);
+
+        await Reports.getAccountStatement(context, 5, { from: '2024-01-01', to: '2024-01-31' });
+
+        const [openingQuery] = fakeDb.queriesMatching(/AS total_debit/);
+        expect(openingQuery.params).toEqual([5, 1, '2024-01-01', 5, 1, '2024-01-01']);
+
+        const [linesQuery] = fakeDb.queriesMatching(/ORDER BY entry_date/);
+        expect(linesQuery.sql).toContain('t.transaction_date >= ? AND t.transaction_date <= ?');
+        expect(linesQuery.sql).toContain('je.entry_date >= ? AND je.entry_date <= ?');
+        expect(linesQuery.params).toEqual([5, 1, '2024-01-01', '2024-01-31', 5, 1, '2024-01-01', '2024-01-31']);
+    });
+
+    it('from verilmezse açılış bakiyesi hesabın açılış bakiyesidir', async () => {
+        const result = await Reports.getAccountStatement(context, 5);
+
+        expect(fakeDb.queriesMatching(/AS total_debit/)).toHaveLength(0);
+        expect(result.data).toMatchObject({ opening_balance: 100, lines: [], closing_balance: 100, from: null, to: null });
+    });
+
+    it('cari hesap bulunamazsa hata döner', async () => {
+        fakeDb.when(/FROM accounts WHERE id = \?/, []);
+
+        const result = await Reports.getAccountStatement(context, 99);
+
+        expect(result).toEqual({ success: false, error: 'Cari hesap bulunamadı' });
+    });
+});
@@ -0,0 +1,432 @@
+/**
+ * @fileoverview Transactions.createTransaction unit tests
+ * @description Validation branches, the single-transaction write path, foreign-currency
+ * conversion and settlement, filtered list pagination and bank reconciliation markers against
+ * the fake adapter
+ * @version 1.0.0
+ */
+
+const db = require('../../src/config/db');
+const Pagination = require('../../src/utils/pagination');
+const Transactions = require('../../src/models/transactionModel');
+const { createFakeDb } = require('../helpers/fakeDb');
+
+const context = { companyId: 1, userId: 1 };
+
+const validTransaction = {
+    account_id: 5,
+    transaction_type: 'income',
+    amount: '1500.50',
+    transaction_date: '2024-10-08',
+    reference_number: 'FTR-2024-001'
+};
+
+describe('Transactions.createTransaction', () => {
+    let fakeDb;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb()
+            .when(/FROM ledger_accounts WHERE code IN/, [{ id: 5, code: '120' }, { id: 7, code: '600' }]);
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it.each([
+        ['cari hesap ID\'si yoksa', { account_id: undefined }, 'Cari hesap ID\'si gereklidir'],
+        ['işlem türü yoksa', { transaction_type: undefined }, 'Geçersiz işlem türü (income/expense/receivable/payable)'],
+        ['işlem türü tanımsızsa', { transaction_type: 'refund' }, 'Geçersiz işlem türü (income/expense/receivable/payable)'],
+        ['tutar yoksa', { amount: undefined }, 'Geçerli bir tutar girilmelidir'],
+        ['tutar sayı değilse', { amount: 'abc' }, 'Geçerli bir tutar girilmelidir'],
+        ['tutar sıfırsa', { amount: 0 }, 'Geçerli bir tutar girilmelidir'],
+        ['tutar negatifse', { amount: -10 }, 'Geçerli bir tutar girilmelidir'],
+        ['işlem tarihi yoksa', { transaction_date: undefined }, 'İşlem tarihi gereklidir']
+    ])('%s veritabanına gitmeden hata döner', async (_, override, error) => {
+        const result = await Transactions.createTransaction(context, { ...validTransaction, ...override });
+
+        expect(result).toEqual({ success: false, error });
+        expect(fakeDb.queries).toHaveLength(0);
+    });
+
+    it('cari hesap bulunamazsa işlemi geri alır', async () => {
+        const result = await Transactions.createTransaction(context, validTransaction);
+
+        expect(result).toEqual({ success: false, error: 'Belirtilen cari hesap bulunamadı' });
+        expect(fakeDb.transactions.rolledBack).toBe(1);
+        expect(fakeDb.queriesMatching(/^INSERT INTO transactions/)).toHaveLength(0);
+    });
+
+    it('referans numarası kullanılıyorsa işlemi geri alır', async () => {
+        fakeDb
+            .when(/FROM accounts WHERE id = \?/, [{ id: 5, currency: 'TRY' }])
+            .when(/SELECT id FROM transactions WHERE reference_number = \?/, [{ id: 31 }]);
+
+        const result = await Transactions.createTransaction(context, validTransaction);
+
+        expect(result).toEqual({ success: false, error: 'Bu referans numarası zaten kullanılıyor' });
+        expect(fakeDb.transactions.rolledBack).toBe(1);
+        expect(fakeDb.queriesMatching(/^INSERT INTO transactions/)).toHaveLength(0);
+    });
+
+    it('geçerli işlemi kaydeder, bakiyeyi günceller ve yevmiye fişi oluşturur', async () => {
+        fakeDb
+            .when(/FROM accounts WHERE id = \?/, [{ id: 5, currency: 'TRY' }])
+            .when(/^INSERT INTO transactions/, { insertId: 15, affectedRows: 1 })
+            .when(/^INSERT INTO journal_entries/, { insertId: 42, affectedRows: 1 });
+
+        const result = await Transactions.createTransaction(context, validTransaction);
+
+        expect(result.success).toBe(true);
+        expect(result.data).toMatchObject({ id: 15, amount: 1500.5, journal_entry_id: 42 });
+        expect(fakeDb.transactions.committed).toBe(1);
+
+        const [insert] = fakeDb.queriesMatching(/^INSERT INTO transactions/);
+        expect(insert.params.slice(0, 4)).toEqual([1, 5, 'income', 1500.5]);
+
+        const [balanceUpdate] = fakeDb.queriesMatching(/^UPDATE accounts SET balance = balance \+ \?/);
+        expect(balanceUpdate.params).toEqual([1500.5, 5]);
+
+        expect(fakeDb.queriesMatching(/^INSERT INTO journal_lines/)).toHaveLength(2);
+        expect(fakeDb.queriesMatching(/^INSERT INTO audit_log/)).toHaveLength(1);
+    });
+
+    it('tutarı şirketin decimal_places ayarına yuvarlar', async () => {
+        fakeDb
+            .when(/FROM accounts WHERE id = \?/, [{ id: 5, currency: 'TRY' }])
+            .when(/FROM user_settings WHERE setting_name = \?/, [{ setting_value: '0' }]);
+
+        const result = await Transactions.createTransaction(context, validTransaction);
+
+        expect(result.data).toMatchObject({ amount: 1501, base_amount: 1501 });
+        const [insert] = fakeDb.queriesMatching(/^INSERT INTO transactions/);
+        expect(insert.params[3]).toBe(1501);
+    });
+
+    it('yuvarlanınca sıfır olan tutarı reddeder', async () => {
+        fakeDb.when(/FROM accounts WHERE id = \?/, [{ id: 5, currency: 'TRY' }]);
+
+        const result = await Transactions.createTransaction(context, { ...validTransaction, amount: '0.004' });
+
+        expect(result).toEqual({ success: false, error: 'Geçerli bir tutar girilmelidir' });
+        expect(fakeDb.queriesMatching(/^INSERT INTO transactions/)).toHaveLength(0);
+    });
+});
+
+describe('Transactions.createTransaction dövizli işlemler', () => {
+    let fakeDb;
+
+    const usdTransaction = {
+        account_id: 5,
+        transaction_type: 'receivable',
+        amount: '100',
+        transaction_date: '2024-01-15'
+    };
+
+    beforeEach(() => {
+        fakeDb = createFakeDb()
+            .when(/FROM ledger_accounts WHERE code IN/, [
+                { id: 5, code: '120' },
+                { id: 7, code: '600' },
+                { id: 2, code: '102' },
+                { id: 9, code: '646' },
+                { id: 10, code: '656' }
+            ])
+            .when(/FROM accounts WHERE id = \?/, [{ id: 5, currency: 'USD' }])
+            .when(/SELECT base_currency FROM companies/, [{ base_currency: 'TRY' }]);
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it('kur verilmezse işlem tarihindeki kayıtlı kuru kullanır', async () => {
+        fakeDb.when(/FROM exchange_rates WHERE company_id = \? AND currency = \? AND rate_date <= \?/, [{ rate: '30.125000' }]);
+
+        const result = await Transactions.createTransaction(context, usdTransaction);
+
+        expect(result.success).toBe(true);
+        expect(result.data).toMatchObject({ currency: 'USD', exchange_rate: 30.125, base_amount: 3012.5 });
+
+        const [rateQuery] = fakeDb.queriesMatching(/FROM exchange_rates/);
+        expect(rateQuery.params).toEqual([1, 'USD', '2024-01-15']);
+
+        const [insert] = fakeDb.queriesMatching(/^INSERT INTO transactions/);
+        expect(insert.params.slice(3, 9)).toEqual([100, 'USD', 30.125, 3012.5, null, 0]);
+
+        const [balanceUpdate] = fakeDb.queriesMatching(/^UPDATE accounts SET balance = balance \+ \?/);
+        expect(balanceUpdate.params).toEqual([3012.5, 5]);
+
+        const lines = fakeDb.queriesMatching(/^INSERT INTO journal_lines/).map(({ params }) => params.slice(1, 7));
+        expect(lines).toEqual([
+            [5, 5, 3012.5, 0, 'USD', 100],
+            [7, null, 0, 3012.5, 'USD', 100]
+        ]);
+    });
+
+    it('kayıtlı kur yoksa işlemi geri alır', async () => {
+        const result = await Transactions.createTransaction(context, usdTransaction);
+
+        expect(result).toEqual({
+            success: false,
+            error: 'USD için 2024-01-15 tarihinde veya öncesinde kayıtlı kur bulunamadı'
+        });
+        expect(fakeDb.transactions.rolledBack).toBe(1);
+        expect(fakeDb.queriesMatching(/^INSERT INTO transactions/)).toHaveLength(0);
+    });
+
+    it('para birimi cari hesabınkinden farklıysa hata döner', async () => {
+        const result = await Transactions.createTransaction(context, { ...usdTransaction, currency: 'EUR', exchange_rate: 33 });
+
+        expect(result).toEqual({
+            success: false,
+            error: 'İşlem para birimi cari hesabın para birimiyle (USD) aynı olmalıdır'
+        });
+        expect(fakeDb.queriesMatching(/^INSERT INTO transactions/)).toHaveLength(0);
+    });
+
+    it('alacak daha yüksek kurla tahsil edilince kur farkı karını 646 hesabına yazar', async () => {
+        fakeDb
+            .when(/^SELECT \* FROM transactions WHERE id = \?/, [{
+                id: 20,
+                account_id: 5,
+                transaction_type: 'receivable',
+                amount: '100.00',
+                currency: 'USD',
+                exchange_rate: '30.000000',
+                settles_transaction_id: null
+            }])
+            .when(/AS settled_amount/, [{ settled_amount: '40.00' }]);
+
+        const result = await Transactions.createTransaction(context, {
+            ...usdTransaction,
+            transaction_type: 'expense',
+            amount: '60',
+            exchange_rate: 32,
+            settles_transaction_id: 20,
+            payment_method: 'bank_transfer'
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.data).toMatchObject({ base_amount: 1920, fx_gain_loss: 120, settles_transaction_id: 20 });
+
+        // Bakiye kapatılan alacağın kuruyla (60 * 30) düşer
+        const [balanceUpdate] = fakeDb.queriesMatching(/^UPDATE accounts SET balance = balance \+ \?/);
+        expect(balanceUpdate.params).toEqual([-1800, 5]);
+
+        const lines = fakeDb.queriesMatching(/^INSERT INTO journal_lines/).map(({ params }) => params.slice(1, 5));
+        expect(lines).toEqual([
+            [5, 5, 0, 1800],
+            [2, null, 1920, 0],
+            [9, null, 0, 120]
+        ]);
+    });
+
+    it('kapama tutarı açık tutarı aşarsa hata döner', async () => {
+        fakeDb
+            .when(/^SELECT \* FROM transactions WHERE id = \?/, [{
+                id: 20,
+                account_id: 5,
+                transaction_type: 'receivable',
+                amount: '100.00',
+                currency: 'USD',
+                exchange_rate: '30.000000',
+                settles_transaction_id: null
+            }])
+            .when(/AS settled_amount/, [{ settled_amount: '40.00' }]);
+
+        const result = await Transactions.createTransaction(context, {
+            ...usdTransaction,
+            transaction_type: 'expense',
+            amount: '70',
+            exchange_rate: 32,
+            settles_transaction_id: 20
+        });
+
+        expect(result).toEqual({
+            success: false,
+            error: 'Kapama tutarı işlemin açık tutarını (60.00 USD) aşamaz'
+        });
+        expect(fakeDb.transactions.rolledBack).toBe(1);
+    });
+
+    describe('güncellemede kur', () => {
+        beforeEach(() => {
+            fakeDb
+                .when(/^SELECT \* FROM transactions WHERE id = \?/, [{
+                    id: 20,
+                    account_id: 5,
+                    transaction_type: 'receivable',
+                    amount: '100.00',
+                    currency: 'USD',
+                    exchange_rate: '30.000000',
+                    base_amount: '3000.00',
+                    fx_gain_loss: '0.00',
+                    transaction_date: new Date(2024, 0, 15),
+                    settles_transaction_id: null
+                }])
+                .when(/FROM accounts WHERE id IN/, [{ id: 5, company_id: 1, is_active: 1, currency: 'USD' }])
+                .when(/SELECT COUNT\(\*\) AS count FROM transactions WHERE settles_transaction_id/, [{ count: 0 }])
+                .when(/FROM exchange_rates WHERE company_id = \? AND currency = \? AND rate_date <= \?/, [{ rate: '31.000000' }]);
+        });
+
+        it('tarih ve para birimi değişmezse mevcut kuru korur', async () => {
+            const result = await Transactions.updateTransaction(context, 20, usdTransaction);
+
+            expect(result.success).toBe(true);
+            expect(result.data).toMatchObject({ exchange_rate: 30, base_amount: 3000 });
+            expect(fakeDb.queriesMatching(/FROM exchange_rates/)).toHaveLength(0);
+        });
+
+        it('tarih değişirse yeni tarihteki kayıtlı kuru kullanır', async () => {
+            const result = await Transactions.updateTransaction(context, 20, { ...usdTransaction, transaction_date: '2024-02-01' });
+
+            expect(result.success).toBe(true);
+            expect(result.data).toMatchObject({ exchange_rate: 31, base_amount: 3100 });
+
+            const [rateQuery] = fakeDb.queriesMatching(/FROM exchange_rates/);
+            expect(rateQuery.params).toEqual([1, 'USD', '2024-02-01']);
+        });
+    });
+});
+
+describe('Transactions.getFilteredTransactions sayfalama', () => {
+    let fakeDb;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb()
+            .when(/^SELECT t\.id,/, [
+                { id: 30, transaction_date: '2024-03-02' },
+                { id: 28, transaction_date: '2024-03-01' },
+                { id: 27, transaction_date: '2024-03-01' }
+            ])
+            .when(/SELECT COUNT\(\*\) as total/, [{ total: 41 }]);
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it('imleçten sonraki sayfayı okur, toplamı filtreyle sayar', async () => {
+        const cursor = Pagination.encodeCursor('-transaction_date', { id: 31, transaction_date: '2024-03-02' });
+
+        const result = await Transactions.getFilteredTransactions(context, {
+            transaction_type: 'income',
+            limit: 2,
+            cursor
+        });
+
+        expect(result.data.map(({ id }) => id)).toEqual([30, 28]);
+        expect(result.totalCount).toBe(41);
+        expect(Pagination.decodeCursor(result.nextCursor, '-transaction_date')).toEqual({
+            sort: '-transaction_date',
+            value: '2024-03-01',
+            id: 28
+        });
+
+        const [list] = fakeDb.queriesMatching(/^SELECT t\.id,/);
+        expect(list.sql).toContain('AND t.transaction_type = ? AND (t.transaction_date < ? OR (t.transaction_date = ? AND t.id < ?))');
+        expect(list.sql).toMatch(/ORDER BY t\.transaction_date DESC, t\.id DESC LIMIT 3$/);
+        expect(list.params).toEqual([1, 'income', '2024-03-02', '2024-03-02', 31]);
+
+        const [count] = fakeDb.queriesMatching(/SELECT COUNT/);
+        expect(count.sql).not.toContain('t.id <');
+        expect(count.params).toEqual([1, 'income']);
+    });
+
+    it('son sayfada next_cursor döndürmez', async () => {
+        const result = await Transactions.getFilteredTransactions(context, { limit: 5 });
+
+        expect(result.data).toHaveLength(3);
+        expect(result.nextCursor).toBeNull();
+    });
+});
+
+describe('Transactions banka mutabakatı', () => {
+    let fakeDb;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb();
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it('hareketleri onaylayan kullanıcıyla işaretler ve denetim kaydı yazar', async () => {
+        fakeDb.when(/^SELECT \* FROM transactions WHERE company_id = \? AND is_active = 1 AND id IN/, [
+            { id: 15, reconciled_at: null },
+            { id: 16, reconciled_at: null }
+        ]);
+
+        const result = await Transactions.reconcileTransactions({ companyId: 1, userId: 7 }, [15, '16', 15]);
+
+        expect(result).toEqual({ success: true, data: { ids: [15, 16], count: 2 } });
+        const [update] = fakeDb.queriesMatching(/^UPDATE transactions SET reconciled_at = NOW\(\)/);
+        expect(update.params).toEqual([7, 1, 15, 16]);
+        expect(fakeDb.queriesMatching(/^INSERT INTO audit_log /)).toHaveLength(2);
+        expect(fakeDb.transactions.committed).toBe(1);
+    });
+
+    it.each([
+        ['hareket bulunamazsa', [{ id: 15, reconciled_at: null }], 'İşlem bulunamadı: 16'],
+        ['mutabakatı zaten yapılmışsa', [{ id: 15, reconciled_at: null }, { id: 16, reconciled_at: '2024-01-05 10:00:00' }], 'İşlemlerin mutabakatı zaten yapılmış: 16']
+    ])('%s hiçbir hareketi işaretlemez', async (_, rows, error) => {
+        fakeDb.when(/AND id IN/, rows);
+
+        const result = await Transactions.reconcileTransactions(context, [15, 16]);
+
+        expect(result).toEqual({ success: false, error });
+        expect(fakeDb.queriesMatching(/^UPDATE transactions/)).toHaveLength(0);
+        expect(fakeDb.transactions.rolledBack).toBe(1);
+    });
+
+    it('mutabakat işaretini kaldırır', async () => {
+        fakeDb.when(/^SELECT \* FROM transactions WHERE id = \?/, [{ id: 15, reconciled_at: '2024-01-05 10:00:00' }]);
+
+        const result = await Transactions.unreconcileTransaction(context, 15);
+
+        expect(result.success).toBe(true);
+        expect(fakeDb.queriesMatching(/^UPDATE transactions SET reconciled_at = NULL, reconciled_by = NULL/)).toHaveLength(1);
+        expect(fakeDb.queriesMatching(/^INSERT INTO audit_log /)).toHaveLength(1);
+    });
+
+    it('mutabakatı yapılmamış hareketin işaretini kaldırmaz', async () => {
+        fakeDb.when(/^SELECT \* FROM transactions WHERE id = \?/, [{ id: 15, reconciled_at: null }]);
+
+        const result = await Transactions.unreconcileTransaction(context, 15);
+
+        expect(result).toEqual({ success: false, error: 'İşlemin mutabakatı yapılmamış' });
+        expect(fakeDb.queriesMatching(/^UPDATE transactions/)).toHaveLength(0);
+    });
+
+    it.each([
+        ['güncellenmez', () => Transactions.updateTransaction(context, 15, {
+            account_id: 5, transaction_type: 'income', amount: 200, transaction_date: '2024-01-05'
+        }), 'Mutabakatı yapılmış işlem güncellenemez, önce mutabakat işaretini kaldırın'],
+        ['silinmez', () => Transactions.deleteTransaction(context, 15),
+            'Mutabakatı yapılmış işlem silinemez, önce mutabakat işaretini kaldırın']
+    ])('mutabakatı yapılmış hareket %s', async (_, run, error) => {
+        fakeDb.when(/^SELECT \* FROM transactions WHERE id = \?/, [{
+            id: 15, account_id: 5, transaction_type: 'income', amount: '100.0000', base_amount: '100.0000', reconciled_at: '2024-01-05 10:00:00'
+        }]);
+
+        const result = await run();
+
+        expect(result).toEqual({ success: false, error });
+        expect(fakeDb.queriesMatching(/^UPDATE (transactions|accounts)/)).toHaveLength(0);
+        expect(fakeDb.transactions.rolledBack).toBe(1);
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Users.createUser unit tests
+ * @description First-admin selection under the company lock and the single registration
+ * transaction against the fake adapter
+ * @version 1.0.0
+ */
+
+const db = require('../../src/config/db');
+const Users = require('../../src/models/userModel');
+const { createFakeDb } = require('../helpers/fakeDb');
+
+const validUser = {
+    email: ' Ahmet@Firma.com ',
+    password: 'gizli-sifre',
+    full_name: 'Ahmet Yılmaz'
+};
+
+describe('Users.createUser', () => {
+    let fakeDb;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb()
+            .when(/SELECT COUNT\(\*\) AS user_count FROM users/, [{ user_count: 0 }])
+            .when(/^INSERT INTO users/, { insertId: 5, affectedRows: 1 });
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it('ilk kullanıcıyı şirket kilidi altında admin yapar ve varsayılan şirkete ekler', async () => {
+        const result = await Users.createUser(validUser);
+
+        expect(result.data).toMatchObject({ id: 5, email: 'ahmet@firma.com', role: 'admin' });
+        expect(fakeDb.transactions).toEqual({ begun: 1, committed: 1, rolledBack: 0 });
+
+        // Kilit, sayımdan önce alınır
+        const sql = fakeDb.queries.map((query) => query.sql);
+        const lockIndex = sql.indexOf('SELECT id FROM companies WHERE id = 1 FOR UPDATE');
+        expect(lockIndex).toBeGreaterThanOrEqual(0);
+        expect(lockIndex).toBeLessThan(sql.findIndex((text) => text.includes('COUNT(*) AS user_count')));
+
+        const [membership] = fakeDb.queriesMatching(/^INSERT INTO company_users/);
+        expect(membership.params).toEqual([5, 'admin']);
+    });
+
+    it('sonraki kullanıcılar viewer olur ve şirkete eklenmez', async () => {
+        fakeDb.when(/SELECT COUNT\(\*\) AS user_count FROM users/, [{ user_count: 3 }]);
+
+        const result = await Users.createUser(validUser);
+
+        expect(result.data.role).toBe('viewer');
+        expect(fakeDb.queriesMatching(/^INSERT INTO company_users/)).toHaveLength(0);
+    });
+
+    it('kayıtlı e-postada işlemi geri alır', async () => {
+        fakeDb.when(/SELECT id FROM users WHERE email = \?/, [{ id: 1 }]);
+
+        const result = await Users.createUser(validUser);
+
+        expect(result).toEqual({ success: false, error: 'Bu e-posta adresi zaten kayıtlı' });
+        expect(fakeDb.transactions).toEqual({ begun: 1, committed: 0, rolledBack: 1 });
+        expect(fakeDb.queriesMatching(/^INSERT INTO users/)).toHaveLength(0);
+    });
+
+    it('üyelik kaydı başarısız olursa kullanıcı kaydını da geri alır', async () => {
+        fakeDb.when(/^INSERT INTO company_users/, () => {
+            throw new Error('Deadlock found when trying to get lock');
+        });
+
+        const result = await Users.createUser(validUser);
+
+        expect(result).toEqual({ success: false, error: 'Deadlock found when trying to get lock' });
+        expect(fakeDb.transactions).toEqual({ begun: 1, committed: 0, rolledBack: 1 });
+    });
+});
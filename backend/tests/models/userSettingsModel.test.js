@@ -0,0 +1,129 @@
+/**
+ * @fileoverview UserSettings model unit tests
+ * @description setSetting validation branches, type conversion and create/update paths, and
+ * document display settings against the fake adapter
+ * @version 1.0.0
+ */
+
+const db = require('../../src/config/db');
+const UserSettings = require('../../src/models/userSettingsModel');
+const { createFakeDb } = require('../helpers/fakeDb');
+
+const context = { companyId: 1, userId: 1 };
+
+describe('UserSettings.setSetting', () => {
+    let fakeDb;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb();
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it.each([
+        ['ayar adı boşsa', ['  ', 'x', 'string'], 'Ayar adı gereklidir'],
+        ['değer yoksa', ['currency', undefined, 'string'], 'Ayar değeri gereklidir'],
+        ['değer null ise', ['currency', null, 'string'], 'Ayar değeri gereklidir'],
+        ['tip tanımsızsa', ['currency', 'TRY', 'date'], 'Geçersiz ayar tipi. string, number, boolean veya json olmalıdır'],
+        ['number tipi sayısal değilse', ['decimal_places', 'iki', 'number'], 'Sayısal tip için geçersiz değer'],
+        ['ondalık basamak 4\'ten büyükse', ['decimal_places', 5, 'number'], 'Ondalık basamak sayısı 0 ile 4 arasında bir tam sayı olmalıdır'],
+        ['ondalık basamak tam sayı değilse', ['decimal_places', '1.5', 'number'], 'Ondalık basamak sayısı 0 ile 4 arasında bir tam sayı olmalıdır'],
+        ['json tipi geçersizse', ['report_columns', '{eksik', 'json'], 'Geçersiz JSON değeri'],
+        ['ayar adı 100 karakterden uzunsa', ['a'.repeat(101), 'x', 'string'], 'Ayar adı en fazla 100 karakter olabilir'],
+        ['değer 5000 karakterden uzunsa', ['notes', 'x'.repeat(5001), 'string'], 'Ayar değeri en fazla 5000 karakter olabilir']
+    ])('%s veritabanına gitmeden hata döner', async (_, args, error) => {
+        const result = await UserSettings.setSetting(context, ...args);
+
+        expect(result).toEqual({ success: false, error });
+        expect(fakeDb.queries).toHaveLength(0);
+    });
+
+    it('açıklama 255 karakterden uzunsa hata döner', async () => {
+        const result = await UserSettings.setSetting(context, 'currency', 'TRY', 'string', 'a'.repeat(256));
+
+        expect(result).toEqual({ success: false, error: 'Açıklama en fazla 255 karakter olabilir' });
+        expect(fakeDb.queries).toHaveLength(0);
+    });
+
+    it.each([
+        ['number', 2, '2'],
+        ['boolean', 0, 'false'],
+        ['boolean', 'evet', 'true'],
+        ['json', { a: 1 }, '{"a":1}'],
+        ['json', '[1,2]', '[1,2]']
+    ])('%s tipindeki %p değeri %p olarak saklanır', async (type, value, stored) => {
+        const result = await UserSettings.setSetting(context, 'setting', value, type);
+
+        expect(result.success).toBe(true);
+        const [insert] = fakeDb.queriesMatching(/^INSERT INTO user_settings/);
+        expect(insert.params).toEqual([1, 'setting', stored, type, null]);
+    });
+
+    it('olmayan ayarı oluşturur ve create olarak denetim kaydına yazar', async () => {
+        const result = await UserSettings.setSetting(context, ' currency ', 'TRY');
+
+        expect(result.data).toMatchObject({ setting_name: 'currency', message: 'Ayar başarıyla oluşturuldu' });
+        expect(fakeDb.transactions.committed).toBe(1);
+
+        const [audit] = fakeDb.queriesMatching(/^INSERT INTO audit_log/);
+        expect(audit.params.slice(2, 5)).toEqual(['setting', 'currency', 'create']);
+    });
+
+    it('mevcut ayarı günceller ve update olarak denetim kaydına yazar', async () => {
+        fakeDb.when(/^SELECT \* FROM user_settings WHERE setting_name = \?/, [
+            { setting_name: 'currency', setting_value: 'USD', setting_type: 'string' }
+        ]);
+
+        const result = await UserSettings.setSetting(context, 'currency', 'TRY');
+
+        expect(result.data.message).toBe('Ayar başarıyla güncellendi');
+        expect(fakeDb.queriesMatching(/^INSERT INTO user_settings/)).toHaveLength(0);
+        expect(fakeDb.queriesMatching(/^UPDATE user_settings/)).toHaveLength(1);
+
+        const [audit] = fakeDb.queriesMatching(/^INSERT INTO audit_log/);
+        expect(audit.params[4]).toBe('update');
+    });
+
+    it('güncellenecek satır bulunamazsa işlemi geri alır', async () => {
+        fakeDb
+            .when(/^SELECT \* FROM user_settings WHERE setting_name = \?/, [{ setting_name: 'currency' }])
+            .when(/^UPDATE user_settings/, { affectedRows: 0 });
+
+        const result = await UserSettings.setSetting(context, 'currency', 'TRY');
+
+        expect(result).toEqual({ success: false, error: 'Ayar güncellenemedi' });
+        expect(fakeDb.transactions.rolledBack).toBe(1);
+    });
+});
+
+describe('UserSettings.getDisplaySettings', () => {
+    let fakeDb;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb();
+    });
+
+    it('kayıtlı ayarları döndürür', async () => {
+        fakeDb.when(/setting_name IN/, [
+            { setting_name: 'app_name', setting_value: 'Yılmaz Ticaret' },
+            { setting_name: 'date_format', setting_value: 'DD.MM.YYYY' },
+            { setting_name: 'decimal_places', setting_value: '3' }
+        ]);
+
+        const settings = await UserSettings.getDisplaySettings(fakeDb.adapter, 1);
+
+        expect(settings).toEqual({ app_name: 'Yılmaz Ticaret', date_format: 'DD.MM.YYYY', decimal_places: 3 });
+        expect(fakeDb.queriesMatching(/setting_name IN/)[0].params).toEqual([1, 'app_name', 'date_format', 'decimal_places']);
+    });
+
+    it('ayar yoksa varsayılanları kullanır', async () => {
+        const settings = await UserSettings.getDisplaySettings(fakeDb.adapter, 1);
+
+        expect(settings).toEqual({ app_name: 'Cari Takip Uygulaması', date_format: 'DD/MM/YYYY', decimal_places: 2 });
+    });
+});
@@ -0,0 +1,381 @@
+/**
+ * @fileoverview Route table tests for groups, accounts, transactions, settings, exchange rates
+ * and reports
+ * @description Every route declared in the six route files is requested through the real
+ * Express app (authenticate, resolveCompany and authorize included) and must reach the
+ * expected controller handler. Controllers and company resolution are stubbed, so no
+ * query reaches the database and no MySQL server is needed. Request validation runs for
+ * real: fixtures carry schema-valid bodies (file uploads a CSV text), and invalid requests must
+ * stop with 422.
+ * The table runs under both /api/v2 and the legacy /api prefix.
+ * @version 1.0.0
+ */
+
+// Yetki kontrolü şirket üyeliğinin rolüyle yapılır; test kullanıcısının ID'si rolünü belirler
+// (tokenFor). Genel rol (token'daki role) şirket verilerine erişimde kullanılmaz.
+jest.mock('../src/models/companyModel', () => ({
+    resolveCompanyForUser: jest.fn(async (userId) => ({
+        success: true,
+        data: { id: 1, company_name: 'Varsayılan Şirket', role: ['admin', 'accountant', 'viewer'][userId - 1] }
+    }))
+}));
+
+jest.mock('../src/controllers/groupController', () =>
+    require('./helpers/stubController')(jest.requireActual('../src/controllers/groupController')));
+jest.mock('../src/controllers/accountController', () =>
+    require('./helpers/stubController')(jest.requireActual('../src/controllers/accountController')));
+jest.mock('../src/controllers/transactionController', () =>
+    require('./helpers/stubController')(jest.requireActual('../src/controllers/transactionController')));
+jest.mock('../src/controllers/userSettingsController', () =>
+    require('./helpers/stubController')(jest.requireActual('../src/controllers/userSettingsController')));
+jest.mock('../src/controllers/exchangeRateController', () =>
+    require('./helpers/stubController')(jest.requireActual('../src/controllers/exchangeRateController')));
+jest.mock('../src/controllers/reportController', () =>
+    require('./helpers/stubController')(jest.requireActual('../src/controllers/reportController')));
+
+process.env.JWT_SECRET = 'route-test-secret';
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../src/app');
+const groupRoutes = require('../src/routes/groupRoutes');
+const accountRoutes = require('../src/routes/accountRoutes');
+const transactionRoutes = require('../src/routes/transactionRoutes');
+const userSettingsRoutes = require('../src/routes/userSettingsRoutes');
+const exchangeRateRoutes = require('../src/routes/exchangeRateRoutes');
+const reportRoutes = require('../src/routes/reportRoutes');
+
+// Şirketteki üyelik rolüne göre erişim token'ı üret; genel rol her zaman viewer'dır
+const tokenFor = (role) => jwt.sign(
+    { sub: ['admin', 'accountant', 'viewer'].indexOf(role) + 1, email: `${role}@firma.com`, role: 'viewer' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+);
+
+// Doğrulama şemalarını geçen örnek gövdeler
+const GROUP_BODY = { group_name: 'Müşteriler' };
+const ACCOUNT_BODY = { account_name: 'Ahmet Yılmaz', account_type: 'customer' };
+const TRANSACTION_BODY = { account_id: 5, transaction_type: 'income', amount: 1500, transaction_date: '2024-01-15' };
+const EXCHANGE_RATE_BODY = { currency: 'USD', rate_date: '2024-01-15', rate: 30.125 };
+// Dosya yükleme route'larının ham gövdesi (text/csv olarak gönderilir)
+const CSV_FILE = 'Tarih;Tutar\n31.01.2024;1.500,50\n';
+
+// Route tablosunun çalıştırıldığı API önekleri
+const API_PREFIXES = ['/api/v2', '/api'];
+
+/**
+ * Router bazında beklenen route tablosu
+ * Her satır: [method, route tanımı, örnek istek yolu, beklenen handler, şemaya uygun gövde?]
+ */
+const ROUTE_TABLE = [
+    {
+        mountPath: '/groups',
+        router: groupRoutes,
+        routes: [
+            ['get', '/', '/?limit=20&sort=-group_name', 'getAllGroups'],
+            ['post', '/', '/', 'createGroup', GROUP_BODY],
+            ['get', '/:id', '/3', 'getGroupById'],
+            ['put', '/:id', '/3', 'updateGroup', GROUP_BODY],
+            ['delete', '/:id', '/3', 'deleteGroup'],
+            ['get', '/:id/accounts/count', '/3/accounts/count', 'getGroupAccountCount']
+        ]
+    },
+    {
+        mountPath: '/accounts',
+        router: accountRoutes,
+        routes: [
+            ['get', '/', '/?format=xlsx', 'getAllAccounts'],
+            ['post', '/', '/', 'createAccount', ACCOUNT_BODY],
+            ['post', '/import', '/import?confirm=true&mapping[account_name]=Firma', 'importAccounts', CSV_FILE],
+            ['get', '/type/:type', '/type/customer', 'getAccountsByType'],
+            ['get', '/group/:groupId', '/group/2', 'getAccountsByGroup'],
+            ['get', '/search', '/search?q=yilmaz&limit=5', 'searchAccounts'],
+            ['post', '/recalculate-balances', '/recalculate-balances', 'recalculateBalances'],
+            ['get', '/:id/balance-check', '/5/balance-check', 'checkAccountBalance'],
+            ['get', '/:id/statement', '/5/statement?from=2024-01-01&to=2024-01-31', 'getAccountStatement'],
+            ['get', '/deleted', '/deleted', 'getDeletedAccounts'],
+            ['post', '/:id/restore', '/5/restore', 'restoreAccount'],
+            ['get', '/:id', '/5', 'getAccountById'],
+            ['put', '/:id', '/5', 'updateAccount', ACCOUNT_BODY],
+            ['delete', '/:id', '/5?mode=archive', 'deleteAccount']
+        ]
+    },
+    {
+        mountPath: '/transactions',
+        router: transactionRoutes,
+        routes: [
+            ['get', '/filter', '/filter?transaction_type=income&reconciled=false', 'getFilteredTransactions'],
+            ['get', '/summary', '/summary?format=pdf', 'getTransactionSummary'],
+            ['post', '/bank-statement/preview', '/bank-statement/preview?mapping[amount]=Tutar', 'previewBankStatement', CSV_FILE],
+            ['post', '/bank-statement/confirm', '/bank-statement/confirm', 'postBankStatement', { lines: [TRANSACTION_BODY] }],
+            ['post', '/reconciliation/preview', '/reconciliation/preview?date_tolerance=2&payment_method=bank_transfer', 'previewReconciliation', CSV_FILE],
+            ['post', '/reconciliation/confirm', '/reconciliation/confirm', 'confirmReconciliation', { transaction_ids: [15, 16] }],
+            ['delete', '/:id/reconciliation', '/15/reconciliation', 'unreconcileTransaction'],
+            ['get', '/account/:accountId', '/account/5', 'getTransactionsByAccount'],
+            ['get', '/deleted', '/deleted', 'getDeletedTransactions'],
+            ['post', '/:id/restore', '/15/restore', 'restoreTransaction'],
+            ['get', '/', '/?format=csv&sort=amount', 'getAllTransactions'],
+            ['post', '/', '/', 'createTransaction', TRANSACTION_BODY],
+            ['get', '/:id', '/15', 'getTransactionById'],
+            ['put', '/:id', '/15', 'updateTransaction', TRANSACTION_BODY],
+            ['delete', '/:id', '/15', 'deleteTransaction']
+        ]
+    },
+    {
+        mountPath: '/settings',
+        router: userSettingsRoutes,
+        routes: [
+            ['post', '/initialize', '/initialize', 'initializeDefaultSettings'],
+            ['post', '/bulk', '/bulk', 'setBulkSettings', { settings: [{ setting_name: 'currency', setting_value: 'TRY' }] }],
+            ['get', '/category/:category', '/category/app', 'getSettingsByCategory'],
+            ['get', '/', '/', 'getAllSettings'],
+            ['get', '/:settingName', '/currency', 'getSetting'],
+            ['put', '/:settingName', '/currency', 'setSetting', { setting_value: 'TRY' }],
+            ['delete', '/:settingName', '/currency', 'deleteSetting']
+        ]
+    },
+    {
+        mountPath: '/exchange-rates',
+        router: exchangeRateRoutes,
+        routes: [
+            ['get', '/', '/?currency=USD', 'getAllRates'],
+            ['post', '/import', '/import', 'importRates', { rates: [EXCHANGE_RATE_BODY] }],
+            ['post', '/', '/', 'saveRate', EXCHANGE_RATE_BODY],
+            ['delete', '/:id', '/3', 'deleteRate']
+        ]
+    },
+    {
+        mountPath: '/reports',
+        router: reportRoutes,
+        routes: [
+            ['get', '/aging', '/aging?as_of=2024-06-30&account_type=customer', 'getAgingReport']
+        ]
+    }
+];
+
+describe('route tablosu', () => {
+    describe.each(ROUTE_TABLE)('$mountPath', ({ mountPath, router, routes }) => {
+        it('router\'da tanımlı her route tabloda yer alır', () => {
+            const declared = router.stack
+                .filter((layer) => layer.route)
+                .flatMap((layer) => Object.keys(layer.route.methods).map((method) => `${method} ${layer.route.path}`))
+                .sort();
+            const tested = routes.map(([method, path]) => `${method} ${path}`).sort();
+
+            expect(tested).toEqual(declared);
+        });
+
+        describe.each(API_PREFIXES)('%s altında', (prefix) => {
+            it.each(routes)('%s %s isteği %s yoluyla doğru handler\'a ulaşır', async (method, path, requestPath, handler, body = {}) => {
+                const response = await request(app)[method](`${prefix}${mountPath}${requestPath}`)
+                    .set('Authorization', `Bearer ${tokenFor('admin')}`)
+                    .type(typeof body === 'string' ? 'text/csv' : 'json')
+                    .send(body);
+
+                expect(response.status).toBe(200);
+                expect(response.body.handler).toBe(handler);
+            });
+        });
+    });
+});
+
+describe('kimlik doğrulama ve yetki', () => {
+    it('token olmadan 401 döner', async () => {
+        const response = await request(app).get('/api/accounts/search?q=ahmet');
+
+        expect(response.status).toBe(401);
+        expect(response.body.success).toBe(false);
+    });
+
+    it('viewer rolü yazma route\'larında 403 alır', async () => {
+        const response = await request(app)
+            .post('/api/accounts')
+            .set('Authorization', `Bearer ${tokenFor('viewer')}`)
+            .send({ account_name: 'Ahmet Yılmaz' });
+
+        expect(response.status).toBe(403);
+    });
+
+    it('viewer rolü okuma route\'larına erişebilir', async () => {
+        const response = await request(app)
+            .get('/api/accounts/type/customer')
+            .set('Authorization', `Bearer ${tokenFor('viewer')}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.handler).toBe('getAccountsByType');
+    });
+});
+
+describe('istek doğrulama', () => {
+    it('hatalı alanların tamamını tek 422 yanıtında listeler', async () => {
+        const response = await request(app)
+            .post('/api/transactions')
+            .set('Authorization', `Bearer ${tokenFor('admin')}`)
+            .send({ cari_id: 'abc', islem_tipi: 'gift', tutar: -5, islem_tarihi: '2024-02-30' });
+
+        expect(response.status).toBe(422);
+        expect(response.body.success).toBe(false);
+        expect(response.body.errors.map((fieldError) => fieldError.field)).toEqual(
+            ['cari_id', 'islem_tipi', 'tutar', 'islem_tarihi']
+        );
+        expect(response.body.errors.every((fieldError) => fieldError.location === 'body')).toBe(true);
+    });
+
+    it('geçersiz route parametresi ve sorgu değerini controller\'a ulaştırmaz', async () => {
+        const accountController = require('../src/controllers/accountController');
+        accountController.deleteAccount.mockClear();
+
+        const response = await request(app)
+            .delete('/api/accounts/abc?mode=transfer')
+            .set('Authorization', `Bearer ${tokenFor('admin')}`);
+
+        expect(response.status).toBe(422);
+        expect(response.body.errors).toEqual([
+            { location: 'params', field: 'id', message: 'id tam sayı olmalıdır' },
+            { location: 'query', field: 'mode', message: 'transfer modu için target_account_id gereklidir' }
+        ]);
+        expect(accountController.deleteAccount).not.toHaveBeenCalled();
+    });
+
+    it('ekstre tarih aralığının sırasını doğrular', async () => {
+        const response = await request(app)
+            .get('/api/accounts/5/statement?from=2024-02-01&to=2024-01-31')
+            .set('Authorization', `Bearer ${tokenFor('viewer')}`);
+
+        expect(response.status).toBe(422);
+        expect(response.body.errors).toEqual([
+            { location: 'query', field: 'to', message: 'to tarihi from tarihinden önce olamaz' }
+        ]);
+    });
+
+    it('desteklenmeyen dosya biçimini reddeder', async () => {
+        const response = await request(app)
+            .get('/api/accounts?format=pdf')
+            .set('Authorization', `Bearer ${tokenFor('viewer')}`);
+
+        expect(response.status).toBe(422);
+        expect(response.body.errors.map((fieldError) => fieldError.field)).toEqual(['format']);
+    });
+
+    it('içe aktarma sütun eşleştirmesindeki tanımsız tipleri reddeder', async () => {
+        const response = await request(app)
+            .post('/api/accounts/import?confirm=evet&mapping=Firma')
+            .set('Authorization', `Bearer ${tokenFor('admin')}`)
+            .set('Content-Type', 'text/csv')
+            .send('Firma\nAhmet Yılmaz\n');
+
+        expect(response.status).toBe(422);
+        expect(response.body.errors.map((fieldError) => fieldError.field)).toEqual(['confirm', 'mapping']);
+    });
+
+    it('IBAN kontrol basamaklarını doğrular', async () => {
+        const response = await request(app)
+            .post('/api/accounts')
+            .set('Authorization', `Bearer ${tokenFor('admin')}`)
+            .send({ account_name: 'Ahmet Yılmaz', iban: 'TR33 0006 1005 1978 6457 8413 27' });
+
+        expect(response.status).toBe(422);
+        expect(response.body.errors).toEqual([
+            { location: 'body', field: 'iban', message: 'iban kontrol basamakları hatalı' }
+        ]);
+    });
+
+    it('ekstre onayındaki satır alanlarını işlem kurallarıyla doğrular', async () => {
+        const response = await request(app)
+            .post('/api/transactions/bank-statement/confirm')
+            .set('Authorization', `Bearer ${tokenFor('admin')}`)
+            .send({ lines: [TRANSACTION_BODY, { ...TRANSACTION_BODY, amount: -5 }] });
+
+        expect(response.status).toBe(422);
+        expect(response.body.errors).toEqual([
+            { location: 'body', field: 'lines[1].amount', message: 'lines[1].amount sıfırdan büyük olmalıdır' }
+        ]);
+    });
+
+    it('sıralama alanını ve imlecin sıralamasını doğrular', async () => {
+        const Pagination = require('../src/utils/pagination');
+        const cursor = Pagination.encodeCursor('-balance', { id: 4, balance: 100 });
+
+        const response = await request(app)
+            .get(`/api/accounts?sort=balance&cursor=${cursor}&limit=0`)
+            .set('Authorization', `Bearer ${tokenFor('viewer')}`);
+
+        expect(response.status).toBe(422);
+        expect(response.body.errors).toEqual([
+            { location: 'query', field: 'limit', message: 'limit en az 1 olmalıdır' },
+            { location: 'query', field: 'cursor', message: 'cursor geçersiz veya farklı bir sıralamaya ait' }
+        ]);
+    });
+
+    it('arama terimini ve sonuç sayısını doğrular', async () => {
+        const response = await request(app)
+            .get('/api/accounts/search?q=a&limit=500')
+            .set('Authorization', `Bearer ${tokenFor('viewer')}`);
+
+        expect(response.status).toBe(422);
+        expect(response.body.errors).toEqual([
+            { location: 'query', field: 'q', message: 'q en az 2 karakter olmalıdır' },
+            { location: 'query', field: 'limit', message: 'limit en fazla 100 olabilir' }
+        ]);
+    });
+
+    it('yetki kontrolü doğrulamadan önce çalışır', async () => {
+        const response = await request(app)
+            .post('/api/transactions')
+            .set('Authorization', `Bearer ${tokenFor('viewer')}`)
+            .send({});
+
+        expect(response.status).toBe(403);
+    });
+
+    it('şirket verilerinde genel rol yerine şirketteki üyelik rolünü kullanır', async () => {
+        // Genel rolü admin, bu şirketteki üyelik rolü viewer olan kullanıcı
+        const token = jwt.sign({ sub: 3, email: 'admin@firma.com', role: 'admin' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+
+        const response = await request(app)
+            .post('/api/v2/groups')
+            .set('Authorization', `Bearer ${token}`)
+            .send(GROUP_BODY);
+
+        expect(response.status).toBe(403);
+        expect(response.body.error).toBe("'groups:write' yetkisi gerekli (rolünüz: viewer)");
+    });
+});
+
+describe('dosya yükleme', () => {
+    const UPLOAD_ROUTES = [
+        ['/api/v2/accounts/import', 'importAccounts'],
+        ['/api/v2/transactions/bank-statement/preview', 'previewBankStatement'],
+        ['/api/v2/transactions/reconciliation/preview', 'previewReconciliation']
+    ];
+
+    it.each(UPLOAD_ROUTES)('%s dosyayı ham gövde olarak %s handler\'ına ulaştırır', async (url, handler) => {
+        const response = await request(app)
+            .post(url)
+            .set('Authorization', `Bearer ${tokenFor('admin')}`)
+            .set('Content-Type', 'text/csv; charset=utf-8')
+            .send(CSV_FILE);
+
+        expect(response.status).toBe(200);
+        expect(response.body.handler).toBe(handler);
+        expect(Buffer.from(response.body.body.data).toString('utf8')).toBe(CSV_FILE);
+    });
+
+    // curl --data-binary Content-Type vermezse gövde form olarak gönderilir ve uygulama genelindeki
+    // form ayrıştırıcısı tarafından okunur
+    it.each(UPLOAD_ROUTES)('%s form veya JSON gövdesini 415 ile reddeder', async (url) => {
+        const form = await request(app)
+            .post(url)
+            .set('Authorization', `Bearer ${tokenFor('admin')}`)
+            .set('Content-Type', 'application/x-www-form-urlencoded')
+            .send(CSV_FILE);
+        const json = await request(app)
+            .post(url)
+            .set('Authorization', `Bearer ${tokenFor('admin')}`)
+            .send({ file: 'Tarih;Tutar' });
+
+        expect([form.status, json.status]).toEqual([415, 415]);
+        expect(form.body.message).toBe('Desteklenmeyen dosya türü');
+        expect(form.body.handler).toBeUndefined();
+    });
+});
@@ -0,0 +1,182 @@
+/**
+ * @fileoverview AccountImports unit tests
+ * @description CSV/XLSX parsing, column mapping, row validation and the single import transaction
+ * against the fake adapter
+ * @version 1.0.0
+ */
+
+const ExcelJS = require('exceljs');
+const db = require('../../src/config/db');
+const AccountImports = require('../../src/services/accountImportService');
+const { createFakeDb } = require('../helpers/fakeDb');
+
+const context = { companyId: 1, userId: 1 };
+
+// Satırları BOM'lu, noktalı virgüllü CSV dosyasına çevir
+const csv = (lines) => Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+
+describe('AccountImports.importAccounts', () => {
+    let fakeDb;
+    let inserted;
+
+    beforeEach(() => {
+        inserted = [];
+        // Aynı işlemde eklenen kayıtlar sonraki benzersizlik kontrollerinde görünür
+        fakeDb = createFakeDb()
+            .when(/FROM account_groups WHERE company_id = \?/, [{ id: 2, group_name: 'Müşteriler' }])
+            .when(/FROM account_groups WHERE id = \?/, [{ id: 2 }])
+            .when(/WHERE account_name = \?/, (params) => inserted.filter((row) => row[1] === params[0]).map(() => ({ id: 9 })))
+            .when(/WHERE account_code = \?/, (params) => inserted.filter((row) => row[2] === params[0]).map(() => ({ id: 9 })))
+            .when(/^INSERT INTO accounts/, (params) => {
+                inserted.push(params);
+                return { insertId: 10 + inserted.length, affectedRows: 1 };
+            });
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it('dışa aktarılan liste başlıklarıyla önizleme yapar ve işlemi geri alır', async () => {
+        const file = csv([
+            'Cari Kodu;Cari Adı;Grup;Hesap Türü;Telefon;Açılış Bakiyesi (TRY);Bakiye (TRY)',
+            'AH001;"Yılmaz; Ortakları";müşteriler;Tedarikçi;\'+90 555 123 45 67;1.500,50;99'
+        ]);
+
+        const result = await AccountImports.importAccounts(context, file);
+
+        expect(result.success).toBe(true);
+        expect(result.data).toEqual({
+            committed: false,
+            total_rows: 1,
+            valid_rows: 1,
+            error_count: 0,
+            rows: [{ row: 2, account_name: 'Yılmaz; Ortakları', account_code: 'AH001', errors: [] }]
+        });
+        expect(fakeDb.transactions).toEqual({ begun: 1, committed: 0, rolledBack: 1 });
+
+        const [params] = inserted;
+        expect(params.slice(1, 5)).toEqual(['Yılmaz; Ortakları', 'AH001', 2, '+90 555 123 45 67']);
+        expect(params[10]).toBe(1500.5);
+        expect(params[12]).toBe('supplier');
+    });
+
+    it('satır hatalarını dosyadaki satır numarasıyla listeler', async () => {
+        const file = csv([
+            'account_name,account_code,group_name,email',
+            'Ahmet Yılmaz,AH001,,',
+            '',
+            'Ahmet Yılmaz,AH002,,',
+            'Ayşe Demir,AH001,Bayiler,ayse@',
+            ',AH003,,'
+        ]);
+
+        const result = await AccountImports.importAccounts(context, file);
+
+        expect(result.data.total_rows).toBe(4);
+        expect(result.data.error_count).toBe(3);
+        expect(result.data.rows.map(({ row, errors }) => [row, errors])).toEqual([
+            [2, []],
+            [4, [{ field: null, message: 'Bu cari hesap adı zaten mevcut' }]],
+            [5, [
+                { field: 'email', message: 'email geçerli bir e-posta adresi olmalıdır' },
+                { field: 'group_name', message: 'Grup bulunamadı: Bayiler' }
+            ]],
+            [6, [{ field: 'account_name', message: 'account_name alanı gereklidir' }]]
+        ]);
+    });
+
+    it('onaylanan hatasız dosyayı tek işlemde kaydeder', async () => {
+        const file = csv(['Cari Adı;Cari Kodu', 'Ahmet Yılmaz;AH001', 'Ayşe Demir;AD001']);
+
+        const result = await AccountImports.importAccounts(context, file, { confirm: true });
+
+        expect(result.data.committed).toBe(true);
+        expect(result.data.rows.map(({ id }) => id)).toEqual([11, 12]);
+        expect(fakeDb.transactions).toEqual({ begun: 1, committed: 1, rolledBack: 0 });
+        expect(fakeDb.queriesMatching(/^INSERT INTO audit_log /)).toHaveLength(2);
+    });
+
+    it('onaylanan dosyada hatalı satır varsa hiçbir kaydı bırakmaz', async () => {
+        const file = csv(['Cari Adı;Cari Kodu', 'Ahmet Yılmaz;AH001', 'Ayşe Demir;AH001']);
+
+        const result = await AccountImports.importAccounts(context, file, { confirm: true });
+
+        expect(result.data.committed).toBe(false);
+        expect(result.data.rows[1].errors).toEqual([{ field: null, message: 'Bu cari kodu zaten kullanılıyor' }]);
+        expect(fakeDb.transactions).toEqual({ begun: 1, committed: 0, rolledBack: 1 });
+    });
+
+    it('iki biçimde farklı okunabilen açılış bakiyesini satır hatası olarak döner', async () => {
+        const file = csv([
+            'Cari Adı;Açılış Bakiyesi',
+            'Ahmet Yılmaz;1.500',
+            'Ayşe Demir;1,500.50',
+            'Mehmet Kaya;1.234.567'
+        ]);
+
+        const result = await AccountImports.importAccounts(context, file, { confirm: true });
+
+        expect(result.data.committed).toBe(false);
+        expect(result.data.rows.map(({ errors }) => errors)).toEqual([
+            [{ field: 'opening_balance', message: 'Açılış bakiyesi okunamadı: 1.500 (örn. 1.500,50 veya 1500.50)' }],
+            [{ field: 'opening_balance', message: 'Açılış bakiyesi okunamadı: 1,500.50 (örn. 1.500,50 veya 1500.50)' }],
+            []
+        ]);
+        expect(inserted.map((params) => params[10])).toEqual([1234567]);
+        expect(fakeDb.transactions).toEqual({ begun: 1, committed: 0, rolledBack: 1 });
+    });
+
+    it('veritabanı hatasında kalan satırları denemeden işlemi geri alır', async () => {
+        fakeDb.when(/^INSERT INTO accounts/, (params) => {
+            if (inserted.length === 1) {
+                throw new Error('Lock wait timeout exceeded');
+            }
+            inserted.push(params);
+            return { insertId: 10 + inserted.length, affectedRows: 1 };
+        });
+        const file = csv(['Cari Adı', 'Ahmet Yılmaz', 'Ayşe Demir', 'Mehmet Kaya']);
+
+        const result = await AccountImports.importAccounts(context, file, { confirm: true });
+
+        expect(result).toEqual({ success: false, error: 'Lock wait timeout exceeded' });
+        expect(fakeDb.queriesMatching(/^INSERT INTO accounts/)).toHaveLength(2);
+        expect(fakeDb.transactions).toEqual({ begun: 1, committed: 0, rolledBack: 1 });
+    });
+
+    it('sütun eşleştirmesi varsayılan başlıkların önüne geçer', async () => {
+        const file = csv(['Cari Adı;Firma Ünvanı', 'AHMET;Ahmet Yılmaz Ltd.']);
+
+        const result = await AccountImports.importAccounts(context, file, { mapping: { account_name: 'firma ünvanı' } });
+
+        expect(result.data.rows[0].account_name).toBe('Ahmet Yılmaz Ltd.');
+    });
+
+    it.each([
+        ['eşleştirilen sütun yoksa', ['Cari Adı', 'Ahmet'], { account_name: 'Firma' }, 'Eşleştirilen sütun dosyada bulunamadı: Firma'],
+        ['cari adı sütunu yoksa', ['Kod;Telefon', 'AH001;555'], {}, 'Cari hesap adı sütunu bulunamadı'],
+        ['veri satırı yoksa', ['Cari Adı', ';'], {}, 'Dosyada içe aktarılacak satır bulunamadı']
+    ])('%s veritabanına gitmeden hata döner', async (_, lines, mapping, error) => {
+        const result = await AccountImports.importAccounts(context, csv(lines), { mapping });
+
+        expect(result).toEqual({ success: false, error });
+        expect(fakeDb.queries).toHaveLength(0);
+    });
+
+    it('XLSX dosyasının ilk çalışma sayfasını okur', async () => {
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Cari Hesaplar');
+        worksheet.addRow(['Cari Adı', 'Vergi No', 'Açılış Bakiyesi (TRY)']);
+        worksheet.addRow(['Ahmet Yılmaz', 1234567890, 250.75]);
+        const file = Buffer.from(await workbook.xlsx.writeBuffer());
+
+        const result = await AccountImports.importAccounts(context, file);
+
+        expect(result.data.rows).toEqual([{ row: 2, account_name: 'Ahmet Yılmaz', account_code: null, errors: [] }]);
+        expect(inserted[0][7]).toBe('1234567890');
+        expect(inserted[0][10]).toBe(250.75);
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview AccountSearch unit tests
+ * @description Turkish-insensitive matching, typo tolerance, ranking and limits against the fake
+ * adapter, which answers the search_text LIKE queries from an in-memory account list
+ * @version 1.0.0
+ */
+
+const db = require('../../src/config/db');
+const AccountSearch = require('../../src/services/accountSearchService');
+const SearchText = require('../../src/utils/searchText');
+const { createFakeDb } = require('../helpers/fakeDb');
+
+const context = { companyId: 1, userId: 1 };
+
+const accounts = [
+    { id: 1, account_name: 'Yılmaz Ticaret', account_code: 'YT-001', phone: '0212 555 10 20', email: 'info@yilmazticaret.com', tax_number: '1112223334' },
+    { id: 2, account_name: 'Ahmet Yılmaz', account_code: 'AH001', phone: '+90 555 123 45 67', email: 'ahmet@email.com', tax_number: null },
+    { id: 3, account_name: 'Şahin Gıda', account_code: 'SG001', phone: null, email: 'muhasebe@yilmazgrup.com', tax_number: '9876543210' },
+    { id: 4, account_name: 'Çelik Yapı', account_code: 'CY001', phone: null, email: null, tax_number: null }
+];
+
+// Kalıbın search_text'teki eşleşme puanı: tam kelime 3, kelime başı 2, kelime içi 1
+const relevance = (text, pattern) => {
+    if (` ${text} `.includes(` ${pattern} `)) return 3;
+    if (` ${text}`.includes(` ${pattern}`)) return 2;
+    return text.includes(pattern) ? 1 : 0;
+};
+
+// search_text LIKE koşullarını bellekteki hesaplar üzerinde uygula (AND veya OR); sorgu eşleşme
+// puanına göre sıralıyorsa sınırdan önce puana, sonra ada göre sırala
+const likeQuery = (list) => (params, sql) => {
+    const [where] = sql.split('ORDER BY');
+    const count = where.match(/a\.search_text LIKE \?/g).length;
+    const patterns = params.slice(1, count + 1).map((pattern) => pattern.replace(/%/g, ''));
+    const matchAll = !/ OR a\.search_text/.test(where);
+    const ranked = /ORDER BY \(CASE/.test(sql);
+    const limit = parseInt(sql.match(/LIMIT (\d+)$/)[1]);
+    const score = (account) => patterns
+        .reduce((total, pattern) => total + relevance(SearchText.build(account), pattern), 0);
+
+    return list
+        .filter((account) => {
+            const text = SearchText.build(account);
+            return matchAll
+                ? patterns.every((pattern) => text.includes(pattern))
+                : patterns.some((pattern) => text.includes(pattern));
+        })
+        .sort((a, b) => (ranked ? score(b) - score(a) : 0)
+            || a.account_name.localeCompare(b.account_name, 'en')
+            || a.id - b.id)
+        .slice(0, limit);
+};
+
+describe('AccountSearch.searchAccounts', () => {
+    let fakeDb;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb().when(/a\.search_text LIKE \?/, likeQuery(accounts));
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    const search = async (query, options) => {
+        const result = await AccountSearch.searchAccounts(context, query, options);
+        expect(result.success).toBe(true);
+        return result.data;
+    };
+
+    it('Türkçe karakter ve büyük/küçük harften bağımsız bulur, ada göre sıralar', async () => {
+        const data = await search('YILMAZ');
+
+        expect(data.map(({ id, score, matched_fields }) => [id, score, matched_fields])).toEqual([
+            [1, 1.2, ['account_name']],
+            [2, 1, ['account_name']],
+            [3, 0.56, ['email']]
+        ]);
+        expect(await search('yılmaz')).toEqual(data);
+    });
+
+    it('yazım hatalı kelimeyi tolere eder', async () => {
+        const data = await search('Ahemt Yilmz');
+
+        expect(data.map(({ id }) => id)).toEqual([2]);
+        expect(data[0].score).toBe(0.45);
+
+        const [exact, fuzzy] = fakeDb.queriesMatching(/search_text LIKE/);
+        expect(exact.sql).toContain('(a.search_text LIKE ? AND a.search_text LIKE ?)');
+        expect(fuzzy.params.slice(0, 7)).toEqual([1, '%ahe%', '%hem%', '%emt%', '%yil%', '%ilm%', '%lmz%']);
+    });
+
+    it('kısa kelimelerde yazım hatası aramaz', async () => {
+        expect(await search('Cek')).toEqual([]);
+        expect(fakeDb.queriesMatching(/search_text LIKE/)).toHaveLength(1);
+    });
+
+    it('yazarken kelime başıyla eşleşir', async () => {
+        const data = await search('çeli');
+
+        expect(data.map(({ id, matched_fields }) => [id, matched_fields])).toEqual([[4, ['account_name']]]);
+    });
+
+    it('telefonu ülke kodu ve baştaki sıfır olmadan, kodu ayraçsız bulur', async () => {
+        expect((await search('0555 123 45 67')).map(({ id, matched_fields }) => [id, matched_fields]))
+            .toEqual([[2, ['phone']]]);
+        expect((await search('yt001')).map(({ id, matched_fields }) => [id, matched_fields]))
+            .toEqual([[1, ['account_code']]]);
+        expect((await search('9876543210')).map(({ id, matched_fields }) => [id, matched_fields]))
+            .toEqual([[3, ['tax_number']]]);
+    });
+
+    it('sonuç sayısını sınırlar, yeterli tam eşleşme varsa yazım hatası sorgusu yapmaz', async () => {
+        const data = await search('yilmaz', { limit: 2 });
+
+        expect(data.map(({ id }) => id)).toEqual([1, 2]);
+        expect(fakeDb.queriesMatching(/search_text LIKE/)).toHaveLength(1);
+    });
+
+    it('aday sınırından önce tam kelime eşleşmesini öne alır', async () => {
+        const many = Array.from({ length: 600 }, (_, index) => ({
+            id: 100 + index,
+            account_name: `Ayilmazlar ${String(index).padStart(3, '0')}`,
+            account_code: null,
+            phone: null,
+            email: null,
+            tax_number: null
+        }));
+        fakeDb.when(/a\.search_text LIKE \?/, likeQuery([...many, accounts[0]]));
+
+        const data = await search('yilmaz', { limit: 1 });
+
+        expect(data.map(({ id, score }) => [id, score])).toEqual([[1, 1.2]]);
+        const [exact] = fakeDb.queriesMatching(/search_text LIKE/);
+        expect(exact.sql).toContain('LIMIT 500');
+        expect(exact.params).toEqual([1, '%yilmaz%', '% yilmaz %', '% yilmaz%', '%yilmaz%']);
+    });
+
+    it('harf veya rakam içermeyen terimde veritabanına gitmez', async () => {
+        expect(await search('..')).toEqual([]);
+        expect(fakeDb.queries).toHaveLength(0);
+    });
+
+    it('veritabanı hatasını döner', async () => {
+        fakeDb.when(/search_text LIKE/, () => {
+            throw new Error('Bağlantı koptu');
+        });
+
+        const result = await AccountSearch.searchAccounts(context, 'yilmaz');
+
+        expect(result).toEqual({ success: false, error: 'Bağlantı koptu' });
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview AuthService unit tests
+ * @description Refresh token rotation and reuse detection against the fake adapter
+ * @version 1.0.0
+ */
+
+process.env.JWT_SECRET = 'auth-service-test-secret';
+
+const db = require('../../src/config/db');
+const AuthService = require('../../src/services/authService');
+const { createFakeDb } = require('../helpers/fakeDb');
+
+// findRefreshToken ile okunan geçerli token satırı
+const storedToken = (overrides = {}) => ({
+    id: 4,
+    user_id: 7,
+    expires_at: new Date(Date.now() + 60 * 60 * 1000),
+    revoked_at: null,
+    email: 'ahmet@firma.com',
+    full_name: 'Ahmet Yılmaz',
+    role: 'accountant',
+    is_active: 1,
+    ...overrides
+});
+
+describe('AuthService.refresh', () => {
+    let fakeDb;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb()
+            .when(/FROM refresh_tokens rt/, [storedToken()]);
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it('token\'ı iptal edip yeni token çifti üretir', async () => {
+        const result = await AuthService.refresh('eski-token');
+
+        expect(result.success).toBe(true);
+        expect(result.data.user).toEqual({ id: 7, email: 'ahmet@firma.com', full_name: 'Ahmet Yılmaz', role: 'accountant' });
+        expect(result.data.refresh_token).not.toBe('eski-token');
+        expect(fakeDb.queriesMatching(/^INSERT INTO refresh_tokens/)).toHaveLength(1);
+    });
+
+    it('iptal edilmiş token tekrar kullanılırsa tüm oturumları kapatır', async () => {
+        fakeDb.when(/FROM refresh_tokens rt/, [storedToken({ revoked_at: new Date() })]);
+
+        const result = await AuthService.refresh('eski-token');
+
+        expect(result).toEqual({ success: false, error: 'Yenileme token\'ı daha önce kullanılmış, tüm oturumlar kapatıldı' });
+        expect(fakeDb.queriesMatching(/WHERE user_id = \? AND revoked_at IS NULL/)[0].params).toEqual([7]);
+        expect(fakeDb.queriesMatching(/^INSERT INTO refresh_tokens/)).toHaveLength(0);
+    });
+
+    it('eşzamanlı istek token\'ı önce iptal ettiyse yeni token üretmez ve tüm oturumları kapatır', async () => {
+        // Okumada token henüz iptal edilmemiş, koşullu iptal ise başka bir istek tarafından yapılmış
+        fakeDb.when(/WHERE token_hash = \? AND revoked_at IS NULL/, { affectedRows: 0 });
+
+        const result = await AuthService.refresh('eski-token');
+
+        expect(result).toEqual({ success: false, error: 'Yenileme token\'ı daha önce kullanılmış, tüm oturumlar kapatıldı' });
+        expect(fakeDb.queriesMatching(/WHERE user_id = \? AND revoked_at IS NULL/)).toHaveLength(1);
+        expect(fakeDb.queriesMatching(/^INSERT INTO refresh_tokens/)).toHaveLength(0);
+    });
+
+    it('iptal sorgusu başarısız olursa yeni token üretmez', async () => {
+        fakeDb.when(/WHERE token_hash = \? AND revoked_at IS NULL/, () => {
+            throw new Error('Lock wait timeout exceeded');
+        });
+
+        const result = await AuthService.refresh('eski-token');
+
+        expect(result).toEqual({ success: false, error: 'Lock wait timeout exceeded' });
+        expect(fakeDb.queriesMatching(/^INSERT INTO refresh_tokens/)).toHaveLength(0);
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview BankReconciliations unit tests
+ * @description Candidate selection through the transaction filters and one-to-one matching of
+ * statement lines by reference, amount and date against the fake adapter
+ * @version 1.0.0
+ */
+
+const db = require('../../src/config/db');
+const BankReconciliations = require('../../src/services/bankReconciliationService');
+const { createFakeDb } = require('../helpers/fakeDb');
+
+const context = { companyId: 1, userId: 1 };
+
+// Satırları noktalı virgüllü CSV dosyasına çevir
+const csv = (lines) => Buffer.from(`${lines.join('\r\n')}\r\n`, 'utf8');
+
+// Aday hareket satırı
+const transaction = (id, overrides) => ({
+    id,
+    account_id: 2,
+    account_name: 'Mehmet Kaya',
+    transaction_type: 'income',
+    amount: '1500.5000',
+    currency: 'TRY',
+    transaction_date: '2024-01-02',
+    reference_number: null,
+    description: null,
+    payment_method: 'bank_transfer',
+    status: 'completed',
+    ...overrides
+});
+
+describe('BankReconciliations.previewReconciliation', () => {
+    let fakeDb;
+    let candidates;
+
+    beforeEach(() => {
+        candidates = [];
+        fakeDb = createFakeDb()
+            .when(/^SELECT t\.id,/, () => candidates)
+            .when(/SELECT COUNT\(\*\) as total/, () => [{ total: candidates.length }]);
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it('adayları bekleyen banka hareketleriyle ve genişletilmiş tarih aralığıyla sınırlar', async () => {
+        const file = csv(['Tarih;Tutar', '10.01.2024;100', '02.01.2024;-50']);
+
+        await BankReconciliations.previewReconciliation(context, file, { filters: { account_id: 2 } });
+
+        const [{ sql, params }] = fakeDb.queriesMatching(/^SELECT t\.id,/);
+        expect(sql).toContain('t.reconciled_at IS NULL');
+        expect(params).toEqual([1, 2, '2023-12-30', '2024-01-13', 'bank_transfer']);
+    });
+
+    it('önce referans ve tutarla, sonra tutar ve en yakın tarihle birebir eşleştirir', async () => {
+        candidates = [
+            transaction(10, { transaction_date: '2024-01-01' }),
+            transaction(11, { transaction_date: '2024-01-04' }),
+            transaction(12, { transaction_date: '2024-01-05', reference_number: 'ftr 1001' }),
+            transaction(13, { transaction_type: 'expense', amount: '250.0000', transaction_date: '2023-12-31' }),
+            transaction(14, { amount: '99.0000' })
+        ];
+        const file = csv([
+            'Tarih;Tutar;Referans',
+            '03.01.2024;1.500,50;',
+            '02.01.2024;1.500,50;FTR1001',
+            '03.01.2024;1.500,50;',
+            '03.01.2024;-250;',
+            '03.01.2024;-99;'
+        ]);
+
+        const result = await BankReconciliations.previewReconciliation(context, file);
+
+        expect(result.success).toBe(true);
+        expect(result.data.matches.map(({ line, transaction: { id }, matched_by, date_difference }) => [line, id, matched_by, date_difference]))
+            .toEqual([
+                [2, 11, 'amount_date', 1],
+                [3, 12, 'reference', 3],
+                [4, 10, 'amount_date', 2],
+                [5, 13, 'amount_date', 3]
+            ]);
+        expect(result.data.unmatched_lines.map(({ line }) => line)).toEqual([6]);
+        expect(result.data.unmatched_transactions).toEqual([
+            {
+                id: 14,
+                account_id: 2,
+                account_name: 'Mehmet Kaya',
+                transaction_type: 'income',
+                amount: 99,
+                currency: 'TRY',
+                transaction_date: '2024-01-02',
+                reference_number: null,
+                description: null,
+                payment_method: 'bank_transfer'
+            }
+        ]);
+    });
+
+    it('tarih toleransını, para birimini ve iptal edilen hareketleri dikkate alır', async () => {
+        candidates = [
+            transaction(10, { transaction_date: '2024-01-05' }),
+            transaction(11, { currency: 'USD' }),
+            transaction(12, { status: 'cancelled' })
+        ];
+        const file = csv(['Tarih;Tutar;Para Birimi', '02.01.2024;1500,50;TRY']);
+
+        const result = await BankReconciliations.previewReconciliation(context, file, { dateTolerance: 2 });
+
+        expect(result.data.matched_lines).toBe(0);
+        expect(result.data.unmatched_transactions.map(({ id }) => id)).toEqual([10, 11]);
+    });
+
+    it('hatalı satırları eşleştirmeden listeler, geçerli satır yoksa hareket okumaz', async () => {
+        const result = await BankReconciliations.previewReconciliation(context, csv(['Tarih;Tutar', '31.02.2024;10']));
+
+        expect(result.data.unmatched_lines[0].errors).toEqual([{ field: 'transaction_date', message: 'Tarih okunamadı: 31.02.2024' }]);
+        expect(fakeDb.queries).toHaveLength(0);
+    });
+
+    it('okunamayan ekstrede hata döner', async () => {
+        const result = await BankReconciliations.previewReconciliation(context, csv(['Açıklama', 'x']));
+
+        expect(result).toEqual({ success: false, error: 'Tarih sütunu bulunamadı' });
+    });
+});
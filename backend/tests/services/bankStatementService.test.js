@@ -0,0 +1,247 @@
+/**
+ * @fileoverview BankStatements unit tests
+ * @description CSV and MT940 statement parsing, account matching, duplicate detection and the
+ * single posting transaction against the fake adapter
+ * @version 1.0.0
+ */
+
+const db = require('../../src/config/db');
+const BankStatements = require('../../src/services/bankStatementService');
+const { createFakeDb } = require('../helpers/fakeDb');
+
+const context = { companyId: 1, userId: 1 };
+
+const accounts = [
+    { id: 2, account_name: 'Mehmet Kaya', account_code: 'MK001', tax_number: null, iban: 'TR120001000000000000000001' },
+    { id: 3, account_name: 'Yılmaz İnşaat', account_code: 'YI', tax_number: '1234567890', iban: null },
+    { id: 4, account_name: 'Yılmaz İnşaat Taahhüt', account_code: null, tax_number: null, iban: null }
+];
+
+// Satırları noktalı virgüllü CSV dosyasına çevir
+const csv = (lines) => Buffer.from(`${lines.join('\r\n')}\r\n`, 'utf8');
+
+const mt940 = Buffer.from([
+    ':20:STMT-2024-01',
+    ':25:TR330006100519786457841326',
+    ':28C:1/1',
+    ':60F:C240101TRY1000,00',
+    ':61:2401020102C1500,50NTRFFTR-1001//0000123',
+    ':86:MEHMET KAYA TR12 0001 0000 0000 0000 0000 01',
+    'FATURA ODEMESI',
+    ':61:240103D250,00NMSCNONREF//BANK-77',
+    ':86:KIRA',
+    ':61:HATALI',
+    ':62F:C240103TRY2250,50',
+    '-'
+].join('\r\n'));
+
+describe('BankStatements.previewStatement', () => {
+    let fakeDb;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb()
+            .when(/SELECT id, account_name, account_code, tax_number, iban FROM accounts/, accounts)
+            .when(/reference_number IN/, [{ id: 77, reference_number: 'DK-2' }]);
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it('CSV borç/alacak sütunlarını yöne ve işleme çevirir', async () => {
+        const file = csv([
+            'Tarih;Açıklama;Borç;Alacak;Dekont No;VKN/TCKN',
+            '31.01.2024;YILMAZ INSAAT HAKEDIS;;12.500,00;DK-1;1234567890',
+            '01.02.2024;Elektrik faturası;1.250,40;;;'
+        ]);
+
+        const result = await BankStatements.previewStatement(context, file);
+
+        expect(result.success).toBe(true);
+        expect(result.data).toMatchObject({ format: 'csv', total_lines: 2, matched_lines: 1, duplicate_lines: 0, error_lines: 0 });
+        expect(result.data.lines[0]).toMatchObject({
+            line: 2,
+            direction: 'in',
+            amount: 12500,
+            match: { account_id: 3, account_name: 'Yılmaz İnşaat', matched_by: 'tax_number' },
+            transaction: {
+                account_id: 3,
+                transaction_type: 'income',
+                amount: 12500,
+                transaction_date: '2024-01-31',
+                description: 'YILMAZ INSAAT HAKEDIS',
+                reference_number: 'DK-1',
+                currency: null,
+                payment_method: 'bank_transfer',
+                status: 'completed'
+            }
+        });
+        expect(result.data.lines[1]).toMatchObject({
+            line: 3,
+            direction: 'out',
+            amount: 1250.4,
+            match: null,
+            transaction: { account_id: null, transaction_type: 'expense', transaction_date: '2024-02-01' }
+        });
+        expect(fakeDb.queriesMatching(/reference_number IN/)[0].params).toEqual([1, 'DK-1']);
+    });
+
+    it('açıklamadaki cari adını kelime olarak eşleştirir, en uzun adı seçer', async () => {
+        const file = csv([
+            'Tarih;Tutar;Açıklama',
+            '2024-01-05;-300;Yılmaz İnşaat Taahhüt avans',
+            '2024-01-05;300;Yılmazİnşaat'
+        ]);
+
+        const result = await BankStatements.previewStatement(context, file);
+
+        expect(result.data.lines.map((line) => line.match && [line.match.account_id, line.match.matched_by]))
+            .toEqual([[4, 'keyword'], null]);
+    });
+
+    it('kayıtlı ve dosyada tekrarlanan referansları işaretler', async () => {
+        const file = csv(['Tarih;Tutar;Referans', '01.01.2024;10;DK-2', '01.01.2024;10;DK-3', '02.01.2024;10;DK-3']);
+
+        const result = await BankStatements.previewStatement(context, file);
+
+        expect(result.data.lines.map((line) => line.duplicate)).toEqual([{ transaction_id: 77 }, null, { line: 3 }]);
+        expect(result.data.duplicate_lines).toBe(2);
+    });
+
+    it('okunamayan tarih ve tutarları satır hatası olarak döner', async () => {
+        const file = csv(['Tarih;Tutar', '31.02.2024;10', '01.03.2024;on lira', '02.03.2024;0']);
+
+        const result = await BankStatements.previewStatement(context, file);
+
+        expect(result.data.error_lines).toBe(3);
+        expect(result.data.lines.map((line) => [line.errors, line.transaction])).toEqual([
+            [[{ field: 'transaction_date', message: 'Tarih okunamadı: 31.02.2024' }], null],
+            [[{ field: 'amount', message: 'Tutar okunamadı' }], null],
+            [[{ field: 'amount', message: 'Tutar sıfır olamaz' }], null]
+        ]);
+    });
+
+    it('iki biçimde farklı okunabilen tutarları satır hatası olarak döner', async () => {
+        const file = csv(['Tarih;Tutar', '01.03.2024;1.500', '02.03.2024;1,500.50', '03.03.2024;1.234.567']);
+
+        const result = await BankStatements.previewStatement(context, file);
+
+        expect(result.data.lines.map((line) => [line.errors, line.amount])).toEqual([
+            [[{ field: 'amount', message: 'Tutar okunamadı' }], null],
+            [[{ field: 'amount', message: 'Tutar okunamadı' }], null],
+            [[], 1234567]
+        ]);
+    });
+
+    it('MT940 hareketlerini :86: açıklamalarıyla okur ve IBAN ile eşleştirir', async () => {
+        const result = await BankStatements.previewStatement(context, mt940);
+
+        expect(result.data).toMatchObject({
+            format: 'mt940',
+            statement_iban: 'TR330006100519786457841326',
+            total_lines: 3,
+            matched_lines: 1,
+            error_lines: 1
+        });
+        expect(result.data.lines[0]).toMatchObject({
+            transaction_date: '2024-01-02',
+            direction: 'in',
+            amount: 1500.5,
+            currency: 'TRY',
+            description: 'MEHMET KAYA TR12 0001 0000 0000 0000 0000 01 FATURA ODEMESI',
+            reference_number: 'FTR-1001',
+            match: { account_id: 2, matched_by: 'iban' }
+        });
+        expect(result.data.lines[1]).toMatchObject({
+            transaction_date: '2024-01-03',
+            direction: 'out',
+            amount: 250,
+            description: 'KIRA',
+            reference_number: 'BANK-77',
+            match: null
+        });
+        expect(result.data.lines[2].errors).toEqual([{ field: null, message: 'Hareket satırı okunamadı: HATALI' }]);
+    });
+
+    it.each([
+        ['tarih sütunu yoksa', ['Tutar', '10'], {}, 'Tarih sütunu bulunamadı'],
+        ['tutar sütunu yoksa', ['Tarih;Açıklama', '01.01.2024;x'], {}, 'Tutar sütunu (veya borç/alacak sütunları) bulunamadı'],
+        ['eşleştirilen sütun yoksa', ['Tarih;Tutar', '01.01.2024;1'], { amount: 'Miktar' }, 'Eşleştirilen sütun dosyada bulunamadı: Miktar'],
+        ['hareket satırı yoksa', ['Tarih;Tutar'], {}, 'Ekstrede hareket satırı bulunamadı']
+    ])('%s veritabanına gitmeden hata döner', async (_, lines, mapping, error) => {
+        const result = await BankStatements.previewStatement(context, csv(lines), { mapping });
+
+        expect(result).toEqual({ success: false, error });
+        expect(fakeDb.queries).toHaveLength(0);
+    });
+});
+
+describe('BankStatements.postStatementLines', () => {
+    let fakeDb;
+
+    const lines = [
+        { account_id: 5, transaction_type: 'income', amount: 1500.5, transaction_date: '2024-01-02', reference_number: 'FTR-1001', payment_method: 'bank_transfer' },
+        { account_id: 6, transaction_type: 'expense', amount: 250, transaction_date: '2024-01-03', payment_method: 'bank_transfer' }
+    ];
+
+    beforeEach(() => {
+        let insertId = 20;
+        fakeDb = createFakeDb()
+            .when(/FROM ledger_accounts WHERE code IN/, [{ id: 5, code: '120' }, { id: 7, code: '600' }, { id: 8, code: '320' }, { id: 9, code: '770' }])
+            .when(/FROM accounts WHERE id = \?/, (params) => (params[0] === 5 || params[0] === 6 ? [{ id: params[0], currency: 'TRY' }] : []))
+            .when(/^INSERT INTO transactions/, () => ({ insertId: ++insertId, affectedRows: 1 }));
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it('tüm satırları tek işlemde kaydeder', async () => {
+        const result = await BankStatements.postStatementLines(context, lines);
+
+        expect(result).toEqual({
+            success: true,
+            data: {
+                committed: true,
+                total_lines: 2,
+                error_count: 0,
+                lines: [{ index: 0, errors: [], id: 21 }, { index: 1, errors: [], id: 22 }]
+            }
+        });
+        expect(fakeDb.transactions).toEqual({ begun: 1, committed: 1, rolledBack: 0 });
+        expect(fakeDb.queriesMatching(/^INSERT INTO transactions/).map(({ params }) => params[13])).toEqual(['bank_transfer', 'bank_transfer']);
+    });
+
+    it('bir satır kaydedilemezse hiçbir satırı bırakmaz', async () => {
+        const result = await BankStatements.postStatementLines(context, [lines[0], { ...lines[1], account_id: 99 }]);
+
+        expect(result.data).toEqual({
+            committed: false,
+            total_lines: 2,
+            error_count: 1,
+            lines: [
+                { index: 0, errors: [] },
+                { index: 1, errors: [{ field: null, message: 'Belirtilen cari hesap bulunamadı' }] }
+            ]
+        });
+        expect(fakeDb.transactions).toEqual({ begun: 1, committed: 0, rolledBack: 1 });
+    });
+
+    it('veritabanı hatasında kalan satırları denemeden işlemi geri alır', async () => {
+        fakeDb.when(/^INSERT INTO transactions/, () => {
+            throw new Error('Deadlock found when trying to get lock');
+        });
+
+        const result = await BankStatements.postStatementLines(context, lines);
+
+        expect(result).toEqual({ success: false, error: 'Deadlock found when trying to get lock' });
+        expect(fakeDb.queriesMatching(/^INSERT INTO transactions/)).toHaveLength(1);
+        expect(fakeDb.transactions).toEqual({ begun: 1, committed: 0, rolledBack: 1 });
+    });
+});
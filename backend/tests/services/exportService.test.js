@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Exports unit tests
+ * @description CSV and XLSX output of transaction and account lists against the fake adapter
+ * and an in-memory response stream
+ * @version 1.0.0
+ */
+
+const { Writable } = require('stream');
+const ExcelJS = require('exceljs');
+const db = require('../../src/config/db');
+const Exports = require('../../src/services/exportService');
+const { createFakeDb } = require('../helpers/fakeDb');
+
+const context = { companyId: 1, userId: 1 };
+
+// Yazılanları biriktiren, Express yanıtının kullanılan metodlarını taklit eden akış
+const createResponse = () => {
+    const chunks = [];
+    const res = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(Buffer.from(chunk));
+            callback();
+        }
+    });
+
+    res.status = jest.fn(() => res);
+    res.attachment = jest.fn(() => res);
+    res.body = () => Buffer.concat(chunks);
+
+    return res;
+};
+
+// Parti sorgusunun imlecine ve LIMIT'ine göre satır döndüren sahte sonuç; satırlar sıralı kabul
+// edilir, imleç koşulu varsa son parametredeki ID'den (önceki partinin son satırı) sonra devam edilir
+const paged = (rows) => (params, sql) => {
+    const limit = parseInt(sql.match(/LIMIT (\d+)$/)[1]);
+    const start = /\.id [<>] \?\)\)/.test(sql)
+        ? rows.findIndex((row) => row.id === params[params.length - 1]) + 1
+        : 0;
+    return rows.slice(start, start + limit);
+};
+
+// Listelenen hareket satırı
+const transaction = (overrides) => ({
+    id: 1,
+    transaction_date: new Date(2024, 0, 5),
+    due_date: null,
+    account_code: 'AH001',
+    account_name: 'Ahmet Yılmaz',
+    transaction_type: 'income',
+    amount: 1500.5,
+    currency: 'USD',
+    exchange_rate: 30.125,
+    base_amount: 45202.56,
+    fx_gain_loss: 0,
+    description: 'Ocak faturası',
+    reference_number: 'FTR-1',
+    payment_method: 'bank_transfer',
+    status: 'completed',
+    ...overrides
+});
+
+describe('Exports', () => {
+    let fakeDb;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb();
+        db.setAdapter(fakeDb.adapter);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it('hareketleri BOM\'lu, noktalı virgüllü ve ondalık virgüllü CSV olarak yazar', async () => {
+        fakeDb.when(/FROM transactions t LEFT JOIN accounts/, paged([
+            transaction({ description: 'Kira; "Ocak"' }),
+            transaction({ id: 2, description: '=1+1', transaction_type: 'expense', amount: -0.5, currency: 'TRY', exchange_rate: 1, base_amount: -0.5 })
+        ]));
+        const res = createResponse();
+
+        const result = await Exports.exportTransactions(context, { transaction_type: 'income' }, 'csv', res);
+
+        expect(result).toEqual({ success: true, data: { count: 2 } });
+        expect(res.attachment).toHaveBeenCalledWith(expect.stringMatching(/^hareketler-\d{4}-\d{2}-\d{2}\.csv$/));
+
+        const lines = res.body().toString('utf8').split('\r\n');
+        expect(lines[0]).toBe('\uFEFFTarih;Vade Tarihi;Cari Kodu;Cari Adı;İşlem Tipi;Tutar;Para Birimi;Kur;Tutar (TRY);Kur Farkı;Açıklama;Referans No;Ödeme Yöntemi;Durum');
+        expect(lines[1]).toBe('05/01/2024;;AH001;Ahmet Yılmaz;Gelir;1500,50;USD;30,125;45202,56;0,00;"Kira; ""Ocak""";FTR-1;Havale/EFT;Tamamlandı');
+        expect(lines[2]).toContain(';Gider;-0,50;TRY;1;-0,50;0,00;\'=1+1;');
+        expect(lines[3]).toBe('');
+
+        const [query] = fakeDb.queriesMatching(/FROM transactions t LEFT JOIN accounts/);
+        expect(query.sql).toContain('t.company_id = ? AND t.is_active = 1 AND t.transaction_type = ?');
+        expect(query.sql).toMatch(/ORDER BY t\.transaction_date DESC, t\.id DESC LIMIT 501$/);
+        expect(query.params).toEqual([1, 'income']);
+        expect(fakeDb.transactions.begun).toBe(0);
+    });
+
+    it('büyük listeyi imleçle partiler halinde okur', async () => {
+        const rows = Array.from({ length: 1001 }, (_, index) => transaction({ id: index + 1 }));
+        fakeDb.when(/FROM transactions t LEFT JOIN accounts/, paged(rows));
+        const res = createResponse();
+
+        const result = await Exports.exportTransactions(context, {}, 'csv', res);
+
+        expect(result.data.count).toBe(1001);
+        expect(fakeDb.queriesMatching(/FROM transactions t LEFT JOIN accounts/).map((query) => query.params)).toEqual([
+            [1],
+            [1, '2024-01-05', '2024-01-05', 500],
+            [1, '2024-01-05', '2024-01-05', 1000]
+        ]);
+        expect(res.body().toString('utf8').split('\r\n')).toHaveLength(1003);
+    });
+
+    it('cari hesapları sayı ve tarih biçimli XLSX olarak yazar', async () => {
+        fakeDb.when(/setting_name IN/, [
+            { setting_name: 'date_format', setting_value: 'DD.MM.YYYY' },
+            { setting_name: 'decimal_places', setting_value: '3' }
+        ]);
+        fakeDb.when(/FROM accounts a LEFT JOIN account_groups/, paged([{
+            account_code: 'AH001',
+            account_name: 'Ahmet Yılmaz',
+            group_name: 'Müşteriler',
+            account_type: 'customer',
+            currency: 'TRY',
+            opening_balance: 0,
+            balance: 1500.5
+        }]));
+        const res = createResponse();
+
+        const result = await Exports.exportAccounts(context, 'xlsx', res);
+
+        expect(result.success).toBe(true);
+        expect(res.attachment).toHaveBeenCalledWith(expect.stringMatching(/^cari-hesaplar-.*\.xlsx$/));
+
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(res.body());
+        const worksheet = workbook.getWorksheet('Cari Hesaplar');
+
+        expect(worksheet.getRow(1).getCell(1).value).toBe('Cari Kodu');
+        expect(worksheet.getRow(2).getCell(4).value).toBe('Müşteri');
+        expect(worksheet.getRow(2).getCell(13).value).toBe(1500.5);
+        expect(worksheet.getRow(2).getCell(13).numFmt).toBe('#,##0.000');
+        expect(worksheet.rowCount).toBe(2);
+    });
+
+    it('okuma başlamadan başarısız olursa yanıta hiçbir şey yazmaz', async () => {
+        fakeDb.when(/FROM accounts a LEFT JOIN account_groups/, () => {
+            throw new Error('Bağlantı koptu');
+        });
+        const res = createResponse();
+
+        const result = await Exports.exportAccounts(context, 'csv', res);
+
+        expect(result).toEqual({ success: false, error: 'Bağlantı koptu' });
+        expect(res.attachment).not.toHaveBeenCalled();
+        expect(res.body()).toHaveLength(0);
+    });
+
+    it('yazım başladıktan sonraki hatada yanıt akışını keser', async () => {
+        const rows = Array.from({ length: 501 }, (_, index) => transaction({ id: index + 1 }));
+        fakeDb.when(/FROM transactions t LEFT JOIN accounts/, (params) => {
+            if (params.length > 1) {
+                throw new Error('Bağlantı koptu');
+            }
+            return rows;
+        });
+        const res = createResponse();
+        res.on('error', () => {});
+
+        const result = await Exports.exportTransactions(context, {}, 'csv', res);
+
+        expect(result.success).toBe(false);
+        expect(res.destroyed).toBe(true);
+    });
+});
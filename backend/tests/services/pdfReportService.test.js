@@ -0,0 +1,123 @@
+/**
+ * @fileoverview PdfReports unit tests
+ * @description Renders documents against the fake adapter and inspects the text written to each page
+ * @version 1.0.0
+ */
+
+const PDFDocument = require('pdfkit');
+const db = require('../../src/config/db');
+const PdfReports = require('../../src/services/pdfReportService');
+const { createFakeDb } = require('../helpers/fakeDb');
+
+const context = { companyId: 1, userId: 1 };
+
+// Yaşlandırma dilimleri sıfır tutarlarla
+const zeroBuckets = { current: 0, days_1_30: 0, days_31_60: 0, days_61_90: 0, days_over_90: 0, total: 0 };
+
+describe('PdfReports', () => {
+    let fakeDb;
+    let writtenText;
+
+    beforeEach(() => {
+        fakeDb = createFakeDb();
+        db.setAdapter(fakeDb.adapter);
+        fakeDb.when(/setting_name IN/, [
+            { setting_name: 'app_name', setting_value: 'Yılmaz Ticaret' },
+            { setting_name: 'date_format', setting_value: 'DD.MM.YYYY' },
+            { setting_name: 'decimal_places', setting_value: '2' }
+        ]);
+
+        const text = PDFDocument.prototype.text;
+        writtenText = [];
+        jest.spyOn(PDFDocument.prototype, 'text').mockImplementation(function (value, ...args) {
+            writtenText.push(String(value));
+            return text.call(this, value, ...args);
+        });
+    });
+
+    afterEach(() => {
+        db.setAdapter(null);
+        jest.restoreAllMocks();
+    });
+
+    it('ekstreyi şirket adı, tarih biçimi ve Türkçe tutarlarla yazar', async () => {
+        const pdf = await PdfReports.renderAccountStatement(context, {
+            account: { id: 5, account_name: 'Ahmet Yılmaz', account_code: 'AH001' },
+            from: '2024-01-01',
+            to: '2024-01-31',
+            base_currency: 'TRY',
+            opening_balance: 500,
+            lines: [
+                { source: 'transaction', id: 15, date: new Date(2024, 0, 10), transaction_type: 'receivable', description: 'Ocak faturası', reference_number: 'FTR-1', debit: 1500.5, credit: 0, balance: 2000.5 },
+                { source: 'journal_entry', id: 4, date: new Date(2024, 0, 20), transaction_type: null, description: 'Düzeltme', reference_number: null, debit: 0, credit: 1000, balance: 1000.5 }
+            ],
+            total_debit: 1500.5,
+            total_credit: 1000,
+            closing_balance: 1000.5
+        });
+
+        expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+        expect(writtenText).toEqual(expect.arrayContaining([
+            'Yılmaz Ticaret',
+            'Cari Hesap Ekstresi',
+            'Cari: AH001 - Ahmet Yılmaz',
+            'Dönem: 01.01.2024 - 31.01.2024',
+            'Açılış bakiyesi',
+            '10.01.2024',
+            'Alacak',
+            'Yevmiye',
+            '1.500,50',
+            '2.000,50',
+            '1.000,50'
+        ]));
+    });
+
+    it('sayfa taşınca tablo başlığını yeni sayfada tekrarlar ve sayfaları numaralar', async () => {
+        const lines = Array.from({ length: 80 }, (_, index) => ({
+            source: 'transaction', id: index, date: '2024-01-10', transaction_type: 'income', debit: 1, credit: 0, balance: index
+        }));
+
+        await PdfReports.renderAccountStatement(context, {
+            account: { id: 5, account_name: 'Ahmet Yılmaz', account_code: null },
+            from: null,
+            to: null,
+            base_currency: 'TRY',
+            opening_balance: 0,
+            lines,
+            total_debit: 80,
+            total_credit: 0,
+            closing_balance: 79
+        });
+
+        expect(writtenText.filter((text) => text === 'Bakiye')).toHaveLength(2);
+        expect(writtenText).toContain('Dönem: Tüm hareketler');
+        expect(writtenText.some((text) => text.endsWith('Sayfa 2 / 2'))).toBe(true);
+    });
+
+    it('yaşlandırma raporunu alacak ve borç bölümleriyle yazar', async () => {
+        await PdfReports.renderAgingReport(context, {
+            as_of: '2024-06-30',
+            base_currency: 'TRY',
+            buckets: ['current', 'days_1_30', 'days_31_60', 'days_61_90', 'days_over_90'],
+            receivables: {
+                accounts: [{ account_code: 'AH001', account_name: 'Ahmet Yılmaz', item_count: 2, ...zeroBuckets, days_31_60: 1800, total: 1800 }],
+                totals: { ...zeroBuckets, days_31_60: 1800, total: 1800 }
+            },
+            payables: { accounts: [], totals: zeroBuckets }
+        });
+
+        expect(writtenText).toEqual(expect.arrayContaining([
+            'Rapor tarihi: 30.06.2024', 'Alacaklar', 'Borçlar', '31-60 Gün', '90+ Gün', '1.800,00'
+        ]));
+    });
+
+    it('işlem özetini tür ve para birimi tablolarıyla yazar', async () => {
+        await PdfReports.renderTransactionSummary(context, {
+            data: [{ transaction_type: 'expense', transaction_count: 3, total_amount: 300, average_amount: 100, min_amount: 50, max_amount: 150, fx_gain_loss: 0 }],
+            by_currency: [{ transaction_type: 'expense', currency: 'USD', transaction_count: 1, total_currency_amount: 10, total_amount: 300 }],
+            base_currency: 'TRY'
+        });
+
+        expect(writtenText).toEqual(expect.arrayContaining(['İşlem Özeti', 'Gider', 'USD', 'Tutar (TRY)', '300,00', '10,00']));
+    });
+});
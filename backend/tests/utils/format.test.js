@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Format helper unit tests
+ * @description Date formatting per date_format and Turkish amount formatting
+ * @version 1.0.0
+ */
+
+const Format = require('../../src/utils/format');
+
+describe('Format.date', () => {
+    it.each([
+        ['DD/MM/YYYY', '2024-01-05', '05/01/2024'],
+        ['DD.MM.YYYY', '2024-01-05', '05.01.2024'],
+        ['YYYY-MM-DD', '2024-01-05T00:00:00.000Z', '2024-01-05'],
+        ['MM/DD/YYYY', new Date(2024, 0, 5), '01/05/2024']
+    ])('%s biçiminde yazar', (dateFormat, value, expected) => {
+        expect(Format.date(value, dateFormat)).toBe(expected);
+    });
+
+    it('biçim yoksa varsayılanı, değer yoksa boş metni kullanır', () => {
+        expect(Format.date('2024-12-31', '')).toBe('31/12/2024');
+        expect(Format.date(null)).toBe('');
+    });
+});
+
+describe('Format.amount', () => {
+    it.each([
+        [1500.5, 2, '1.500,50'],
+        ['-1234567.125', 2, '-1.234.567,13'],
+        [999, 0, '999'],
+        [0.1 + 0.2, 4, '0,3000'],
+        ['12.5', 0, '13']
+    ])('%p değerini %p basamakla %p yazar', (value, decimalPlaces, expected) => {
+        expect(Format.amount(value, decimalPlaces)).toBe(expected);
+    });
+
+    it('boş değerde boş metin döner', () => {
+        expect(Format.amount(null)).toBe('');
+    });
+});
+
+describe('Format.label', () => {
+    it('alan değerini Türkçe adına çevirir, tanımsız değeri olduğu gibi bırakır', () => {
+        expect(Format.label('transaction_type', 'receivable')).toBe('Alacak');
+        expect(Format.label('payment_method', 'bank_transfer')).toBe('Havale/EFT');
+        expect(Format.label('status', 'archived')).toBe('archived');
+        expect(Format.label('account_type', null)).toBe('');
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Money helper unit tests
+ * @description Parsing, rounding, summation, conversion and output of integer minor units
+ * @version 1.0.0
+ */
+
+const Money = require('../../src/utils/money');
+
+describe('Money.parse', () => {
+    it.each([
+        ['sayı', 1500.5, 15005000],
+        ['metin', '1500.50', 15005000],
+        ['DECIMAL(19,4) metni', '1500.5000', 15005000],
+        ['negatif metin', '-0.25', -2500],
+        ['başında nokta', '.5', 5000],
+        ['kayan nokta artığı', 0.1 + 0.2, 3000]
+    ])('%s birime çevrilir', (_, value, units) => {
+        expect(Money.parse(value)).toBe(units);
+    });
+
+    it.each([
+        ['boş metin', ''],
+        ['harf', 'abc'],
+        ['virgüllü metin', '1,5'],
+        ['undefined', undefined],
+        ['null', null],
+        ['sonsuz', Infinity]
+    ])('%s geçersizdir', (_, value) => {
+        expect(Money.parse(value)).toBeNaN();
+        expect(Money.isValid(value)).toBe(false);
+    });
+
+    it('ondalık basamak sayısına sıfırdan uzağa yuvarlar', () => {
+        expect(Money.parse('1.005', 2)).toBe(10100);
+        expect(Money.parse('-1.005', 2)).toBe(-10100);
+        expect(Money.parse('1.004', 2)).toBe(10000);
+        expect(Money.parse('12.5', 0)).toBe(130000);
+    });
+
+    it('saklama ölçeğini aşan basamakları yuvarlar', () => {
+        expect(Money.parse('0.00005')).toBe(1);
+    });
+});
+
+describe('Money aritmetiği', () => {
+    it('toplamda kayan nokta hatası oluşmaz', () => {
+        expect(Money.toNumber(Money.sum([0.1, 0.2]))).toBe(0.3);
+        expect(Money.toNumber(Money.sum(['1500.10', '-0.10', 0.7]))).toBe(1500.7);
+    });
+
+    it('kurla çevirip ondalık basamağa yuvarlar', () => {
+        expect(Money.toNumber(Money.convert(Money.parse(100), '30.125', 2))).toBe(3012.5);
+        expect(Money.toNumber(Money.convert(Money.parse('33.33'), 1.005, 2))).toBe(33.5);
+        expect(Money.toNumber(Money.convert(Money.parse('33.33'), 1.005, 4))).toBe(33.4967);
+    });
+
+    it('sabit basamaklı metin üretir', () => {
+        expect(Money.toFixed(Money.parse(-1234.5))).toBe('-1234.50');
+        expect(Money.toFixed(Money.parse('0.05'), 1)).toBe('0.1');
+        expect(Money.toFixed(Money.parse('12.3456'), 0)).toBe('12');
+        expect(Money.toFixed(Money.parse('0.0001'), 4)).toBe('0.0001');
+    });
+
+    it('güvenli tam sayı aralığını aşan tutarda hata verir', () => {
+        expect(() => Money.parse('1000000000000')).toThrow('Tutar desteklenen aralığın dışında');
+    });
+});
+
+describe('Money.normalizeDecimalPlaces', () => {
+    it.each([
+        [0, 0],
+        ['3', 3],
+        [4, 4],
+        [5, 2],
+        [1.5, 2],
+        [undefined, 2],
+        ['iki', 2]
+    ])('%p değeri %p olur', (value, expected) => {
+        expect(Money.normalizeDecimalPlaces(value)).toBe(expected);
+    });
+});
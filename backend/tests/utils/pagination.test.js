@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Pagination helper unit tests
+ * @description Sort parsing, cursor round trips and the keyset query fragments
+ * @version 1.0.0
+ */
+
+const Pagination = require('../../src/utils/pagination');
+
+const config = {
+    columns: { transaction_date: 't.transaction_date', amount: 't.amount', id: 't.id' },
+    idColumn: 't.id',
+    defaultSort: '-transaction_date'
+};
+
+describe('Pagination.build', () => {
+    it('limit yoksa tüm kayıtları varsayılan sıralama ve ID ile sıralar', () => {
+        const page = Pagination.build({}, config);
+
+        expect(page).toMatchObject({
+            sort: '-transaction_date',
+            conditions: [],
+            params: [],
+            orderBy: 'ORDER BY t.transaction_date DESC, t.id DESC',
+            limitClause: ''
+        });
+        expect(page.toPage([{ id: 1 }, { id: 2 }])).toEqual({ data: [{ id: 1 }, { id: 2 }], nextCursor: null });
+    });
+
+    it('bir kayıt fazla okur ve son satırdan sonraki sayfanın imlecini üretir', () => {
+        const page = Pagination.build({ limit: 2, sort: 'amount' }, config);
+        const rows = [{ id: 7, amount: 10 }, { id: 3, amount: 25.5 }, { id: 9, amount: 30 }];
+
+        expect(page.orderBy).toBe('ORDER BY t.amount ASC, t.id ASC');
+        expect(page.limitClause).toBe('LIMIT 3');
+
+        const { data, nextCursor } = page.toPage(rows);
+        expect(data).toEqual(rows.slice(0, 2));
+
+        const next = Pagination.build({ limit: 2, sort: 'amount', cursor: nextCursor }, config);
+        expect(next.conditions).toEqual(['(t.amount > ? OR (t.amount = ? AND t.id > ?))']);
+        expect(next.params).toEqual([25.5, 25.5, 3]);
+    });
+
+    it('DATE değerlerini imlece YYYY-MM-DD olarak yazar, ID sıralamasında tek koşul kullanır', () => {
+        const cursor = Pagination.encodeCursor('-transaction_date', { id: 4, transaction_date: new Date(2024, 0, 31) });
+        expect(Pagination.build({ cursor }, config).params).toEqual(['2024-01-31', '2024-01-31', 4]);
+
+        const byId = Pagination.build({ sort: '-id', cursor: Pagination.encodeCursor('-id', { id: 4 }) }, config);
+        expect(byId.conditions).toEqual(['t.id < ?']);
+        expect(byId.orderBy).toBe('ORDER BY t.id DESC');
+    });
+
+    it('limiti en fazla 1000 kayda indirir, offset\'i yalnızca imleç yokken kullanır', () => {
+        expect(Pagination.build({ limit: 5000, offset: 20 }, config).limitClause).toBe('LIMIT 1001 OFFSET 20');
+
+        const cursor = Pagination.encodeCursor('-transaction_date', { id: 4, transaction_date: '2024-01-31' });
+        expect(Pagination.build({ limit: 10, offset: 20, cursor }, config).limitClause).toBe('LIMIT 11');
+    });
+
+    it.each([
+        ['bozuk imleç', { cursor: 'abc' }, 'Sayfa imleci geçersiz'],
+        ['başka sıralamanın imleci', { sort: 'amount', cursor: Pagination.encodeCursor('-amount', { id: 1, amount: 5 }) }, 'Sayfa imleci geçersiz'],
+        ['tanımsız alan', { sort: 'description' }, 'Sıralanamayan alan: description']
+    ])('%s için hata fırlatır', (_, options, message) => {
+        expect(() => Pagination.build(options, config)).toThrow(message);
+    });
+});
+
+describe('Pagination.forEachPage', () => {
+    it('sonuçları 500\'lük sayfalar halinde imleçle okur ve her sayfayı sırayla işler', async () => {
+        const rows = Array.from({ length: 1001 }, (_, index) => ({ id: index + 1 }));
+        const pages = [];
+        const readPage = jest.fn(async (page) => {
+            const start = page.params.length > 0 ? page.params[0] : 0;
+            return rows.slice(start, start + parseInt(page.limitClause.replace('LIMIT ', '')));
+        });
+
+        const count = await Pagination.forEachPage({ sort: 'id' }, config, readPage, async (data) => {
+            pages.push(data.map((row) => row.id));
+        });
+
+        expect(count).toBe(1001);
+        expect(readPage.mock.calls.map(([page]) => [page.conditions, page.params, page.limitClause])).toEqual([
+            [[], [], 'LIMIT 501'],
+            [['t.id > ?'], [500], 'LIMIT 501'],
+            [['t.id > ?'], [1000], 'LIMIT 501']
+        ]);
+        expect(pages.map((ids) => [ids[0], ids.length])).toEqual([[1, 500], [501, 500], [1001, 1]]);
+    });
+});
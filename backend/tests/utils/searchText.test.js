@@ -0,0 +1,65 @@
+/**
+ * @fileoverview SearchText unit tests
+ * @description Turkish folding, query tokenization, the stored search text and typo distance
+ * @version 1.0.0
+ */
+
+const SearchText = require('../../src/utils/searchText');
+
+describe('SearchText.normalize', () => {
+    it.each([
+        ['Yılmaz', 'yilmaz'],
+        ['YILMAZ', 'yilmaz'],
+        ['Yilmaz', 'yilmaz'],
+        ['İpek Ltd. Şti.', 'ipek ltd sti'],
+        ['ÇAĞRI Gümüş Öztürk', 'cagri gumus ozturk'],
+        ['Hâlâ  Kâğıt', 'hala kagit'],
+        [null, '']
+    ])('%s -> %s', (text, expected) => {
+        expect(SearchText.normalize(text)).toBe(expected);
+    });
+});
+
+describe('SearchText.tokenize', () => {
+    it('kelimeleri normalize eder ve tekrarları atar', () => {
+        expect(SearchText.tokenize('Yılmaz YILMAZ  a.ş.')).toEqual(['yilmaz', 'a', 's']);
+    });
+
+    it('numara biçimindeki terimi baştaki sıfırlar olmadan tek kelime yapar', () => {
+        expect(SearchText.tokenize('0 (555) 123-45-67')).toEqual(['5551234567']);
+        expect(SearchText.tokenize('000')).toEqual([]);
+    });
+});
+
+describe('SearchText.build', () => {
+    it('adı ve e-postayı normalize, kodu ayraçsız, telefonu ve vergi noyu rakam olarak birleştirir', () => {
+        expect(SearchText.build({
+            account_name: 'Şahin Gıda A.Ş.',
+            account_code: 'SG-001',
+            email: 'info@sahin.com.tr',
+            phone: '+90 (555) 123 45 67',
+            tax_number: '123 456 7890'
+        })).toBe('sahin gida a s sg001 info sahin com tr 905551234567 1234567890');
+    });
+
+    it('boş alanları atlar', () => {
+        expect(SearchText.build({ account_name: 'Ahmet', account_code: null })).toBe('ahmet');
+    });
+});
+
+describe('SearchText.distance', () => {
+    it.each([
+        ['yilmaz', 'yilmaz', 0],
+        ['yilmz', 'yilmaz', 1],
+        ['yimlaz', 'yilmaz', 1],
+        ['yelmez', 'yilmaz', 2],
+        ['', 'abc', 3]
+    ])('%s / %s = %i', (a, b, expected) => {
+        expect(SearchText.distance(a, b)).toBe(expected);
+    });
+
+    it('üçlü harf gruplarını üretir', () => {
+        expect(SearchText.trigrams('yilmaz')).toEqual(['yil', 'ilm', 'lma', 'maz']);
+        expect(SearchText.trigrams('ab')).toEqual([]);
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Spreadsheet helper unit tests
+ * @description CSV reading, header resolution and Turkish amount/date parsing
+ * @version 1.0.0
+ */
+
+const Spreadsheet = require('../../src/utils/spreadsheet');
+
+describe('Spreadsheet.readRecords', () => {
+    it('ayracı ilk satırdan bulur, tırnaklı hücreleri ve BOM\'u işler', async () => {
+        const file = Buffer.from('\uFEFFAd;Açıklama\r\n"Yılmaz; Ortakları";"çok\nsatırlı ""not"""\r\n', 'utf8');
+
+        expect(await Spreadsheet.readRecords(file)).toEqual([
+            ['Ad', 'Açıklama'],
+            ['Yılmaz; Ortakları', 'çok\nsatırlı "not"']
+        ]);
+    });
+
+    it('dışa aktarmada formül kaçışı için eklenen tırnağı kaldırır', async () => {
+        expect(await Spreadsheet.readRecords(Buffer.from('Telefon\n\'+90 555\n'))).toEqual([['Telefon'], ['+90 555']]);
+    });
+});
+
+describe('Spreadsheet.resolveColumns', () => {
+    const aliases = { account_name: ['cari adı'], balance: ['bakiye'] };
+
+    it('başlıkları büyük/küçük harf ve parantezli ekten bağımsız eşleştirir', () => {
+        expect(Spreadsheet.resolveColumns(['BAKİYE (TRY)', 'Cari  Adı'], aliases)).toEqual({ account_name: 1, balance: 0 });
+    });
+
+    it('eşleştirme verilen alanı yalnızca verilen başlıkta arar', () => {
+        expect(() => Spreadsheet.resolveColumns(['Cari Adı'], aliases, { account_name: 'Ünvan' }))
+            .toThrow('Eşleştirilen sütun dosyada bulunamadı: Ünvan');
+    });
+});
+
+describe('Spreadsheet.parseAmount', () => {
+    it.each([
+        ['1.500,50', '1500.50'],
+        ['1.234.567', '1234567'],
+        ['-250,00', '-250.00'],
+        ['1500.50', '1500.50'],
+        ['1500,5', '1500.5'],
+        [' 75 ', '75']
+    ])('%s -> %s', (text, value) => {
+        expect(Spreadsheet.parseAmount(text)).toBe(value);
+    });
+
+    it.each([
+        // Binlik ayraçlı 1500 mü, ondalıklı 1,5 mi olduğu belli değil
+        '1.500',
+        '1,500.50',
+        '1 000,5',
+        '1.50.0',
+        'abc',
+        ''
+    ])('%s okunamaz (NaN)', (text) => {
+        expect(Spreadsheet.parseAmount(text)).toBeNaN();
+    });
+});
+
+describe('Spreadsheet.parseDate', () => {
+    it.each([
+        ['31.01.2024', '2024-01-31'],
+        ['1/2/2024', '2024-02-01'],
+        ['29-02-2024', '2024-02-29'],
+        ['2024-01-31', '2024-01-31']
+    ])('%s -> %s', (text, date) => {
+        expect(Spreadsheet.parseDate(text)).toBe(date);
+    });
+
+    it.each(['31.02.2024', '2024-13-01', '01.2024', ''])('%s okunamaz', (text) => {
+        expect(Spreadsheet.parseDate(text)).toBeNull();
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Declarative validator unit tests
+ * @description Rule semantics of the request validator: missing values, type coercion
+ * rules per request location, nested arrays/objects, custom checks and schema assertions
+ * @version 1.0.0
+ */
+
+const Validator = require('../../src/validation/validator');
+
+// Yalnızca gövde şeması ile doğrula
+const validateBody = (fields, body) => Validator.validate({ body: fields }, { body });
+
+describe('Validator.validate', () => {
+    it('zorunlu alanlarda undefined, null ve boş metni eksik sayar', () => {
+        const errors = validateBody(
+            { a: { type: 'string', required: true }, b: { required: true }, c: { type: 'string', required: true } },
+            { b: null, c: '   ' }
+        );
+
+        expect(errors.map((fieldError) => fieldError.message)).toEqual([
+            'a alanı gereklidir',
+            'b alanı gereklidir',
+            'c alanı gereklidir'
+        ]);
+    });
+
+    it('allowEmpty ile boş metni kabul eder', () => {
+        expect(validateBody({ value: { required: true, allowEmpty: true } }, { value: '' })).toEqual([]);
+    });
+
+    it('opsiyonel boş alanlarda diğer kuralları çalıştırmaz', () => {
+        expect(validateBody({ due: { type: 'date' }, code: { type: 'string', minLength: 2 } }, { due: '', code: null })).toEqual([]);
+    });
+
+    it('sayısal metinleri kabul eder, geçersiz takvim günlerini reddeder', () => {
+        const fields = {
+            amount: { type: 'number', positive: true, max: 100 },
+            count: { type: 'integer' },
+            day: { type: 'date' }
+        };
+
+        expect(validateBody(fields, { amount: '12.50', count: '3', day: '2024-02-29' })).toEqual([]);
+        expect(validateBody(fields, { amount: '0', count: '3.5', day: '2023-02-29' }).map((fieldError) => fieldError.field))
+            .toEqual(['amount', 'count', 'day']);
+    });
+
+    it('boolean metnini yalnızca query ve params için kabul eder', () => {
+        const schema = { query: { fix: { type: 'boolean' } }, body: { fix: { type: 'boolean' } } };
+        const errors = Validator.validate(schema, { query: { fix: 'true' }, body: { fix: 'true' } });
+
+        expect(errors).toEqual([{ location: 'body', field: 'fix', message: 'fix true veya false olmalıdır' }]);
+    });
+
+    it('dizi elemanlarını ve iç içe nesne alanlarını yol bilgisiyle raporlar', () => {
+        const fields = {
+            lines: {
+                type: 'array',
+                minItems: 2,
+                items: { type: 'object', properties: { ledger_account_id: { type: 'integer', required: true } } }
+            }
+        };
+
+        const errors = validateBody(fields, { lines: [{ ledger_account_id: 'x' }] });
+
+        expect(errors).toEqual([
+            { location: 'body', field: 'lines', message: 'lines en az 2 eleman içermelidir' },
+            { location: 'body', field: 'lines[0].ledger_account_id', message: 'lines[0].ledger_account_id tam sayı olmalıdır' }
+        ]);
+    });
+
+    it('özel kontrolü alanın kendi kuralları geçtikten sonra tüm veriyle çalıştırır', () => {
+        const custom = jest.fn((value, data) => (data.other ? null : 'other gerekli'));
+        const fields = { value: { type: 'integer', custom } };
+
+        expect(validateBody(fields, { value: 'x' })).toHaveLength(1);
+        expect(custom).not.toHaveBeenCalled();
+
+        expect(validateBody(fields, { value: 3 })).toEqual([{ location: 'body', field: 'value', message: 'other gerekli' }]);
+        expect(custom).toHaveBeenCalledWith(3, { value: 3 });
+    });
+});
+
+describe('Validator.assertSchema', () => {
+    it('tanımsız bölüm, kural ve tipleri açılışta reddeder', () => {
+        expect(() => Validator.assertSchema({ headers: {} })).toThrow('Tanımsız doğrulama bölümü: headers');
+        expect(() => Validator.assertSchema({ body: { a: { requried: true } } })).toThrow('Tanımsız doğrulama kuralı: body.a.requried');
+        expect(() => Validator.assertSchema({ query: { a: { type: 'float' } } })).toThrow('Tanımsız doğrulama tipi: query.a (float)');
+    });
+
+    it('route dosyalarındaki tüm şemalar geçerlidir', () => {
+        const schemaFiles = ['account', 'audit', 'auth', 'company', 'exchangeRate', 'group', 'journal', 'report', 'transaction', 'user', 'userSettings'];
+
+        schemaFiles.forEach((name) => {
+            const schemas = require(`../../src/validation/schemas/${name}Schemas`);
+            Object.values(schemas).forEach((schema) => expect(() => Validator.assertSchema(schema)).not.toThrow());
+        });
+    });
+});